@@ -17,10 +17,12 @@ export { Reset_selection_action } from './reset-selection.js';
 export { Select_layer_action } from './select-layer.js';
 export { Select_next_layer_action } from './select-next-layer.js';
 export { Select_previous_layer_action } from './select-previous-layer.js';
+export { Set_layer_parent_action } from './set-layer-parent.js';
 export { Set_object_property_action } from './set-object-property.js';
 export { Set_selection_action } from './set-selection.js';
 export { Stop_animation_action } from './stop-animation.js';
 export { Toggle_layer_visibility_action } from './toggle-layer-visibility.js';
 export { Update_config_action } from './update-config.js';
 export { Update_layer_image_action } from './update-layer-image.js';
-export { Update_layer_action } from './update-layer.js';
\ No newline at end of file
+export { Update_layer_action } from './update-layer.js';
+export { Update_layer_mask_action } from './update-layer-mask.js';
\ No newline at end of file
@@ -54,9 +54,15 @@ export class Insert_layer_action extends Base_action {
 			status: null,
 			color: config.COLOR,
 			filters: [],
+			mask: null,
 			render_function: null,
 		};
 
+		// New layers go to the active group, or to the group of active layer
+		if (config.layer && (this.settings == undefined || typeof this.settings.parent_id == 'undefined')) {
+			layer.parent_id = config.layer.type == 'group' ? config.layer.id : config.layer.parent_id;
+		}
+
 		// Build data
 		for (let i in this.settings) {
 			if (typeof layer[i] == "undefined" && !i.startsWith('_')) {
@@ -66,9 +72,18 @@ export class Insert_layer_action extends Base_action {
 			layer[i] = this.settings[i];
 		}
 
-		// Prepare image
+		// Mask from JSON file
+		let mask_load_promise;
+		if (layer.mask != null && typeof layer.mask.data == 'string') {
+			mask_load_promise = app.Layers.load_mask(layer.mask).then((mask) => {
+				layer.mask = mask;
+				config.need_render = true;
+			});
+		}
+
+		// Prepare image, smart objects keep their source image same way
 		let image_load_promise;
-		if (layer.type == 'image') {
+		if (layer.type == 'image' || layer.type == 'smart_object') {
 			
 			if(layer.name.toLowerCase().indexOf('.svg') == layer.name.length - 4){
 				// We have svg
@@ -134,7 +149,7 @@ export class Insert_layer_action extends Base_action {
 
 		if (this.settings != undefined && config.layers.length > 0
 			&& (config.layer.width == 0 || config.layer.width === null) && (config.layer.height == 0 || config.layer.height === null)
-			&& config.layer.data == null && layer.type != 'image' && this.can_automate !== false) {
+			&& config.layer.data == null && config.layer.type != 'group' && layer.type != 'image' && this.can_automate !== false) {
 			// Update existing layer, because it's empty
 			this.update_layer_action = new app.Actions.Update_layer_action(config.layer.id, layer);
 			await this.update_layer_action.do();
@@ -158,6 +173,9 @@ export class Insert_layer_action extends Base_action {
 		if (image_load_promise) {
 			await image_load_promise;
 		}
+		if (mask_load_promise) {
+			await mask_load_promise;
+		}
 
 		if (autoresize_as) {
 			this.autoresize_canvas_action = new app.Actions.Autoresize_canvas_action(...autoresize_as);
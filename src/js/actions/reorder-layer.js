@@ -4,7 +4,8 @@ import { Base_action } from './base.js';
 
 export class Reorder_layer_action extends Base_action {
 	/**
-	 * Reorder layer up or down in the layer stack
+	 * Reorder layer up or down in the layer stack. At the edge of a group layer leaves the group,
+	 * next to an expanded group it enters the group.
 	 *
 	 * @param {int} layer_id
 	 * @param {int} direction
@@ -13,31 +14,56 @@ export class Reorder_layer_action extends Base_action {
 		super('reorder_layer', 'Reorder Layer');
 		this.layer_id = parseInt(layer_id);
 		this.direction = direction;
-		this.reference_layer = null;
-		this.reference_target = null;
-		this.old_layer_order = null;
-		this.old_target_order = null;
+		this.old_values = null;
 	}
 
 	async do() {
 		super.do();
-		this.reference_layer = app.Layers.get_layer(this.layer_id);
-		if (!this.reference_layer) {
+		var layer = app.Layers.get_layer(this.layer_id);
+		if (!layer) {
 			throw new Error('Aborted - layer with specified id doesn\'t exist');
 		}
-		if (this.direction < 0) {
-			this.reference_target = app.Layers.find_previous(this.layer_id);
+		var up = this.direction > 0;
+		var parent = app.Layers.get_parent(layer);
+		var siblings = this.get_children(parent);
+		var index = siblings.indexOf(layer);
+		var target = siblings[up ? index - 1 : index + 1];
+
+		//new parent and its children from top to bottom, with layer on new place
+		var new_parent;
+		var list;
+		if (!target) {
+			if (parent == null) {
+				throw new Error('Aborted - layer has nowhere to move');
+			}
+			//leave group
+			new_parent = app.Layers.get_parent(parent);
+			list = this.get_children(new_parent);
+			list.splice(list.indexOf(parent) + (up ? 0 : 1), 0, layer);
+		}
+		else if (target.type == 'group' && target.params.collapsed !== true) {
+			//enter group
+			new_parent = target;
+			list = this.get_children(target);
+			if (up)
+				list.push(layer);
+			else
+				list.unshift(layer);
 		}
 		else {
-			this.reference_target = app.Layers.find_next(this.layer_id);
+			new_parent = parent;
+			list = siblings;
+			list.splice(index, 1);
+			list.splice(list.indexOf(target) + (up ? 0 : 1), 0, layer);
 		}
-		if (!this.reference_target) {
-			throw new Error('Aborted - layer has nowhere to move');
+
+		//reuse order values of these layers, so other layers keep their places
+		var orders = list.map((item) => item.order).sort((a, b) => b - a);
+		this.old_values = list.map((item) => [item, item.order, item.parent_id]);
+		for (var i in list) {
+			list[i].order = orders[i];
 		}
-		this.old_layer_order = this.reference_layer.order;
-		this.old_target_order = this.reference_target.order;
-		this.reference_layer.order = this.old_target_order;
-		this.reference_target.order = this.old_layer_order;
+		layer.parent_id = new_parent ? new_parent.id : 0;
 
 		app.Layers.render();
 		app.GUI.GUI_layers.render_layers();
@@ -45,20 +71,31 @@ export class Reorder_layer_action extends Base_action {
 
 	async undo() {
 		super.undo();
-		if (this.reference_layer) {
-			this.reference_layer.order = this.old_layer_order;
-			this.reference_layer = null;
-		}
-		if (this.reference_target) {
-			this.reference_target.order = this.old_target_order;
-			this.reference_target = null;
+		if (this.old_values) {
+			for (var [layer, order, parent_id] of this.old_values) {
+				layer.order = order;
+				layer.parent_id = parent_id;
+			}
+			this.old_values = null;
 		}
 		app.Layers.render();
 		app.GUI.GUI_layers.render_layers();
 	}
 
 	free() {
-		this.reference_layer = null;
-		this.reference_target = null;
+		this.old_values = null;
+	}
+
+	/**
+	 * direct children of group, or top level layers, from top to bottom
+	 *
+	 * @param {object|null} group
+	 * @returns {object[]}
+	 */
+	get_children(group) {
+		return app.Layers.get_sorted_layers().filter((item) => {
+			var parent = app.Layers.get_parent(item);
+			return group == null ? parent == null : parent === group;
+		});
 	}
-}
\ No newline at end of file
+}
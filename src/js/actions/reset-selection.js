@@ -7,29 +7,37 @@ export class Reset_selection_action extends Base_action {
 	 * Sets the selection to empty
 	 * 
 	 * @prop {object} [mirror_selection_settings] - Optional object to also set to an empty selection object 
+	 * @prop {string} [settings_key] - Optional tool name whose selection is reset, active tool by default
 	 */
-	constructor(mirror_selection_settings) {
+	constructor(mirror_selection_settings, settings_key) {
 		super('reset_selection', 'Reset Selection');
 		this.mirror_selection_settings = mirror_selection_settings;
+		this.settings_key = settings_key || null;
 		this.settings_reference = null;
 		this.old_settings_data = null;
 	}
 
 	async do() {
 		super.do();
-		this.settings_reference = app.Layers.Base_selection.find_settings();
-		this.old_settings_data = JSON.parse(JSON.stringify(this.settings_reference.data));
+		this.settings_reference = app.Layers.Base_selection.find_settings(this.settings_key);
+		this.old_settings_data = app.Layers.Base_selection.clone_selection(this.settings_reference.data);
 		this.settings_reference.data = {
 			x: null,
 			y: null,
 			width: null,
-			height: null
+			height: null,
+			shape: 'rectangle',
+			points: null,
+			mask: null
 		}
 		if (this.mirror_selection_settings) {
 			this.mirror_selection_settings.x = null;
 			this.mirror_selection_settings.y = null;
 			this.mirror_selection_settings.width = null;
 			this.mirror_selection_settings.height = null;
+			this.mirror_selection_settings.shape = 'rectangle';
+			this.mirror_selection_settings.points = null;
+			this.mirror_selection_settings.mask = null;
 		}
 		config.need_render = true;
 	}
@@ -37,7 +45,7 @@ export class Reset_selection_action extends Base_action {
 	async undo() {
 		super.undo();
 		if (this.old_settings_data) {
-			for (let prop of ['x', 'y', 'width', 'height']) {
+			for (let prop of ['x', 'y', 'width', 'height', 'shape', 'points', 'mask']) {
 				this.settings_reference.data[prop] = this.old_settings_data[prop];
 				if (this.mirror_selection_settings) {
 					this.mirror_selection_settings[prop] = this.old_settings_data[prop];
@@ -0,0 +1,50 @@
+import app from '../app.js';
+import config from '../config.js';
+import { Base_action } from './base.js';
+
+export class Set_layer_parent_action extends Base_action {
+	/**
+	 * Moves layer into group, or out of it when parent_id is 0
+	 *
+	 * @param {int} layer_id
+	 * @param {int} parent_id
+	 * @param {int} order Optional, place between children of new parent
+	 */
+	constructor(layer_id, parent_id, order) {
+		super('set_layer_parent', 'Set Layer Parent');
+		this.layer_id = parseInt(layer_id);
+		this.parent_id = parseInt(parent_id);
+		this.order = order;
+		this.old_parent_id = null;
+		this.old_order = null;
+	}
+
+	async do() {
+		super.do();
+		const layer = app.Layers.get_layer(this.layer_id);
+		if (!layer) {
+			throw new Error('Aborted - layer with specified id doesn\'t exist');
+		}
+		if (this.parent_id == layer.id || app.Layers.get_descendants(layer.id).some((item) => item.id == this.parent_id)) {
+			throw new Error('Aborted - group can not be moved into itself');
+		}
+		this.old_parent_id = layer.parent_id;
+		this.old_order = layer.order;
+		layer.parent_id = this.parent_id;
+		if (this.order != undefined)
+			layer.order = this.order;
+		app.Layers.render();
+		app.GUI.GUI_layers.render_layers();
+	}
+
+	async undo() {
+		super.undo();
+		const layer = app.Layers.get_layer(this.layer_id);
+		layer.parent_id = this.old_parent_id;
+		layer.order = this.old_order;
+		this.old_parent_id = null;
+		this.old_order = null;
+		app.Layers.render();
+		app.GUI.GUI_layers.render_layers();
+	}
+}
@@ -5,22 +5,29 @@ import { Base_action } from './base.js';
 export class Set_selection_action extends Base_action {
 	/**
 	 * Sets the selection to the specified position and dimensions
+	 *
+	 * @param {string} [shape] - Optional selection shape: rectangle, ellipse or polygon, kept as is when not set
+	 * @param {array} [points] - Polygon points in document coordinates
+	 * @param {canvas} [mask] - Mask of document size, alpha is selection, for mask shape
 	 */
-	constructor(x, y, width, height, old_settings_override) {
+	constructor(x, y, width, height, old_settings_override, shape, points, mask) {
 		super('set_selection', 'Set Selection');
 		this.x = x;
 		this.y = y;
 		this.width = width;
 		this.height = height;
+		this.shape = shape || null;
+		this.points = points ? JSON.parse(JSON.stringify(points)) : null;
+		this.mask = mask || null;
 		this.settings_reference = null;
 		this.old_settings_data = null;
-		this.old_settings_override = old_settings_override ? JSON.parse(JSON.stringify(old_settings_override)) || null : null;
+		this.old_settings_override = old_settings_override ? app.Layers.Base_selection.clone_selection(old_settings_override) : null;
 	}
 
 	async do() {
 		super.do();
 		this.settings_reference = app.Layers.Base_selection.find_settings();
-		this.old_settings_data = JSON.parse(JSON.stringify(this.settings_reference.data));
+		this.old_settings_data = app.Layers.Base_selection.clone_selection(this.settings_reference.data);
 		if (this.x != null)
 			this.settings_reference.data.x = this.x;
 		if (this.y != null)
@@ -29,6 +36,11 @@ export class Set_selection_action extends Base_action {
 			this.settings_reference.data.width = this.width;
 		if (this.height != null)
 			this.settings_reference.data.height = this.height;
+		if (this.shape != null) {
+			this.settings_reference.data.shape = this.shape;
+			this.settings_reference.data.points = this.points;
+			this.settings_reference.data.mask = this.mask;
+		}
 
 		config.need_render = true;
 	}
@@ -53,5 +65,7 @@ export class Set_selection_action extends Base_action {
 		this.settings_reference = null;
 		this.old_settings_override = null;
 		this.old_settings_data = null;
+		this.points = null;
+		this.mask = null;
 	}
 }
\ No newline at end of file
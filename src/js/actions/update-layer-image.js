@@ -32,7 +32,7 @@ export class Update_layer_image_action extends Base_action {
 		if (!this.reference_layer) {
 			throw new Error('Aborted - layer with specified id doesn\'t exist');
 		}
-		if (this.reference_layer.type != 'image'){
+		if (this.reference_layer.type != 'image' && this.reference_layer.type != 'smart_object'){
 			alertify.error('Error: layer must be image.');
 			throw new Error('Aborted - layer is not an image');
 		}
@@ -0,0 +1,44 @@
+import app from '../app.js';
+import config from '../config.js';
+import { Base_action } from './base.js';
+
+export class Update_layer_mask_action extends Base_action {
+	/**
+	 * Sets, changes or removes layer mask
+	 *
+	 * @param {int} layer_id
+	 * @param {object|null} mask keys: enabled, inverted, link. Should be new object, not changed existing one.
+	 */
+	constructor(layer_id, mask) {
+		super('update_layer_mask', 'Update Layer Mask');
+		this.layer_id = parseInt(layer_id);
+		this.mask = mask;
+		this.old_mask = null;
+	}
+
+	async do() {
+		super.do();
+		const layer = app.Layers.get_layer(this.layer_id);
+		if (!layer) {
+			throw new Error('Aborted - layer with specified id doesn\'t exist');
+		}
+		this.old_mask = layer.mask;
+		layer.mask = this.mask;
+		config.need_render = true;
+		app.GUI.GUI_layers.render_layers();
+	}
+
+	async undo() {
+		super.undo();
+		const layer = app.Layers.get_layer(this.layer_id);
+		layer.mask = this.old_mask;
+		this.old_mask = null;
+		config.need_render = true;
+		app.GUI.GUI_layers.render_layers();
+	}
+
+	free() {
+		this.mask = null;
+		this.old_mask = null;
+	}
+}
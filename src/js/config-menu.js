@@ -68,6 +68,11 @@ const menuDefinition = [
 				ellipsis: true,
 				target: 'file/save.save_data_url'
 			},
+			{
+				name: 'Batch Process',
+				ellipsis: true,
+				target: 'file/batch.batch'
+			},
 			{
 				name: 'Print',
 				ellipsis: true,
@@ -114,6 +119,18 @@ const menuDefinition = [
 				name: 'Copy Selection',
 				target: 'layer/new.new_selection'
 			},
+			{
+				name: 'Cut Selection',
+				target: 'layer/new.cut_selection'
+			},
+			{
+				name: 'Fill Selection',
+				target: 'edit/selection.fill'
+			},
+			{
+				name: 'Crop to Selection',
+				target: 'edit/selection.crop'
+			},
 			{
 				name: 'Copy to Clipboard',
 				shortcut: 'Ctrl+C',
@@ -134,6 +151,76 @@ const menuDefinition = [
 			}
 		]
 	},
+	{
+		name: 'Select',
+		children: [
+			{
+				name: 'All',
+				shortcut: 'Ctrl+A',
+				target: 'edit/selection.select_all'
+			},
+			{
+				name: 'Deselect',
+				shortcut: 'Esc',
+				target: 'edit/selection.deselect'
+			},
+			{
+				name: 'Invert',
+				target: 'select/modify.invert'
+			},
+			{
+				divider: true
+			},
+			{
+				name: 'Color Range',
+				ellipsis: true,
+				target: 'select/color_range.color_range'
+			},
+			{
+				name: 'Modify',
+				children: [
+					{
+						name: 'Border',
+						ellipsis: true,
+						target: 'select/modify.border'
+					},
+					{
+						name: 'Smooth',
+						ellipsis: true,
+						target: 'select/modify.smooth'
+					},
+					{
+						name: 'Grow',
+						ellipsis: true,
+						target: 'select/modify.grow'
+					},
+					{
+						name: 'Shrink',
+						ellipsis: true,
+						target: 'select/modify.shrink'
+					},
+					{
+						name: 'Feather',
+						ellipsis: true,
+						target: 'select/modify.feather'
+					}
+				]
+			},
+			{
+				divider: true
+			},
+			{
+				name: 'Save Selection',
+				ellipsis: true,
+				target: 'select/channels.save'
+			},
+			{
+				name: 'Load Selection',
+				ellipsis: true,
+				target: 'select/channels.load'
+			}
+		]
+	},
 	{
 		name: 'View',
 		children: [
@@ -188,6 +275,10 @@ const menuDefinition = [
 				name: 'Ruler',
 				target: 'view/ruler.ruler'
 			},
+			{
+				name: 'Script Panel',
+				target: 'view/script.script'
+			},
 			{
 				divider: true
 			},
@@ -298,6 +389,41 @@ const menuDefinition = [
 				name: 'New from Selection',
 				target: 'layer/new.new_selection'
 			},
+			{
+				name: 'New Adjustment Layer',
+				children: [
+					{
+						name: 'Brightness',
+						ellipsis: true,
+						target: 'layer/adjustment.brightness'
+					},
+					{
+						name: 'Contrast',
+						ellipsis: true,
+						target: 'layer/adjustment.contrast'
+					},
+					{
+						name: 'Hue Rotate',
+						ellipsis: true,
+						target: 'layer/adjustment.hue_rotate'
+					},
+					{
+						name: 'Saturate',
+						ellipsis: true,
+						target: 'layer/adjustment.saturate'
+					},
+					{
+						name: 'Curves',
+						ellipsis: true,
+						target: 'layer/adjustment.curves'
+					},
+					{
+						name: 'Levels',
+						ellipsis: true,
+						target: 'layer/adjustment.levels'
+					},
+				]
+			},
 			{
 				divider: true
 			},
@@ -318,6 +444,78 @@ const menuDefinition = [
 				name: 'Convert to Raster',
 				target: 'layer/raster.raster'
 			},
+			{
+				name: 'Group',
+				children: [
+					{
+						name: 'New Group',
+						target: 'layer/group.new_group'
+					},
+					{
+						name: 'Group Layer',
+						target: 'layer/group.group'
+					},
+					{
+						name: 'Ungroup',
+						target: 'layer/group.ungroup'
+					}
+				]
+			},
+			{
+				name: 'Mask',
+				children: [
+					{
+						name: 'Add Mask',
+						target: 'layer/mask.add'
+					},
+					{
+						name: 'Edit Mask / Layer',
+						target: 'layer/mask.edit'
+					},
+					{
+						name: 'Enable / Disable',
+						target: 'layer/mask.toggle'
+					},
+					{
+						name: 'Invert',
+						target: 'layer/mask.invert'
+					},
+					{
+						name: 'Apply',
+						target: 'layer/mask.apply'
+					},
+					{
+						name: 'Delete',
+						target: 'layer/mask.delete'
+					}
+				]
+			},
+			{
+				name: 'Smart Object',
+				children: [
+					{
+						name: 'Convert to Smart Object',
+						target: 'layer/smart-object.convert'
+					},
+					{
+						name: 'Transform',
+						ellipsis: true,
+						target: 'layer/smart-object.transform'
+					},
+					{
+						name: 'Reset Transforms',
+						target: 'layer/smart-object.reset'
+					},
+					{
+						name: 'Edit Contents',
+						target: 'layer/smart-object.edit_contents'
+					},
+					{
+						name: 'Save Contents',
+						target: 'layer/smart-object.save_contents'
+					}
+				]
+			},
 			{
 				divider: true
 			},
@@ -394,6 +592,11 @@ const menuDefinition = [
 						ellipsis: true,
 						target: 'effects/common/contrast.contrast'
 					},
+					{
+						name: 'Curves',
+						ellipsis: true,
+						target: 'effects/common/curves.curves'
+					},
 					{
 						name: 'Grayscale',
 						ellipsis: true,
@@ -404,6 +607,11 @@ const menuDefinition = [
 						ellipsis: true,
 						target: 'effects/common/hue-rotate.hue_rotate'
 					},
+					{
+						name: 'Levels',
+						ellipsis: true,
+						target: 'effects/common/levels.levels'
+					},
 					{
 						name: 'Negative',
 						ellipsis: true,
@@ -611,6 +819,25 @@ const menuDefinition = [
 				ellipsis: true,
 				target: 'tools/restore_alpha.restore_alpha'
 			},
+			{
+				name: 'Macro',
+				children: [
+					{
+						name: 'Record Macro',
+						target: 'tools/macro.record'
+					},
+					{
+						name: 'Stop Recording',
+						ellipsis: true,
+						target: 'tools/macro.stop'
+					},
+					{
+						name: 'Run Macro',
+						ellipsis: true,
+						target: 'tools/macro.run'
+					}
+				]
+			},
 			{
 				name: 'External',
 				children: [
@@ -28,9 +28,18 @@ config.swatches = {
 config.user_fonts = {};
 config.guides_enabled = true;
 config.guides = [];
+config.selection_channels = []; //saved selections: {name, data} with mask as data URL
 config.ruler_active = false;
 config.enable_autoresize_by_default = true;
 
+//control bus, origins of pages allowed to drive miniPaint when it is embedded in iframe, empty turns control bus off.
+//Same origin is always allowed. Use "https://host" for all scopes or {origin: "https://host", scopes: ['read']}.
+config.control_bus_origins = [];
+
+//relay for commands from outside the browser, see tools/rexx-relay. Empty to disable, e.g. "ws://127.0.0.1:8765/app".
+config.rexx_relay_url = '';
+config.rexx_relay_token = '';
+
 //requires styles in reset.css
 config.themes = [
 	'dark',
@@ -89,8 +98,17 @@ config.TOOLS = [
 	},
 	{
 		name: 'selection',
-		attributes: {},
-		on_leave: 'on_leave',
+		attributes: {
+			mode: {
+				value: 'Rectangle',
+				values: ['Rectangle', 'Ellipse', 'Lasso', 'Polygonal Lasso', 'Magic Wand'],
+			},
+			power: 15,
+			contiguous: false,
+			anti_aliasing: true,
+			feather: 0,
+		},
+		on_leave: 'on_tool_leave',
 	},
 	{
 		name: 'brush',
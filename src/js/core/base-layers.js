@@ -19,7 +19,7 @@ var instance = null;
  * Layers class - manages layers. Each layer is object with various types. Keys:
  * - id (int)
  * - link (image)
- * - parent_id (int)
+ * - parent_id (int) - id of group (layer with type "group"), 0 on top level
  * - name (string)
  * - type (string)
  * - x (int)
@@ -40,6 +40,7 @@ var instance = null;
  * - color {hex}
  * - status (string)
  * - filters (array)
+ * - mask (object|null) keys: enabled, inverted, link - grayscale canvas of document size, white shows layer, black hides it
  * - render_function (function)
  */
 class Base_layers_class {
@@ -192,6 +193,9 @@ class Base_layers_class {
 			//active tool overlay
 			this.render_overlay();
 
+			//marching ants of selection, on own canvas
+			this.Base_selection.draw_ants();
+
 			//render preview
 			this.render_preview(layers_sorted);
 
@@ -277,6 +281,12 @@ class Base_layers_class {
 	 */
 	render_objects(ctx, tempCanvas, layers, prepare, shouldSkip) {
 		const tempCtx = tempCanvas.getContext("2d");
+		// Layers inside groups are rendered by their group, see render_group()
+		const all_layers = layers;
+		const groups = layers.filter((layer) => layer.type == "group").map((layer) => layer.id);
+		if (groups.length > 0) {
+			layers = layers.filter((layer) => !groups.includes(layer.parent_id) || layer.parent_id == layer.id);
+		}
 		// Prepare the temporary canvas if needed
 		prepare && prepare();
 		
@@ -335,12 +345,103 @@ class Base_layers_class {
 			} else {
 				ctx.globalAlpha = layer.opacity / 100;
 				ctx.globalCompositeOperation = layer.composition;
-				this.render_object(ctx, layer);
+				if (layer.type == "group") {
+					this.render_group(ctx, layer, all_layers, shouldSkip);
+				} else if (layer.type == "adjustment") {
+					this.render_adjustment(ctx, layer);
+				} else {
+					this.render_object(ctx, layer);
+				}
 			}
 		}
 
 	}
 
+	/**
+	 * Renders layers of group on their own canvas, then draws it with current opacity and composition of ctx,
+	 * so group settings apply to children together.
+	 * @param {canvas.context} ctx
+	 * @param {object} group
+	 * @param {Object[]} layers - Sorted layers, children of group are taken from here
+	 * @param {Function} shouldSkip - Optional, see render_objects()
+	 */
+	render_group(ctx, group, layers, shouldSkip) {
+		if (group.visible == false) return;
+
+		const groupCanvas = this.create_new_canvas(ctx);
+		const groupCtx = groupCanvas.getContext("2d");
+		groupCtx.setTransform(ctx.getTransform());
+		const tempCanvas = this.create_new_canvas(null, config.WIDTH, config.HEIGHT);
+		this.render_objects(groupCtx, tempCanvas, this.get_descendants(group.id, layers), () => {
+			groupCtx.save();
+		}, shouldSkip);
+
+		this.pre_render_object(ctx, group);
+		ctx.save();
+		ctx.setTransform(1, 0, 0, 1, 0, 0);
+		ctx.drawImage(groupCanvas, 0, 0);
+		ctx.restore();
+		this.after_render_object(ctx, group);
+	}
+
+	/**
+	 * Applies filters of adjustment layer to everything already drawn on ctx. Mask limits where filters apply,
+	 * opacity mixes adjusted and original pixels, other compositions blend adjusted pixels over original ones.
+	 * @param {canvas.context} ctx
+	 * @param {object} layer
+	 */
+	render_adjustment(ctx, layer) {
+		if (layer.visible == false) return;
+
+		const opacity = ctx.globalAlpha;
+		const composition = ctx.globalCompositeOperation;
+
+		const adjustedCanvas = this.create_new_canvas(ctx);
+		const adjustedCtx = adjustedCanvas.getContext("2d");
+		this.pre_render_object(adjustedCtx, layer);
+		adjustedCtx.drawImage(ctx.canvas, 0, 0);
+		this.after_render_object(adjustedCtx, layer);
+
+		if (this.is_mask_enabled(layer)) {
+			// Adjusted pixels inside mask, original ones outside
+			const mask = this.get_mask_alpha(layer);
+			const inverted = layer.mask.inverted === true;
+			const restCanvas = this.create_new_canvas(ctx);
+			const restCtx = restCanvas.getContext("2d");
+			restCtx.drawImage(ctx.canvas, 0, 0);
+			restCtx.setTransform(ctx.getTransform());
+			restCtx.globalCompositeOperation = inverted ? "destination-in" : "destination-out";
+			restCtx.drawImage(mask, 0, 0);
+
+			adjustedCtx.setTransform(ctx.getTransform());
+			adjustedCtx.globalCompositeOperation = inverted ? "destination-out" : "destination-in";
+			adjustedCtx.drawImage(mask, 0, 0);
+			adjustedCtx.setTransform(1, 0, 0, 1, 0, 0);
+			adjustedCtx.globalCompositeOperation = "lighter";
+			adjustedCtx.drawImage(restCanvas, 0, 0);
+		}
+
+		ctx.save();
+		ctx.setTransform(1, 0, 0, 1, 0, 0);
+		if (composition == "source-over") {
+			// Sum of both by opacity keeps transparency of pixels below
+			const mixCanvas = this.create_new_canvas(ctx);
+			const mixCtx = mixCanvas.getContext("2d");
+			mixCtx.globalAlpha = 1 - opacity;
+			mixCtx.drawImage(ctx.canvas, 0, 0);
+			mixCtx.globalAlpha = opacity;
+			mixCtx.globalCompositeOperation = "lighter";
+			mixCtx.drawImage(adjustedCanvas, 0, 0);
+
+			ctx.globalAlpha = 1;
+			ctx.globalCompositeOperation = "copy";
+			ctx.drawImage(mixCanvas, 0, 0);
+		} else {
+			ctx.drawImage(adjustedCanvas, 0, 0);
+		}
+		ctx.restore();
+	}
+
 	render_preview(layers) {
 		var w = this.Base_gui.GUI_preview.PREVIEW_SIZE.w;
 		var h = this.Base_gui.GUI_preview.PREVIEW_SIZE.h;
@@ -366,10 +467,24 @@ class Base_layers_class {
 	 * @param {canvas.context} ctx
 	 * @param {object} object
 	 * @param {boolean} is_preview
+	 * @param {boolean} ignore_mask Optional, render without layer mask
 	 */
-	render_object(ctx, object, is_preview) {
+	render_object(ctx, object, is_preview, ignore_mask) {
 		if (object.visible == false || object.type == null) return;
 
+		if (object.type == "group") {
+			this.render_group(ctx, object, this.get_sorted_layers());
+			return;
+		}
+		if (object.type == "adjustment") {
+			//has no pixels, changes layers below, see render_adjustment()
+			return;
+		}
+		if (ignore_mask !== true && this.is_mask_enabled(object)) {
+			this.render_masked_object(ctx, object, is_preview);
+			return;
+		}
+
 		this.pre_render_object(ctx, object);
 
 		//example with canvas object - other types should overwrite this method
@@ -390,6 +505,8 @@ class Base_layers_class {
 			);
 
 			ctx.restore();
+		} else if (object.type == "smart_object") {
+			this.render_smart_object(ctx, object);
 		} else {
 			//call render function from other module
 			var render_class = object.render_function[0];
@@ -410,6 +527,67 @@ class Base_layers_class {
 		this.after_render_object(ctx, object);
 	}
 
+	/**
+	 * Draws source bitmap of smart object into its box, then transforms of params.transforms
+	 * are applied around the center of the box, first one first.
+	 * @param {canvas.context} ctx
+	 * @param {object} object
+	 */
+	render_smart_object(ctx, object) {
+		ctx.save();
+
+		ctx.translate(object.x + object.width / 2, object.y + object.height / 2);
+		ctx.rotate((object.rotate * Math.PI) / 180);
+		const transforms = object.params.transforms || [];
+		for (var i = transforms.length - 1; i >= 0; i--) {
+			const transform = transforms[i];
+			const params = transform.params;
+			if (transform.type == "scale") {
+				ctx.scale(params.x / 100, params.y / 100);
+			} else if (transform.type == "rotate") {
+				ctx.rotate((params.angle * Math.PI) / 180);
+			} else if (transform.type == "flip") {
+				ctx.scale(
+					params.direction == "Vertical" ? 1 : -1,
+					params.direction == "Horizontal" ? 1 : -1
+				);
+			} else if (transform.type == "skew") {
+				ctx.transform(1, Math.tan((params.y * Math.PI) / 180), Math.tan((params.x * Math.PI) / 180), 1, 0, 0);
+			}
+		}
+		ctx.drawImage(
+			object.link,
+			-object.width / 2,
+			-object.height / 2,
+			object.width,
+			object.height
+		);
+
+		ctx.restore();
+	}
+
+	/**
+	 * Renders layer on its own canvas, hides parts by its mask and draws result with current opacity and composition of ctx
+	 * @param {canvas.context} ctx
+	 * @param {object} object
+	 * @param {boolean} is_preview
+	 */
+	render_masked_object(ctx, object, is_preview) {
+		const maskedCanvas = this.create_new_canvas(ctx);
+		const maskedCtx = maskedCanvas.getContext("2d");
+		maskedCtx.setTransform(ctx.getTransform());
+		this.render_object(maskedCtx, object, is_preview, true);
+
+		// Mask is in document coordinates, same as layers
+		maskedCtx.globalCompositeOperation = object.mask.inverted === true ? "destination-out" : "destination-in";
+		maskedCtx.drawImage(this.get_mask_alpha(object), 0, 0);
+
+		ctx.save();
+		ctx.setTransform(1, 0, 0, 1, 0, 0);
+		ctx.drawImage(maskedCanvas, 0, 0);
+		ctx.restore();
+	}
+
 	/**
 	 * Gets called before render_object starts it's job
 	 * @param {canvas.context} ctx
@@ -536,7 +714,7 @@ class Base_layers_class {
 	 * @param {boolean} force - Force to delete first layer?
 	 */
 	async delete(id, force) {
-		return app.State.do_action(new app.Actions.Delete_layer_action(id, force));
+		return app.State.do_action(this.get_delete_action(id, force));
 	}
 
 	/*
@@ -619,10 +797,295 @@ class Base_layers_class {
 	 * clone and sort.
 	 */
 	get_sorted_layers() {
-		return config.layers.concat().sort(
+		var layers = config.layers.concat().sort(
 			//sort function
 			(a, b) => b.order - a.order
 		);
+		var groups = layers.filter((layer) => layer.type == 'group').map((layer) => layer.id);
+		if (groups.length == 0) {
+			return layers;
+		}
+
+		//groups come right before their children, layers without a parent group are on top level
+		var result = [];
+		var add = (parent_id) => {
+			for (var layer of layers) {
+				var top_level = groups.includes(layer.parent_id) == false || layer.parent_id == layer.id;
+				if ((parent_id == null ? top_level : layer.parent_id == parent_id && top_level == false)
+					&& result.includes(layer) == false) {
+					result.push(layer);
+					if (layer.type == 'group') {
+						add(layer.id);
+					}
+				}
+			}
+		};
+		add(null);
+
+		//broken parent links, like groups inside each other
+		for (var layer of layers) {
+			if (result.includes(layer) == false) {
+				result.push(layer);
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * returns group of layer, or null if layer is on top level
+	 *
+	 * @param {object} layer
+	 * @returns {object|null}
+	 */
+	get_parent(layer) {
+		var parent = config.layers.find((item) => item.id == layer.parent_id && item.id != layer.id);
+		if (parent == undefined || parent.type != 'group') {
+			return null;
+		}
+		return parent;
+	}
+
+	/**
+	 * returns groups of layer, closest first
+	 *
+	 * @param {int} id layer id
+	 * @returns {object[]}
+	 */
+	get_parents(id) {
+		var parents = [];
+		var link = config.layers.find((item) => item.id == id);
+		var parent = link ? this.get_parent(link) : null;
+		while (parent != null && parents.includes(parent) == false) {
+			parents.push(parent);
+			parent = this.get_parent(parent);
+		}
+		return parents;
+	}
+
+	/**
+	 * returns layers inside group, also layers of inner groups
+	 *
+	 * @param {int} id group id
+	 * @param {object[]} layers Optional, sorted layers to search in
+	 * @returns {object[]} sorted like given layers
+	 */
+	get_descendants(id, layers) {
+		if (layers == undefined) {
+			layers = this.get_sorted_layers();
+		}
+		var groups = [parseInt(id)];
+		var descendants = [];
+		for (var i = 0; i < groups.length; i++) {
+			for (var layer of layers) {
+				if (layer.parent_id == groups[i] && layer.id != groups[i] && descendants.includes(layer) == false) {
+					descendants.push(layer);
+					if (layer.type == 'group') {
+						groups.push(layer.id);
+					}
+				}
+			}
+		}
+		return layers.filter((layer) => descendants.includes(layer) && layer.id != id);
+	}
+
+	/**
+	 * checks if layer has mask, that is not disabled
+	 *
+	 * @param {object} layer
+	 * @returns {boolean}
+	 */
+	is_mask_enabled(layer) {
+		return layer.mask != null && layer.mask.enabled !== false && layer.mask.link != null;
+	}
+
+	/**
+	 * checks if painting tools change mask of active layer instead of the layer
+	 *
+	 * @returns {boolean}
+	 */
+	is_mask_editing() {
+		return config.layer != null && config.layer.mask != null && config.layer._mask_editing === true;
+	}
+
+	/**
+	 * creates canvas for layer mask, of document size
+	 *
+	 * @param {canvas|image} source Optional, pixels to copy
+	 * @param {string} color Optional, fill color, white by default
+	 * @returns {canvas}
+	 */
+	create_mask_canvas(source, color = '#ffffff') {
+		var canvas = this.create_new_canvas(null, config.WIDTH, config.HEIGHT);
+		var ctx = canvas.getContext("2d");
+		if (source) {
+			ctx.drawImage(source, 0, 0);
+		}
+		else {
+			ctx.fillStyle = color;
+			ctx.fillRect(0, 0, canvas.width, canvas.height);
+		}
+		return canvas;
+	}
+
+	/**
+	 * copy of mask with own canvas
+	 *
+	 * @param {object} mask
+	 * @returns {object}
+	 */
+	copy_mask(mask) {
+		return {
+			enabled: mask.enabled,
+			inverted: mask.inverted,
+			link: this.create_mask_canvas(mask.link),
+		};
+	}
+
+	/**
+	 * loads mask saved in JSON, where pixels are in data as data URL
+	 *
+	 * @param {object} mask keys: enabled, inverted, data
+	 * @returns {Promise<object>} mask with link
+	 */
+	load_mask(mask) {
+		return new Promise((resolve) => {
+			var image = new Image();
+			image.onload = () => {
+				resolve({
+					enabled: mask.enabled !== false,
+					inverted: mask.inverted === true,
+					link: this.create_mask_canvas(image),
+				});
+			};
+			image.onerror = () => {
+				alertify.error('Sorry, layer mask could not be loaded.');
+				resolve(null);
+			};
+			image.src = mask.data;
+		});
+	}
+
+	/**
+	 * Mask of layer as alpha channel: gray value and transparency of mask pixels becomes transparency.
+	 * Cached, except while mask is painted.
+	 *
+	 * @param {object} layer
+	 * @returns {canvas}
+	 */
+	get_mask_alpha(layer) {
+		var mask = layer.mask;
+		var source = layer._mask_draft || mask.link;
+		if (mask._alpha && mask._alpha_source === source && source !== layer._mask_draft) {
+			return mask._alpha;
+		}
+
+		var canvas = this.create_new_canvas(null, source.width, source.height);
+		var ctx = canvas.getContext("2d");
+		ctx.drawImage(source, 0, 0);
+		var img = ctx.getImageData(0, 0, canvas.width, canvas.height);
+		var data = img.data;
+		for (var i = 0; i < data.length; i += 4) {
+			var gray = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+			data[i + 3] = Math.round(gray * data[i + 3] / 255);
+			data[i] = data[i + 1] = data[i + 2] = 0;
+		}
+		ctx.putImageData(img, 0, 0);
+
+		mask._alpha = canvas;
+		mask._alpha_source = source;
+		return canvas;
+	}
+
+	/**
+	 * gray color with same brightness, tools paint masks with it
+	 *
+	 * @param {string} color hex
+	 * @returns {string} hex
+	 */
+	get_mask_color(color) {
+		var rgb = this.Helper.hexToRgb(color);
+		var gray = Math.round(0.299 * rgb.r + 0.587 * rgb.g + 0.114 * rgb.b);
+		return this.Helper.rgbToHex(gray, gray, gray);
+	}
+
+	/**
+	 * starts painting mask of active layer. Returned canvas is shown instead of mask until end_mask_paint().
+	 *
+	 * @returns {canvas}
+	 */
+	begin_mask_paint() {
+		var canvas = this.create_mask_canvas(config.layer.mask.link);
+		config.layer._mask_draft = canvas;
+		return canvas;
+	}
+
+	/**
+	 * saves painted mask in history
+	 *
+	 * @param {canvas} canvas from begin_mask_paint()
+	 * @param {string} action_name
+	 * @param {string} action_title
+	 */
+	end_mask_paint(canvas, action_name, action_title) {
+		delete config.layer._mask_draft;
+		var mask = {
+			enabled: config.layer.mask.enabled,
+			inverted: config.layer.mask.inverted,
+			link: canvas,
+		};
+		return app.State.do_action(
+			new app.Actions.Bundle_action(action_name, action_title, [
+				new app.Actions.Update_layer_mask_action(config.layer.id, mask)
+			])
+		);
+	}
+
+	/**
+	 * returns actions moving layer masks together with pixels, e.g. on resize, crop or flip.
+	 * New area of mask shows layer.
+	 *
+	 * @param {int} width new document width
+	 * @param {int} height new document height
+	 * @param {function} transform receives (ctx, layer), sets transformation mask is drawn with
+	 * @param {array} layers Optional, all layers by default
+	 * @returns {array} actions
+	 */
+	get_mask_transform_actions(width, height, transform, layers = config.layers) {
+		var actions = [];
+		for (var layer of layers) {
+			if (layer.mask == null || layer.mask.link == null)
+				continue;
+
+			var canvas = this.create_new_canvas(null, width, height);
+			var ctx = canvas.getContext("2d");
+			ctx.fillStyle = layer.mask.inverted === true ? '#000000' : '#ffffff';
+			ctx.fillRect(0, 0, width, height);
+			transform(ctx, layer);
+			ctx.drawImage(layer.mask.link, 0, 0);
+			actions.push(new app.Actions.Update_layer_mask_action(layer.id, {
+				enabled: layer.mask.enabled,
+				inverted: layer.mask.inverted,
+				link: canvas,
+			}));
+		}
+		return actions;
+	}
+
+	/**
+	 * returns action for deleting layer, groups are deleted with all layers inside
+	 *
+	 * @param {int} id
+	 * @param {boolean} force - Force to delete first layer?
+	 * @returns {Base_action}
+	 */
+	get_delete_action(id, force) {
+		var descendants = this.get_descendants(id);
+		if (descendants.length == 0) {
+			return new app.Actions.Delete_layer_action(id, force);
+		}
+		var actions = descendants.map((layer) => new app.Actions.Delete_layer_action(layer.id, true));
+		actions.push(new app.Actions.Delete_layer_action(id, force));
+		return new app.Actions.Bundle_action('delete_group', 'Delete Group', actions);
 	}
 
 	/**
@@ -740,17 +1203,43 @@ class Base_layers_class {
 	convert_layers_to_canvas(ctx, layer_id = null, is_preview = true) {
 		const newCanvas = this.create_new_canvas(ctx);
 		const layers_sorted = this.get_sorted_layers();
+		//group of layer is needed for its opacity, layers inside group too
+		var layer_ids = null;
+		if (layer_id != null) {
+			layer_ids = [parseInt(layer_id)]
+				.concat(this.get_parents(layer_id).map((layer) => layer.id))
+				.concat(this.get_descendants(layer_id, layers_sorted).map((layer) => layer.id));
+		}
 		this.render_objects(ctx, newCanvas, layers_sorted, ()=>{
 			ctx.save();
 		}, (value) => {
 			if (value.visible == false || value.type == null) {
 				return true;
 			}
-			if (layer_id != null && value.id != layer_id) {
+			if (layer_ids != null && layer_ids.includes(value.id) == false) {
 				return true;
 			}
 		});
 	}
+	/**
+	 * exports visible layers below given layer to canvas, used as source when previewing adjustment layers
+	 *
+	 * @param {int} layer_id
+	 * @returns {canvas}
+	 */
+	convert_layers_below_to_canvas(layer_id) {
+		const canvas = this.create_new_canvas(null, config.WIDTH, config.HEIGHT);
+		const ctx = canvas.getContext("2d");
+		const layers_sorted = this.get_sorted_layers();
+		const index = layers_sorted.findIndex((layer) => layer.id == layer_id);
+		this.render_objects(ctx, this.create_new_canvas(ctx), layers_sorted.slice(index + 1), ()=>{
+			ctx.save();
+		}, (value) => {
+			return value.visible == false || value.type == null;
+		});
+		return canvas;
+	}
+
 	/**
 	 * exports (active) layer to canvas for saving
 	 *
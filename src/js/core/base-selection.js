@@ -17,6 +17,8 @@ const DRAG_TYPE_RIGHT = 8;
 
 /**
  * Selection class - draws rectangular selection on canvas, can be resized.
+ * Selection of selection tool can also have shape: rectangle, ellipse in the same box, polygon from points,
+ * or mask - canvas of document size where alpha of pixels is selection.
  */
 class Base_selection_class {
 
@@ -28,6 +30,7 @@ class Base_selection_class {
 	 * - enable_rotation
 	 * - enable_move
 	 * - keep_ratio
+	 * - marching_ants - animated dashed outline instead of borders
 	 * 
 	 * @param {ctx} ctx
 	 * @param {object} settings
@@ -54,8 +57,22 @@ class Base_selection_class {
 		// True if dragging from inside canvas area
 		this.is_drag = false;
 		this.current_angle = null;
+		this.mask_preview = null;
+		this.mask_outline = null;
+		this.ants_offset = 0;
+		this.ants = [];
+		this.ants_canvas = document.getElementById('canvas_selection');
 
 		this.events();
+
+		//marching ants move while something is selected, only their own canvas is drawn again
+		setInterval(() => {
+			if (document.hidden || this.ants.length == 0) {
+				return;
+			}
+			this.ants_offset = (this.ants_offset + 1) % 8;
+			this.draw_ants();
+		}, 250);
 	}
 
 	events() {
@@ -118,18 +135,579 @@ class Base_selection_class {
 			y: null,
 			width: null,
 			height: null,
+			shape: 'rectangle',
+			points: null,
+			mask: null,
 		};
 		config.need_render = true;
 	}
 
+	/**
+	 * selection of selection tool if something is selected, it stays while other tools are used and limits them
+	 *
+	 * @returns {object|null}
+	 */
+	get_active_selection() {
+		if (settings_all['selection'] == undefined) {
+			return null;
+		}
+		var data = settings_all['selection'].data_function.call();
+		if (data.width == null || data.height == null || data.width == 0 || data.height == 0) {
+			return null;
+		}
+		return data;
+	}
+
+	/**
+	 * path of selection shape, in document coordinates or in pixels of layer image when layer is given
+	 *
+	 * @param {object} data selection
+	 * @param {object} layer optional
+	 * @returns {Path2D}
+	 */
+	get_selection_path(data, layer) {
+		var shape = new Path2D();
+		if (data.shape == 'ellipse') {
+			shape.ellipse(data.x + data.width / 2, data.y + data.height / 2,
+				Math.abs(data.width / 2), Math.abs(data.height / 2), 0, 0, 2 * Math.PI);
+		}
+		else if (data.shape == 'polygon' && data.points != null && data.points.length > 0) {
+			shape.moveTo(data.points[0].x, data.points[0].y);
+			for (var i = 1; i < data.points.length; i++) {
+				shape.lineTo(data.points[i].x, data.points[i].y);
+			}
+			shape.closePath();
+		}
+		else {
+			shape.rect(data.x, data.y, data.width, data.height);
+		}
+		if (layer == null) {
+			return shape;
+		}
+
+		//layer image may be stretched
+		var path = new Path2D();
+		var matrix = new DOMMatrix()
+			.scale(layer.width_original / layer.width, layer.height_original / layer.height)
+			.translate(-layer.x, -layer.y);
+		path.addPath(shape, matrix);
+		return path;
+	}
+
+	/**
+	 * keeps changes of layer image only inside active selection, pixels outside come from current layer image
+	 *
+	 * @param {canvas} canvas changed layer image, in original size - or in document size for layers without image
+	 * @param {object} layer optional, active layer by default
+	 * @returns {canvas}
+	 */
+	limit_to_selection(canvas, layer) {
+		var data = this.get_active_selection();
+		if (layer == null) {
+			layer = config.layer;
+		}
+		if (data === null) {
+			return canvas;
+		}
+		if (layer.type != 'image') {
+			//new pixels in document size
+			var new_ctx = canvas.getContext("2d");
+			new_ctx.save();
+			new_ctx.setTransform(1, 0, 0, 1, 0, 0);
+			new_ctx.globalCompositeOperation = 'destination-in';
+			new_ctx.drawImage(this.get_selection_mask(data), 0, 0);
+			new_ctx.restore();
+			return canvas;
+		}
+		var mask = this.get_selection_mask(data, layer);
+
+		var ctx = canvas.getContext("2d");
+		ctx.save();
+		ctx.setTransform(1, 0, 0, 1, 0, 0);
+		ctx.globalCompositeOperation = 'destination-in';
+		ctx.drawImage(mask, 0, 0);
+		ctx.globalCompositeOperation = 'destination-over';
+		var outside = document.createElement('canvas');
+		outside.width = canvas.width;
+		outside.height = canvas.height;
+		var outside_ctx = outside.getContext("2d");
+		outside_ctx.drawImage(layer.link, 0, 0);
+		outside_ctx.globalCompositeOperation = 'destination-out';
+		outside_ctx.drawImage(mask, 0, 0);
+		ctx.drawImage(outside, 0, 0);
+		ctx.restore();
+
+		return canvas;
+	}
+
+	/**
+	 * selection as canvas where alpha is selection, in document size or in size of layer image when layer is given
+	 *
+	 * @param {object} data selection
+	 * @param {object} layer optional
+	 * @returns {canvas}
+	 */
+	get_selection_mask(data, layer) {
+		var canvas = document.createElement('canvas');
+		var ctx = canvas.getContext("2d");
+		if (layer == null) {
+			canvas.width = config.WIDTH;
+			canvas.height = config.HEIGHT;
+		}
+		else {
+			canvas.width = layer.width_original;
+			canvas.height = layer.height_original;
+		}
+
+		if (data.shape == 'mask') {
+			if (layer != null) {
+				ctx.scale(layer.width_original / layer.width, layer.height_original / layer.height);
+				ctx.translate(-layer.x, -layer.y);
+			}
+			ctx.drawImage(data.mask, 0, 0);
+		}
+		else {
+			ctx.fillStyle = '#ffffff';
+			ctx.fill(this.get_selection_path(data, layer));
+		}
+
+		return canvas;
+	}
+
+	/**
+	 * mask selection from canvas of document size
+	 *
+	 * @param {canvas} mask
+	 * @returns {object|null} selection, null if nothing is selected
+	 */
+	create_mask_selection(mask) {
+		var data = mask.getContext("2d").getImageData(0, 0, mask.width, mask.height).data;
+		var left = mask.width, top = mask.height, right = -1, bottom = -1;
+		for (var y = 0; y < mask.height; y++) {
+			for (var x = 0; x < mask.width; x++) {
+				if (data[(y * mask.width + x) * 4 + 3] == 0)
+					continue;
+				left = Math.min(left, x);
+				right = Math.max(right, x);
+				top = Math.min(top, y);
+				bottom = Math.max(bottom, y);
+			}
+		}
+		if (right < 0) {
+			return null;
+		}
+
+		return {
+			x: left,
+			y: top,
+			width: right - left + 1,
+			height: bottom - top + 1,
+			shape: 'mask',
+			points: null,
+			mask: mask,
+		};
+	}
+
+	/**
+	 * combines selection with new mask
+	 *
+	 * @param {object|null} data current selection
+	 * @param {canvas} mask new selection, document size
+	 * @param {string} operation new, add, subtract or intersect
+	 * @returns {object|null} selection, null if nothing is selected
+	 */
+	combine_selection(data, mask, operation, shape = null) {
+		if (data == null || data.width == null || data.width == 0 || data.height == 0) {
+			if (operation == 'subtract' || operation == 'intersect') {
+				return null;
+			}
+			operation = 'new';
+		}
+		if (shape != null && this.is_geometric(shape)) {
+			var combined = this.combine_shapes(data, shape, operation);
+			if (combined !== false) {
+				return combined;
+			}
+		}
+		if (operation == 'new') {
+			return this.create_mask_selection(mask);
+		}
+
+		var canvas = this.get_selection_mask(data);
+		var ctx = canvas.getContext("2d");
+		if (operation == 'subtract') {
+			ctx.globalCompositeOperation = 'destination-out';
+		}
+		else if (operation == 'intersect') {
+			ctx.globalCompositeOperation = 'destination-in';
+		}
+		ctx.drawImage(mask, 0, 0);
+
+		return this.create_mask_selection(canvas);
+	}
+
+	/**
+	 * combines selections without mask, when result is one of them or rectangle
+	 *
+	 * @param {object|null} data current selection
+	 * @param {object} shape new selection, rectangle, ellipse or polygon
+	 * @param {string} operation new, add, subtract or intersect
+	 * @returns {object|null|false} selection, null if nothing is selected, false if result needs mask
+	 */
+	combine_shapes(data, shape, operation) {
+		if (operation == 'new') {
+			return this.clone_selection(shape);
+		}
+		if (this.is_geometric(data) == false) {
+			return false;
+		}
+		var a = this.get_box(data);
+		var b = this.get_box(shape);
+		var a_rectangle = data.shape == null || data.shape == 'rectangle';
+		var b_rectangle = shape.shape == null || shape.shape == 'rectangle';
+		var contains = function (outer, inner) {
+			return inner.x >= outer.x && inner.y >= outer.y
+				&& inner.x + inner.width <= outer.x + outer.width && inner.y + inner.height <= outer.y + outer.height;
+		};
+		var rectangle = function (left, top, right, bottom) {
+			if (right <= left || bottom <= top) {
+				return null;
+			}
+			return {x: left, y: top, width: right - left, height: bottom - top, shape: 'rectangle', points: null, mask: null};
+		};
+		var overlap = rectangle(Math.max(a.x, b.x), Math.max(a.y, b.y),
+			Math.min(a.x + a.width, b.x + b.width), Math.min(a.y + a.height, b.y + b.height));
+
+		if (operation == 'intersect') {
+			if (overlap === null) {
+				return null;
+			}
+			if (a_rectangle && b_rectangle) {
+				return overlap;
+			}
+			if (a_rectangle && contains(a, b)) {
+				return this.clone_selection(shape);
+			}
+			if (b_rectangle && contains(b, a)) {
+				return this.clone_selection(data);
+			}
+			return false;
+		}
+		if (operation == 'add') {
+			if (a_rectangle && contains(a, b)) {
+				return this.clone_selection(data);
+			}
+			if (b_rectangle && contains(b, a)) {
+				return this.clone_selection(shape);
+			}
+			//rectangles side by side, touching or overlapping
+			if (a_rectangle && b_rectangle
+				&& ((a.y == b.y && a.height == b.height && b.x <= a.x + a.width && a.x <= b.x + b.width)
+					|| (a.x == b.x && a.width == b.width && b.y <= a.y + a.height && a.y <= b.y + b.height))) {
+				return rectangle(Math.min(a.x, b.x), Math.min(a.y, b.y),
+					Math.max(a.x + a.width, b.x + b.width), Math.max(a.y + a.height, b.y + b.height));
+			}
+			return false;
+		}
+		//subtract
+		if (overlap === null) {
+			return this.clone_selection(data);
+		}
+		if (b_rectangle && contains(b, a)) {
+			return null;
+		}
+		if (a_rectangle && b_rectangle) {
+			//rectangle cut from one side
+			if (b.y <= a.y && b.y + b.height >= a.y + a.height) {
+				if (b.x <= a.x) {
+					return rectangle(b.x + b.width, a.y, a.x + a.width, a.y + a.height);
+				}
+				if (b.x + b.width >= a.x + a.width) {
+					return rectangle(a.x, a.y, b.x, a.y + a.height);
+				}
+			}
+			if (b.x <= a.x && b.x + b.width >= a.x + a.width) {
+				if (b.y <= a.y) {
+					return rectangle(a.x, b.y + b.height, a.x + a.width, a.y + a.height);
+				}
+				if (b.y + b.height >= a.y + a.height) {
+					return rectangle(a.x, a.y, a.x + a.width, b.y);
+				}
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * @param {object} data selection
+	 * @returns {boolean} true if selection is shape without mask and rotation
+	 */
+	is_geometric(data) {
+		return data.shape != 'mask' && (data.rotate == null || data.rotate == 0);
+	}
+
+	/**
+	 * @param {object} data selection
+	 * @returns {object} box of selection with positive size
+	 */
+	get_box(data) {
+		return {
+			x: Math.min(data.x, data.x + data.width),
+			y: Math.min(data.y, data.y + data.height),
+			width: Math.abs(data.width),
+			height: Math.abs(data.height),
+		};
+	}
+
+	/**
+	 * softens edges of mask
+	 *
+	 * @param {canvas} mask
+	 * @param {int} feather blur radius in pixels
+	 * @param {boolean} anti_aliasing 1px blur, like fill tool
+	 * @returns {canvas}
+	 */
+	soften_mask(mask, feather, anti_aliasing) {
+		var radius = Math.max(parseInt(feather) || 0, anti_aliasing == true ? 1 : 0);
+		if (radius == 0) {
+			return mask;
+		}
+		var canvas = document.createElement('canvas');
+		canvas.width = mask.width;
+		canvas.height = mask.height;
+		var ctx = canvas.getContext("2d");
+		ctx.filter = 'blur(' + radius + 'px)';
+		ctx.drawImage(mask, 0, 0);
+
+		return canvas;
+	}
+
+	/**
+	 * selection operation from keyboard modifiers: shift adds, alt subtracts, both intersect
+	 *
+	 * @param {event} event
+	 * @returns {string} new, add, subtract or intersect
+	 */
+	get_operation(event) {
+		if (event.shiftKey && event.altKey) {
+			return 'intersect';
+		}
+		if (event.shiftKey) {
+			return 'add';
+		}
+		if (event.altKey) {
+			return 'subtract';
+		}
+		return 'new';
+	}
+
+	/**
+	 * copy of selection data, mask canvas is shared - masks are replaced, never changed
+	 *
+	 * @param {object} data
+	 * @returns {object}
+	 */
+	clone_selection(data) {
+		var copy = JSON.parse(JSON.stringify(Object.assign({}, data, {mask: null})));
+		copy.mask = data.mask || null;
+		return copy;
+	}
+
+	/**
+	 * @param {object|null} a selection
+	 * @param {object|null} b selection
+	 * @returns {boolean}
+	 */
+	is_same_selection(a, b) {
+		if (a == null || b == null) {
+			return a == b;
+		}
+		return (a.mask || null) === (b.mask || null)
+			&& JSON.stringify(Object.assign({}, a, {mask: null})) == JSON.stringify(Object.assign({}, b, {mask: null}));
+	}
+
+	/**
+	 * @param {canvas} mask
+	 * @returns {canvas} not selected pixels of mask
+	 */
+	invert_mask(mask) {
+		var canvas = document.createElement('canvas');
+		canvas.width = mask.width;
+		canvas.height = mask.height;
+		var ctx = canvas.getContext("2d");
+		ctx.fillStyle = '#ffffff';
+		ctx.fillRect(0, 0, canvas.width, canvas.height);
+		ctx.globalCompositeOperation = 'destination-out';
+		ctx.drawImage(mask, 0, 0);
+
+		return canvas;
+	}
+
+	/**
+	 * @param {canvas} mask
+	 * @param {int} size pixels to add around mask, negative shrinks it
+	 * @returns {canvas}
+	 */
+	grow_mask(mask, size) {
+		var selected = this.get_mask_pixels(mask);
+		var distances = this.get_distance_map(mask, selected, size > 0);
+		var limit = size * size;
+
+		return this.create_binary_mask(mask.width, mask.height, function (i) {
+			return size > 0 ? distances[i] <= limit : distances[i] > limit;
+		});
+	}
+
+	/**
+	 * @param {canvas} mask
+	 * @param {int} size width of border, half inside and half outside of mask edge
+	 * @returns {canvas}
+	 */
+	border_mask(mask, size) {
+		var selected = this.get_mask_pixels(mask);
+		var to_selected = this.get_distance_map(mask, selected, true);
+		var to_other = this.get_distance_map(mask, selected, false);
+		var half = size / 2;
+		var limit = Math.max(half * half, 1);
+
+		return this.create_binary_mask(mask.width, mask.height, function (i) {
+			return selected[i] == 1 ? to_other[i] <= limit : to_selected[i] <= limit;
+		});
+	}
+
+	/**
+	 * removes noise and rounds corners - blur and threshold
+	 *
+	 * @param {canvas} mask
+	 * @param {int} radius
+	 * @returns {canvas}
+	 */
+	smooth_mask(mask, radius) {
+		var blurred = this.soften_mask(mask, radius, false);
+		var selected = this.get_mask_pixels(blurred);
+
+		return this.create_binary_mask(mask.width, mask.height, function (i) {
+			return selected[i] == 1;
+		});
+	}
+
+	/**
+	 * @param {canvas} mask
+	 * @returns {Uint8Array} 1 for pixels with alpha at least half
+	 */
+	get_mask_pixels(mask) {
+		var data = mask.getContext("2d").getImageData(0, 0, mask.width, mask.height).data;
+		var selected = new Uint8Array(mask.width * mask.height);
+		for (var i = 0; i < selected.length; i++) {
+			selected[i] = data[i * 4 + 3] >= 128 ? 1 : 0;
+		}
+		return selected;
+	}
+
+	/**
+	 * @param {int} width
+	 * @param {int} height
+	 * @param {function} is_selected callback with pixel index
+	 * @returns {canvas} white selected pixels
+	 */
+	create_binary_mask(width, height, is_selected) {
+		var canvas = document.createElement('canvas');
+		canvas.width = width;
+		canvas.height = height;
+		var ctx = canvas.getContext("2d");
+		var img = ctx.createImageData(width, height);
+		for (var i = 0; i < width * height; i++) {
+			if (is_selected(i)) {
+				img.data[i * 4] = 255;
+				img.data[i * 4 + 1] = 255;
+				img.data[i * 4 + 2] = 255;
+				img.data[i * 4 + 3] = 255;
+			}
+		}
+		ctx.putImageData(img, 0, 0);
+		return canvas;
+	}
+
+	/**
+	 * squared euclidean distance of every pixel to nearest selected (or not selected) pixel
+	 *
+	 * @param {canvas} mask
+	 * @param {Uint8Array} selected from get_mask_pixels()
+	 * @param {boolean} to_selected
+	 * @returns {Float64Array}
+	 */
+	get_distance_map(mask, selected, to_selected) {
+		var width = mask.width;
+		var height = mask.height;
+		var target = to_selected ? 1 : 0;
+		var grid = new Float64Array(width * height);
+		for (var i = 0; i < grid.length; i++) {
+			grid[i] = selected[i] == target ? 0 : 1e20;
+		}
+
+		//columns, then rows
+		var size = Math.max(width, height);
+		var f = new Float64Array(size);
+		var d = new Float64Array(size);
+		var v = new Int32Array(size);
+		var z = new Float64Array(size + 1);
+		for (var x = 0; x < width; x++) {
+			for (var y = 0; y < height; y++)
+				f[y] = grid[y * width + x];
+			this.distance_1d(f, height, d, v, z);
+			for (var y = 0; y < height; y++)
+				grid[y * width + x] = d[y];
+		}
+		for (var y = 0; y < height; y++) {
+			for (var x = 0; x < width; x++)
+				f[x] = grid[y * width + x];
+			this.distance_1d(f, width, d, v, z);
+			for (var x = 0; x < width; x++)
+				grid[y * width + x] = d[x];
+		}
+
+		return grid;
+	}
+
+	/**
+	 * one dimensional distance transform, lower envelope of parabolas (Felzenszwalb and Huttenlocher)
+	 */
+	distance_1d(f, n, d, v, z) {
+		var k = 0;
+		v[0] = 0;
+		z[0] = -Infinity;
+		z[1] = Infinity;
+		for (var q = 1; q < n; q++) {
+			var s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+			while (s <= z[k]) {
+				k--;
+				s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+			}
+			k++;
+			v[k] = q;
+			z[k] = s;
+			z[k + 1] = Infinity;
+		}
+		k = 0;
+		for (var q = 0; q < n; q++) {
+			while (z[k + 1] < q)
+				k++;
+			d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+		}
+	}
+
 	get_selection() {
 		var settings = this.find_settings();
 
 		return settings.data;
 	}
 
-	find_settings() {
-		var current_key = config.TOOL.name;
+	/**
+	 * @param {string} [key] tool name, active tool by default
+	 * @returns {object}
+	 */
+	find_settings(key = null) {
+		var current_key = key || config.TOOL.name;
 		var settings = null;
 
 		for (var i in settings_all) {
@@ -156,11 +734,134 @@ class Base_selection_class {
 		  layerW / 2 - block_size / 2
 		);
 	}
+	/**
+	 * green copy of mask for drawing, kept while mask is the same
+	 *
+	 * @param {canvas} mask
+	 * @returns {canvas}
+	 */
+	get_mask_preview(mask) {
+		if (this.mask_preview == null || this.mask_preview.mask !== mask) {
+			var canvas = document.createElement('canvas');
+			canvas.width = mask.width;
+			canvas.height = mask.height;
+			var ctx = canvas.getContext("2d");
+			ctx.drawImage(mask, 0, 0);
+			ctx.globalCompositeOperation = 'source-in';
+			ctx.fillStyle = "rgba(0, 255, 0, 0.3)";
+			ctx.fillRect(0, 0, canvas.width, canvas.height);
+			this.mask_preview = {mask: mask, canvas: canvas};
+		}
+		return this.mask_preview.canvas;
+	}
+
+	/**
+	 * edges between selected and not selected pixels of mask, kept while mask is the same
+	 *
+	 * @param {canvas} mask
+	 * @returns {Path2D}
+	 */
+	get_mask_outline(mask) {
+		if (this.mask_outline != null && this.mask_outline.mask === mask) {
+			return this.mask_outline.path;
+		}
+		var width = mask.width;
+		var height = mask.height;
+		var selected = this.get_mask_pixels(mask);
+		var is_selected = function (x, y) {
+			return x >= 0 && y >= 0 && x < width && y < height && selected[y * width + x] == 1;
+		};
+		var path = new Path2D();
+
+		//horizontal edges, above every row and below last one
+		for (var y = 0; y <= height; y++) {
+			var start = null;
+			for (var x = 0; x <= width; x++) {
+				var edge = x < width && is_selected(x, y - 1) != is_selected(x, y);
+				if (edge && start === null) {
+					start = x;
+				}
+				else if (edge == false && start !== null) {
+					path.moveTo(start, y);
+					path.lineTo(x, y);
+					start = null;
+				}
+			}
+		}
+		//vertical edges
+		for (var x = 0; x <= width; x++) {
+			var start = null;
+			for (var y = 0; y <= height; y++) {
+				var edge = y < height && is_selected(x - 1, y) != is_selected(x, y);
+				if (edge && start === null) {
+					start = y;
+				}
+				else if (edge == false && start !== null) {
+					path.moveTo(x, start);
+					path.lineTo(x, y);
+					start = null;
+				}
+			}
+		}
+
+		this.mask_outline = {mask: mask, path: path};
+		return path;
+	}
+
+	/**
+	 * adds outline to marching ants, they are drawn on selection canvas by draw_ants()
+	 *
+	 * @param {Path2D} path
+	 */
+	stroke_marching_ants(path) {
+		this.ants.push({path: path, transform: this.ctx.getTransform()});
+	}
+
+	/**
+	 * black dashes over white line, one screen pixel wide at any zoom. Timer moves them without rendering layers.
+	 */
+	draw_ants() {
+		var canvas = this.ants_canvas;
+		if (canvas == null) {
+			return;
+		}
+		if (canvas.width != this.ctx.canvas.width || canvas.height != this.ctx.canvas.height) {
+			canvas.width = this.ctx.canvas.width;
+			canvas.height = this.ctx.canvas.height;
+		}
+		var ctx = canvas.getContext("2d");
+		var dash = 4 / config.ZOOM;
+
+		ctx.setTransform(1, 0, 0, 1, 0, 0);
+		ctx.clearRect(0, 0, canvas.width, canvas.height);
+		for (var i = 0; i < this.ants.length; i++) {
+			ctx.setTransform(this.ants[i].transform);
+			ctx.lineWidth = 1 / config.ZOOM;
+			ctx.strokeStyle = 'rgb(255, 255, 255)';
+			ctx.stroke(this.ants[i].path);
+			ctx.setLineDash([dash, dash]);
+			ctx.lineDashOffset = -this.ants_offset / config.ZOOM;
+			ctx.strokeStyle = 'rgb(0, 0, 0)';
+			ctx.stroke(this.ants[i].path);
+			ctx.setLineDash([]);
+		}
+	}
+
 	/**
 	 * marks object as selected, and draws corners
+	 *
+	 * @param {object} [settings] settings to draw, settings of active tool by default
 	 */
-	draw_selection() {
-		var settings = this.find_settings();
+	draw_selection(settings = null) {
+		if (settings === null) {
+			this.ants = [];
+			settings = this.find_settings();
+			if (settings !== settings_all['selection'] && this.get_active_selection() !== null) {
+				//selection stays visible while other tools are used
+				settings_all['selection'].data = settings_all['selection'].data_function.call();
+				this.draw_selection(settings_all['selection']);
+			}
+		}
 		var data = settings.data;
 
 		if (settings.data === null || settings.data.status == 'draft'
@@ -202,17 +903,54 @@ class Base_selection_class {
 			y = Math.round(-data.height / 2);
 		}
 
+		const wholeLineWidth = 2 / config.ZOOM;
+		const halfLineWidth = wholeLineWidth / 2;
+
+		if (data.shape == 'mask' && isRotated == false) {
+			if (settings.enable_background == true) {
+				this.ctx.drawImage(this.get_mask_preview(data.mask), 0, 0);
+			}
+			if (settings.enable_borders == true && settings.marching_ants === true) {
+				this.stroke_marching_ants(this.get_mask_outline(data.mask));
+			}
+			this.ctx.restore();
+			return;
+		}
+		if (data.shape != null && data.shape != 'rectangle' && isRotated == false) {
+			//ellipse or polygon
+			var path = this.get_selection_path(data);
+			if (settings.enable_background == true) {
+				this.ctx.fillStyle = "rgba(0, 255, 0, 0.3)";
+				this.ctx.fill(path);
+			}
+			if (settings.enable_borders == true && settings.marching_ants === true) {
+				this.stroke_marching_ants(path);
+			}
+			else if (settings.enable_borders == true) {
+				this.ctx.lineWidth = wholeLineWidth;
+				this.ctx.strokeStyle = 'rgb(255, 255, 255)';
+				this.ctx.stroke(path);
+				this.ctx.lineWidth = halfLineWidth;
+				this.ctx.strokeStyle = 'rgb(0, 0, 0)';
+				this.ctx.stroke(path);
+			}
+			this.ctx.restore();
+			return;
+		}
+
 		//fill
 		if (settings.enable_background == true) {
 			this.ctx.fillStyle = "rgba(0, 255, 0, 0.3)";
 			this.ctx.fillRect(x, y, w, h);
 		}
 
-		const wholeLineWidth = 2 / config.ZOOM;
-		const halfLineWidth = wholeLineWidth / 2;
-
 		//borders
-		if (settings.enable_borders == true && (x != 0 || y != 0 || w != config.WIDTH || h != config.HEIGHT)) {
+		if (settings.enable_borders == true && settings.marching_ants === true) {
+			var rectangle = new Path2D();
+			rectangle.rect(x, y, w, h);
+			this.stroke_marching_ants(rectangle);
+		}
+		else if (settings.enable_borders == true && (x != 0 || y != 0 || w != config.WIDTH || h != config.HEIGHT)) {
 			this.ctx.lineWidth = wholeLineWidth;
 			this.ctx.strokeStyle = 'rgb(255, 255, 255)';
 			this.ctx.strokeRect(x - halfLineWidth, y - halfLineWidth, w + wholeLineWidth, h + wholeLineWidth);
@@ -34,6 +34,19 @@ class Base_state_class {
 		this.action_history = [];
 		this.action_history_index = 0;
 		this.action_history_max = 50;
+		//open transactions, token => {id, name, token, actions, parent}
+		this.transactions = new Map();
+		this.transaction_count = 0;
+		//transaction that collects actions right now, see run_in_transaction(). While it runs, actions
+		//of others would land in it too, so while any transaction is open nobody else changes the document.
+		this.transaction = null;
+		this.transaction_queue = Promise.resolve();
+		//see capture_actions()
+		this.captured_actions = null;
+		this.recorder = null;
+		//last action when document was saved, null for new document
+		this.clean_action = null;
+		this.event_subscriptions = {};
 
 		this.set_events();
 	}
@@ -55,16 +68,144 @@ class Base_state_class {
 				event.preventDefault();
 			}
 		}, false);
+
+		//mouse and keyboard do not reach the document while a script transaction is open,
+		//script panel stays usable to stop the script
+		for (const type of ['mousedown', 'mouseup', 'click', 'dblclick', 'touchstart', 'touchend', 'keydown', 'paste', 'drop']) {
+			window.addEventListener(type, (event) => {
+				if (this.has_transactions() == false || event.isTrusted == false
+					|| (event.target instanceof Element && event.target.closest('#script_base'))) {
+					return;
+				}
+				event.stopImmediatePropagation();
+				if (type != 'keydown') {
+					event.preventDefault();
+				}
+				if (type == 'mousedown' || type == 'touchstart' || type == 'keydown') {
+					alertify.error('The document is locked while a script transaction is open.');
+				}
+			}, {capture: true, passive: false});
+		}
 	}
 
 	async do_action(action, options = {}) {
-		let error_during_free = false;
+		if (this.captured_actions) {
+			this.captured_actions.push(action);
+			return { status: 'captured' };
+		}
+		if (this.transaction === null && this.has_transactions()) {
+			return { status: 'aborted', reason: new Error('Document is locked while a script transaction is open') };
+		}
 		try {
 			await action.do();
 		} catch (error) {
 			// Action aborted. This is usually expected behavior as actions throw errors if they shouldn't run.
 			return { status: 'aborted', reason: error };
 		}
+		if (this.recorder) {
+			this.recorder.onAction(action);
+		}
+		if (this.transaction) {
+			// Collected, goes to history as one step on commit
+			this.transaction.actions.push(action);
+			this.emit('change', { type: 'do', actions: [action] });
+			return { status: 'completed' };
+		}
+		const response = await this.add_to_history(action, options);
+		this.emit('change', { type: 'do', actions: [action] });
+		return response;
+	}
+
+	/**
+	 * runs callback and returns actions it passed to do_action() instead of doing them, so caller can
+	 * do them later, e.g. as one bundle. Callback is synchronous, so actions of others can not get in.
+	 *
+	 * @param {function} callback
+	 * @returns {object} {actions, result} result is what callback returned
+	 */
+	capture_actions(callback) {
+		const previous = this.captured_actions;
+		const actions = [];
+		this.captured_actions = actions;
+		let result;
+		try {
+			result = callback();
+		} finally {
+			this.captured_actions = previous;
+		}
+		return { actions: actions, result: result };
+	}
+
+	/**
+	 * subscribes to state events. "change" is sent after action is done, undone or redone,
+	 * with {type: do|undo|redo|commit|rollback|saved, actions}.
+	 *
+	 * @param {string} event_name
+	 * @param {function} callback
+	 */
+	on(event_name, callback) {
+		if (!this.event_subscriptions[event_name]) {
+			this.event_subscriptions[event_name] = [];
+		}
+		if (!this.event_subscriptions[event_name].includes(callback)) {
+			this.event_subscriptions[event_name].push(callback);
+		}
+	}
+
+	off(event_name, callback) {
+		if (this.event_subscriptions[event_name]) {
+			this.event_subscriptions[event_name] = this.event_subscriptions[event_name].filter((item) => item !== callback);
+		}
+	}
+
+	emit(event_name, payload) {
+		if (this.event_subscriptions[event_name]) {
+			for (let callback of this.event_subscriptions[event_name]) {
+				try {
+					callback(payload);
+				} catch (error) {
+					// Subscribers must not break undo history
+					console.error(error);
+				}
+			}
+		}
+	}
+
+	/**
+	 * marks current state as saved, changes after it make document dirty
+	 *
+	 * @param {object|null} action last action of saved state, current one by default
+	 */
+	mark_clean(action) {
+		if (action === undefined) {
+			action = this.action_history[this.action_history_index - 1] || null;
+		}
+		this.clean_action = action;
+		this.emit('change', { type: 'saved', actions: [] });
+	}
+
+	/**
+	 * if document changed since it was saved
+	 *
+	 * @returns {boolean}
+	 */
+	is_dirty() {
+		for (let transaction of this.transactions.values()) {
+			if (transaction.actions.length > 0) {
+				return true;
+			}
+		}
+		return (this.action_history[this.action_history_index - 1] || null) !== this.clean_action;
+	}
+
+	/**
+	 * adds action that is already done to history
+	 *
+	 * @param {object} action
+	 * @param {object} options
+	 */
+	async add_to_history(action, options = {}) {
+		let error_during_free = false;
 		// Remove all redo actions from history
 		if (this.action_history_index < this.action_history.length) {
 			const freed_actions = this.action_history.slice(this.action_history_index, this.action_history.length).reverse();
@@ -125,26 +266,222 @@ class Base_state_class {
 		return this.action_history_index > 0;
 	}
 
+	/**
+	 * starts collecting actions, so they land in history as one step on commit.
+	 * Actions are only collected while the owner runs code with run_in_transaction(),
+	 * until commit or rollback do_action() refuses actions from elsewhere and GUI input is held back.
+	 * Transactions nest, an inner one lands in the outer one on commit.
+	 *
+	 * @param {string} id
+	 * @param {string} name
+	 * @param {int|null} parent_token outer transaction, by default the one running now, null for none
+	 * @returns {int} token, needed to run code in, commit or rollback the transaction
+	 */
+	begin_transaction(id, name, parent_token) {
+		let parent = parent_token === undefined ? this.transaction : null;
+		if (parent_token !== undefined && parent_token !== null) {
+			parent = this.get_transaction(parent_token);
+		}
+		const token = ++this.transaction_count;
+		this.transactions.set(token, {
+			id: id,
+			name: name,
+			token: token,
+			actions: [],
+			parent: parent,
+		});
+		return token;
+	}
+
+	/**
+	 * @param {int} token
+	 * @returns {object} open transaction
+	 */
+	get_transaction(token) {
+		const transaction = this.transactions.get(token);
+		if (!transaction) {
+			throw new Error('Transaction not found, it was committed or rolled back');
+		}
+		return transaction;
+	}
+
+	/**
+	 * if any transaction is open, undo and redo are not available then
+	 *
+	 * @returns {boolean}
+	 */
+	has_transactions() {
+		return this.transactions.size > 0;
+	}
+
+	/**
+	 * runs callback with actions going to the transaction. Transactions take turns, unless callback
+	 * runs inside one of the outer transactions already, e.g. script of a batch.
+	 *
+	 * @param {int} token
+	 * @param {function} callback
+	 * @returns {Promise} result of callback
+	 */
+	async run_in_transaction(token, callback) {
+		const transaction = this.get_transaction(token);
+		const previous = this.transaction;
+		for (let outer = transaction; outer; outer = outer.parent) {
+			if (outer === previous) {
+				this.transaction = transaction;
+				try {
+					return await callback();
+				} finally {
+					this.transaction = this.get_open_transaction(previous);
+				}
+			}
+		}
+
+		const queue = this.transaction_queue;
+		let release;
+		this.transaction_queue = new Promise((resolve) => release = resolve);
+		try {
+			await queue;
+			//could be finished while waiting
+			this.transaction = this.get_transaction(token);
+			return await callback();
+		} finally {
+			this.transaction = null;
+			release();
+		}
+	}
+
+	/**
+	 * @param {object|null} transaction
+	 * @returns {object|null} transaction or its nearest outer one that is still open
+	 */
+	get_open_transaction(transaction) {
+		while (transaction && this.transactions.get(transaction.token) !== transaction) {
+			transaction = transaction.parent;
+		}
+		return transaction;
+	}
+
+	/**
+	 * adds collected actions as one bundle to history, or to the outer transaction.
+	 * Inner transactions that are still open are rolled back first.
+	 *
+	 * @param {int} token
+	 * @returns {int} number of collected actions
+	 */
+	async commit_transaction(token) {
+		const transaction = this.get_transaction(token);
+		return await this.run_in_transaction(token, async () => {
+			await this.rollback_inner_transactions(transaction);
+			this.transactions.delete(token);
+			const actions = [];
+			if (transaction.actions.length > 0) {
+				const bundle = new app.Actions.Bundle_action(transaction.id, transaction.name, transaction.actions);
+				if (this.get_open_transaction(transaction.parent)) {
+					transaction.parent.actions.push(bundle);
+				} else {
+					await this.add_to_history(bundle);
+				}
+				actions.push(bundle);
+			}
+			this.emit('change', { type: 'commit', actions: actions });
+			return transaction.actions.length;
+		});
+	}
+
+	/**
+	 * undoes collected actions, newest first, and forgets them.
+	 * Inner transactions that are still open are rolled back first.
+	 *
+	 * @param {int} token
+	 * @returns {int} number of undone actions
+	 */
+	async rollback_transaction(token) {
+		const transaction = this.get_transaction(token);
+		return await this.run_in_transaction(token, async () => {
+			await this.rollback_inner_transactions(transaction);
+			this.transactions.delete(token);
+			for (let i = transaction.actions.length - 1; i >= 0; i--) {
+				await transaction.actions[i].undo();
+				if (this.recorder) {
+					this.recorder.onHistory('undo', transaction.actions[i]);
+				}
+			}
+			this.emit('change', { type: 'rollback', actions: transaction.actions });
+			let error_during_free = false;
+			for (let action of transaction.actions) {
+				try {
+					await action.free();
+				} catch (error) {
+					error_during_free = true;
+				}
+			}
+			if (error_during_free) {
+				alertify.error('A problem occurred while removing undo history. It\'s suggested you save your work and refresh the page in order to free up memory.');
+			}
+			config.need_render = true;
+			return transaction.actions.length;
+		});
+	}
+
+	/**
+	 * @param {object} transaction
+	 */
+	async rollback_inner_transactions(transaction) {
+		for (let inner of Array.from(this.transactions.values()).reverse()) {
+			if (inner.parent === transaction && this.transactions.has(inner.token)) {
+				await this.rollback_transaction(inner.token);
+			}
+		}
+	}
+
 	async redo_action() {
+		if (this.has_transactions()) {
+			alertify.error('Redo is not available while a script transaction is running.');
+			return;
+		}
 		if (this.can_redo()) {
 			const action = this.action_history[this.action_history_index];
 			await action.do();
 			this.action_history_index++;
+			if (this.recorder) {
+				this.recorder.onHistory('redo', action);
+			}
+			this.emit('change', { type: 'redo', actions: [action] });
 		} else {
 			alertify.success('There\'s nothing to redo', 3);
 		}
 	}
 
 	async undo_action() {
+		if (this.has_transactions()) {
+			alertify.error('Undo is not available while a script transaction is running.');
+			return;
+		}
 		if (this.can_undo()) {
 			this.action_history_index--;
 			await this.action_history[this.action_history_index].undo();
+			if (this.recorder) {
+				this.recorder.onHistory('undo', this.action_history[this.action_history_index]);
+			}
+			this.emit('change', { type: 'undo', actions: [this.action_history[this.action_history_index]] });
 		} else {
 			alertify.success('There\'s nothing to undo', 3);
 		}
 	}
 
 	async scrap_last_action() {
+		if (this.transaction) {
+			const action = this.transaction.actions.pop();
+			if (action) {
+				await action.undo();
+				if (this.recorder) {
+					this.recorder.onHistory('undo', action);
+				}
+				this.emit('change', { type: 'undo', actions: [action] });
+				await action.free();
+			}
+			return;
+		}
 		if (this.can_undo()) {
 			await this.undo_action();
 			this.action_history.pop();
@@ -313,6 +313,113 @@ class Base_tools_class {
 		return response;
 	}
 
+	/**
+	 * finds pixels with color similar to pixel at x, y (or to color_from) - used by fill, magic eraser and magic wand
+	 *
+	 * @param {ctx} context
+	 * @param {int} W
+	 * @param {int} H
+	 * @param {int} x
+	 * @param {int} y
+	 * @param {int} sensitivity max 100
+	 * @param {Boolean} contiguous false - only pixels connected to x, y, true - whole image
+	 * @param {object} color_to color of found pixels, white by default
+	 * @param {object} color_from optional color to look for, r, g, b, a
+	 * @returns {canvas} found pixels in color_to, other pixels transparent
+	 */
+	get_tolerance_region(context, W, H, x, y, sensitivity, contiguous = false, color_to = null, color_from = null) {
+		sensitivity = sensitivity * 255 / 100; //convert to 0-255 interval
+		x = parseInt(x);
+		y = parseInt(y);
+		if (color_to === null) {
+			color_to = {r: 255, g: 255, b: 255, a: 255};
+		}
+		var canvasTemp = document.createElement('canvas');
+		canvasTemp.width = W;
+		canvasTemp.height = H;
+		var ctxTemp = canvasTemp.getContext("2d");
+
+		ctxTemp.rect(0, 0, W, H);
+		ctxTemp.fillStyle = "rgba(255, 255, 255, 0)";
+		ctxTemp.fill();
+
+		var img_tmp = ctxTemp.getImageData(0, 0, W, H);
+		var imgData_tmp = img_tmp.data;
+
+		var img = context.getImageData(0, 0, W, H);
+		var imgData = img.data;
+		var k = ((y * (img.width * 4)) + (x * 4));
+		var dx = [0, -1, +1, 0];
+		var dy = [-1, 0, 0, +1];
+		if (color_from === null) {
+			color_from = {
+				r: imgData[k + 0],
+				g: imgData[k + 1],
+				b: imgData[k + 2],
+				a: imgData[k + 3]
+			};
+		}
+
+		if (contiguous == false) {
+			//check only nearest pixels
+			var stack = [];
+			stack.push([x, y]);
+			while (stack.length > 0) {
+				var curPoint = stack.pop();
+				for (var i = 0; i < 4; i++) {
+					var nextPointX = curPoint[0] + dx[i];
+					var nextPointY = curPoint[1] + dy[i];
+					if (nextPointX < 0 || nextPointY < 0 || nextPointX >= W || nextPointY >= H)
+						continue;
+					var k = (nextPointY * W + nextPointX) * 4;
+					if (imgData_tmp[k + 3] != 0)
+						continue; //already parsed
+
+					//check
+					if (Math.abs(imgData[k + 0] - color_from.r) <= sensitivity &&
+						Math.abs(imgData[k + 1] - color_from.g) <= sensitivity &&
+						Math.abs(imgData[k + 2] - color_from.b) <= sensitivity &&
+						Math.abs(imgData[k + 3] - color_from.a) <= sensitivity) {
+
+						//fill pixel
+						imgData_tmp[k] = color_to.r; //r
+						imgData_tmp[k + 1] = color_to.g; //g
+						imgData_tmp[k + 2] = color_to.b; //b
+						imgData_tmp[k + 3] = color_to.a; //a
+
+						stack.push([nextPointX, nextPointY]);
+					}
+				}
+			}
+		}
+		else {
+			//global mode - contiguous
+			for (var i = 0; i < imgData.length; i += 4) {
+				if (imgData[i + 3] == 0)
+					continue;	//transparent
+
+				//imgData[i] + 0.7152 * imgData[i + 1] + 0.0722 * imgData[i + 2]);
+
+				for (var j = 0; j < 4; j++) {
+					var k = i + j;
+
+					if (Math.abs(imgData[k] - color_from.r) <= sensitivity
+						&& Math.abs(imgData[k + 1] - color_from.g) <= sensitivity
+						&& Math.abs(imgData[k + 2] - color_from.b) <= sensitivity
+						&& Math.abs(imgData[k + 3] - color_from.a) <= sensitivity) {
+						imgData_tmp[k] = color_to.r; //r
+						imgData_tmp[k + 1] = color_to.g; //g
+						imgData_tmp[k + 2] = color_to.b; //b
+						imgData_tmp[k + 3] = color_to.a; //a
+					}
+				}
+			}
+		}
+
+		ctxTemp.putImageData(img_tmp, 0, 0);
+		return canvasTemp;
+	}
+
 	draw_shape(ctx, x, y, width, height, coords, is_demo) {
 		if(is_demo !== false) {
 			ctx.fillStyle = '#aaa';
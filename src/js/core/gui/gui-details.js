@@ -11,6 +11,8 @@ import Base_layers_class from "../base-layers";
 import Tools_settings_class from './../../modules/tools/settings.js';
 import Helper_class from './../../libs/helpers.js';
 import Tools_translate_class from './../../modules/tools/translate.js';
+import { ADJUSTMENTS } from './../../modules/layer/adjustment.js';
+import { TRANSFORMS } from './../../modules/layer/smart-object.js';
 
 var template = `
 	<div class="row">
@@ -48,6 +50,8 @@ var template = `
 		<input style="padding: 0px;" type="color" id="detail_color" />
 	</div>
 	<div id="parameters_container"></div>
+	<div id="adjustments_container"></div>
+	<div id="transforms_container"></div>
 	<div id="text_detail_params">
 		<div class="row center">
 			<span class="trn label">&nbsp;</span>
@@ -165,6 +169,8 @@ class GUI_details_class {
 
 		//add params
 		this.render_more_parameters();
+		this.render_adjustments();
+		this.render_transforms();
 
 		this.render_text(events);
 		this.render_general_select_param('boundary', events);
@@ -714,6 +720,261 @@ class GUI_details_class {
 		}
 	}
 
+	/**
+	 * filters of adjustment layer with their params, fields apply changes live and save them on leave
+	 */
+	render_adjustments() {
+		var _this = this;
+		const itemContainer = document.getElementById('adjustments_container');
+
+		if(this.layer_details_active == true){
+			return;
+		}
+
+		itemContainer.innerHTML = "";
+
+		if(!config.layer || config.layer.type != 'adjustment') {
+			return;
+		}
+		const layer_id = config.layer.id;
+
+		for (let filter of config.layer.filters) {
+			let definition = ADJUSTMENTS[filter.name];
+			let title = definition ? definition.title : this.Helper.ucfirst(filter.name);
+			this.render_item_title(itemContainer, title, 'adjustment', function () {
+				app.State.do_action(
+					new app.Actions.Delete_layer_filter_action(layer_id, filter.id)
+				);
+			}, function () {
+				app.GUI.modules['layer/adjustment'].edit(filter.id);
+			});
+			this.render_item_params(itemContainer, definition ? definition.params : {}, filter.params, function (key, value) {
+				var filters = JSON.parse(JSON.stringify(_this.Base_layers.get_layer(layer_id).filters));
+				filters.find((item) => item.id == filter.id).params[key] = value;
+				app.State.do_action(
+					new app.Actions.Update_layer_action(layer_id, {
+						filters: filters
+					})
+				);
+			});
+		}
+
+		this.render_add_select(itemContainer, 'add_adjustment', ADJUSTMENTS, function (name) {
+			app.State.do_action(
+				new app.Actions.Add_layer_filter_action(layer_id, name,
+					app.GUI.modules['layer/adjustment'].get_default_params(name))
+			);
+		});
+	}
+
+	/**
+	 * transforms of smart object with their params, same way as adjustments
+	 */
+	render_transforms() {
+		var _this = this;
+		const itemContainer = document.getElementById('transforms_container');
+
+		if(this.layer_details_active == true){
+			return;
+		}
+
+		itemContainer.innerHTML = "";
+
+		if(!config.layer || config.layer.type != 'smart_object') {
+			return;
+		}
+		const layer_id = config.layer.id;
+		const save = function (change) {
+			var params = JSON.parse(JSON.stringify(_this.Base_layers.get_layer(layer_id).params));
+			change(params.transforms);
+			app.State.do_action(
+				new app.Actions.Update_layer_action(layer_id, {
+					params: params
+				})
+			);
+		};
+
+		(config.layer.params.transforms || []).forEach((transform, index) => {
+			let definition = TRANSFORMS[transform.type];
+			this.render_item_title(itemContainer, definition.title, 'transform', function () {
+				save((transforms) => transforms.splice(index, 1));
+			});
+			this.render_item_params(itemContainer, definition.params, transform.params, function (key, value) {
+				save((transforms) => transforms[index].params[key] = value);
+			});
+		});
+
+		this.render_add_select(itemContainer, 'add_transform', TRANSFORMS, function (type) {
+			app.GUI.modules['layer/smart-object'].add_transforms([
+				{type: type, params: app.GUI.modules['layer/smart-object'].get_default_params(type)},
+			]);
+		});
+	}
+
+	/**
+	 * title row of adjustment or transform with delete and optional edit buttons
+	 *
+	 * @param {HTMLElement} itemContainer
+	 * @param {string} title
+	 * @param {string} name used in class names of buttons
+	 * @param {function} on_delete
+	 * @param {function} on_edit optional
+	 */
+	render_item_title(itemContainer, title, name, on_delete, on_edit) {
+		let title_row = document.createElement('div');
+		title_row.className = 'row ' + name;
+		itemContainer.appendChild(title_row);
+
+		let item_title = document.createElement('span');
+		item_title.className = 'trn label';
+		item_title.innerHTML = title;
+		title_row.appendChild(item_title);
+
+		let delete_button = document.createElement('button');
+		delete_button.type = 'button';
+		delete_button.className = 'trn delete_item delete_' + name;
+		delete_button.title = 'Delete';
+		delete_button.innerHTML = 'Delete';
+		delete_button.addEventListener('click', on_delete);
+		title_row.appendChild(delete_button);
+
+		if (on_edit) {
+			let edit_button = document.createElement('button');
+			edit_button.type = 'button';
+			edit_button.className = 'trn dots edit_item edit_' + name;
+			edit_button.innerHTML = 'Edit...';
+			edit_button.addEventListener('click', on_edit);
+			title_row.appendChild(edit_button);
+		}
+	}
+
+	/**
+	 * rows for numbers and selects of params. Numbers change params directly while typing,
+	 * on leave the value is restored and on_save is called, so it can be saved as history step.
+	 *
+	 * @param {HTMLElement} itemContainer
+	 * @param {object} definitions {key: {value, min, max, step, values}}
+	 * @param {object} params current values
+	 * @param {function} on_save called with key and new value
+	 */
+	render_item_params(itemContainer, definitions, params, on_save) {
+		var _this = this;
+
+		for (let key in params) {
+			let item = definitions[key] || {};
+			let value = params[key];
+			if (item.values == undefined && typeof value != 'number') {
+				//other types are changed in dialog
+				continue;
+			}
+
+			//row
+			let item_row = document.createElement('div');
+			item_row.className = 'row';
+			itemContainer.appendChild(item_row);
+
+			//title
+			var title = key[0].toUpperCase() + key.slice(1);
+			title = title.replace("_", " ");
+			let item_title = document.createElement('span');
+			item_title.className = 'trn label';
+			item_title.innerHTML = title;
+			item_row.appendChild(item_title);
+
+			if (item.values != undefined) {
+				//select
+				const elementInput = document.createElement('select');
+				elementInput.dataset.key = key;
+				for (let option_value of item.values) {
+					let option = document.createElement('option');
+					option.value = option_value;
+					option.innerHTML = option_value;
+					option.selected = option_value == value;
+					elementInput.appendChild(option);
+				}
+				item_row.appendChild(elementInput);
+
+				elementInput.addEventListener('change', function (e) {
+					on_save(key, this.value);
+				});
+				continue;
+			}
+
+			//numbers
+			const elementInput = document.createElement('input');
+			elementInput.type = 'number';
+			elementInput.dataset.key = key;
+			if (item.min != null) {
+				elementInput.setAttribute('min', item.min);
+			}
+			if (item.max != null) {
+				elementInput.setAttribute('max', item.max);
+			}
+			elementInput.setAttribute('step', item.step != null ? item.step : 1);
+			elementInput.setAttribute('value', value);
+			item_row.appendChild(elementInput);
+
+			//events
+			let focus_value = null;
+			elementInput.addEventListener('focus', function (e) {
+				focus_value = parseFloat(this.value);
+				_this.layer_details_active = true;
+			});
+			elementInput.addEventListener('blur', function (e) {
+				//on leave
+				_this.layer_details_active = false;
+				let new_value = parseFloat(this.value);
+				params[key] = focus_value;
+				if (focus_value !== new_value && isNaN(new_value) == false) {
+					on_save(key, new_value);
+				}
+				else {
+					config.need_render = true;
+				}
+			});
+			elementInput.addEventListener('change', function (e) {
+				//on change - lots of events here in short time
+				let new_value = parseFloat(this.value);
+				if (isNaN(new_value) == false) {
+					params[key] = new_value;
+					config.need_render = true;
+				}
+			});
+		}
+	}
+
+	/**
+	 * select adding new adjustment or transform
+	 *
+	 * @param {HTMLElement} itemContainer
+	 * @param {string} id
+	 * @param {object} definitions {name: {title}}
+	 * @param {function} on_add called with name
+	 */
+	render_add_select(itemContainer, id, definitions, on_add) {
+		let add_row = document.createElement('div');
+		add_row.className = 'row';
+		itemContainer.appendChild(add_row);
+
+		let add_title = document.createElement('span');
+		add_title.className = 'trn label';
+		add_title.innerHTML = 'Add:';
+		add_row.appendChild(add_title);
+
+		const add_select = document.createElement('select');
+		add_select.id = id;
+		add_select.innerHTML = '<option value="">---</option>';
+		for (let name in definitions) {
+			add_select.innerHTML += '<option value="' + name + '">' + definitions[name].title + '</option>';
+		}
+		add_row.appendChild(add_select);
+		add_select.addEventListener('change', function (e) {
+			if (this.value != '') {
+				on_add(this.value);
+			}
+		});
+	}
+
 }
 
 export default GUI_details_class;
@@ -11,12 +11,15 @@ import Layer_rename_class from './../../modules/layer/rename.js';
 import Effects_browser_class from './../../modules/effects/browser.js';
 import Layer_duplicate_class from './../../modules/layer/duplicate.js';
 import Layer_raster_class from './../../modules/layer/raster.js';
+import Layer_group_class from './../../modules/layer/group.js';
+import Layer_mask_class from './../../modules/layer/mask.js';
 import Tools_translate_class from './../../modules/tools/translate.js';
 
 var template = `
 	<button type="button" class="layer_add trn" id="insert_layer" title="Insert new layer">+</button>
 	<button type="button" class="layer_duplicate trn" id="layer_duplicate" title="Duplicate layer">D</button>
 	<button type="button" class="layer_raster trn" id="layer_raster" title="Convert layer to raster">R</button>
+	<button type="button" class="layer_group trn" id="layer_group" title="Group layer">G</button>
 
 	<button type="button" class="layers_arrow trn" title="Move layer down" id="layer_down">&darr;</button>
 	<button type="button" class="layers_arrow trn" title="Move layer up" id="layer_up">&uarr;</button>
@@ -36,6 +39,8 @@ class GUI_layers_class {
 		this.Effects_browser = new Effects_browser_class();
 		this.Layer_duplicate = new Layer_duplicate_class();
 		this.Layer_raster = new Layer_raster_class();
+		this.Layer_group = new Layer_group_class();
+		this.Layer_mask = new Layer_mask_class();
 		this.Tools_translate = new Tools_translate_class();
 	}
 
@@ -67,6 +72,10 @@ class GUI_layers_class {
 				//raster
 				_this.Layer_raster.raster();
 			}
+			else if (target.id == 'layer_group') {
+				//group
+				_this.Layer_group.group();
+			}
 			else if (target.id == 'layer_up') {
 				//move layer up
 				app.State.do_action(
@@ -88,9 +97,29 @@ class GUI_layers_class {
 			else if (target.id == 'delete') {
 				//delete layer
 				app.State.do_action(
-					new app.Actions.Delete_layer_action(target.dataset.id)
+					_this.Base_layers.get_delete_action(target.dataset.id)
 				);
 			}
+			else if (target.id == 'group_toggle') {
+				//expand or collapse group
+				_this.Layer_group.toggle_collapse(target.dataset.id);
+			}
+			else if (target.id == 'mask_name') {
+				//paint on mask or on layer
+				_this.Layer_mask.edit(target.dataset.id);
+			}
+			else if (target.id == 'toggle_mask') {
+				//enable or disable mask
+				_this.Layer_mask.toggle(target.dataset.id);
+			}
+			else if (target.id == 'invert_mask') {
+				//invert mask
+				_this.Layer_mask.invert(target.dataset.id);
+			}
+			else if (target.id == 'delete_mask') {
+				//delete mask
+				_this.Layer_mask.delete(target.dataset.id);
+			}
 			else if (target.id == 'layer_name') {
 				//select layer
 				if (target.dataset.id == config.layer.id)
@@ -134,10 +163,7 @@ class GUI_layers_class {
 	 */
 	render_layers() {
 		var target_id = 'layers';
-		var layers = config.layers.concat().sort(
-			//sort function
-				(a, b) => b.order - a.order
-			);
+		var layers = this.Base_layers.get_sorted_layers();
 
 		document.getElementById(target_id).innerHTML = '';
 		var html = '';
@@ -145,7 +171,15 @@ class GUI_layers_class {
 		if (config.layer) {
 			for (var i in layers) {
 				var value = layers[i];
+				var parents = this.Base_layers.get_parents(value.id);
+				if (parents.some((parent) => parent.params.collapsed === true)) {
+					//inside collapsed group
+					continue;
+				}
 				var class_extra = '';
+				if (value.type == 'group') {
+					class_extra += ' group';
+				}
 				if(value.composition === 'source-atop'){
 					class_extra += ' shorter';
 				}
@@ -153,7 +187,10 @@ class GUI_layers_class {
 					class_extra += ' active';
 				}
 
-				html += '<div class="item ' + class_extra + '">';
+				if (parents.length > 0)
+					html += '<div class="item ' + class_extra + '" style="margin-left: ' + (parents.length * 15) + 'px;">';
+				else
+					html += '<div class="item ' + class_extra + '">';
 				if (value.visible == true)
 					html += '	<button class="visibility visible trn" id="visibility" data-id="' + value.id + '" title="Hide"></button>';
 				else
@@ -163,6 +200,12 @@ class GUI_layers_class {
 				if(value.composition === 'source-atop'){
 					html += '	<button class="arrow_down" data-id="' + value.id + '" ></button>';
 				}
+				if (value.type == 'group') {
+					if (value.params.collapsed === true)
+						html += '	<button class="group_toggle collapsed trn" id="group_toggle" data-id="' + value.id + '" title="Expand"></button>';
+					else
+						html += '	<button class="group_toggle trn" id="group_toggle" data-id="' + value.id + '" title="Collapse"></button>';
+				}
 
 				var layer_title = this.Helper.escapeHtml(value.name);
 				
@@ -170,6 +213,26 @@ class GUI_layers_class {
 				html += '	<div class="clear"></div>';
 				html += '</div>';
 
+				//show mask
+				if (value.mask != null) {
+					var mask_class = '';
+					if (value.id == config.layer.id && value._mask_editing === true)
+						mask_class += ' active';
+					if (value.mask.inverted === true)
+						mask_class += ' inverted';
+
+					html += '<div class="mask' + mask_class + '">';
+					if (value.mask.enabled !== false)
+						html += '	<button class="visibility visible trn" id="toggle_mask" data-id="' + value.id + '" title="Disable mask"></button>';
+					else
+						html += '	<button class="visibility trn" id="toggle_mask" data-id="' + value.id + '" title="Enable mask"></button>';
+					html += '	<button class="delete trn" id="delete_mask" data-id="' + value.id + '" title="Delete mask"></button>';
+					html += '	<button class="mask_invert trn" id="invert_mask" data-id="' + value.id + '" title="Invert mask"></button>';
+					html += '	<button class="layer_name trn" id="mask_name" data-id="' + value.id + '" title="Paint on mask">Mask</button>';
+					html += '	<div class="clear"></div>';
+					html += '</div>';
+				}
+
 				//show filters
 				if (layers[i].filters.length > 0) {
 					html += '<div class="filters">';
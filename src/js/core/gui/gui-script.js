@@ -0,0 +1,432 @@
+/*
+ * miniPaint - https://github.com/viliusle/miniPaint
+ * author: Vilius L.
+ */
+
+import config from './../../config.js';
+import Helper_class from './../../libs/helpers.js';
+import Tools_translate_class from './../../modules/tools/translate.js';
+import alertify from './../../../../node_modules/alertifyjs/build/alertify.min.js';
+import { executeRexxScript } from './../../modules/rexxjs/execute-rexx.js';
+
+var template = `
+	<div class="script_toolbar">
+		<button type="button" class="trn" id="script_run" title="Run script">Run</button>
+		<button type="button" class="trn" id="script_step" title="Run next command">Step</button>
+		<button type="button" class="trn" id="script_stop" title="Stop script" disabled>Stop</button>
+		<button type="button" class="script_dock trn" id="script_dock" title="Dock or float panel">Float</button>
+	</div>
+	<div class="script_files">
+		<select id="script_saved" title="Saved scripts" aria-label="Saved scripts"></select>
+		<input type="text" id="script_name" placeholder="Name" aria-label="Script name" />
+		<button type="button" class="trn" id="script_save" title="Save script">Save</button>
+		<button type="button" class="trn" id="script_delete" title="Delete saved script">Delete</button>
+	</div>
+	<div class="script_editor">
+		<div class="script_lines" id="script_lines"></div>
+		<textarea id="script_source" spellcheck="false" aria-label="Script"
+			placeholder="ADDRESS MINIPAINT&#10;'apply-effect name=grayscale'"></textarea>
+	</div>
+	<div class="script_status" id="script_status">RC: - RESULT: -</div>
+	<div class="script_console" id="script_console" aria-live="polite"></div>
+`;
+
+//localStorage keys
+var STORAGE_SCRIPTS = 'rexx_scripts';
+var STORAGE_DRAFT = 'rexx_script_draft';
+
+/**
+ * GUI class responsible for rendering RexxJS script panel, docked on right sidebar or floating
+ */
+class GUI_script_class {
+
+	constructor(ctx) {
+		this.Helper = new Helper_class();
+		this.Tools_translate = new Tools_translate_class();
+
+		this.running = false;
+		this.stop_requested = false;
+		//resolves paused step, null when script runs freely
+		this.step_resolve = null;
+		this.stepping = false;
+		this.error_line = null;
+		this.current_line = null;
+		this.command_failed = false;
+	}
+
+	render_main_script() {
+		document.getElementById('toggle_script').innerHTML = template;
+		if (config.LANG != 'en') {
+			this.Tools_translate.translate(config.LANG, document.getElementById('toggle_script'));
+		}
+
+		var draft = localStorage.getItem(STORAGE_DRAFT);
+		if (draft !== null) {
+			document.getElementById('script_source').value = draft;
+		}
+		this.render_saved_list('');
+		this.render_lines();
+		this.set_events();
+
+		if (this.Helper.getCookie('script_panel') === 1) {
+			this.show(true);
+		}
+		if (this.Helper.getCookie('script_panel_floating') === 1) {
+			this.set_floating(true);
+		}
+	}
+
+	set_events() {
+		var _this = this;
+		var source = document.getElementById('script_source');
+
+		document.getElementById('script_run').addEventListener('click', function (event) {
+			if (_this.running) {
+				//continue paused script
+				_this.stepping = false;
+				_this.next_step();
+				return;
+			}
+			_this.run(false);
+		});
+		document.getElementById('script_step').addEventListener('click', function (event) {
+			if (_this.running) {
+				_this.next_step();
+				return;
+			}
+			_this.run(true);
+		});
+		document.getElementById('script_stop').addEventListener('click', function (event) {
+			_this.stop();
+		});
+		document.getElementById('script_dock').addEventListener('click', function (event) {
+			_this.set_floating(document.getElementById('script_base').classList.contains('floating') == false);
+		});
+		document.getElementById('script_save').addEventListener('click', function (event) {
+			_this.save_script(document.getElementById('script_name').value);
+		});
+		document.getElementById('script_delete').addEventListener('click', function (event) {
+			_this.delete_script(document.getElementById('script_saved').value);
+		});
+		document.getElementById('script_saved').addEventListener('change', function (event) {
+			_this.open_script(this.value);
+		});
+
+		source.addEventListener('input', function (event) {
+			_this.error_line = null;
+			_this.render_lines();
+			localStorage.setItem(STORAGE_DRAFT, source.value);
+		});
+		source.addEventListener('scroll', function (event) {
+			document.getElementById('script_lines').scrollTop = source.scrollTop;
+		});
+		source.addEventListener('keydown', function (event) {
+			if (event.key == 'Tab') {
+				//indent instead of leaving editor
+				event.preventDefault();
+				source.setRangeText('\t', source.selectionStart, source.selectionEnd, 'end');
+				source.dispatchEvent(new Event('input'));
+			}
+			else if (event.key == 'Enter' && (event.ctrlKey || event.metaKey)) {
+				event.preventDefault();
+				document.getElementById('script_run').click();
+			}
+		});
+
+		this.set_drag_events();
+	}
+
+	/**
+	 * moves floating panel by its header
+	 */
+	set_drag_events() {
+		var panel = document.getElementById('script_base');
+		var header = panel.querySelector('h2');
+		var offset = null;
+		var moved = false;
+
+		header.addEventListener('mousedown', function (event) {
+			moved = false;
+			if (panel.classList.contains('floating') == false)
+				return;
+			var rect = panel.getBoundingClientRect();
+			offset = {x: event.clientX - rect.left, y: event.clientY - rect.top};
+		});
+		//registered before toggle event in Base_gui_class, dragging should not collapse panel
+		header.addEventListener('click', function (event) {
+			if (moved)
+				event.stopImmediatePropagation();
+		});
+		document.addEventListener('mousemove', function (event) {
+			if (offset === null)
+				return;
+			moved = true;
+			panel.style.left = Math.max(0, event.clientX - offset.x) + 'px';
+			panel.style.top = Math.max(0, event.clientY - offset.y) + 'px';
+		});
+		document.addEventListener('mouseup', function (event) {
+			offset = null;
+		});
+	}
+
+	/**
+	 * shows or hides panel
+	 *
+	 * @param {boolean} visible Optional, toggles if not set
+	 */
+	show(visible) {
+		var panel = document.getElementById('script_base');
+		if (visible === undefined)
+			visible = panel.classList.contains('hidden');
+
+		panel.classList.toggle('hidden', !visible);
+		this.Helper.setCookie('script_panel', visible ? 1 : 0);
+		if (visible) {
+			document.getElementById('script_source').focus();
+		}
+	}
+
+	/**
+	 * docks panel on right sidebar or lets it float over canvas
+	 */
+	set_floating(floating) {
+		var panel = document.getElementById('script_base');
+		panel.classList.toggle('floating', floating);
+		if (floating) {
+			document.body.appendChild(panel);
+		}
+		else {
+			//back above layers block
+			var sidebar = document.querySelector('.sidebar_right');
+			sidebar.insertBefore(panel, sidebar.querySelector('.block.layers'));
+			panel.style.left = '';
+			panel.style.top = '';
+		}
+		document.getElementById('script_dock').innerHTML = floating ? 'Dock' : 'Float';
+		this.Helper.setCookie('script_panel_floating', floating ? 1 : 0);
+	}
+
+	/**
+	 * runs editor script, stepping pauses before each command
+	 *
+	 * @param {boolean} stepping
+	 */
+	async run(stepping) {
+		var _this = this;
+		var script = document.getElementById('script_source').value;
+		if (script.trim() == '') {
+			alertify.error('Script is empty.');
+			return;
+		}
+
+		this.running = true;
+		this.stop_requested = false;
+		this.stepping = stepping;
+		this.error_line = null;
+		this.command_failed = false;
+		this.clear_console();
+		this.set_status('-', '-');
+		this.update_buttons();
+
+		try {
+			var response = await executeRexxScript(script, {
+				stopOnError: true,
+				onSay: function (text) {
+					_this.log(text, 'say');
+				},
+				beforeCommand: function (info) {
+					return _this.wait_step(info.line);
+				},
+				shouldStop: function () {
+					return _this.stop_requested;
+				},
+				onCommand: function (info) {
+					var value = info.returnCode ? info.output : info.result;
+					if (info.returnCode)
+						_this.command_failed = true;
+					_this.set_status(info.returnCode, value);
+					_this.log((info.line ? info.line + ': ' : '') + info.command
+						+ ' -> RC=' + info.returnCode + ' RESULT=' + _this.format_value(value),
+						info.returnCode ? 'error' : 'command');
+				},
+			});
+
+			if (response.stopped) {
+				this.log('Script stopped.', 'error');
+			}
+			else if (response.success == false) {
+				if (this.command_failed == false) {
+					//parse error or interpreter problem, message is last output line
+					this.log('RC=' + response.returnCode + ' ' + response.output.split('\n').pop(), 'error');
+				}
+				this.error_line = response.line || null;
+				this.highlight_line(this.error_line);
+			}
+		}
+		finally {
+			this.running = false;
+			this.step_resolve = null;
+			this.current_line = null;
+			this.render_lines();
+			this.update_buttons();
+		}
+	}
+
+	stop() {
+		this.stop_requested = true;
+		this.next_step();
+	}
+
+	/**
+	 * pauses before command while stepping
+	 *
+	 * @returns {Promise}
+	 */
+	wait_step(line) {
+		var _this = this;
+		this.current_line = line;
+		this.render_lines();
+		if (this.stepping == false || this.stop_requested) {
+			return Promise.resolve();
+		}
+		return new Promise(function (resolve) {
+			_this.step_resolve = resolve;
+		});
+	}
+
+	next_step() {
+		if (this.step_resolve !== null) {
+			var resolve = this.step_resolve;
+			this.step_resolve = null;
+			resolve();
+		}
+	}
+
+	update_buttons() {
+		document.getElementById('script_stop').disabled = !this.running;
+		document.getElementById('script_save').disabled = this.running;
+		document.getElementById('script_source').readOnly = this.running;
+	}
+
+	set_status(rc, result) {
+		document.getElementById('script_status').innerText = 'RC: ' + rc + ' RESULT: ' + this.format_value(result);
+	}
+
+	format_value(value) {
+		if (value === undefined || value === null || value === '')
+			return '-';
+		var text = typeof value == 'string' ? value : JSON.stringify(value);
+		return text.length > 200 ? text.substring(0, 200) + '...' : text;
+	}
+
+	clear_console() {
+		document.getElementById('script_console').innerHTML = '';
+	}
+
+	/**
+	 * @param {string} text
+	 * @param {string} type say, command or error
+	 */
+	log(text, type) {
+		var target = document.getElementById('script_console');
+		var row = document.createElement('div');
+		row.className = 'script_' + type;
+		row.innerText = text;
+		target.appendChild(row);
+		target.scrollTop = target.scrollHeight;
+	}
+
+	/**
+	 * renders line numbers, marks line being run and failed line
+	 */
+	render_lines() {
+		var source = document.getElementById('script_source');
+		var count = source.value.split('\n').length;
+		var html = '';
+		for (var i = 1; i <= count; i++) {
+			var class_name = '';
+			if (i === this.error_line)
+				class_name = 'error';
+			else if (i === this.current_line && this.running)
+				class_name = 'current';
+			html += '<div class="' + class_name + '">' + i + '</div>';
+		}
+		var lines = document.getElementById('script_lines');
+		lines.innerHTML = html;
+		lines.scrollTop = source.scrollTop;
+	}
+
+	/**
+	 * selects line in editor
+	 */
+	highlight_line(line) {
+		this.render_lines();
+		if (line === null)
+			return;
+		var source = document.getElementById('script_source');
+		var rows = source.value.split('\n');
+		var start = 0;
+		for (var i = 0; i < line - 1 && i < rows.length; i++) {
+			start += rows[i].length + 1;
+		}
+		source.focus();
+		source.setSelectionRange(start, start + (rows[line - 1] || '').length);
+	}
+
+	get_saved_scripts() {
+		try {
+			return JSON.parse(localStorage.getItem(STORAGE_SCRIPTS)) || {};
+		}
+		catch (error) {
+			return {};
+		}
+	}
+
+	render_saved_list(selected) {
+		var scripts = this.get_saved_scripts();
+		var html = '<option value="">- Saved scripts -</option>';
+		for (var name of Object.keys(scripts).sort()) {
+			var escaped = this.Helper.escapeHtml(name);
+			html += '<option value="' + escaped + '"' + (name === selected ? ' selected' : '') + '>'
+				+ escaped + '</option>';
+		}
+		document.getElementById('script_saved').innerHTML = html;
+	}
+
+	save_script(name) {
+		name = name.trim();
+		if (name == '') {
+			alertify.error('Enter script name.');
+			return;
+		}
+		var scripts = this.get_saved_scripts();
+		scripts[name] = document.getElementById('script_source').value;
+		localStorage.setItem(STORAGE_SCRIPTS, JSON.stringify(scripts));
+		this.render_saved_list(name);
+		alertify.success('Script saved.');
+	}
+
+	open_script(name) {
+		var scripts = this.get_saved_scripts();
+		if (scripts[name] === undefined)
+			return;
+		var source = document.getElementById('script_source');
+		source.value = scripts[name];
+		document.getElementById('script_name').value = name;
+		source.dispatchEvent(new Event('input'));
+	}
+
+	delete_script(name) {
+		var scripts = this.get_saved_scripts();
+		if (scripts[name] === undefined) {
+			alertify.error('Select saved script first.');
+			return;
+		}
+		delete scripts[name];
+		localStorage.setItem(STORAGE_SCRIPTS, JSON.stringify(scripts));
+		this.render_saved_list('');
+	}
+
+}
+
+export default GUI_script_class;
@@ -39,6 +39,7 @@
  * - function	function			'custom_function'
  */
 import './../../css/popup.css';
+import app from './../app.js';
 import Base_layers_class from './../core/base-layers.js';
 import Base_gui_class from './../core/base-gui.js';
 import Tools_translate_class from './../modules/tools/translate.js';
@@ -125,6 +126,10 @@ class Dialog_class {
 
 		this.show_action();
 		this.set_events();
+
+		if (app.State && app.State.recorder) {
+			app.State.recorder.onDialog('show', this);
+		}
 	}
 
 	/**
@@ -137,6 +142,9 @@ class Dialog_class {
 		window.POP = this.previousPOP;
 		var params = this.get_params();
 
+		if (success === false && app.State && app.State.recorder) {
+			app.State.recorder.onDialog('cancel', this);
+		}
 		if (success === false && this.oncancel) {
 			this.oncancel(params);
 		}
@@ -271,6 +279,10 @@ class Dialog_class {
 	save() {
 		var params = this.get_params();
 
+		//macro recorder needs the values before the action they lead to
+		if (app.State && app.State.recorder) {
+			app.State.recorder.onDialog('finish', this, params);
+		}
 		if (this.onfinish) {
 			this.onfinish(params);
 		}
@@ -426,8 +438,12 @@ class Dialog_class {
 
 		//load preview
 		if (this.preview !== false) {
-			//get canvas from layer
-			var canvas = this.Base_layers.convert_layer_to_canvas();
+			//get canvas from layer, adjustment layers change layers below them
+			var layer = this.Base_layers.get_layer();
+			if (layer.type == 'adjustment')
+				var canvas = this.Base_layers.convert_layers_below_to_canvas(layer.id);
+			else
+				var canvas = this.Base_layers.convert_layer_to_canvas();
 
 			//draw original image
 			var canvas_left = this.el.querySelector('[data-id="pop_pre"]');
@@ -0,0 +1,125 @@
+/**
+ * minimal ZIP archive writer, files are stored without compression
+ * (images are compressed already).
+ *
+ * usage:
+ *	var zip = new Zip_class();
+ *	zip.add('image.png', uint8array);
+ *	var blob = zip.generate();
+ */
+class Zip_class {
+
+	constructor() {
+		this.files = [];
+		this.crc_table = null;
+	}
+
+	/**
+	 * adds file to archive
+	 *
+	 * @param {string} name file path inside archive
+	 * @param {Uint8Array} data
+	 * @param {Date} date Optional, modification time
+	 */
+	add(name, data, date) {
+		this.files.push({
+			name: new TextEncoder().encode(name),
+			data: data,
+			crc: this.crc32(data),
+			date: date || new Date(),
+		});
+	}
+
+	/**
+	 * builds archive
+	 *
+	 * @returns {Blob}
+	 */
+	generate() {
+		var parts = [];
+		var central = [];
+		var offset = 0;
+
+		for (var i in this.files) {
+			var file = this.files[i];
+			var time = this.dos_time(file.date);
+
+			//local file header
+			var local = new DataView(new ArrayBuffer(30));
+			local.setUint32(0, 0x04034b50, true);
+			local.setUint16(4, 20, true); //version needed
+			local.setUint16(6, 0x0800, true); //UTF-8 names
+			local.setUint16(8, 0, true); //stored
+			local.setUint16(10, time.time, true);
+			local.setUint16(12, time.date, true);
+			local.setUint32(14, file.crc, true);
+			local.setUint32(18, file.data.length, true);
+			local.setUint32(22, file.data.length, true);
+			local.setUint16(26, file.name.length, true);
+			local.setUint16(28, 0, true);
+			parts.push(local, file.name, file.data);
+
+			//central directory entry
+			var entry = new DataView(new ArrayBuffer(46));
+			entry.setUint32(0, 0x02014b50, true);
+			entry.setUint16(4, 20, true); //version made by
+			entry.setUint16(6, 20, true);
+			entry.setUint16(8, 0x0800, true);
+			entry.setUint16(10, 0, true);
+			entry.setUint16(12, time.time, true);
+			entry.setUint16(14, time.date, true);
+			entry.setUint32(16, file.crc, true);
+			entry.setUint32(20, file.data.length, true);
+			entry.setUint32(24, file.data.length, true);
+			entry.setUint16(28, file.name.length, true);
+			entry.setUint32(42, offset, true);
+			central.push(entry, file.name);
+
+			offset += 30 + file.name.length + file.data.length;
+		}
+
+		var central_size = 0;
+		for (var i in central) {
+			central_size += central[i].byteLength;
+		}
+
+		//end of central directory
+		var end = new DataView(new ArrayBuffer(22));
+		end.setUint32(0, 0x06054b50, true);
+		end.setUint16(8, this.files.length, true);
+		end.setUint16(10, this.files.length, true);
+		end.setUint32(12, central_size, true);
+		end.setUint32(16, offset, true);
+
+		return new Blob(parts.concat(central, [end]), {type: 'application/zip'});
+	}
+
+	crc32(data) {
+		if (this.crc_table === null) {
+			this.crc_table = new Uint32Array(256);
+			for (var n = 0; n < 256; n++) {
+				var c = n;
+				for (var k = 0; k < 8; k++) {
+					c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+				}
+				this.crc_table[n] = c;
+			}
+		}
+
+		var crc = 0xFFFFFFFF;
+		for (var i = 0; i < data.length; i++) {
+			crc = this.crc_table[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+		}
+		return (crc ^ 0xFFFFFFFF) >>> 0;
+	}
+
+	dos_time(date) {
+		return {
+			time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+			date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+		};
+	}
+
+}
+
+export default Zip_class;
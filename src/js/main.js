@@ -25,6 +25,8 @@ import File_save_class from './modules/file/save.js';
 import * as Actions from './actions/index.js';
 import { initializeMiniPaintRexxHandler } from './modules/rexxjs/minipaint-rexx-handler.js';
 import { setupRexxScriptExecution } from './modules/rexxjs/execute-rexx.js';
+import { setupWorkerBridge } from './modules/rexxjs/minipaint-controlbus.js';
+import MiniPaintWebSocketTransport from './modules/rexxjs/websocket-transport.js';
 
 window.addEventListener('load', function (e) {
 	// Initiate app
@@ -54,11 +56,29 @@ window.addEventListener('load', function (e) {
 	window.FileSave = File_save;
 
 	// Initialize RexxJS handler for ADDRESS MINIPAINT support
-	initializeMiniPaintRexxHandler();
+	var Rexx_handler = initializeMiniPaintRexxHandler();
+
+	// Accept commands from outside the browser through the relay, more relays can be added at runtime
+	window.MiniPaintWebSocketTransport = MiniPaintWebSocketTransport;
+	if (config.rexx_relay_url) {
+		Rexx_handler.addTransport(new MiniPaintWebSocketTransport({
+			url: config.rexx_relay_url,
+			token: config.rexx_relay_token,
+		}));
+	}
 
 	// Setup script execution capability
 	setupRexxScriptExecution();
 
+	// Accept control bus requests from trusted director frames, only when some are configured.
+	// Pages of the same origin can turn it on anyway, they can reach the app already.
+	window.enableMiniPaintControlBus = function () {
+		return window.MiniPaintWorkerBridge || setupWorkerBridge(app, {allowedOrigins: config.control_bus_origins});
+	};
+	if (config.control_bus_origins.length > 0) {
+		window.enableMiniPaintControlBus();
+	}
+
 	// Render all
 	GUI.init();
 	Layers.init();
@@ -2,6 +2,7 @@ import config from "../../config";
 import Base_layers_class from './../../core/base-layers.js';
 import File_save_class from './../file/save.js';
 import Helper_class from './../../libs/helpers.js';
+import Selection_class from './../../tools/selection.js';
 import alertify from './../../../../node_modules/alertifyjs/build/alertify.min.js';
 
 var instance = null;
@@ -18,6 +19,7 @@ class Copy_class {
 		this.Base_layers = new Base_layers_class();
 		this.Helper = new Helper_class();
 		this.File_save = new File_save_class();
+		this.Selection = new Selection_class(this.Base_layers.ctx);
 
 		//events
 		document.addEventListener('keydown', (event) => {
@@ -39,8 +41,14 @@ class Copy_class {
 		const canWriteToClipboard = await this.askWritePermission();
 		if (canWriteToClipboard) {
 
-			//get data - current layer
-			var canvas = this.Base_layers.convert_layer_to_canvas();
+			//get data - selected pixels or current layer
+			var canvas;
+			if (config.layer.type == 'image' && this.Selection.Base_selection.get_active_selection() !== null) {
+				canvas = this.Selection.get_selected_canvas();
+			}
+			else {
+				canvas = this.Base_layers.convert_layer_to_canvas();
+			}
 			var ctx = canvas.getContext("2d");
 
 			if (config.TRANSPARENCY == false) {
@@ -1,3 +1,4 @@
+import app from './../../app.js';
 import config from './../../config.js';
 import Base_layers_class from './../../core/base-layers.js';
 import Selection_class from './../../tools/selection.js';
@@ -18,9 +19,45 @@ class Edit_selection_class {
 		this.Selection.select_all();
 	}
 
+	deselect() {
+		this.Selection.clear_selection();
+	}
+
 	delete() {
 		this.Selection.delete_selection();
 	}
+
+	fill() {
+		this.Selection.fill_selection();
+	}
+
+	/**
+	 * crops document to selection with crop tool, pixels outside of ellipse or lasso shape are cleared
+	 */
+	async crop() {
+		if (this.Selection.Base_selection.get_active_selection() === null) {
+			alertify.error('Nothing is selected.');
+			return;
+		}
+
+		if (config.TOOL.name != this.Selection.name) {
+			//crop tool clears selection of active tool
+			await app.State.do_action(
+				new app.Actions.Activate_tool_action(this.Selection.name)
+			);
+		}
+
+		//crop tool clears the selection it is given, hand it selection of selection tool
+		var crop = app.GUI.GUI_tools.tools_modules['crop'].object;
+		var crop_selection = crop.selection;
+		crop.selection = this.Selection.selection;
+		try {
+			await crop.on_params_update();
+		}
+		finally {
+			crop.selection = crop_selection;
+		}
+	}
 }
 
 export default Edit_selection_class;
@@ -39,7 +39,7 @@ class Effects_common_class {
 			},
 			on_finish: function (params) {
 				_this.params = params;
-				_this.save(params, type, filter_id);
+				return _this.save(params, type, filter_id);
 			},
 		};
 		this.Base_layers.disable_filter(filter_id);
@@ -66,6 +66,52 @@ class Effects_common_class {
 		return value;
 	}
 
+	/**
+	 * creates SVG filter with lookup tables of color channels, canvas uses it by reference.
+	 * Same tables reuse same filter, only latest ones are kept.
+	 *
+	 * @param {object} tables red, green and blue lists of 0-1 values
+	 * @returns {string} value for ctx.filter
+	 */
+	get_table_filter(tables) {
+		var values = [tables.red, tables.green, tables.blue].map(function (table) {
+			return table.map(function (value) {
+				return Math.round(value * 10000) / 10000;
+			}).join(' ');
+		});
+		var hash = 0;
+		var key = values.join('|');
+		for (var i = 0; i < key.length; i++) {
+			hash = (hash * 31 + key.charCodeAt(i)) | 0;
+		}
+		var id = 'table_filter_' + (hash >>> 0).toString(36);
+
+		var container = document.getElementById('table_filters');
+		if (container == null) {
+			container = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+			container.id = 'table_filters';
+			container.setAttribute('width', 0);
+			container.setAttribute('height', 0);
+			container.style.position = 'absolute';
+			document.body.appendChild(container);
+		}
+		if (document.getElementById(id) == null) {
+			var html = '<filter xmlns="http://www.w3.org/2000/svg" id="' + id + '" color-interpolation-filters="sRGB">';
+			html += '<feComponentTransfer>';
+			html += '<feFuncR type="table" tableValues="' + values[0] + '"/>';
+			html += '<feFuncG type="table" tableValues="' + values[1] + '"/>';
+			html += '<feFuncB type="table" tableValues="' + values[2] + '"/>';
+			html += '</feComponentTransfer>';
+			html += '</filter>';
+			container.insertAdjacentHTML('beforeend', html);
+			while (container.children.length > 50) {
+				container.removeChild(container.firstChild);
+			}
+		}
+
+		return 'url(#' + id + ')';
+	}
+
 }
 
 export default Effects_common_class;
\ No newline at end of file
@@ -49,7 +49,7 @@ class Effects_backAndWhite_class {
 				canvas_preview.putImageData(data, 0, 0);
 			},
 			on_finish: function (params) {
-				_this.save(params);
+				return _this.save(params);
 			},
 		};
 		this.POP.show(settings);
@@ -67,7 +67,7 @@ class Effects_backAndWhite_class {
 
 		//save
 		return app.State.do_action(
-			new app.Actions.Update_layer_image_action(canvas)
+			new app.Actions.Update_layer_image_action(this.Base_layers.Base_selection.limit_to_selection(canvas))
 		);
 	}
 
@@ -13,6 +13,7 @@ class Effects_blueprint_class {
 		this.Base_layers = new Base_layers_class();
 		this.ImageFilters = ImageFilters;
 		this.fx_filter = false;
+		this.has_dialog = false;
 	}
 
 	blueprint() {
@@ -32,7 +33,7 @@ class Effects_blueprint_class {
 
 		//save
 		return app.State.do_action(
-			new app.Actions.Update_layer_image_action(canvas)
+			new app.Actions.Update_layer_image_action(this.Base_layers.Base_selection.limit_to_selection(canvas))
 		);
 	}
 
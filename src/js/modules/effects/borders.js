@@ -30,7 +30,7 @@ class Effects_borders_class {
 			],
 			on_finish: function (params) {
 				var target = Math.min(config.WIDTH, config.HEIGHT);
-				_this.add_borders(params, filter_id);
+				return _this.add_borders(params, filter_id);
 			},
 		};
 		var rotate = config.layer.rotate;
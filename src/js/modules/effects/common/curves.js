@@ -0,0 +1,93 @@
+import Effects_common_class from '../abstract/css.js';
+import Base_layers_class from './../../../core/base-layers.js';
+import config from "../../../config";
+import alertify from './../../../../../node_modules/alertifyjs/build/alertify.min.js';
+
+class Effects_curves_class extends Effects_common_class {
+
+	constructor() {
+		super();
+		this.Base_layers = new Base_layers_class();
+	}
+
+	curves(filter_id) {
+		if (config.layer.type == null) {
+			alertify.error('Layer is empty.');
+			return;
+		}
+
+		var filter = this.Base_layers.find_filter_by_id(filter_id, 'curves');
+
+		var params = [
+			{name: "channel", title: "Channel:", value: filter.channel ??= 'RGB', values: ['RGB', 'Red', 'Green', 'Blue']},
+			{name: "shadows", title: "Shadows:", value: filter.shadows ??= 48, range: [0, 255]},
+			{name: "midtones", title: "Midtones:", value: filter.midtones ??= 128, range: [0, 255]},
+			{name: "highlights", title: "Highlights:", value: filter.highlights ??= 208, range: [0, 255]},
+		];
+		this.show_dialog('curves', params, filter_id);
+	}
+
+	preview(params, type) {
+		return this.get_filter(params);
+	}
+
+	/**
+	 * curve goes through 0, given outputs of 64, 128 and 192 inputs, and 255
+	 *
+	 * @param {object} params
+	 * @returns {string} value for ctx.filter
+	 */
+	get_filter(params) {
+		var points = [0, parseInt(params.shadows), parseInt(params.midtones), parseInt(params.highlights), 255];
+		var curve = [];
+		for (var i = 0; i < 256; i++) {
+			//Catmull-Rom spline between points with 64 wide steps
+			var position = Math.min(i / 64, 3.9999);
+			var index = Math.floor(position);
+			var t = position - index;
+			var p0 = points[Math.max(index - 1, 0)];
+			var p1 = points[index];
+			var p2 = points[index + 1];
+			var p3 = points[Math.min(index + 2, 4)];
+			var value = 0.5 * (2 * p1 + (p2 - p0) * t + (2 * p0 - 5 * p1 + 4 * p2 - p3) * t * t
+				+ (3 * p1 - p0 - 3 * p2 + p3) * t * t * t);
+			curve.push(Math.min(Math.max(value, 0), 255) / 255);
+		}
+
+		var identity = curve.map(function (value, i) {
+			return i / 255;
+		});
+		var channel = params.channel || 'RGB';
+		return this.get_table_filter({
+			red: channel == 'RGB' || channel == 'Red' ? curve : identity,
+			green: channel == 'RGB' || channel == 'Green' ? curve : identity,
+			blue: channel == 'RGB' || channel == 'Blue' ? curve : identity,
+		});
+	}
+
+	demo(canvas_id, canvas_thumb){
+		var canvas = document.getElementById(canvas_id);
+		var ctx = canvas.getContext("2d");
+
+		//draw
+		ctx.filter = this.get_filter({channel: 'RGB', shadows: 32, midtones: 128, highlights: 224});
+		ctx.drawImage(canvas_thumb, 0, 0);
+		ctx.filter = 'none';
+	}
+
+	render_pre(ctx, data) {
+		var filter = this.get_filter(data.params);
+
+		if(ctx.filter == 'none')
+			ctx.filter = filter;
+		else
+			ctx.filter += ' ' + filter;
+	}
+
+	render_post(ctx, data){
+		ctx.filter = 'none';
+	}
+
+}
+
+export default Effects_curves_class;
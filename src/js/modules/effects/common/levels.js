@@ -0,0 +1,83 @@
+import Effects_common_class from '../abstract/css.js';
+import Base_layers_class from './../../../core/base-layers.js';
+import config from "../../../config";
+import alertify from './../../../../../node_modules/alertifyjs/build/alertify.min.js';
+
+class Effects_levels_class extends Effects_common_class {
+
+	constructor() {
+		super();
+		this.Base_layers = new Base_layers_class();
+	}
+
+	levels(filter_id) {
+		if (config.layer.type == null) {
+			alertify.error('Layer is empty.');
+			return;
+		}
+
+		var filter = this.Base_layers.find_filter_by_id(filter_id, 'levels');
+
+		var params = [
+			{name: "input_black", title: "Input black:", value: filter.input_black ??= 20, range: [0, 255]},
+			{name: "input_white", title: "Input white:", value: filter.input_white ??= 235, range: [0, 255]},
+			{name: "gamma", title: "Gamma:", value: filter.gamma ??= 1, range: [0.1, 5], step: 0.01},
+			{name: "output_black", title: "Output black:", value: filter.output_black ??= 0, range: [0, 255]},
+			{name: "output_white", title: "Output white:", value: filter.output_white ??= 255, range: [0, 255]},
+		];
+		this.show_dialog('levels', params, filter_id);
+	}
+
+	preview(params, type) {
+		return this.get_filter(params);
+	}
+
+	/**
+	 * input range is stretched to output range, gamma above 1 brightens midtones
+	 *
+	 * @param {object} params
+	 * @returns {string} value for ctx.filter
+	 */
+	get_filter(params) {
+		var input_black = parseFloat(params.input_black);
+		var input_white = Math.max(parseFloat(params.input_white), input_black + 1);
+		var gamma = Math.max(parseFloat(params.gamma), 0.01);
+		var output_black = parseFloat(params.output_black);
+		var output_white = parseFloat(params.output_white);
+
+		var table = [];
+		for (var i = 0; i < 256; i++) {
+			var value = Math.min(Math.max((i - input_black) / (input_white - input_black), 0), 1);
+			value = Math.pow(value, 1 / gamma);
+			table.push((output_black + value * (output_white - output_black)) / 255);
+		}
+
+		return this.get_table_filter({red: table, green: table, blue: table});
+	}
+
+	demo(canvas_id, canvas_thumb){
+		var canvas = document.getElementById(canvas_id);
+		var ctx = canvas.getContext("2d");
+
+		//draw
+		ctx.filter = this.get_filter({input_black: 40, input_white: 215, gamma: 1.2, output_black: 0, output_white: 255});
+		ctx.drawImage(canvas_thumb, 0, 0);
+		ctx.filter = 'none';
+	}
+
+	render_pre(ctx, data) {
+		var filter = this.get_filter(data.params);
+
+		if(ctx.filter == 'none')
+			ctx.filter = filter;
+		else
+			ctx.filter += ' ' + filter;
+	}
+
+	render_post(ctx, data){
+		ctx.filter = 'none';
+	}
+
+}
+
+export default Effects_levels_class;
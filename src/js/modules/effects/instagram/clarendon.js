@@ -10,6 +10,7 @@ class Effects_clarendon_class {
 		this.POP = new Dialog_class();
 		//this.Color_matrix = new Color_matrix_class();
 		this.Base_layers = new Base_layers_class();
+		this.has_dialog = false;
 	}
 
 	clarendon() {
@@ -29,7 +30,7 @@ class Effects_clarendon_class {
 
 		//save
 		return app.State.do_action(
-			new app.Actions.Update_layer_image_action(canvas)
+			new app.Actions.Update_layer_image_action(this.Base_layers.Base_selection.limit_to_selection(canvas))
 		);
 	}
 
@@ -13,6 +13,7 @@ class Effects_nightVision_class {
 		this.Base_layers = new Base_layers_class();
 		this.fx_filter = false;
 		this.ImageFilters = ImageFilters_class;
+		this.has_dialog = false;
 	}
 
 	night_vision() {
@@ -32,7 +33,7 @@ class Effects_nightVision_class {
 
 		//save
 		return app.State.do_action(
-			new app.Actions.Update_layer_image_action(canvas)
+			new app.Actions.Update_layer_image_action(this.Base_layers.Base_selection.limit_to_selection(canvas))
 		);
 	}
 
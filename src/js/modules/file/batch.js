@@ -0,0 +1,397 @@
+import app from './../../app.js';
+import config from './../../config.js';
+import Base_layers_class from './../../core/base-layers.js';
+import File_open_class from './open.js';
+import File_save_class from './save.js';
+import Dialog_class from './../../libs/popup.js';
+import Helper_class from './../../libs/helpers.js';
+import Zip_class from './../../libs/zip.js';
+import alertify from './../../../../node_modules/alertifyjs/build/alertify.min.js';
+import filesaver from './../../../../node_modules/file-saver/dist/FileSaver.min.js';
+import { executeRexxScript } from './../rexxjs/execute-rexx.js';
+
+var instance = null;
+
+/**
+ * manages files / batch - runs script on many images and saves results
+ *
+ * @author ViliusL
+ */
+class File_batch_class {
+
+	constructor() {
+		//singleton
+		if (instance) {
+			return instance;
+		}
+		instance = this;
+
+		this.POP = new Dialog_class();
+		this.Base_layers = new Base_layers_class();
+		this.File_open = new File_open_class();
+		this.File_save = new File_save_class();
+		this.Helper = new Helper_class();
+
+		this.running = false;
+
+		//output types, extension => mime type
+		this.BATCH_TYPES = {
+			PNG: 'image/png',
+			JPG: 'image/jpeg',
+			WEBP: 'image/webp',
+		};
+
+		//last used dialog values
+		this.settings = {
+			script: '',
+			pattern: '{name}-edited',
+			type: 'PNG',
+			quality: 90,
+		};
+	}
+
+	batch() {
+		var _this = this;
+
+		if (this.running == true) {
+			alertify.error('Batch is already running.');
+			return;
+		}
+
+		this.File_open.select_files(function (e) {
+			var files = [];
+			for (var i = 0; i < e.target.files.length; i++) {
+				if (e.target.files[i].type.match('image.*'))
+					files.push(e.target.files[i]);
+			}
+			if (files.length == 0) {
+				alertify.error('Wrong file type, must be image.');
+				return;
+			}
+			_this.batch_dialog(files);
+		}, 'image/*');
+	}
+
+	batch_dialog(files) {
+		var _this = this;
+
+		var outputs = ['ZIP'];
+		if (window.showDirectoryPicker) {
+			outputs.unshift('Folder');
+		}
+
+		var settings = {
+			title: 'Batch Process',
+			params: [
+				{title: "Files:", value: files.length + ' images'},
+				{name: "script", title: "Script:", type: "textarea", value: this.Helper.escapeHtml(this.settings.script),
+					placeholder: "ADDRESS MINIPAINT\n'apply-effect name=grayscale'", prevent_submission: true},
+				{name: "pattern", title: "File name:", value: this.settings.pattern, comment: "{name}, {index}"},
+				{name: "type", title: "Save as type:", values: Object.keys(this.BATCH_TYPES), value: this.settings.type},
+				{name: "quality", title: "Quality:", value: this.settings.quality, range: [1, 100]},
+				{name: "output", title: "Save to:", values: outputs},
+			],
+			on_finish: function (params) {
+				if (params.script.trim() == '') {
+					alertify.error('Script is empty.');
+					return;
+				}
+				_this.settings = {
+					script: params.script,
+					pattern: params.pattern,
+					type: params.type,
+					quality: params.quality,
+				};
+				_this.batch_handler(files, params);
+			},
+		};
+		this.POP.show(settings);
+	}
+
+	async batch_handler(files, params) {
+		//ask for folder first, browser allows it only right after user click
+		var directory = null;
+		if (params.output == 'Folder') {
+			try {
+				directory = await window.showDirectoryPicker({mode: 'readwrite'});
+			}
+			catch (error) {
+				//cancelled
+				return;
+			}
+		}
+
+		var notice = alertify.message('', 0);
+		var _this = this;
+		var results = await this.process(files, params, function (done, total, name) {
+			notice.setContent('Batch: ' + done + ' / ' + total + ' ' + _this.Helper.escapeHtml(name));
+		});
+		notice.dismiss();
+
+		if (directory !== null) {
+			await this.write_to_directory(directory, results);
+		}
+		else {
+			await this.download_zip(results);
+		}
+
+		this.show_report(results);
+	}
+
+	/**
+	 * runs script on each image and encodes result. Document is restored after each image.
+	 *
+	 * @param {array} sources File objects, URLs or data URLs
+	 * @param {object} options {script, pattern, type, quality}
+	 * @param {function} on_progress Optional, receives (done, total, name)
+	 * @returns {Promise<array>} results {name, file, success, output, error, blob}
+	 */
+	async process(sources, options, on_progress) {
+		if (this.running == true) {
+			throw new Error('Batch is already running');
+		}
+		this.running = true;
+
+		var results = [];
+		var used_names = {};
+		try {
+			for (var i = 0; i < sources.length; i++) {
+				var name = this.get_source_name(sources[i], i);
+				if (on_progress)
+					on_progress(i, sources.length, name);
+
+				var result = {name: name, file: null, success: false, output: '', error: null, blob: null};
+				var transaction = app.State.begin_transaction('batch', 'Batch');
+				try {
+					var image = await this.load_image(sources[i]);
+					await app.State.run_in_transaction(transaction, () => this.open_image(image, name));
+
+					var response = await executeRexxScript(options.script, {stopOnError: true, transaction: transaction});
+					result.output = response.output;
+					if (response.success == false) {
+						throw new Error('RC ' + response.returnCode + ': ' + (response.result || response.output));
+					}
+
+					result.blob = await this.export_blob(options.type, options.quality);
+					result.file = this.get_unique_name(
+						this.format_name(options.pattern, name, i, options.type), used_names);
+					result.success = true;
+				}
+				catch (error) {
+					result.error = error.message;
+				}
+				finally {
+					//back to document as it was before this image, with what the script left open
+					await app.State.rollback_transaction(transaction);
+				}
+				results.push(result);
+			}
+			if (on_progress)
+				on_progress(sources.length, sources.length, '');
+		}
+		finally {
+			this.running = false;
+			config.need_render = true;
+		}
+
+		return results;
+	}
+
+	get_source_name(source, index) {
+		if (typeof source != 'string') {
+			return source.name;
+		}
+		if (source.indexOf('data:') == 0) {
+			return 'image-' + (index + 1);
+		}
+		var name = source.split(/[?#]/)[0].split('/').pop();
+		return decodeURIComponent(name) || 'image-' + (index + 1);
+	}
+
+	load_image(source) {
+		return new Promise(function (resolve, reject) {
+			var img = new Image();
+			img.crossOrigin = "Anonymous";
+			img.onload = function () {
+				resolve(img);
+			};
+			img.onerror = function () {
+				reject(new Error('Image could not be loaded'));
+			};
+
+			if (typeof source == 'string') {
+				img.src = source;
+				return;
+			}
+			var FR = new FileReader();
+			FR.onload = function (event) {
+				img.src = event.target.result;
+			};
+			FR.onerror = function () {
+				reject(new Error('File could not be read'));
+			};
+			FR.readAsDataURL(source);
+		});
+	}
+
+	/**
+	 * replaces document with one image layer of image size
+	 */
+	async open_image(image, name) {
+		var new_layer = {
+			name: name,
+			type: 'image',
+			link: image,
+			width: image.width,
+			height: image.height,
+			width_original: image.width,
+			height_original: image.height,
+		};
+		var response = await app.State.do_action(
+			new app.Actions.Bundle_action('open_image', 'Open Image', [
+				new app.Actions.Prepare_canvas_action('undo'),
+				new app.Actions.Update_config_action({
+					WIDTH: image.width,
+					HEIGHT: image.height,
+				}),
+				new app.Actions.Reset_layers_action(),
+				new app.Actions.Prepare_canvas_action('do'),
+				new app.Actions.Insert_layer_action(new_layer, false),
+			])
+		);
+		if (response.status != 'completed') {
+			throw new Error('Image could not be opened');
+		}
+	}
+
+	/**
+	 * merges visible layers like Save As does and encodes them
+	 *
+	 * @param {string} type key of BATCH_TYPES
+	 * @param {int} quality 1-100, for JPG and WEBP
+	 * @returns {Promise<Blob>}
+	 */
+	export_blob(type, quality) {
+		var mime = this.BATCH_TYPES[type];
+		if (mime == undefined) {
+			return Promise.reject(new Error('Unsupported type: ' + type));
+		}
+
+		var canvas = document.createElement('canvas');
+		var ctx = canvas.getContext("2d");
+		canvas.width = config.WIDTH;
+		canvas.height = config.HEIGHT;
+		this.File_save.disable_canvas_smooth(ctx);
+		this.Base_layers.convert_layers_to_canvas(ctx, null, false);
+
+		if (type == 'JPG' || config.TRANSPARENCY == false) {
+			//add white background
+			ctx.globalCompositeOperation = 'destination-over';
+			this.File_save.fillCanvasBackground(ctx, '#ffffff');
+			ctx.globalCompositeOperation = 'source-over';
+		}
+
+		if (this.File_save.check_format_support(canvas, mime, false) == false) {
+			return Promise.reject(new Error('Your browser does not support this format.'));
+		}
+
+		return new Promise(function (resolve, reject) {
+			canvas.toBlob(function (blob) {
+				if (blob === null)
+					reject(new Error('Image could not be encoded'));
+				else
+					resolve(blob);
+			}, mime, parseInt(quality) / 100);
+		});
+	}
+
+	/**
+	 * builds output file name from pattern, {name} is source name without extension, {index} starts from 1
+	 */
+	format_name(pattern, name, index, type) {
+		var extension = type.toLowerCase();
+		var base = name.replace(/\.[^.]*$/, '');
+		var fname = (pattern || '{name}')
+			.replace(/\{name\}/g, base)
+			.replace(/\{index\}/g, index + 1)
+			.replace(/[\\\/:*?"<>|]/g, '-');
+		if (fname.toLowerCase().endsWith('.' + extension) == false)
+			fname = fname + '.' + extension;
+
+		return fname;
+	}
+
+	get_unique_name(fname, used_names) {
+		var unique = fname;
+		var number = 2;
+		while (used_names[unique.toLowerCase()] != undefined) {
+			unique = fname.replace(/(\.[^.]*)$/, '-' + number + '$1');
+			number++;
+		}
+		used_names[unique.toLowerCase()] = true;
+
+		return unique;
+	}
+
+	async write_to_directory(directory, results) {
+		for (var i in results) {
+			var result = results[i];
+			if (result.success == false)
+				continue;
+			try {
+				var handle = await directory.getFileHandle(result.file, {create: true});
+				var writable = await handle.createWritable();
+				await writable.write(result.blob);
+				await writable.close();
+			}
+			catch (error) {
+				result.success = false;
+				result.error = 'File could not be written: ' + error.message;
+			}
+		}
+	}
+
+	/**
+	 * downloads successful results as one ZIP file
+	 *
+	 * @returns {Promise<int>} number of files in archive
+	 */
+	async download_zip(results, fname) {
+		var zip = new Zip_class();
+		for (var i in results) {
+			if (results[i].success == false)
+				continue;
+			var data = new Uint8Array(await results[i].blob.arrayBuffer());
+			zip.add(results[i].file, data);
+		}
+		if (zip.files.length > 0) {
+			filesaver.saveAs(zip.generate(), fname || 'batch.zip');
+		}
+
+		return zip.files.length;
+	}
+
+	show_report(results) {
+		var failed = results.filter(function (result) {
+			return result.success == false;
+		}).length;
+
+		var params = [];
+		for (var i in results) {
+			var result = results[i];
+			params.push({
+				title: this.Helper.escapeHtml(result.name) + ':',
+				html: this.Helper.escapeHtml(result.success ? result.file : 'Error: ' + result.error),
+			});
+		}
+
+		this.POP.show({
+			title: 'Batch Process',
+			comment: (results.length - failed) + ' of ' + results.length + ' images processed.',
+			params: params,
+		});
+	}
+
+}
+
+export default File_batch_class;
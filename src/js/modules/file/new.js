@@ -107,7 +107,8 @@ class File_new_class {
 					mouse: {},
 					visible_width: null,
 					visible_height: null,
-					user_fonts: {}
+					user_fonts: {},
+					selection_channels: []
 				}),
 				new app.Actions.Prepare_canvas_action('do'),
 				new app.Actions.Refresh_action_attributes_action('do'),
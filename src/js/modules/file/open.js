@@ -83,15 +83,27 @@ class File_open_class {
 
 		alertify.success('You can also drag and drop items into browser.');
 
+		this.select_files(function (e) {
+			_this.open_handler(e);
+		});
+	}
+
+	/**
+	 * shows file picker, used by open and batch.
+	 *
+	 * @param {function} callback receives change event of file input
+	 * @param {string} accept Optional, file types filter
+	 */
+	select_files(callback, accept) {
 		document.getElementById("tmp").innerHTML = '';
 		var a = document.createElement('input');
 		a.setAttribute("id", "file_open");
 		a.type = 'file';
 		a.multiple = 'multiple';
+		if (accept != undefined)
+			a.accept = accept;
 		document.getElementById("tmp").appendChild(a);
-		document.getElementById('file_open').addEventListener('change', function (e) {
-			_this.open_handler(e);
-		}, false);
+		document.getElementById('file_open').addEventListener('change', callback, false);
 
 		//force click
 		document.querySelector('#file_open').click();
@@ -621,7 +633,8 @@ class File_open_class {
 				ZOOM: 1,
 				WIDTH: parseInt(json.info.width),
 				HEIGHT: parseInt(json.info.height),
-				user_fonts: json.user_fonts || {}
+				user_fonts: json.user_fonts || {},
+				selection_channels: json.selection_channels || []
 			}),
 			new app.Actions.Reset_layers_action(),
 			new app.Actions.Prepare_canvas_action('do'),
@@ -637,7 +650,11 @@ class File_open_class {
 			if(typeof value.order != undefined && value.order > max_id_order)
 				max_id_order = value.order;
 
-			if (value.type == 'image') {
+			if (value.parent_id == undefined) {
+				//top level, not in group of previous layer
+				value.parent_id = 0;
+			}
+			if (value.type == 'image' || value.type == 'smart_object') {
 				//add image data
 				value.link = null;
 				for (var j in json.data) {
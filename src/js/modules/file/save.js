@@ -9,6 +9,7 @@ import filesaver from './../../../../node_modules/file-saver/dist/FileSaver.min.
 import GIF from './../../../../node_modules/gif.js.optimized/';
 import CanvasToTIFF from './../../libs/canvastotiff.js';
 import Tools_settings_class from "../tools/settings";
+import MiniPaintTaskProgress from './../rexxjs/task-progress.js';
 
 var instance = null;
 
@@ -434,13 +435,41 @@ class File_save_class {
 		}
 	}
 	
+	/**
+	 * saves all layers without dialog, used by scripts
+	 *
+	 * @param {string} fname
+	 * @param {string} format png, jpg, webp, gif, bmp, tiff or json
+	 * @param {MiniPaintTaskProgress} task optional, progress and cancel of the command that saves
+	 * @returns {Promise<boolean>} false if format is not supported by browser or GIF encoding was cancelled
+	 */
+	async saveFile(fname, format, task) {
+		var type = String(format).toUpperCase();
+		if (type == 'JPEG')
+			type = 'JPG';
+		if (this.SAVE_TYPES[type] == undefined)
+			throw new Error('Unknown format: ' + format);
+
+		var response = await this.save_action({
+			name: fname,
+			type: type,
+			quality: 90,
+			delay: 400,
+			layers: 'All',
+		}, false, task);
+		return response !== false;
+	}
+
 	/**
 	 * saves data in requested way
 	 * 
 	 * @param {object} user_response parameters
 	 * @param {boolean} autoname if use name from layer, false by default
+	 * @param {MiniPaintTaskProgress} task optional, progress and cancel of the command that saves
+	 * @returns {Promise<boolean>|boolean} resolves to true once file is passed to browser, false when encoding failed
+	 *     or GIF encoding was cancelled, false if format is not supported
 	 */
-	save_action(user_response, autoname) {
+	save_action(user_response, autoname, task) {
 		var fname = user_response.name;
 		if(autoname === true && user_response.layers == 'Selected'){
 			fname = config.layer.name;
@@ -472,6 +501,10 @@ class File_save_class {
 			this.Helper.setCookie('save_default', type);
 		}
 
+		//changes made while file is encoded are not in it
+		var saved_action = app.State.action_history[app.State.action_history_index - 1] || null;
+		var saving;
+
 		if (type != 'JSON') {
 			//temp canvas
 			var canvas;
@@ -512,18 +545,14 @@ class File_save_class {
 			//link.click();
 
 			//save using lib
-			canvas.toBlob(function (blob) {
-				filesaver.saveAs(blob, fname);
-			});
+			saving = this.save_canvas(canvas, fname);
 		}
 		else if (type == 'JPG') {
 			//jpg
 			if (this.Helper.strpos(fname, '.jpg') == false)
 				fname = fname + ".jpg";
 
-			canvas.toBlob(function (blob) {
-				filesaver.saveAs(blob, fname);
-			}, "image/jpeg", quality);
+			saving = this.save_canvas(canvas, fname, "image/jpeg", quality);
 		}
 		else if (type == 'WEBP') {
 			//WEBP
@@ -535,9 +564,7 @@ class File_save_class {
 			if (this.check_format_support(canvas, data_header) == false)
 				return false;
 
-			canvas.toBlob(function (blob) {
-				filesaver.saveAs(blob, fname);
-			}, data_header, quality);
+			saving = this.save_canvas(canvas, fname, data_header, quality);
 		}
 		else if (type == 'AVIF') {
 			//AVIF
@@ -549,9 +576,7 @@ class File_save_class {
 			if (this.check_format_support(canvas, data_header) == false)
 				return false;
 
-			canvas.toBlob(function (blob) {
-				filesaver.saveAs(blob, fname);
-			}, data_header, quality);
+			saving = this.save_canvas(canvas, fname, data_header, quality);
 		}
 		else if (type == 'BMP') {
 			//bmp
@@ -563,9 +588,7 @@ class File_save_class {
 			if (this.check_format_support(canvas, data_header) == false)
 				return false;
 
-			canvas.toBlob(function (blob) {
-				filesaver.saveAs(blob, fname);
-			}, data_header);
+			saving = this.save_canvas(canvas, fname, data_header);
 		}
 		else if (type == 'TIFF') {
 			//tiff
@@ -573,9 +596,12 @@ class File_save_class {
 				fname = fname + ".tiff";
 			var data_header = "image/tiff";
 
-			CanvasToTIFF.toBlob(canvas, function(blob) {
-				filesaver.saveAs(blob, fname);
-			}, data_header);
+			saving = new Promise(function (resolve) {
+				CanvasToTIFF.toBlob(canvas, function(blob) {
+					filesaver.saveAs(blob, fname);
+					resolve(true);
+				}, data_header);
+			});
 		}
 		else if (type == 'JSON') {
 			//json - full data with layers
@@ -587,6 +613,7 @@ class File_save_class {
 			var blob = new Blob([data_json], {type: "text/plain"});
 			//var data = window.URL.createObjectURL(blob); //html5
 			filesaver.saveAs(blob, fname);
+			saving = Promise.resolve(true);
 		}
 		else if (type == 'GIF') {
 			//gif
@@ -605,7 +632,14 @@ class File_save_class {
 			}
 			var gif = new GIF(gif_settings);
 
+			//progress and cancel, when started by a script
+			if (task == null)
+				task = new MiniPaintTaskProgress();
+			var report = task.reporter();
+			var signal = task.getSignal();
+
 			//add frames
+			report(0, 'frames');
 			for (var i = 0; i < config.layers.length; i++) {
 				if (config.layers[i].visible == false)
 					continue;
@@ -618,11 +652,61 @@ class File_save_class {
 
 				gif.addFrame(ctx, {copy: true, delay: delay});
 			}
-			gif.render();
-			gif.on('finished', function (blob) {
-				filesaver.saveAs(blob, fname);
+
+			saving = new Promise(function (resolve) {
+				gif.on('progress', function (p) {
+					report(p * 100, 'encoding');
+				});
+				gif.on('finished', function (blob) {
+					filesaver.saveAs(blob, fname);
+					report(100, 'done');
+					resolve(true);
+				});
+				gif.on('abort', function () {
+					resolve(false);
+				});
+				if (signal && signal.aborted) {
+					resolve(false);
+					return;
+				}
+				if (signal) {
+					signal.addEventListener('abort', function () {
+						gif.abort();
+					});
+				}
+				gif.render();
 			});
 		}
+
+		return saving.then(function (saved) {
+			if (saved && user_response.layers != 'Selected') {
+				app.State.mark_clean(saved_action);
+			}
+			return saved;
+		});
+	}
+
+	/**
+	 * encodes canvas and passes file to browser
+	 *
+	 * @param {canvas} canvas
+	 * @param {string} fname
+	 * @param {string} data_header mime type, png by default
+	 * @param {number} quality 0-1, for lossy formats
+	 * @returns {Promise<boolean>} false if canvas could not be encoded
+	 */
+	save_canvas(canvas, fname, data_header, quality) {
+		return new Promise(function (resolve) {
+			canvas.toBlob(function (blob) {
+				if (blob == null) {
+					alertify.error('Could not save ' + fname + '.');
+					resolve(false);
+					return;
+				}
+				filesaver.saveAs(blob, fname);
+				resolve(true);
+			}, data_header, quality);
+		});
 	}
 	
 	fillCanvasBackground(ctx, color, width = config.WIDTH, height = config.HEIGHT) {
@@ -677,6 +761,9 @@ class File_save_class {
 		//fonts
 		export_data.user_fonts = config.user_fonts;
 
+		//saved selections
+		export_data.selection_channels = config.selection_channels;
+
 		//layers
 		export_data.layers = [];
 		for (var i in config.layers) {
@@ -686,6 +773,15 @@ class File_save_class {
 					//private data
 					continue;
 				}
+				if (j == 'mask' && config.layers[i].mask != null) {
+					//mask pixels, loaded back by Insert_layer_action
+					layer.mask = {
+						enabled: config.layers[i].mask.enabled,
+						inverted: config.layers[i].mask.inverted,
+						data: config.layers[i].mask.link.toDataURL("image/png"),
+					};
+					continue;
+				}
 
 				layer[j] = config.layers[i][j];
 			}
@@ -695,7 +791,7 @@ class File_save_class {
 		//image data
 		export_data.data = [];
 		for (var i in config.layers) {
-			if (config.layers[i].type != 'image')
+			if (config.layers[i].type != 'image' && config.layers[i].type != 'smart_object')
 				continue;
 
 			var canvas = document.createElement('canvas');
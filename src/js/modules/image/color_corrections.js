@@ -72,7 +72,7 @@ class Image_colorCorrections_class {
 
 		//save
 		app.State.do_action(
-			new app.Actions.Update_layer_image_action(canvas)
+			new app.Actions.Update_layer_image_action(this.Base_layers.Base_selection.limit_to_selection(canvas))
 		);
 
 		//non-destructive filters
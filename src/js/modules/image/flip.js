@@ -18,6 +18,12 @@ class Image_flip_class {
 	}
 
 	flip(mode) {
+		if (config.layer.type == 'smart_object') {
+			//keep source, flip is added to transforms
+			return app.GUI.modules['layer/smart-object'].add_transforms([
+				{type: 'flip', params: {direction: mode == 'vertical' ? 'Vertical' : 'Horizontal'}},
+			]);
+		}
 		if (config.layer.type != 'image') {
 			alertify.error('This layer must contain an image. Please convert it to raster to apply this tool.');
 			return;
@@ -45,9 +51,25 @@ class Image_flip_class {
 			ctx2.drawImage(canvas, canvas2.width * -1, 0);
 		}
 
+		//mask turns over with layer
+		var layer = config.layer;
+		var mask_actions = this.Base_layers.get_mask_transform_actions(config.WIDTH, config.HEIGHT, function (ctx) {
+			if (mode == 'vertical') {
+				ctx.translate(0, layer.y * 2 + layer.height);
+				ctx.scale(1, -1);
+			}
+			else if (mode == 'horizontal') {
+				ctx.translate(layer.x * 2 + layer.width, 0);
+				ctx.scale(-1, 1);
+			}
+		}, [layer]);
+
 		//save
 		return app.State.do_action(
-			new app.Actions.Update_layer_image_action(canvas2)
+			new app.Actions.Bundle_action('flip_layer', 'Flip Layer', [
+				new app.Actions.Update_layer_image_action(canvas2),
+				...mask_actions
+			])
 		);
 	}
 
@@ -101,11 +101,20 @@ class Image_resize_class {
 			if (skips > 0) {
 				alertify.error(skips + ' layer(s) were skipped.');
 			}
+			//masks follow document
+			var size = this.get_document_size(params);
+			actions = actions.concat(this.Base_layers.get_mask_transform_actions(size.width, size.height, function (ctx) {
+				ctx.scale(size.width / config.WIDTH, size.height / config.HEIGHT);
+			}));
 			actions = actions.concat(this.resize_gui(params));
 		}
 		else {
 			//only active
 			actions = actions.concat(await this.resize_layer(config.layer, params));
+			if (actions.length == 0) {
+				alertify.error('Layer must be vector or image (convert it to raster).');
+				throw new Error('Layer is not compatible with resize');
+			}
 		}
 		return app.State.do_action(
 			new app.Actions.Bundle_action('resize_layers', 'Resize Layers', actions)
@@ -114,6 +123,7 @@ class Image_resize_class {
 
 	/**
 	 * Generates actions that will resize layer (image, text, vector), returns a promise that rejects on failure.
+	 * Groups and adjustment layers have no pixels or size of their own, they get no actions.
 	 * 
 	 * @param {object} layer
 	 * @param {object} params
@@ -132,6 +142,10 @@ class Image_resize_class {
 		var sharpen = params.sharpen;
 		var _this = this;
 
+		if (layer.type == 'group' || layer.type == 'adjustment') {
+			return [];
+		}
+
 		//convert units
 		if (isNaN(width) == false){
 			width = this.Helper.get_internal_unit(width, units, resolution);
@@ -180,28 +194,34 @@ class Image_resize_class {
 				}
 			}
 
+			var settings = {
+				x: new_x,
+				y: new_y,
+				data,
+				width: layer.width * xratio,
+				height: layer.height * yratio
+			};
+
 			// Return actions
 			return [
-				new app.Actions.Update_layer_action(layer.id, {
-					x: new_x, 
-					y: new_y,
-					data,
-					width: layer.width * xratio,
-					height: layer.height * yratio
-				})
+				new app.Actions.Update_layer_action(layer.id, settings),
+				...this.resize_layer_mask(layer, settings, params)
 			];
 		}
 		
-		//is vector
-		else if (layer.is_vector == true && layer.width != null && layer.height != null) {
+		//is vector, smart objects are drawn from their source in any size too
+		else if ((layer.is_vector == true || layer.type == 'smart_object') && layer.width != null && layer.height != null) {
+			var settings = {
+				x: new_x,
+				y: new_y,
+				width: layer.width * xratio,
+				height: layer.height * yratio
+			};
+
 			// Return actions
 			return [
-				new app.Actions.Update_layer_action(layer.id, {
-					x: new_x, 
-					y: new_y,
-					width: layer.width * xratio,
-					height: layer.height * yratio
-				})
+				new app.Actions.Update_layer_action(layer.id, settings),
+				...this.resize_layer_mask(layer, settings, params)
 			];
 		}
 		
@@ -264,21 +284,60 @@ class Image_resize_class {
 			ctx.putImageData(filtered, 0, 0);
 		}
 
+		var settings = {
+			x: new_x,
+			y: new_y,
+			width: canvas.width,
+			height: canvas.height,
+			width_original: canvas.width,
+			height_original: canvas.height
+		};
+
 		// Return actions
 		return [
 			new app.Actions.Update_layer_image_action(canvas, layer.id),
-			new app.Actions.Update_layer_action(layer.id, {
-				x: new_x, 
-				y: new_y,
-				width: canvas.width,
-				height: canvas.height,
-				width_original: canvas.width,
-				height_original: canvas.height
-			})
+			new app.Actions.Update_layer_action(layer.id, settings),
+			...this.resize_layer_mask(layer, settings, params)
 		];
 	}
-	
+
+	/**
+	 * mask of layer follows its pixels. When all layers are resized, masks follow document instead.
+	 *
+	 * @param {object} layer
+	 * @param {object} settings new x, y, width and height of layer
+	 * @param {object} params
+	 * @returns {array} actions
+	 */
+	resize_layer_mask(layer, settings, params) {
+		if (params.layers == 'All') {
+			return [];
+		}
+		return this.Base_layers.get_mask_transform_actions(config.WIDTH, config.HEIGHT, function (ctx) {
+			ctx.translate(settings.x, settings.y);
+			ctx.scale(settings.width / layer.width, settings.height / layer.height);
+			ctx.translate(-layer.x, -layer.y);
+		}, [layer]);
+	}
+
 	resize_gui(params) {
+		var size = this.get_document_size(params);
+
+		return [
+			new app.Actions.Prepare_canvas_action('undo'),
+			new app.Actions.Update_config_action({
+				WIDTH: size.width,
+				HEIGHT: size.height
+			}),
+			new app.Actions.Prepare_canvas_action('do')
+		];
+	}
+
+	/**
+	 * @param {object} params
+	 * @returns {object} keys: width, height - new document size
+	 */
+	get_document_size(params) {
 		var units = this.Tools_settings.get_setting('default_units');
 		var resolution = this.Tools_settings.get_setting('resolution');
 
@@ -314,14 +373,10 @@ class Image_resize_class {
 				height = Math.round(width / ratio);
 		}
 
-		return [
-			new app.Actions.Prepare_canvas_action('undo'),
-			new app.Actions.Update_config_action({
-				WIDTH: parseInt(width),
-				HEIGHT: parseInt(height)
-			}),
-			new app.Actions.Prepare_canvas_action('do')
-		];
+		return {
+			width: parseInt(width),
+			height: parseInt(height),
+		};
 	}
 
 }
@@ -131,11 +131,12 @@ class Image_rotate_class {
 	}
 
 	/**
-	 * Makes sure image fits all after rotation
+	 * Makes sure image fits all after rotation, mask of layer turns with it
 	 * @returns {array} actions to perform
 	 */
 	check_sizes(new_rotate) {
 		let actions = [];
+		var layer = config.layer;
 		var w = config.layer.width;
 		var h = config.layer.height;
 
@@ -147,11 +148,11 @@ class Image_rotate_class {
 		new_x = Math.ceil(Math.round(new_x * 1000) / 1000);
 		new_y = Math.ceil(Math.round(new_y * 1000) / 1000);
 
+		var dx = 0;
+		var dy = 0;
+		let new_width = config.WIDTH;
+		let new_height = config.HEIGHT;
 		if (new_x > config.WIDTH || new_y > config.HEIGHT) {
-			var dx = 0;
-			var dy = 0;
-			let new_width = config.WIDTH;
-			let new_height = config.HEIGHT;
 			if (new_x > config.WIDTH) {
 				dx = Math.ceil(new_x - new_width) / 2;
 				new_width = new_x;
@@ -173,6 +174,21 @@ class Image_rotate_class {
 				new app.Actions.Prepare_canvas_action('do')
 			);
 		}
+
+		//mask of layer turns with it, other masks only grow with canvas
+		var angle = (new_rotate - (layer.rotate || 0)) * Math.PI / 180;
+		var center_x = layer.x + w / 2;
+		var center_y = layer.y + h / 2;
+		var resized = new_width != config.WIDTH || new_height != config.HEIGHT;
+		if (angle != 0 || resized) {
+			actions = actions.concat(this.Base_layers.get_mask_transform_actions(new_width, new_height, function (ctx, link) {
+				if (link !== layer)
+					return;
+				ctx.translate(center_x + dx, center_y + dy);
+				ctx.rotate(angle);
+				ctx.translate(-center_x, -center_y);
+			}, resized ? config.layers : [layer]));
+		}
 		return actions;
 	}
 }
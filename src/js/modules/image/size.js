@@ -1,6 +1,7 @@
 import app from './../../app.js';
 import config from './../../config.js';
 import Base_gui_class from './../../core/base-gui.js';
+import Base_layers_class from './../../core/base-layers.js';
 import Dialog_class from './../../libs/popup.js';
 import alertify from './../../../../node_modules/alertifyjs/build/alertify.min.js';
 import Tools_settings_class from './../tools/settings.js';
@@ -10,6 +11,7 @@ class Image_size_class {
 
 	constructor() {
 		this.Base_gui = new Base_gui_class();
+		this.Base_layers = new Base_layers_class();
 		this.POP = new Dialog_class();
 		this.Tools_settings = new Tools_settings_class();
 		this.Helper = new Helper_class();
@@ -128,6 +130,13 @@ class Image_size_class {
 			}
 		}
 
+		//masks stay in place, or scale together with layers
+		var mask_scale_x = data.in_proportion == true ? parseInt(width) / config.WIDTH : 1;
+		var mask_scale_y = data.in_proportion == true ? parseInt(height) / config.HEIGHT : 1;
+		actions = actions.concat(this.Base_layers.get_mask_transform_actions(parseInt(width), parseInt(height), function (ctx) {
+			ctx.scale(mask_scale_x, mask_scale_y);
+		}));
+
 		actions.push(new app.Actions.Prepare_canvas_action('do'));
 
 		//execute
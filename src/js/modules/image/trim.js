@@ -147,6 +147,10 @@ class Image_trim_class {
 		//collect info
 		for (let i = 0; i < config.layers.length; i++) {
 			let layer = config.layers[i];
+			if (layer.type == 'group' || layer.type == 'adjustment') {
+				//no pixels of their own, would keep the whole canvas
+				continue;
+			}
 			
 			if (layer.width == null || layer.height == null || layer.x == null || layer.y == null) {
 				//layer without dimensions
@@ -168,7 +172,7 @@ class Image_trim_class {
 		//move every layer
 		for (let i = 0; i < config.layers.length; i++) {
 			let layer = config.layers[i];
-			if (layer.x == null || layer.y == null || layer.type == null)
+			if (layer.x == null || layer.y == null || layer.type == null || layer.type == 'group' || layer.type == 'adjustment')
 				continue;
 			
 			actions.push(
@@ -179,12 +183,19 @@ class Image_trim_class {
 			);
 		}
 
+		//masks are cut like layers
+		var width = Math.max(1, config.WIDTH - all_left - all_right);
+		var height = Math.max(1, config.HEIGHT - all_top - all_bottom);
+		actions = actions.concat(this.Base_layers.get_mask_transform_actions(width, height, function (ctx) {
+			ctx.translate(-all_left, -all_top);
+		}));
+
 		//resize
 		actions.push(
 			new app.Actions.Prepare_canvas_action('undo'),
 			new app.Actions.Update_config_action({
-				WIDTH: Math.max(1, config.WIDTH - all_left - all_right),
-				HEIGHT: Math.max(1, config.HEIGHT - all_top - all_bottom)
+				WIDTH: width,
+				HEIGHT: height
 			}),
 			new app.Actions.Prepare_canvas_action('do')
 		);
@@ -0,0 +1,133 @@
+import app from './../../app.js';
+import config from './../../config.js';
+import Base_layers_class from './../../core/base-layers.js';
+import alertify from './../../../../node_modules/alertifyjs/build/alertify.min.js';
+
+/**
+ * filters adjustment layers are made of, with neutral params shown in layer details
+ */
+export const ADJUSTMENTS = {
+	'brightness': {
+		title: 'Brightness',
+		params: {value: {value: 0, min: -100, max: 100}},
+	},
+	'contrast': {
+		title: 'Contrast',
+		params: {value: {value: 0, min: -100, max: 100}},
+	},
+	'hue-rotate': {
+		title: 'Hue Rotate',
+		params: {value: {value: 0, min: 0, max: 360}},
+	},
+	'saturate': {
+		title: 'Saturate',
+		params: {value: {value: 0, min: -100, max: 100}},
+	},
+	'curves': {
+		title: 'Curves',
+		params: {
+			channel: {value: 'RGB', values: ['RGB', 'Red', 'Green', 'Blue']},
+			shadows: {value: 64, min: 0, max: 255},
+			midtones: {value: 128, min: 0, max: 255},
+			highlights: {value: 192, min: 0, max: 255},
+		},
+	},
+	'levels': {
+		title: 'Levels',
+		params: {
+			input_black: {value: 0, min: 0, max: 255},
+			input_white: {value: 255, min: 0, max: 255},
+			gamma: {value: 1, min: 0.1, max: 5, step: 0.01},
+			output_black: {value: 0, min: 0, max: 255},
+			output_white: {value: 255, min: 0, max: 255},
+		},
+	},
+};
+
+class Layer_adjustment_class {
+
+	constructor() {
+		this.Base_layers = new Base_layers_class();
+	}
+
+	brightness() {
+		this.add('brightness');
+	}
+
+	contrast() {
+		this.add('contrast');
+	}
+
+	hue_rotate() {
+		this.add('hue-rotate');
+	}
+
+	saturate() {
+		this.add('saturate');
+	}
+
+	curves() {
+		this.add('curves');
+	}
+
+	levels() {
+		this.add('levels');
+	}
+
+	/**
+	 * new adjustment layer above active layer, then opens filter dialog to set it up
+	 *
+	 * @param {string} name filter name, key of ADJUSTMENTS
+	 */
+	async add(name) {
+		var filter = {
+			id: Math.floor(Math.random() * 999999999) + 1,
+			name: name,
+			params: this.get_default_params(name),
+		};
+
+		await app.State.do_action(
+			new app.Actions.Insert_layer_action({
+				type: 'adjustment',
+				name: ADJUSTMENTS[name].title + ' #' + this.Base_layers.auto_increment,
+				color: null,
+				filters: [filter],
+			})
+		);
+		this.edit(filter.id);
+	}
+
+	/**
+	 * opens dialog of filter on active adjustment layer
+	 *
+	 * @param {int} filter_id
+	 */
+	edit(filter_id) {
+		var filter = config.layer.filters.find((item) => item.id == filter_id);
+		if (filter == null) {
+			alertify.error('Filter not found.');
+			return;
+		}
+		var module = app.GUI.modules['effects/common/' + filter.name];
+		if (module == null) {
+			alertify.error('Filter ' + filter.name + ' can not be edited.');
+			return;
+		}
+		module[filter.name.replace(/-/g, '_')](filter.id);
+	}
+
+	/**
+	 * @param {string} name filter name, key of ADJUSTMENTS
+	 * @returns {object}
+	 */
+	get_default_params(name) {
+		var params = {};
+		for (var key in ADJUSTMENTS[name].params) {
+			params[key] = ADJUSTMENTS[name].params[key].value;
+		}
+		return params;
+	}
+
+}
+
+export default Layer_adjustment_class;
@@ -35,10 +35,66 @@ class Layer_duplicate_class {
 	}
 
 	duplicate() {
-		var params = JSON.parse(JSON.stringify(config.layer));
+		if (config.layer.type == 'group') {
+			return this.duplicate_group(config.layer);
+		}
+
+		var params = this.get_copy(config.layer);
 		delete params.id;
 		delete params.order;
 
+		return app.State.do_action(
+			new app.Actions.Bundle_action('duplicate_layer', 'Duplicate Layer', [
+				new app.Actions.Insert_layer_action(params)
+			])
+		);
+	}
+
+	/**
+	 * copies group with all layers inside, copy is placed above the group
+	 *
+	 * @param {object} group
+	 */
+	duplicate_group(group) {
+		var layers = [group].concat(this.Base_layers.get_descendants(group.id).reverse());
+
+		//new ids, children from bottom to top, so order stays same
+		var ids = {};
+		var id = this.Base_layers.auto_increment;
+		for (var layer of layers) {
+			ids[layer.id] = id++;
+		}
+
+		var actions = [];
+		for (var layer of layers) {
+			var params = this.get_copy(layer);
+			params.id = ids[layer.id];
+			params.order = ids[layer.id];
+			if (layer !== group) {
+				//children keep name and place
+				params.name = layer.name;
+				params.x = layer.x;
+				params.y = layer.y;
+				params.parent_id = ids[layer.parent_id];
+			}
+			actions.push(new app.Actions.Insert_layer_action(params, false));
+		}
+		actions.push(new app.Actions.Select_layer_action(ids[group.id]));
+
+		return app.State.do_action(
+			new app.Actions.Bundle_action('duplicate_layer', 'Duplicate Layer', actions)
+		);
+	}
+
+	/**
+	 * layer settings for inserting its copy, with new name and moved a bit
+	 *
+	 * @param {object} layer
+	 * @returns {object}
+	 */
+	get_copy(layer) {
+		var params = JSON.parse(JSON.stringify(layer));
+
 		//generate name
 		var name_number = params.name.match(/^(.*) #([0-9]+)$/);
 		if(name_number == null){
@@ -50,7 +106,7 @@ class Layer_duplicate_class {
 			params.name = name_number[1] + " #" + (parseInt(name_number[2]) + 1)
 		}
 
-		if(params.x != 0 || params.y != 0 || params.width != config.WIDTH || params.height != config.HEIGHT){
+		if(params.type != 'group' && (params.x != 0 || params.y != 0 || params.width != config.WIDTH || params.height != config.HEIGHT)){
 			params.x += 10;
 			params.y += 10;
 		}
@@ -61,16 +117,14 @@ class Layer_duplicate_class {
 				delete params[i];
 		}
 
-		if (params.type == 'image') {
+		if (params.type == 'image' || params.type == 'smart_object') {
 			//image
-			params.link = config.layer.link.cloneNode(true);
+			params.link = layer.link.cloneNode(true);
 		}
-
-		app.State.do_action(
-			new app.Actions.Bundle_action('duplicate_layer', 'Duplicate Layer', [
-				new app.Actions.Insert_layer_action(params)
-			])
-		);
+		if (layer.mask != null) {
+			params.mask = this.Base_layers.copy_mask(layer.mask);
+		}
+		return params;
 	}
 
 }
@@ -15,23 +15,15 @@ class Layer_flatten_class {
 		canvas.width = config.WIDTH;
 		canvas.height = config.HEIGHT;
 		var ctx = canvas.getContext("2d");
-		
-		var layers_sorted = this.Base_layers.get_sorted_layers();
 
-		//paint layers
-		for (var i = layers_sorted.length - 1; i >= 0; i--) {
-			var layer = layers_sorted[i];
-			
-			ctx.globalAlpha = layer.opacity / 100;
-			ctx.globalCompositeOperation = layer.composition;
-
-			this.Base_layers.render_object(ctx, layer);
-		}
+		//paint layers, groups and adjustments included
+		this.Base_layers.convert_layers_to_canvas(ctx, null, false);
 
 		//create requested layer
 		var params = [];
 		params.type = 'image';
 		params.name = 'Merged';
+		params.parent_id = 0;
 		params.data = canvas.toDataURL("image/png");
 
 		//remove rest of layers
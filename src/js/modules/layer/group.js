@@ -0,0 +1,91 @@
+import app from './../../app.js';
+import config from './../../config.js';
+import Base_layers_class from './../../core/base-layers.js';
+import alertify from './../../../../node_modules/alertifyjs/build/alertify.min.js';
+
+class Layer_group_class {
+
+	constructor() {
+		this.Base_layers = new Base_layers_class();
+	}
+
+	/**
+	 * new empty group above active layer
+	 */
+	new_group() {
+		app.State.do_action(
+			new app.Actions.Insert_layer_action({
+				type: 'group',
+				name: 'Group #' + this.Base_layers.auto_increment,
+				params: {collapsed: false},
+			})
+		);
+	}
+
+	/**
+	 * puts active layer into new group
+	 */
+	group() {
+		var layer = config.layer;
+		var id = this.Base_layers.auto_increment;
+
+		app.State.do_action(
+			new app.Actions.Bundle_action('group_layer', 'Group Layer', [
+				new app.Actions.Insert_layer_action({
+					id: id,
+					type: 'group',
+					name: 'Group #' + id,
+					parent_id: layer.parent_id,
+					order: layer.order,
+					params: {collapsed: false},
+				}),
+				new app.Actions.Set_layer_parent_action(layer.id, id, id)
+			])
+		);
+	}
+
+	/**
+	 * moves layers of active group to its parent and removes the group
+	 */
+	ungroup() {
+		var group = config.layer;
+		if (group.type != 'group') {
+			alertify.error('Active layer is not a group.');
+			return;
+		}
+		var parent = this.Base_layers.get_parent(group);
+		var siblings = this.Base_layers.get_sorted_layers().filter((layer) => {
+			return this.Base_layers.get_parent(layer) === parent || this.Base_layers.get_parent(layer) === group;
+		});
+
+		//children take place of group, from top to bottom
+		var list = siblings.filter((layer) => layer !== group);
+		var orders = list.map((layer) => layer.order).sort((a, b) => b - a);
+		var actions = [];
+		for (var i in list) {
+			actions.push(new app.Actions.Set_layer_parent_action(list[i].id, parent ? parent.id : 0, orders[i]));
+		}
+		actions.push(new app.Actions.Delete_layer_action(group.id));
+
+		app.State.do_action(
+			new app.Actions.Bundle_action('ungroup_layers', 'Ungroup Layers', actions)
+		);
+	}
+
+	/**
+	 * expands or collapses group in layers panel, not saved in history
+	 *
+	 * @param {int} id
+	 */
+	toggle_collapse(id) {
+		var group = this.Base_layers.get_layer(id);
+		if (group == null || group.type != 'group') {
+			return;
+		}
+		group.params.collapsed = !group.params.collapsed;
+		this.Base_layers.refresh_gui();
+	}
+
+}
+
+export default Layer_group_class;
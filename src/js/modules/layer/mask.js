@@ -0,0 +1,162 @@
+import app from './../../app.js';
+import config from './../../config.js';
+import Base_layers_class from './../../core/base-layers.js';
+import alertify from './../../../../node_modules/alertifyjs/build/alertify.min.js';
+
+class Layer_mask_class {
+
+	constructor() {
+		this.Base_layers = new Base_layers_class();
+	}
+
+	/**
+	 * adds mask showing whole layer and starts editing it
+	 */
+	add() {
+		if (config.layer.type == 'group') {
+			alertify.error('Masks can not be added to groups.');
+			return;
+		}
+		if (config.layer.mask != null) {
+			alertify.error('Layer already has a mask.');
+			return;
+		}
+		config.layer._mask_editing = true;
+		app.State.do_action(
+			new app.Actions.Bundle_action('add_layer_mask', 'Add Layer Mask', [
+				new app.Actions.Update_layer_mask_action(config.layer.id, {
+					enabled: true,
+					inverted: false,
+					link: this.Base_layers.create_mask_canvas(),
+				})
+			])
+		);
+	}
+
+	/**
+	 * switches painting tools between layer and its mask
+	 *
+	 * @param {int} id Optional, active layer by default
+	 */
+	edit(id) {
+		var layer = this.get_layer_with_mask(id);
+		if (layer == null) {
+			return;
+		}
+		if (layer != config.layer) {
+			//select layer with mask editing turned on
+			layer._mask_editing = true;
+			app.State.do_action(
+				new app.Actions.Select_layer_action(layer.id)
+			);
+			return;
+		}
+		layer._mask_editing = layer._mask_editing !== true;
+		this.Base_layers.refresh_gui();
+	}
+
+	/**
+	 * enables or disables mask
+	 *
+	 * @param {int} id Optional, active layer by default
+	 */
+	toggle(id) {
+		var layer = this.get_layer_with_mask(id);
+		if (layer == null) {
+			return;
+		}
+		this.update(layer, 'toggle_layer_mask', 'Toggle Layer Mask', {enabled: layer.mask.enabled === false});
+	}
+
+	/**
+	 * swaps shown and hidden parts of layer
+	 *
+	 * @param {int} id Optional, active layer by default
+	 */
+	invert(id) {
+		var layer = this.get_layer_with_mask(id);
+		if (layer == null) {
+			return;
+		}
+		this.update(layer, 'invert_layer_mask', 'Invert Layer Mask', {inverted: layer.mask.inverted !== true});
+	}
+
+	/**
+	 * removes mask, hidden parts are shown again
+	 *
+	 * @param {int} id Optional, active layer by default
+	 */
+	delete(id) {
+		var layer = this.get_layer_with_mask(id);
+		if (layer == null) {
+			return;
+		}
+		layer._mask_editing = false;
+		app.State.do_action(
+			new app.Actions.Bundle_action('delete_layer_mask', 'Delete Layer Mask', [
+				new app.Actions.Update_layer_mask_action(layer.id, null)
+			])
+		);
+	}
+
+	/**
+	 * replaces layer with raster image, where hidden parts are removed
+	 *
+	 * @param {int} id Optional, active layer by default
+	 */
+	apply(id) {
+		var layer = this.get_layer_with_mask(id);
+		if (layer == null) {
+			return;
+		}
+		var canvas = this.Base_layers.convert_layer_to_canvas(layer.id);
+
+		var params = {
+			type: 'image',
+			name: layer.name,
+			data: canvas.toDataURL("image/png"),
+			x: parseInt(canvas.dataset.x),
+			y: parseInt(canvas.dataset.y),
+			width: canvas.width,
+			height: canvas.height,
+			opacity: layer.opacity,
+			composition: layer.composition,
+			visible: layer.visible,
+			parent_id: layer.parent_id,
+			order: layer.order,
+		};
+		app.State.do_action(
+			new app.Actions.Bundle_action('apply_layer_mask', 'Apply Layer Mask', [
+				new app.Actions.Insert_layer_action(params, false),
+				new app.Actions.Delete_layer_action(layer.id)
+			])
+		);
+	}
+
+	get_layer_with_mask(id) {
+		var layer = id == undefined ? config.layer : this.Base_layers.get_layer(id);
+		if (layer == null) {
+			return null;
+		}
+		if (layer.mask == null) {
+			alertify.error('Layer does not have a mask.');
+			return null;
+		}
+		return layer;
+	}
+
+	update(layer, action_name, action_title, settings) {
+		app.State.do_action(
+			new app.Actions.Bundle_action(action_name, action_title, [
+				new app.Actions.Update_layer_mask_action(layer.id, Object.assign({
+					enabled: layer.mask.enabled,
+					inverted: layer.mask.inverted,
+					link: layer.mask.link,
+				}, settings))
+			])
+		);
+	}
+
+}
+
+export default Layer_mask_class;
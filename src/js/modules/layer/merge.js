@@ -15,6 +15,17 @@ class Layer_merge_class {
 			return false;
 		}
 
+		var previous = this.Base_layers.find_previous(config.layer.id);
+		if (config.layer.type == 'group' || previous.type == 'group'
+			|| this.Base_layers.get_parent(previous) !== this.Base_layers.get_parent(config.layer)) {
+			alertify.error('Only layers in the same group can be merged.');
+			return false;
+		}
+		if (previous.type == 'adjustment') {
+			alertify.error('Adjustment layers can not be merged into, merge them down instead.');
+			return false;
+		}
+
 		//create tmp canvas
 		var canvas = document.createElement('canvas');
 		canvas.width = config.WIDTH;
@@ -33,7 +44,10 @@ class Layer_merge_class {
 		var current_order = config.layer.order;
 		ctx.globalAlpha = config.layer.opacity / 100;
 		ctx.globalCompositeOperation = config.layer.composition;
-		this.Base_layers.render_object(ctx, config.layer);
+		if (config.layer.type == 'adjustment')
+			this.Base_layers.render_adjustment(ctx, config.layer);
+		else
+			this.Base_layers.render_object(ctx, config.layer);
 
 		//create requested layer
 		var params = [];
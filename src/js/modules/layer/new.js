@@ -38,15 +38,16 @@ class Layer_new_class {
 		);
 	}
 
-	new_selection() {
-		var selection = this.Base_selection.get_selection();
+	/**
+	 * copies selected pixels of active layer to new layer, outside of ellipse or lasso shape stays transparent
+	 *
+	 * @param {boolean} cut also erase selected pixels from active layer
+	 */
+	new_selection(cut = false) {
+		var selection = this.Base_selection.get_active_selection();
 		var layer = config.layer;
 
-		if (selection.width === null || config.layer.type != 'image') {
-			alertify.error('Empty selection or type not image.');
-			return;
-		}
-		if (config.TOOL.name != 'selection') {
+		if (selection === null || config.layer.type != 'image') {
 			alertify.error('Empty selection or type not image.');
 			return;
 		}
@@ -54,37 +55,29 @@ class Layer_new_class {
 		//if image was stretched
 		var width_ratio = (layer.width / layer.width_original);
 		var height_ratio = (layer.height / layer.height_original);
-		
-		var left = selection.x - layer.x;
-		var top = selection.y - layer.y;
-		
-		//adapt to origin size
-		selection.width = selection.width / width_ratio;
-		selection.height = selection.height / height_ratio;
-		
-		//create new layer
-		var canvas = document.createElement('canvas');
-		var ctx = canvas.getContext("2d");
-		canvas.width = Math.round(selection.width);
-		canvas.height = Math.round(selection.height);
-		
-		ctx.translate(-left / width_ratio, -top / height_ratio);
-		ctx.drawImage(config.layer.link, 0, 0);
-		ctx.translate(0, 0);
+
+		var canvas = this.Selection.get_selected_canvas();
 
 		//register it
 		var params = {
 			x: Math.round(selection.x),
 			y: Math.round(selection.y),
-			width: Math.round(selection.width * width_ratio),
-			height: Math.round(selection.height * height_ratio),
-			width_original: Math.round(selection.width),
-			height_original: Math.round(selection.height),
+			width: Math.round(canvas.width * width_ratio),
+			height: Math.round(canvas.height * height_ratio),
+			width_original: canvas.width,
+			height_original: canvas.height,
 			type: 'image',
 			data: canvas.toDataURL("image/png"),
 		};
+		var actions = [];
+		if (cut == true) {
+			actions.push(
+				new app.Actions.Update_layer_image_action(this.Selection.get_erased_canvas(), layer.id)
+			);
+		}
 		app.State.do_action(
-			new app.Actions.Bundle_action('new_layer', 'New Layer', [
+			new app.Actions.Bundle_action('new_layer', cut == true ? 'Cut Selection' : 'New Layer', [
+				...actions,
 				new app.Actions.Insert_layer_action(params, false),
 				...this.Selection.on_leave(),
 				new app.Actions.Activate_tool_action('select')
@@ -92,6 +85,13 @@ class Layer_new_class {
 		);
 	}
 
+	/**
+	 * moves selected pixels of active layer to new layer
+	 */
+	cut_selection() {
+		this.new_selection(true);
+	}
+
 }
 
 export default Layer_new_class;
\ No newline at end of file
@@ -10,6 +10,10 @@ class Layer_raster_class {
 	}
 
 	raster() {
+		if (config.layer.type == 'adjustment') {
+			alertify.error('Adjustment layers have no pixels of their own, merge them down instead.');
+			return;
+		}
 		var canvas = this.Base_layers.convert_layer_to_canvas();
 		var current_layer = config.layer;
 		var current_id = current_layer.id;
@@ -24,11 +28,12 @@ class Layer_raster_class {
 			width: canvas.width,
 			height: canvas.height,
 			opacity: current_layer.opacity,
+			parent_id: current_layer.parent_id,
 		};
 		app.State.do_action(
 			new app.Actions.Bundle_action('convert_to_raster', 'Convert to Raster', [
 				new app.Actions.Insert_layer_action(params, false),
-				new app.Actions.Delete_layer_action(current_id)
+				this.Base_layers.get_delete_action(current_id)
 			])
 		);
 	}
@@ -0,0 +1,277 @@
+import app from './../../app.js';
+import config from './../../config.js';
+import Base_layers_class from './../../core/base-layers.js';
+import Dialog_class from './../../libs/popup.js';
+import alertify from './../../../../node_modules/alertifyjs/build/alertify.min.js';
+
+/**
+ * transforms smart objects can have, with neutral params shown in layer details
+ */
+export const TRANSFORMS = {
+	'scale': {
+		title: 'Scale',
+		params: {x: {value: 100, min: 1, max: 1000}, y: {value: 100, min: 1, max: 1000}},
+	},
+	'rotate': {
+		title: 'Rotate',
+		params: {angle: {value: 0, min: -360, max: 360}},
+	},
+	'flip': {
+		title: 'Flip',
+		params: {direction: {value: 'Horizontal', values: ['Horizontal', 'Vertical', 'Both']}},
+	},
+	'skew': {
+		title: 'Skew',
+		params: {x: {value: 0, min: -80, max: 80}, y: {value: 0, min: -80, max: 80}},
+	},
+};
+
+/**
+ * Smart objects keep source bitmap in link and list of transforms in params.transforms,
+ * every render starts from the source, see Base_layers.render_smart_object()
+ */
+class Layer_smart_object_class {
+
+	constructor() {
+		this.Base_layers = new Base_layers_class();
+		this.POP = new Dialog_class();
+	}
+
+	/**
+	 * converts active layer to smart object, images keep their source, other layers are rendered first
+	 */
+	convert() {
+		var layer = config.layer;
+		if (layer.type == 'smart_object') {
+			alertify.error('Layer is already a smart object.');
+			return;
+		}
+		if (layer.type == null || layer.type == 'group' || layer.type == 'adjustment') {
+			alertify.error('This layer can not be converted to smart object.');
+			return;
+		}
+
+		if (layer.type == 'image') {
+			return app.State.do_action(
+				new app.Actions.Bundle_action('convert_to_smart_object', 'Convert to Smart Object', [
+					new app.Actions.Update_layer_action(layer.id, {
+						type: 'smart_object',
+						params: {transforms: []},
+					})
+				])
+			);
+		}
+
+		var canvas = this.Base_layers.convert_layer_to_canvas();
+		var params = {
+			type: 'smart_object',
+			name: layer.name,
+			data: canvas.toDataURL("image/png"),
+			x: parseInt(canvas.dataset.x),
+			y: parseInt(canvas.dataset.y),
+			width: canvas.width,
+			height: canvas.height,
+			opacity: layer.opacity,
+			composition: layer.composition,
+			parent_id: layer.parent_id,
+			order: layer.order,
+			params: {transforms: []},
+		};
+		return app.State.do_action(
+			new app.Actions.Bundle_action('convert_to_smart_object', 'Convert to Smart Object', [
+				new app.Actions.Insert_layer_action(params, false),
+				this.Base_layers.get_delete_action(layer.id)
+			])
+		);
+	}
+
+	/**
+	 * asks for transforms and adds them to active smart object
+	 */
+	transform() {
+		var _this = this;
+		if (config.layer.type != 'smart_object') {
+			alertify.error('Layer must be a smart object.');
+			return;
+		}
+
+		var settings = {
+			title: 'Transform Smart Object',
+			params: [
+				{name: "scale_x", title: "Scale X (%):", value: 100, range: [1, 1000]},
+				{name: "scale_y", title: "Scale Y (%):", value: 100, range: [1, 1000]},
+				{name: "angle", title: "Rotate:", value: 0, range: [-360, 360]},
+				{name: "flip", title: "Flip:", value: 'None', values: ['None', 'Horizontal', 'Vertical', 'Both']},
+				{name: "skew_x", title: "Skew X:", value: 0, range: [-80, 80]},
+				{name: "skew_y", title: "Skew Y:", value: 0, range: [-80, 80]},
+			],
+			on_finish: function (params) {
+				var transforms = [];
+				if (params.scale_x != 100 || params.scale_y != 100) {
+					transforms.push({type: 'scale', params: {x: params.scale_x, y: params.scale_y}});
+				}
+				if (params.angle != 0) {
+					transforms.push({type: 'rotate', params: {angle: params.angle}});
+				}
+				if (params.flip != 'None') {
+					transforms.push({type: 'flip', params: {direction: params.flip}});
+				}
+				if (params.skew_x != 0 || params.skew_y != 0) {
+					transforms.push({type: 'skew', params: {x: params.skew_x, y: params.skew_y}});
+				}
+				if (transforms.length > 0) {
+					return _this.add_transforms(transforms);
+				}
+			},
+		};
+		this.POP.show(settings);
+	}
+
+	/**
+	 * adds transforms to the end of transforms list of active smart object
+	 *
+	 * @param {array} transforms list of {type, params}
+	 */
+	add_transforms(transforms) {
+		var layer = config.layer;
+		var params = JSON.parse(JSON.stringify(layer.params));
+		params.transforms = (params.transforms || []).concat(transforms);
+		return app.State.do_action(
+			new app.Actions.Bundle_action('transform_smart_object', 'Transform Smart Object', [
+				new app.Actions.Update_layer_action(layer.id, {
+					params: params
+				})
+			])
+		);
+	}
+
+	/**
+	 * removes all transforms of active smart object
+	 */
+	reset() {
+		var layer = config.layer;
+		if (layer.type != 'smart_object') {
+			alertify.error('Layer must be a smart object.');
+			return;
+		}
+		var params = JSON.parse(JSON.stringify(layer.params));
+		params.transforms = [];
+		return app.State.do_action(
+			new app.Actions.Bundle_action('reset_smart_object', 'Reset Smart Object', [
+				new app.Actions.Update_layer_action(layer.id, {
+					params: params
+				})
+			])
+		);
+	}
+
+	/**
+	 * puts source of active smart object into new image layer in original size and hides smart object,
+	 * save_contents() writes it back
+	 */
+	edit_contents() {
+		var layer = config.layer;
+		if (layer.type != 'smart_object') {
+			alertify.error('Layer must be a smart object.');
+			return;
+		}
+		var contents = this.get_contents_layer(layer.id);
+		if (contents != null) {
+			//already editing
+			return app.State.do_action(
+				new app.Actions.Select_layer_action(contents.id)
+			);
+		}
+
+		var canvas = document.createElement('canvas');
+		canvas.width = layer.width_original;
+		canvas.height = layer.height_original;
+		canvas.getContext("2d").drawImage(layer.link, 0, 0);
+
+		return app.State.do_action(
+			new app.Actions.Bundle_action('edit_smart_object', 'Edit Smart Object Contents', [
+				new app.Actions.Update_layer_action(layer.id, {
+					visible: false
+				}),
+				new app.Actions.Insert_layer_action({
+					type: 'image',
+					name: layer.name + ' contents',
+					data: canvas.toDataURL("image/png"),
+					x: layer.x,
+					y: layer.y,
+					width: layer.width_original,
+					height: layer.height_original,
+					width_original: layer.width_original,
+					height_original: layer.height_original,
+					parent_id: layer.parent_id,
+					params: {smart_object: layer.id},
+				}, false)
+			])
+		);
+	}
+
+	/**
+	 * replaces source of smart object with its contents layer, filters and mask of contents layer included
+	 */
+	save_contents() {
+		var contents = config.layer;
+		var layer = null;
+		if (contents.type == 'smart_object') {
+			layer = contents;
+			contents = this.get_contents_layer(layer.id);
+		}
+		else if (contents.params && contents.params.smart_object != undefined) {
+			layer = this.Base_layers.get_layer(contents.params.smart_object);
+		}
+		if (contents == null || layer == null || layer.type != 'smart_object') {
+			alertify.error('Smart object contents are not being edited.');
+			return;
+		}
+
+		//render in original size
+		var canvas = document.createElement('canvas');
+		canvas.width = contents.width_original;
+		canvas.height = contents.height_original;
+		var ctx = canvas.getContext("2d");
+		ctx.scale(contents.width_original / contents.width, contents.height_original / contents.height);
+		ctx.translate(-contents.x, -contents.y);
+		this.Base_layers.render_object(ctx, contents);
+
+		return app.State.do_action(
+			new app.Actions.Bundle_action('save_smart_object', 'Save Smart Object Contents', [
+				new app.Actions.Update_layer_image_action(canvas, layer.id),
+				new app.Actions.Update_layer_action(layer.id, {
+					width_original: canvas.width,
+					height_original: canvas.height,
+					visible: true,
+				}),
+				new app.Actions.Delete_layer_action(contents.id),
+				new app.Actions.Select_layer_action(layer.id)
+			])
+		);
+	}
+
+	/**
+	 * @param {int} id smart object id
+	 * @returns {object|null} layer made by edit_contents()
+	 */
+	get_contents_layer(id) {
+		var layers = config.layers.filter((layer) => layer.params && layer.params.smart_object == id);
+		return layers.length > 0 ? layers[0] : null;
+	}
+
+	/**
+	 * @param {string} type key of TRANSFORMS
+	 * @returns {object}
+	 */
+	get_default_params(type) {
+		var params = {};
+		for (var key in TRANSFORMS[type].params) {
+			params[key] = TRANSFORMS[type].params[key].value;
+		}
+		return params;
+	}
+
+}
+
+export default Layer_smart_object_class;
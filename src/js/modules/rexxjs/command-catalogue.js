@@ -0,0 +1,1280 @@
+/**
+ * miniPaint RexxJS Command Catalogue
+ * Every ADDRESS MINIPAINT command with its parameters and error codes, the one source for the handlers,
+ * help / list-commands and MINIPAINT_COMMANDS.md (node tools/generate-command-docs.js).
+ *
+ * This file has no imports, so the docs generator can load it outside of the browser.
+ */
+
+/**
+ * @typedef {object} ErrorSpec
+ * @property {number} code - RC of the failing command
+ * @property {string} name - key in ERRORS
+ * @property {string} description
+ */
+
+/**
+ * @typedef {object} ParamSpec
+ * @property {string} name
+ * @property {string} type - number, string, boolean, color, list, layer (ID or name), data or any
+ * @property {boolean} [required]
+ * @property {*} [default] - value used when the parameter is not given
+ * @property {string} description
+ */
+
+/**
+ * @typedef {object} CommandSpec
+ * @property {string} name - e.g. "resize"
+ * @property {string} group - key in GROUPS
+ * @property {string} summary - what the command does, markdown
+ * @property {string} [example] - example script
+ * @property {string} [exampleLanguage] - language of example (default: "rexx")
+ * @property {ParamSpec[]} params
+ * @property {string} [notes] - markdown shown after the parameters
+ * @property {string} [returns] - markdown describing RESULT
+ * @property {string} [scope] - "read" for commands that only query the document, "write" (default) for the
+ *   others, directors on the control bus need the scope to run the command
+ * @property {string[]} errors - keys in ERRORS the command can fail with, besides COMMON_ERRORS
+ */
+
+/**
+ * [code, name, description]
+ * Codes 10-299 belong to the image commands, 300 and up to a group of commands, each group ending
+ * with its "unexpected error" code, e.g. 309 for add-text.
+ */
+const ERROR_LIST = [
+  // Any command
+  [1, 'NOT_INITIALIZED', 'miniPaint not initialized'],
+  [2, 'UNKNOWN_COMMAND', 'Unknown command'],
+  [3, 'PARSE_ERROR', 'Command string could not be parsed, `RESULT` holds the column as JSON'],
+  [4, 'LAYER_NOT_FOUND', 'Layer given in `layer` not found'],
+  [5, 'CANCELLED', 'Cancelled by the caller'],
+  [6, 'DOCUMENT_LOCKED', 'Transaction of another connection or script is open, only it can change the document'],
+  [99, 'UNEXPECTED', 'Unexpected error'],
+
+  [10, 'OPEN_FILE_MISSING', '`file` missing'],
+  [11, 'OPEN_NOT_AVAILABLE', 'Opening files is not available'],
+  [19, 'OPEN_FAILED', 'Unexpected error'],
+  [20, 'RESIZE_SIZE_MISSING', 'No size given'],
+  [21, 'RESIZE_NOT_APPLIED', 'Image was not resized'],
+  [22, 'RESIZE_INVALID_PARAM', 'Invalid size, `mode` or `layers`'],
+  [29, 'RESIZE_FAILED', 'Unexpected error'],
+  [30, 'ROTATE_ANGLE_MISSING', '`angle` missing'],
+  [31, 'ROTATE_NOT_SUPPORTED', 'Layer can not be rotated'],
+  [32, 'ROTATE_NOT_APPLIED', 'Layer was not rotated'],
+  [39, 'ROTATE_FAILED', 'Unexpected error'],
+  [40, 'FLIP_INVALID_DIRECTION', 'Invalid `direction`'],
+  [41, 'FLIP_NOT_IMAGE', 'Layer is not an image or smart object'],
+  [42, 'FLIP_NOT_APPLIED', 'Layer was not flipped'],
+  [49, 'FLIP_FAILED', 'Unexpected error'],
+  [50, 'CROP_RECT_MISSING', '`x1`, `y1`, `x2` or `y2` missing'],
+  [51, 'CROP_NOT_AVAILABLE', 'Crop is not available'],
+  [59, 'CROP_FAILED', 'Unexpected error'],
+  [60, 'EFFECT_NAME_MISSING', '`name` missing'],
+  [61, 'EFFECT_UNKNOWN', 'Unknown effect'],
+  [62, 'EFFECTS_NOT_AVAILABLE', 'Effect modules not available'],
+  [63, 'EFFECT_UNKNOWN_PARAM', 'Unknown parameter for this effect'],
+  [64, 'EFFECT_INVALID_PARAM', 'Parameter has wrong type or is out of range'],
+  [65, 'EFFECT_NOT_APPLICABLE', 'Effect can not be applied to the layer, most effects need an image layer'],
+  [66, 'EFFECT_ABORTED', 'Effect was aborted'],
+  [69, 'EFFECT_FAILED', 'Unexpected error'],
+  [71, 'ADD_LAYER_NOT_APPLIED', 'Layer was not added'],
+  [79, 'ADD_LAYER_FAILED', 'Unexpected error'],
+  [80, 'DELETE_LAYER_MISSING', '`layer` missing'],
+  [81, 'DELETE_LAYER_NOT_APPLIED', 'Layer was not deleted'],
+  [89, 'DELETE_LAYER_FAILED', 'Unexpected error'],
+  [91, 'MERGE_NOT_AVAILABLE', 'Merging is not available'],
+  [100, 'OPACITY_MISSING', '`opacity` missing'],
+  [101, 'OPACITY_OUT_OF_RANGE', '`opacity` is not between 0 and 1'],
+  [102, 'OPACITY_NOT_APPLIED', 'Opacity was not changed'],
+  [109, 'OPACITY_FAILED', 'Unexpected error'],
+  [110, 'SAVE_OUTPUT_MISSING', '`output` missing'],
+  [111, 'SAVE_NOT_AVAILABLE', 'Saving is not available'],
+  [112, 'SAVE_FORMAT_UNSUPPORTED', 'Format is not supported by the browser'],
+  [119, 'SAVE_FAILED', 'Unexpected error'],
+  [121, 'CANVAS_SIZE_NOT_AVAILABLE', 'Canvas size is not available'],
+  [129, 'CANVAS_SIZE_FAILED', 'Unexpected error'],
+  [131, 'IMAGE_DATA_NOT_AVAILABLE', 'Image data is not available'],
+  [139, 'IMAGE_DATA_FAILED', 'Unexpected error'],
+  [141, 'IMAGE_INFO_NOT_AVAILABLE', 'Image information is not available'],
+  [149, 'IMAGE_INFO_FAILED', 'Unexpected error'],
+  [151, 'LIST_EFFECTS_UNKNOWN', 'Unknown effect'],
+  [159, 'LIST_EFFECTS_FAILED', 'Unexpected error'],
+  [169, 'LIST_LAYERS_FAILED', 'Unexpected error'],
+  [171, 'NEW_IMAGE_NOT_AVAILABLE', 'Creating images is not available'],
+  [179, 'NEW_IMAGE_FAILED', 'Unexpected error'],
+  [181, 'UNDO_NOT_AVAILABLE', 'Undo is not available'],
+  [182, 'UNDO_IN_TRANSACTION', 'Inside a transaction, use `rollback`'],
+  [189, 'UNDO_FAILED', 'Unexpected error'],
+  [191, 'REDO_NOT_AVAILABLE', 'Redo is not available'],
+  [192, 'REDO_IN_TRANSACTION', 'Inside a transaction'],
+  [199, 'REDO_FAILED', 'Unexpected error'],
+  [200, 'SCRIPT_MISSING', '`script` missing'],
+  [299, 'SCRIPT_FAILED', 'Script could not be run'],
+
+  [300, 'TEXT_MISSING', '`text` missing'],
+  [301, 'TEXT_INVALID_STYLE', 'Invalid style'],
+  [302, 'TEXT_INVALID_LAYOUT', 'Invalid layout'],
+  [303, 'TEXT_NOT_CREATED', 'Layer was not created'],
+  [309, 'ADD_TEXT_FAILED', 'Unexpected error'],
+  [310, 'SET_TEXT_MISSING', '`text` missing'],
+  [311, 'SET_TEXT_NOT_TEXT_LAYER', 'Layer not found or not a text layer'],
+  [312, 'SET_TEXT_NOT_APPLIED', 'Text was not changed'],
+  [319, 'SET_TEXT_FAILED', 'Unexpected error'],
+  [320, 'STYLE_TEXT_NOTHING', 'Nothing to change'],
+  [321, 'STYLE_TEXT_NOT_TEXT_LAYER', 'Layer not found or not a text layer'],
+  [322, 'STYLE_TEXT_INVALID_STYLE', 'Invalid style'],
+  [323, 'STYLE_TEXT_INVALID_LAYOUT', 'Invalid layout'],
+  [324, 'STYLE_TEXT_LINE_OUT_OF_RANGE', '`line` out of range'],
+  [325, 'STYLE_TEXT_NOT_APPLIED', 'Style was not changed'],
+  [329, 'STYLE_TEXT_FAILED', 'Unexpected error'],
+
+  [330, 'SHAPE_TYPE_MISSING', '`type` missing'],
+  [331, 'SHAPE_UNKNOWN', 'Unknown shape'],
+  [332, 'SHAPE_UNKNOWN_PARAM', 'Unknown parameter for this shape'],
+  [333, 'SHAPE_INVALID_PARAM', 'Invalid parameter value'],
+  [334, 'SHAPE_INVALID_POSITION', 'Invalid position or points'],
+  [335, 'SHAPE_NOT_CREATED', 'Layer was not created'],
+  [339, 'DRAW_SHAPE_FAILED', 'Unexpected error'],
+  [349, 'LIST_SHAPES_FAILED', 'Unexpected error'],
+
+  [350, 'SELECTION_INVALID_RECT', 'Invalid rectangle'],
+  [351, 'SELECTION_NOT_APPLIED', 'Selection or layer was not changed'],
+  [354, 'SELECTION_LAYER_ROTATED', 'A layer is rotated'],
+  [355, 'SELECTION_EMPTY', 'Nothing selected'],
+  [356, 'SELECTION_NOT_IMAGE', 'Layer is not an image'],
+  [357, 'SELECTION_OUTSIDE_LAYER', 'Selection is outside of the layer'],
+  [358, 'SELECTION_COLOR_MISSING', '`color` missing or invalid'],
+  [359, 'SELECTION_FAILED', 'Unexpected error'],
+
+  [370, 'LAYER_MISSING', '`layer` missing or not found'],
+  [371, 'LAYER_NOT_APPLIED', 'Layer was not changed'],
+  [372, 'LAYER_NAME_MISSING', '`name` missing'],
+  [373, 'LAYER_INVALID_ORDER', 'Invalid `order`'],
+  [374, 'LAYER_INVALID_VISIBLE', 'Invalid `visible`'],
+  [375, 'LAYER_INVALID_COMPOSITION', 'Invalid `composition`'],
+  [379, 'LAYER_COMMAND_FAILED', 'Unexpected error'],
+
+  [400, 'TRANSACTION_STARTED', 'Transaction already started'],
+  [401, 'NO_TRANSACTION', 'No transaction started'],
+  [409, 'TRANSACTION_FAILED', 'Unexpected error'],
+  [410, 'BATCH_FILES_MISSING', '`files` missing'],
+  [411, 'BATCH_SCRIPT_MISSING', '`script` missing'],
+  [412, 'BATCH_UNKNOWN_FORMAT', 'Unknown `format`'],
+  [413, 'BATCH_INVALID_QUALITY', 'Invalid `quality`'],
+  [414, 'BATCH_RUNNING', 'Batch already running'],
+  [415, 'BATCH_INCOMPLETE', 'Some images failed, `RESULT` still lists all'],
+  [419, 'BATCH_FAILED', 'Unexpected error'],
+  [420, 'PIXELS_NOT_IMAGE', 'Layer has no image'],
+  [421, 'PIXELS_INVALID_REGION', 'Invalid position or region outside of the layer'],
+  [422, 'PIXELS_UNKNOWN_FORMAT', 'Unknown `format`'],
+  [423, 'PIXELS_DATA_MISSING', '`data` missing'],
+  [424, 'PIXELS_SIZE_MISMATCH', '`rgba` data does not match `width` and `height`'],
+  [425, 'PIXELS_DECODE_FAILED', 'Image can not be decoded'],
+  [429, 'PIXELS_FAILED', 'Unexpected error'],
+  [430, 'QUERY_POSITION_MISSING', '`x` or `y` missing'],
+  [431, 'QUERY_OUTSIDE_DOCUMENT', 'Position or region outside of the document'],
+  [439, 'QUERY_FAILED', 'Unexpected error'],
+  [440, 'HELP_UNKNOWN_COMMAND', 'Unknown command'],
+  [449, 'HELP_FAILED', 'Unexpected error'],
+
+  // Control bus, see minipaint-controlbus.js
+  [501, 'BRIDGE_ORIGIN_NOT_ALLOWED', 'Sender origin is not trusted'],
+  [502, 'BRIDGE_HANDSHAKE_REQUIRED', 'Request sent before a successful handshake'],
+  [503, 'BRIDGE_PERMISSION_DENIED', 'Command needs a scope that was not granted'],
+  [504, 'BRIDGE_UNSUPPORTED_PROTOCOL', 'Handshake protocol version is not supported'],
+  [505, 'BRIDGE_INVALID_REQUEST', 'Malformed handshake or request'],
+  [506, 'BRIDGE_TIMEOUT', 'No reply in time, set by the director bridge'],
+  [507, 'BRIDGE_CANCELLED', 'Cancelled by the caller, set by the director bridge'],
+
+  // Relay, see tools/rexx-relay/relay.js
+  [510, 'RELAY_NOT_CONNECTED', 'miniPaint is not connected to the relay'],
+  [511, 'RELAY_DISCONNECTED', 'miniPaint or the client disconnected before the response'],
+  [512, 'RELAY_TIMEOUT', 'No response in time'],
+  [513, 'RELAY_INVALID_REQUEST', 'Malformed request'],
+  [514, 'RELAY_UNAUTHORIZED', 'Invalid token, or request from a web page']
+];
+
+/**
+ * Error code by name
+ * Usage: return { success: false, errorCode: ERRORS.RESIZE_SIZE_MISSING, output: '...' };
+ */
+export const ERRORS = Object.freeze(Object.fromEntries(ERROR_LIST.map(([code, name]) => [name, code])));
+
+/**
+ * Every error as {code, name, description}, by code
+ * @type {ErrorSpec[]}
+ */
+export const ERROR_CODES = Object.freeze(
+  ERROR_LIST.map(([code, name, description]) => ({ code, name, description })).sort((a, b) => a.code - b.code)
+);
+
+// Any command can fail with these, they are not repeated in CommandSpec.errors
+export const COMMON_ERRORS = ['NOT_INITIALIZED', 'UNKNOWN_COMMAND', 'PARSE_ERROR', 'LAYER_NOT_FOUND', 'CANCELLED', 'DOCUMENT_LOCKED', 'UNEXPECTED'];
+
+/**
+ * Command groups, in the order of the docs. intro is markdown shown before the commands.
+ */
+export const GROUPS = [
+  { name: 'image', title: 'Image Operations' },
+  { name: 'effects', title: 'Effects & Filters' },
+  {
+    name: 'layers',
+    title: 'Layer Management',
+    intro: [
+      '#### Targeting a layer',
+      'Every command accepts an optional `layer` argument with a layer ID or name.',
+      'The command then acts on that layer instead of the active one, and the active layer stays as it was.',
+      'Only `select-layer` changes which layer is active.',
+      '',
+      '```rexx',
+      'ADDRESS MINIPAINT \'apply-effect name=blur percentage=5 layer="Background"\'',
+      'ADDRESS MINIPAINT \'set-opacity layer=3 opacity=0.5\'',
+      '```',
+      '',
+      'Unknown layers fail with error code 4 before the command runs.',
+      'Layer changes made by these commands are regular history steps and can be undone.'
+    ].join('\n')
+  },
+  {
+    name: 'text',
+    title: 'Text Layers',
+    intro: [
+      'Text layers are the same layers the Text tool creates, so they stay editable by hand afterwards.',
+      'Use quoted strings for text with spaces; `\\n` inside a quoted string starts a new line.'
+    ].join('\n')
+  },
+  {
+    name: 'shapes',
+    title: 'Vector Shapes',
+    intro: [
+      'Shape layers are the same vector layers the Shapes tool (H) creates, so they can be moved, resized and edited by hand afterwards.',
+      'Each shape keeps its own geometry model, reported by `list-shapes` as `geometry`:',
+      '',
+      '| Geometry | Shapes | Position arguments |',
+      '|----------|--------|--------------------|',
+      '| `box` | rectangle, ellipse, star, callout, cog, ... | `x`, `y`, `width`, `height` (required), `rotate` |',
+      '| `line` | line, arrow | `x`, `y` start and `x2`, `y2` end (or signed `width`, `height`) |',
+      '| `points` | polygon | `points=[[x,y], ...]`, at least 2 points, `rotate` |',
+      '| `curve` | bezier_curve | `points=[start, cp1, cp2, end]`, exactly 4 points |'
+    ].join('\n')
+  },
+  {
+    name: 'selection',
+    title: 'Selection',
+    intro: [
+      'Selection commands use the rectangular selection of the Selection tool, in document coordinates.',
+      'Setting a selection activates the Selection tool; activating another tool drops the selection.',
+      'Pixel commands work on the active layer, which must be an image layer.',
+      '',
+      'To run an effect only inside a region, copy the region to its own layer first:',
+      '',
+      '```rexx',
+      'ADDRESS MINIPAINT \'select-rect x=100 y=80 width=200 height=120\'',
+      'ADDRESS MINIPAINT \'copy-selection-to-layer name="Blurred area"\'',
+      'ADDRESS MINIPAINT \'apply-effect name=blur percentage=10\'',
+      '```'
+    ].join('\n')
+  },
+  { name: 'file', title: 'File Operations' },
+  {
+    name: 'info',
+    title: 'State & Information',
+    intro: 'Use `list-commands` and `help` to look up commands from a script, they read this reference.'
+  },
+  {
+    name: 'queries',
+    title: 'Queries',
+    intro: [
+      '`get-layer`, `get-document`, `get-pixel` and `get-histogram` return JSON in `RESULT` for programs, and set the same data as stem variables for scripts. Names are upper case, lists have their length in `.0` and items from `.1`:',
+      '',
+      '```rexx',
+      'ADDRESS MINIPAINT \'get-layer layer=Background\'',
+      'SAY RESULT.NAME RESULT.WIDTH\'x\'RESULT.HEIGHT',
+      'DO i = 1 TO RESULT.FILTERS.0',
+      '  SAY \'Filter\' RESULT.FILTERS.i.NAME',
+      'END',
+      '```',
+      '',
+      'The variables are replaced by the next command. Over the control bus and the relay they come as `stem` in the response, e.g. `{"NAME": "Background", "FILTERS.0": 0}`.'
+    ].join('\n')
+  },
+  { name: 'editing', title: 'Editing Operations' },
+  {
+    name: 'transactions',
+    title: 'Transactions',
+    intro: [
+      'Each command is its own undo step, and history keeps the last 50 steps only.',
+      'Wrap a script in a transaction to make all of its changes one undo step that does not push out older history:',
+      '',
+      '```rexx',
+      'ADDRESS MINIPAINT \'begin-transaction name="Watermark"\'',
+      'ADDRESS MINIPAINT \'add-text text="(c) 2024" x=10 y=10 size=24\'',
+      'IF RC <> 0 THEN DO',
+      '    ADDRESS MINIPAINT \'rollback\'',
+      '    EXIT RC',
+      'END',
+      'ADDRESS MINIPAINT \'set-opacity opacity=0.5\'',
+      'ADDRESS MINIPAINT \'commit\'',
+      '```',
+      '',
+      'A command that fails inside a transaction changes nothing, so `rollback` always returns to the state at `begin-transaction`.',
+      'A transaction a script starts and leaves open, for example when it stops on an error, is rolled back when the script ends.',
+      'While a transaction is open, `undo` and `redo` are not available and the document belongs to the connection or script that started it. Commands of other connections that change the document fail with `DOCUMENT_LOCKED` (6), the ones that only read it still work, and the mouse and keyboard can not change it either. This keeps history in order, `rollback` undoes nothing but the changes of the transaction.',
+      'Transactions nest: a script run by `batch` can use its own transaction, which lands in the one `batch` keeps around each image.',
+      '`commit` and `rollback` only act on a transaction started through the same connection or script. Each control bus frame and each relay client is a connection of its own, a transaction it leaves open is rolled back when it disconnects.'
+    ].join('\n')
+  },
+  { name: 'scripts', title: 'Scripts' }
+];
+
+// Style parameters shared by add-text and style-text
+const TEXT_STYLE_PARAMS = [
+  { name: 'font', type: 'string', default: 'Arial', description: 'Font family; Google fonts are loaded on demand' },
+  { name: 'size', type: 'number', default: 40, description: 'Font size in pixels' },
+  { name: 'bold', type: 'boolean', default: false, description: 'Bold' },
+  { name: 'italic', type: 'boolean', default: false, description: 'Italic' },
+  { name: 'underline', type: 'boolean', default: false, description: 'Underline' },
+  { name: 'strikethrough', type: 'boolean', default: false, description: 'Strikethrough' },
+  { name: 'color', type: 'color', default: '#008800', description: 'Fill color, alias `fill`' },
+  { name: 'stroke', type: 'color', default: '#000000', description: 'Outline color' },
+  { name: 'stroke_size', type: 'number', default: 0, description: 'Outline width' },
+  { name: 'kerning', type: 'number', default: 0, description: 'Extra letter spacing, -999 to 999' },
+  { name: 'leading', type: 'number', default: 0, description: 'Extra line spacing' }
+];
+
+// Layout parameters shared by add-text and style-text
+const TEXT_LAYOUT_PARAMS = [
+  { name: 'x', type: 'number', default: 0, description: 'Left edge' },
+  { name: 'y', type: 'number', default: 0, description: 'Top edge' },
+  { name: 'width', type: 'number', description: 'Width of the bounding box. Without it the layer grows with its text' },
+  { name: 'height', type: 'number', description: 'Height of the bounding box' },
+  { name: 'rotate', type: 'number', default: 0, description: 'Rotation in degrees' },
+  { name: 'align', type: 'string', default: 'left', description: '`left`, `center` or `right`' },
+  { name: 'valign', type: 'string', default: 'top', description: '`top`, `middle` or `bottom`' },
+  { name: 'wrap', type: 'string', default: 'word', description: '`word`, `letter` or `none`, wrapping inside the bounding box; `word` and `letter` need `width`' }
+];
+
+const LAYER_PARAM = { name: 'layer', type: 'layer', description: 'Layer ID or name, active layer by default' };
+
+/**
+ * @type {CommandSpec[]}
+ */
+export const COMMANDS = [
+  // Image Operations
+  {
+    name: 'new-image',
+    group: 'image',
+    summary: 'Create a new blank image.',
+    example: 'ADDRESS MINIPAINT "new-image width=800 height=600"',
+    params: [
+      { name: 'width', type: 'number', default: 800, description: 'Image width in pixels' },
+      { name: 'height', type: 'number', default: 600, description: 'Image height in pixels' }
+    ],
+    returns: 'Success status',
+    errors: ['NEW_IMAGE_NOT_AVAILABLE', 'NEW_IMAGE_FAILED']
+  },
+  {
+    name: 'open-image',
+    group: 'image',
+    summary: 'Load an image from file path or URL.',
+    example: 'ADDRESS MINIPAINT "open-image file=/path/to/image.png"',
+    params: [
+      { name: 'file', type: 'string', required: true, description: 'Path to image file' }
+    ],
+    returns: 'Success status with filename',
+    errors: ['OPEN_FILE_MISSING', 'OPEN_NOT_AVAILABLE', 'OPEN_FAILED']
+  },
+  {
+    name: 'resize',
+    group: 'image',
+    summary: 'Resize the image, like **Image > Resize**.',
+    example: [
+      'ADDRESS MINIPAINT "resize width=1024 height=768"',
+      'ADDRESS MINIPAINT "resize width_percent=50 mode=hermite"'
+    ].join('\n'),
+    params: [
+      { name: 'width', type: 'number', description: 'New width in the units from Settings (pixels by default), a missing side keeps the aspect ratio' },
+      { name: 'height', type: 'number', description: 'New height in the units from Settings' },
+      { name: 'width_percent', type: 'number', description: 'New width in percent, used when `width` and `height` are not given' },
+      { name: 'height_percent', type: 'number', description: 'New height in percent' },
+      { name: 'mode', type: 'string', default: 'lanczos', description: '`lanczos`, `hermite` or `basic`' },
+      { name: 'sharpen', type: 'boolean', default: false, description: 'Sharpen after resizing' },
+      { name: 'layers', type: 'string', default: 'all', description: '`all` resizes the image, `active` only the active layer' }
+    ],
+    notes: 'At least one size parameter is required.',
+    returns: 'New image size as JSON object `{width, height}`',
+    errors: ['RESIZE_SIZE_MISSING', 'RESIZE_NOT_APPLIED', 'RESIZE_INVALID_PARAM', 'RESIZE_FAILED']
+  },
+  {
+    name: 'rotate',
+    group: 'image',
+    summary: 'Rotate the active layer, like Image > Rotate. The canvas grows when the rotated layer does not fit.',
+    example: [
+      'ADDRESS MINIPAINT "rotate angle=90"',
+      'ADDRESS MINIPAINT "rotate angle=-15 layer=Logo"'
+    ].join('\n'),
+    params: [
+      { name: 'angle', type: 'number', required: true, description: 'Degrees added to the current rotation of the layer' }
+    ],
+    returns: 'New rotation of the layer (0-359)',
+    errors: ['ROTATE_ANGLE_MISSING', 'ROTATE_NOT_SUPPORTED', 'ROTATE_NOT_APPLIED', 'ROTATE_FAILED']
+  },
+  {
+    name: 'flip',
+    group: 'image',
+    summary: 'Flip/mirror the active image layer horizontally or vertically. Smart objects get a flip transform.',
+    example: 'ADDRESS MINIPAINT "flip direction=horizontal"',
+    params: [
+      { name: 'direction', type: 'string', required: true, description: 'Either `horizontal` or `vertical`' }
+    ],
+    returns: 'Layer ID',
+    errors: ['FLIP_INVALID_DIRECTION', 'FLIP_NOT_IMAGE', 'FLIP_NOT_APPLIED', 'FLIP_FAILED']
+  },
+  {
+    name: 'crop',
+    group: 'image',
+    summary: 'Crop image to specified rectangle.',
+    example: 'ADDRESS MINIPAINT "crop x1=0 y1=0 x2=400 y2=400"',
+    params: [
+      { name: 'x1', type: 'number', required: true, description: 'Top-left X coordinate' },
+      { name: 'y1', type: 'number', required: true, description: 'Top-left Y coordinate' },
+      { name: 'x2', type: 'number', required: true, description: 'Bottom-right X coordinate' },
+      { name: 'y2', type: 'number', required: true, description: 'Bottom-right Y coordinate' }
+    ],
+    returns: 'Success status with crop area',
+    errors: ['CROP_RECT_MISSING', 'CROP_NOT_AVAILABLE', 'CROP_FAILED']
+  },
+
+  // Effects & Filters
+  {
+    name: 'apply-effect',
+    group: 'effects',
+    summary: 'Apply any effect from the Effects menu to the active layer.',
+    example: [
+      'ADDRESS MINIPAINT "apply-effect name=blur percentage=5"',
+      'ADDRESS MINIPAINT "apply-effect name=oil range=3 levels=64"',
+      'ADDRESS MINIPAINT "apply-effect name=shadow offset_x=5 offset_y=5 radius=8 color=#333333"',
+      'ADDRESS MINIPAINT "apply-effect name=1977"'
+    ].join('\n'),
+    params: [
+      { name: 'name', type: 'string', required: true, description: 'Effect name, as reported by `list-effects`' }
+    ],
+    notes: [
+      'The other parameters are the fields of the effect\'s dialog. Each field can be passed by its',
+      'name from `list-effects` (e.g. `range`) or by its dialog key (e.g. `param1`). Fields that are not',
+      'given keep the dialog default.',
+      '',
+      'Parameter values are checked against the effect\'s schema: numbers must be inside the dialog range,',
+      'colors must be hex (`#rrggbb`), booleans are `true`/`false`.',
+      '',
+      '**Available Effects:** every module under `src/js/modules/effects/` (except the effects browser),',
+      'for example `blur`, `brightness`, `contrast`, `grayscale`, `hue-rotate`, `invert`, `saturate`,',
+      '`sepia`, `shadow`, `black_and_white`, `blueprint`, `borders`, `box_blur`, `denoise`, `dither`,',
+      '`dot_screen`, `edge`, `emboss`, `enrich`, `grains`, `heatmap`, `mosaic`, `night_vision`, `oil`,',
+      '`pencil`, `sharpen`, `solarize`, `tilt_shift`, `vibrance`, `vignette`, `vintage`, `zoom_blur` and the',
+      'Instagram set `1977`, `aden`, `clarendon`, `gingham`, `inkwell`, `lofi`, `toaster`, `valencia`, `xpro2`.',
+      'Use `list-effects` for the authoritative list.'
+    ].join('\n'),
+    returns: 'Success status with effect name',
+    errors: [
+      'EFFECT_NAME_MISSING', 'EFFECT_UNKNOWN', 'EFFECTS_NOT_AVAILABLE', 'EFFECT_UNKNOWN_PARAM',
+      'EFFECT_INVALID_PARAM', 'EFFECT_NOT_APPLICABLE', 'EFFECT_ABORTED', 'EFFECT_FAILED'
+    ]
+  },
+
+  // Layer Management
+  {
+    name: 'add-layer',
+    group: 'layers',
+    summary: 'Create a new empty layer. It becomes the active layer.',
+    example: 'ADDRESS MINIPAINT "add-layer name=NewLayer"',
+    params: [
+      { name: 'name', type: 'string', description: 'Layer name' }
+    ],
+    returns: 'New layer ID',
+    errors: ['ADD_LAYER_NOT_APPLIED', 'ADD_LAYER_FAILED']
+  },
+  {
+    name: 'delete-layer',
+    group: 'layers',
+    summary: 'Delete a layer.',
+    example: 'ADDRESS MINIPAINT "delete-layer layer=2"',
+    params: [
+      { name: 'layer', type: 'layer', required: true, description: 'Layer ID or name; `id` is accepted too' }
+    ],
+    returns: 'Deleted layer ID',
+    errors: ['LAYER_NOT_FOUND', 'DELETE_LAYER_MISSING', 'DELETE_LAYER_NOT_APPLIED', 'DELETE_LAYER_FAILED']
+  },
+  {
+    name: 'merge-layers',
+    group: 'layers',
+    summary: 'Merge all layers into one.',
+    example: 'ADDRESS MINIPAINT "merge-layers"',
+    params: [],
+    returns: 'Success status',
+    errors: ['MERGE_NOT_AVAILABLE', 'UNEXPECTED']
+  },
+  {
+    name: 'set-opacity',
+    group: 'layers',
+    summary: 'Set layer opacity/transparency.',
+    example: 'ADDRESS MINIPAINT "set-opacity layer=1 opacity=0.5"',
+    params: [
+      LAYER_PARAM,
+      { name: 'opacity', type: 'number', required: true, description: 'Opacity value (0.0 to 1.0)' }
+    ],
+    returns: 'Layer ID',
+    errors: ['OPACITY_MISSING', 'OPACITY_OUT_OF_RANGE', 'OPACITY_NOT_APPLIED', 'OPACITY_FAILED']
+  },
+  {
+    name: 'select-layer',
+    group: 'layers',
+    summary: 'Make a layer the active one.',
+    example: 'ADDRESS MINIPAINT \'select-layer layer="Background"\'',
+    params: [
+      { name: 'layer', type: 'layer', required: true, description: 'Layer ID or name' }
+    ],
+    returns: 'Layer ID',
+    errors: ['LAYER_MISSING', 'LAYER_NOT_APPLIED', 'LAYER_COMMAND_FAILED']
+  },
+  {
+    name: 'rename-layer',
+    group: 'layers',
+    summary: 'Rename a layer. Characters `& < > " \'` are replaced with `-`, like in the Rename dialog.',
+    example: 'ADDRESS MINIPAINT \'rename-layer layer=3 name="Sky"\'',
+    params: [
+      { name: 'name', type: 'string', required: true, description: 'New name' }
+    ],
+    returns: 'Layer ID',
+    errors: ['LAYER_NOT_APPLIED', 'LAYER_NAME_MISSING', 'LAYER_COMMAND_FAILED']
+  },
+  {
+    name: 'move-layer',
+    group: 'layers',
+    summary: 'Move a layer up or down the layer stack.',
+    example: [
+      'ADDRESS MINIPAINT \'move-layer layer=3 order=top\'',
+      'ADDRESS MINIPAINT \'move-layer order=1\''
+    ].join('\n'),
+    params: [
+      { name: 'order', type: 'any', required: true, description: '`up`, `down`, `top`, `bottom` or a position, 1 being the bottom layer' }
+    ],
+    returns: 'New position of the layer',
+    errors: ['LAYER_NOT_APPLIED', 'LAYER_INVALID_ORDER', 'LAYER_COMMAND_FAILED']
+  },
+  {
+    name: 'toggle-visibility',
+    group: 'layers',
+    summary: 'Show or hide a layer.',
+    example: [
+      'ADDRESS MINIPAINT \'toggle-visibility layer=3\'',
+      'ADDRESS MINIPAINT \'toggle-visibility layer=3 visible=true\''
+    ].join('\n'),
+    params: [
+      { name: 'visible', type: 'boolean', description: 'Wanted state; without it the visibility is toggled' }
+    ],
+    returns: '`1` when the layer is visible, `0` when hidden',
+    errors: ['LAYER_NOT_APPLIED', 'LAYER_INVALID_VISIBLE', 'LAYER_COMMAND_FAILED']
+  },
+  {
+    name: 'set-composition',
+    group: 'layers',
+    summary: 'Set the blend mode of a layer, like Layer > Composition.',
+    example: 'ADDRESS MINIPAINT \'set-composition layer=3 composition=multiply\'',
+    params: [
+      {
+        name: 'composition',
+        type: 'string',
+        required: true,
+        description: 'One of `source-over` (default), `multiply`, `screen`, `overlay`, `darken`, `lighten`, `color-dodge`, `color-burn`, '
+          + '`hard-light`, `soft-light`, `difference`, `exclusion`, `hue`, `saturation`, `color`, `luminosity`, `lighter`, `darker`, `copy`, '
+          + '`xor`, `source-atop`, `source-in`, `source-out`, `destination-atop`, `destination-in`, `destination-out`, `destination-over`'
+      }
+    ],
+    returns: 'Layer ID',
+    errors: ['LAYER_NOT_APPLIED', 'LAYER_INVALID_COMPOSITION', 'LAYER_COMMAND_FAILED']
+  },
+  {
+    name: 'duplicate-layer',
+    group: 'layers',
+    summary: 'Duplicate a layer, like Layer > Duplicate. The copy becomes the active layer.',
+    example: [
+      'ADDRESS MINIPAINT \'duplicate-layer layer="Logo"\'',
+      'copyId = RESULT'
+    ].join('\n'),
+    params: [],
+    returns: 'ID of the copy',
+    errors: ['LAYER_NOT_APPLIED', 'LAYER_COMMAND_FAILED']
+  },
+
+  // Text Layers
+  {
+    name: 'add-text',
+    group: 'text',
+    summary: 'Create a text layer.',
+    example: [
+      'ADDRESS MINIPAINT \'add-text text="Summer Sale" x=40 y=30 font=Impact size=72 color=#ffffff stroke=#000000 stroke_size=2\'',
+      'layerId = RESULT',
+      '',
+      'ADDRESS MINIPAINT \'add-text text="A longer caption that wraps inside its box" x=20 y=300 width=360 height=120 wrap=word align=center\''
+    ].join('\n'),
+    params: [
+      { name: 'text', type: 'string', required: true, description: 'Text content' },
+      { name: 'name', type: 'string', description: 'Layer name' },
+      ...TEXT_LAYOUT_PARAMS,
+      ...TEXT_STYLE_PARAMS
+    ],
+    returns: 'New layer ID in `RESULT`',
+    errors: ['TEXT_MISSING', 'TEXT_INVALID_STYLE', 'TEXT_INVALID_LAYOUT', 'TEXT_NOT_CREATED', 'ADD_TEXT_FAILED']
+  },
+  {
+    name: 'set-text',
+    group: 'text',
+    summary: 'Replace the text of a text layer. The style of the first character is kept.',
+    example: 'ADDRESS MINIPAINT \'set-text layer=\' layerId \' text="Winter Sale"\'',
+    params: [
+      { name: 'text', type: 'string', required: true, description: 'New text content' },
+      LAYER_PARAM
+    ],
+    returns: 'Layer ID',
+    errors: ['SET_TEXT_MISSING', 'SET_TEXT_NOT_TEXT_LAYER', 'SET_TEXT_NOT_APPLIED', 'SET_TEXT_FAILED']
+  },
+  {
+    name: 'style-text',
+    group: 'text',
+    summary: 'Change style, box or alignment of a text layer.',
+    example: [
+      'ADDRESS MINIPAINT \'style-text layer="Title" font=Verdana size=32 bold=true align=right\'',
+      'ADDRESS MINIPAINT \'style-text line=2 color=#ff0000\''
+    ].join('\n'),
+    params: [
+      LAYER_PARAM,
+      { name: 'line', type: 'number', description: 'Style only this line (1-based); all lines by default' },
+      ...TEXT_LAYOUT_PARAMS.map(({ default: unused, ...param }) => param),
+      ...TEXT_STYLE_PARAMS.map(({ default: unused, ...param }) => param)
+    ],
+    notes: 'Parameters that are not given keep their value.',
+    returns: 'Layer ID',
+    errors: [
+      'STYLE_TEXT_NOTHING', 'STYLE_TEXT_NOT_TEXT_LAYER', 'STYLE_TEXT_INVALID_STYLE', 'STYLE_TEXT_INVALID_LAYOUT',
+      'STYLE_TEXT_LINE_OUT_OF_RANGE', 'STYLE_TEXT_NOT_APPLIED', 'STYLE_TEXT_FAILED'
+    ]
+  },
+
+  // Vector Shapes
+  {
+    name: 'draw-shape',
+    group: 'shapes',
+    summary: 'Create a shape layer.',
+    example: [
+      'ADDRESS MINIPAINT \'draw-shape type=star x=50 y=50 width=200 height=200 corners=6 fill=#ffcc00 stroke=#000000 stroke_size=3\'',
+      'starId = RESULT',
+      '',
+      'ADDRESS MINIPAINT \'draw-shape type=rectangle x=10 y=10 width=300 height=80 radius=12 stroke=false\'',
+      'ADDRESS MINIPAINT \'draw-shape type=arrow x=20 y=20 x2=220 y2=140 stroke=#ff0000 size=6\'',
+      'ADDRESS MINIPAINT \'draw-shape type=polygon points=[[0,0],[120,0],[60,100]] fill=#00aa00\'',
+      'ADDRESS MINIPAINT \'draw-shape type=bezier_curve points=[[0,100],[50,0],[150,200],[200,100]]\''
+    ].join('\n'),
+    params: [
+      { name: 'type', type: 'string', required: true, description: 'Shape name from `list-shapes`, e.g. `rectangle`, `right_triangle`' },
+      { name: 'name', type: 'string', description: 'Layer name' },
+      { name: 'x', type: 'number', description: 'Left edge, or start of a line' },
+      { name: 'y', type: 'number', description: 'Top edge, or start of a line' },
+      { name: 'width', type: 'number', description: 'Width, required for `box` shapes' },
+      { name: 'height', type: 'number', description: 'Height, required for `box` shapes' },
+      { name: 'x2', type: 'number', description: 'End of a `line` shape' },
+      { name: 'y2', type: 'number', description: 'End of a `line` shape' },
+      { name: 'points', type: 'list', description: 'Points of `points` and `curve` shapes, `[[x,y], ...]`' },
+      { name: 'rotate', type: 'number', description: 'Rotation in degrees' },
+      { name: 'fill', type: 'color', description: 'A color turns the fill on and sets `fill_color`; `false` turns it off' },
+      { name: 'stroke', type: 'color', description: 'A color turns the border on and sets `border_color`; `false` turns it off. For `line` and `curve` shapes it sets the line color' },
+      { name: 'stroke_size', type: 'number', description: 'Alias for `border_size`, or `size` for `line` and `curve` shapes' }
+    ],
+    notes: [
+      'Which position arguments a shape takes depends on its geometry, see the table above.',
+      'Any shape parameter listed by `list-shapes` can be given too, e.g. `border_size`, `corners`, `inner_radius`, `radius`, `circle`.',
+      '',
+      'Defaults come from the shape tool settings. `square=true` and `circle=true` make the height equal to the width.'
+    ].join('\n'),
+    returns: 'New layer ID in `RESULT`',
+    errors: [
+      'SHAPE_TYPE_MISSING', 'SHAPE_UNKNOWN', 'SHAPE_UNKNOWN_PARAM', 'SHAPE_INVALID_PARAM',
+      'SHAPE_INVALID_POSITION', 'SHAPE_NOT_CREATED', 'DRAW_SHAPE_FAILED'
+    ]
+  },
+  {
+    name: 'list-shapes',
+    group: 'shapes',
+    scope: 'read',
+    summary: 'List shape types with their geometry and parameters.',
+    example: [
+      'ADDRESS MINIPAINT \'list-shapes\'',
+      'ADDRESS MINIPAINT \'list-shapes type=star\'',
+      'SAY RESULT'
+    ].join('\n'),
+    params: [
+      { name: 'type', type: 'string', description: 'Describe only this shape' }
+    ],
+    returns: [
+      'RESULT holds a JSON array of shapes, or a single shape when `type` is given, the output only lists the names. A shape:',
+      '```json',
+      '{',
+      '  "name": "star",',
+      '  "title": "Star",',
+      '  "geometry": "box",',
+      '  "arguments": ["x", "y", "width", "height", "rotate"],',
+      '  "params": [',
+      '    { "name": "corners", "type": "number", "default": 5, "min": 1, "max": 999 },',
+      '    { "name": "fill_color", "type": "color", "default": "#aaaaaa" }',
+      '  ]',
+      '}',
+      '```'
+    ].join('\n'),
+    errors: ['SHAPE_UNKNOWN', 'LIST_SHAPES_FAILED']
+  },
+
+  // Selection
+  {
+    name: 'select-rect',
+    group: 'selection',
+    summary: 'Select a rectangle. Negative `width` or `height` select up or left from `x`, `y`.',
+    example: 'ADDRESS MINIPAINT \'select-rect x=10 y=10 width=200 height=100\'',
+    params: [
+      { name: 'x', type: 'number', required: true, description: 'Corner of the rectangle' },
+      { name: 'y', type: 'number', required: true, description: 'Corner of the rectangle' },
+      { name: 'width', type: 'number', required: true, description: 'Width, not 0' },
+      { name: 'height', type: 'number', required: true, description: 'Height, not 0' }
+    ],
+    returns: 'Selection as JSON object `{x, y, width, height}`',
+    errors: ['SELECTION_INVALID_RECT', 'SELECTION_NOT_APPLIED', 'SELECTION_FAILED']
+  },
+  {
+    name: 'select-all',
+    group: 'selection',
+    summary: 'Select the whole document.',
+    params: [],
+    returns: 'Selection as JSON object `{x, y, width, height}`',
+    errors: ['SELECTION_NOT_APPLIED', 'SELECTION_FAILED']
+  },
+  {
+    name: 'deselect',
+    group: 'selection',
+    summary: 'Remove the selection. Pixels are not changed.',
+    params: [],
+    errors: ['SELECTION_NOT_APPLIED', 'SELECTION_FAILED']
+  },
+  {
+    name: 'invert-selection',
+    group: 'selection',
+    summary: 'Select what is not selected, like Select > Invert. The result is a `mask` selection, inverting a selection of the whole document leaves nothing selected.',
+    params: [],
+    returns: 'Selection as JSON object `{x, y, width, height, shape}`, or empty when nothing is left selected',
+    errors: ['SELECTION_EMPTY', 'SELECTION_NOT_APPLIED', 'SELECTION_FAILED']
+  },
+  {
+    name: 'get-selection',
+    group: 'selection',
+    scope: 'read',
+    summary: 'Get the selection bounds. Ellipse, lasso and magic wand selections made with the Selection tool also have `shape` (`ellipse`, `polygon` or `mask`), lasso selections have `points`.',
+    params: [],
+    returns: 'JSON object `{x, y, width, height}` with optional `shape` and `points`, or empty when nothing is selected',
+    errors: ['SELECTION_FAILED']
+  },
+  {
+    name: 'copy-selection-to-layer',
+    group: 'selection',
+    summary: 'Copy the selected pixels of the active layer to a new image layer at the same position. The new layer becomes active and the selection stays.',
+    example: [
+      'ADDRESS MINIPAINT \'copy-selection-to-layer name="Detail"\'',
+      'detailId = RESULT'
+    ].join('\n'),
+    params: [
+      { name: 'name', type: 'string', description: 'Name of the new layer' }
+    ],
+    returns: 'New layer ID',
+    errors: [
+      'SELECTION_NOT_APPLIED', 'SELECTION_LAYER_ROTATED', 'SELECTION_EMPTY', 'SELECTION_NOT_IMAGE', 'SELECTION_OUTSIDE_LAYER',
+      'SELECTION_FAILED'
+    ]
+  },
+  {
+    name: 'clear-selection',
+    group: 'selection',
+    summary: 'Erase the selected pixels of the active layer to transparent. The selection stays.',
+    params: [],
+    returns: 'Layer ID',
+    errors: [
+      'SELECTION_NOT_APPLIED', 'SELECTION_LAYER_ROTATED', 'SELECTION_EMPTY', 'SELECTION_NOT_IMAGE', 'SELECTION_OUTSIDE_LAYER',
+      'SELECTION_FAILED'
+    ]
+  },
+  {
+    name: 'fill-selection',
+    group: 'selection',
+    summary: 'Fill the selection on the active layer with a color. The selection stays.',
+    example: [
+      'ADDRESS MINIPAINT \'fill-selection color=#ff0000\'',
+      'ADDRESS MINIPAINT \'fill-selection color=rgba(0,0,0,0.5)\''
+    ].join('\n'),
+    params: [
+      { name: 'color', type: 'color', required: true, description: 'Fill color' }
+    ],
+    returns: 'Layer ID',
+    errors: [
+      'SELECTION_NOT_APPLIED', 'SELECTION_LAYER_ROTATED', 'SELECTION_EMPTY', 'SELECTION_NOT_IMAGE', 'SELECTION_OUTSIDE_LAYER',
+      'SELECTION_COLOR_MISSING', 'SELECTION_FAILED'
+    ]
+  },
+  {
+    name: 'crop-to-selection',
+    group: 'selection',
+    summary: 'Crop the document to the selection, like the Crop tool. Pixels outside an ellipse, lasso or magic wand selection are cleared. The selection is removed.',
+    params: [],
+    returns: 'New document size as JSON object `{width, height}`',
+    errors: ['SELECTION_NOT_APPLIED', 'SELECTION_LAYER_ROTATED', 'SELECTION_EMPTY', 'SELECTION_FAILED']
+  },
+
+  // File Operations
+  {
+    name: 'save-image',
+    group: 'file',
+    summary: 'Save image to file.',
+    example: 'ADDRESS MINIPAINT "save-image output=/path/image.png format=png"',
+    params: [
+      { name: 'output', type: 'string', required: true, description: 'Output file path' },
+      { name: 'format', type: 'string', default: 'png', description: '`png`, `jpg` / `jpeg`, `gif`, `bmp` or `webp`' }
+    ],
+    notes: 'A `gif` file has a frame for each visible layer. Over the control bus the GIF encoder reports progress and can be cancelled.',
+    returns: 'Success status with filename',
+    errors: ['SAVE_OUTPUT_MISSING', 'SAVE_NOT_AVAILABLE', 'SAVE_FORMAT_UNSUPPORTED', 'SAVE_FAILED']
+  },
+  {
+    name: 'get-image-data',
+    group: 'file',
+    scope: 'read',
+    summary: 'Get current image as base64 data URL.',
+    example: [
+      'ADDRESS MINIPAINT "get-image-data"',
+      'SAY "Image data: " RESULT'
+    ].join('\n'),
+    params: [],
+    returns: 'Base64 data URL (data:image/png;base64,...)',
+    errors: ['IMAGE_DATA_NOT_AVAILABLE', 'IMAGE_DATA_FAILED']
+  },
+  {
+    name: 'get-layer-pixels',
+    group: 'file',
+    scope: 'read',
+    summary: 'Read pixels of a layer as binary data, without base64 encoding. Meant for the control bus, where the data is transferred to the director without a copy.',
+    exampleLanguage: 'javascript',
+    example: [
+      'const { width, height, data } = await bridge.getLayerPixels({ layer: \'Background\', format: \'rgba\' });',
+      'const pixels = new Uint8ClampedArray(data);'
+    ].join('\n'),
+    params: [
+      { name: 'x', type: 'number', default: 0, description: 'Left edge of the region' },
+      { name: 'y', type: 'number', default: 0, description: 'Top edge of the region' },
+      { name: 'width', type: 'number', description: 'Region width, rest of the layer image by default' },
+      { name: 'height', type: 'number', description: 'Region height, rest of the layer image by default' },
+      { name: 'format', type: 'string', default: 'rgba', description: '`rgba` (ArrayBuffer, 4 bytes per pixel, row by row), `imagebitmap` or `png` (ArrayBuffer with a PNG file)' },
+      { name: 'layer', type: 'layer', description: 'Layer to read, see [Targeting a layer](#targeting-a-layer)' }
+    ],
+    notes: 'Coordinates are in pixels of the layer image, which differ from document pixels when the layer is resized or moved. Empty layers read as transparent pixels of document size.',
+    returns: '`{x, y, width, height, format, data}`',
+    errors: ['PIXELS_NOT_IMAGE', 'PIXELS_INVALID_REGION', 'PIXELS_UNKNOWN_FORMAT', 'PIXELS_FAILED']
+  },
+  {
+    name: 'put-layer-pixels',
+    group: 'file',
+    summary: 'Write binary pixels into a layer as one undo step. The pixels replace what is under them, transparency included. An empty layer becomes an image layer of document size.',
+    exampleLanguage: 'javascript',
+    example: [
+      'const data = new Uint8ClampedArray(64 * 64 * 4).fill(255);',
+      'await bridge.putLayerPixels(data, { width: 64, height: 64, x: 10, y: 10 });'
+    ].join('\n'),
+    params: [
+      { name: 'data', type: 'data', required: true, description: 'ArrayBuffer, typed array, Blob, ImageData or ImageBitmap' },
+      { name: 'format', type: 'string', default: 'rgba', description: '`rgba` or `png` for binary data, `png` decodes any image format the browser supports. `png` for a Blob' },
+      { name: 'width', type: 'number', description: 'Width of `rgba` data, required for it' },
+      { name: 'height', type: 'number', description: 'Height of `rgba` data, required for it' },
+      { name: 'x', type: 'number', default: 0, description: 'Where to put the pixels in the layer image' },
+      { name: 'y', type: 'number', default: 0, description: 'Where to put the pixels in the layer image' },
+      { name: 'name', type: 'string', default: 'Pixels', description: 'Name of the layer when an empty layer is written' },
+      { name: 'layer', type: 'layer', description: 'Layer to write, see [Targeting a layer](#targeting-a-layer)' }
+    ],
+    returns: 'Layer ID',
+    errors: [
+      'PIXELS_NOT_IMAGE', 'PIXELS_INVALID_REGION', 'PIXELS_UNKNOWN_FORMAT', 'PIXELS_DATA_MISSING',
+      'PIXELS_SIZE_MISMATCH', 'PIXELS_DECODE_FAILED', 'PIXELS_FAILED'
+    ]
+  },
+  {
+    name: 'batch',
+    group: 'file',
+    summary: [
+      'Run a script on each of many images and download the results as one ZIP file.',
+      'Each image is opened as a new document of its size, the script runs on it, and the merged result is saved with the file name pattern.',
+      'The document is restored after each image, and a failing image does not stop the others.',
+      'The same runner is available as **File > Batch Process**, where the results can also be written to a folder.'
+    ].join('\n'),
+    example: [
+      'ADDRESS MINIPAINT \'batch files=["photos/a.jpg", "photos/b.jpg"] script="ADDRESS MINIPAINT \\"apply-effect name=grayscale\\"" pattern="{name}-gray" format=jpg quality=85\'',
+      'SAY RESULT  /* [{"name":"a.jpg","file":"a-gray.jpg","success":true,"error":null}, ...] */'
+    ].join('\n'),
+    params: [
+      { name: 'files', type: 'list', required: true, description: 'Image URLs or data URLs' },
+      { name: 'script', type: 'string', required: true, description: 'Script to run on each image, it stops on the first failing command' },
+      { name: 'pattern', type: 'string', default: '{name}-edited', description: 'Output file name, `{name}` is the image name without extension and `{index}` its position from 1' },
+      { name: 'format', type: 'string', default: 'png', description: '`png`, `jpg` or `webp`' },
+      { name: 'quality', type: 'number', default: 90, description: '1-100 for `jpg` and `webp`' },
+      { name: 'download', type: 'boolean', default: true, description: 'Download the ZIP file' },
+      { name: 'zip', type: 'string', default: 'batch.zip', description: 'ZIP file name' }
+    ],
+    returns: 'JSON array with `name`, `file`, `success` and `error` per image',
+    errors: [
+      'BATCH_FILES_MISSING', 'BATCH_SCRIPT_MISSING', 'BATCH_UNKNOWN_FORMAT', 'BATCH_INVALID_QUALITY',
+      'BATCH_RUNNING', 'BATCH_INCOMPLETE', 'BATCH_FAILED'
+    ]
+  },
+
+  // State & Information
+  {
+    name: 'get-canvas-size',
+    group: 'info',
+    scope: 'read',
+    summary: 'Get current canvas dimensions.',
+    example: [
+      'ADDRESS MINIPAINT "get-canvas-size"',
+      'SAY "Canvas: " RESULT'
+    ].join('\n'),
+    params: [],
+    returns: 'JSON object with width and height, `{"width": 800, "height": 600}`',
+    errors: ['CANVAS_SIZE_NOT_AVAILABLE', 'CANVAS_SIZE_FAILED']
+  },
+  {
+    name: 'get-image-info',
+    group: 'info',
+    scope: 'read',
+    summary: 'Get comprehensive image information.',
+    example: [
+      'ADDRESS MINIPAINT "get-image-info"',
+      'SAY "Info: " RESULT'
+    ].join('\n'),
+    params: [],
+    returns: [
+      'JSON object with image metadata:',
+      '```json',
+      '{',
+      '  "canvasWidth": 800,',
+      '  "canvasHeight": 600,',
+      '  "layerCount": 3,',
+      '  "currentLayer": 1',
+      '}',
+      '```'
+    ].join('\n'),
+    errors: ['IMAGE_INFO_NOT_AVAILABLE', 'IMAGE_INFO_FAILED']
+  },
+  {
+    name: 'list-effects',
+    group: 'info',
+    scope: 'read',
+    summary: 'List all available effects with their parameter schemas.',
+    example: [
+      'ADDRESS MINIPAINT "list-effects"',
+      'SAY "Available effects: " RESULT',
+      '',
+      'ADDRESS MINIPAINT "list-effects name=oil"',
+      'SAY "Oil parameters: " RESULT'
+    ].join('\n'),
+    params: [
+      { name: 'name', type: 'string', description: 'Describe a single effect' }
+    ],
+    returns: [
+      'JSON array of effects, or a single effect when `name` is given:',
+      '```json',
+      '[',
+      '  {',
+      '    "name": "oil",',
+      '    "title": "Oil",',
+      '    "params": [',
+      '      {"name": "range", "key": "param1", "title": "Range", "type": "number", "default": 2, "min": 1, "max": 10},',
+      '      {"name": "levels", "key": "param2", "title": "Levels", "type": "number", "default": 32, "min": 1, "max": 256}',
+      '    ]',
+      '  }',
+      ']',
+      '```',
+      'Parameter `type` is one of `number`, `boolean`, `color`, `enum` (with `values`) or `string`.'
+    ].join('\n'),
+    errors: ['LIST_EFFECTS_UNKNOWN', 'LIST_EFFECTS_FAILED']
+  },
+  {
+    name: 'list-layers',
+    group: 'info',
+    scope: 'read',
+    summary: 'List all layers in the image.',
+    example: [
+      'ADDRESS MINIPAINT "list-layers"',
+      'SAY "Layers: " RESULT'
+    ].join('\n'),
+    params: [],
+    returns: [
+      'JSON array of layer objects, top layer first, like the Layers panel:',
+      '```json',
+      '[',
+      '  {"id": 2, "name": "Layer 1", "type": "image", "visible": true, "opacity": 0.8, "composition": "source-over", "active": true},',
+      '  {"id": 1, "name": "Background", "type": "image", "visible": true, "opacity": 1, "composition": "source-over", "active": false}',
+      ']',
+      '```'
+    ].join('\n'),
+    errors: ['LIST_LAYERS_FAILED']
+  },
+  {
+    name: 'list-commands',
+    group: 'info',
+    scope: 'read',
+    summary: 'List all commands with a short description.',
+    example: [
+      'ADDRESS MINIPAINT \'list-commands group=selection\'',
+      'DO i = 1 TO RESULT.0',
+      '  SAY RESULT.i.NAME \'-\' RESULT.i.SUMMARY',
+      'END'
+    ].join('\n'),
+    params: [
+      { name: 'group', type: 'string', description: 'List only this group: ' + GROUPS.map((group) => '`' + group.name + '`').join(', ') }
+    ],
+    returns: 'JSON array of `{name, group, summary}`, also as stem',
+    errors: ['HELP_FAILED']
+  },
+  {
+    name: 'help',
+    group: 'info',
+    scope: 'read',
+    summary: 'Describe one command: parameters with their types and defaults, and the error codes it can fail with.',
+    example: [
+      'ADDRESS MINIPAINT \'help command=resize\'',
+      'DO i = 1 TO RESULT.PARAMS.0',
+      '  SAY RESULT.PARAMS.i.NAME \'(\' || RESULT.PARAMS.i.TYPE || \')\' RESULT.PARAMS.i.DESCRIPTION',
+      'END',
+      'DO i = 1 TO RESULT.ERRORS.0',
+      '  SAY RESULT.ERRORS.i.CODE RESULT.ERRORS.i.DESCRIPTION',
+      'END'
+    ].join('\n'),
+    params: [
+      { name: 'command', type: 'string', description: 'Command name, e.g. `resize`' }
+    ],
+    notes: 'Without `command` it answers like `list-commands`.',
+    returns: [
+      'JSON object, also as stem:',
+      '```json',
+      '{"name": "rotate", "group": "image", "summary": "Rotate the active layer, ...", "returns": "New rotation of the layer (0-359)",',
+      ' "params": [{"name": "angle", "type": "number", "required": true, "description": "Degrees added to the current rotation of the layer"}],',
+      ' "errors": [{"code": 30, "name": "ROTATE_ANGLE_MISSING", "description": "`angle` missing"}, ...]}',
+      '```',
+      '`errors` leaves out the codes any command can fail with, see [Error Codes](#error-codes).'
+    ].join('\n'),
+    errors: ['HELP_UNKNOWN_COMMAND', 'HELP_FAILED']
+  },
+
+  // Queries
+  {
+    name: 'get-layer',
+    group: 'queries',
+    scope: 'read',
+    summary: 'Get every field of a layer.',
+    example: [
+      'ADDRESS MINIPAINT \'get-layer layer="Layer 1"\'',
+      'IF RESULT.VISIBLE = \'true\' & RESULT.OPACITY < 1 THEN SAY \'Layer is see-through\''
+    ].join('\n'),
+    params: [
+      { name: 'layer', type: 'layer', description: 'Layer to describe, see [Targeting a layer](#targeting-a-layer), active layer by default' }
+    ],
+    returns: [
+      '```json',
+      '{"id": 2, "name": "Layer 1", "type": "image", "parent_id": 0, "x": 10, "y": 20, "width": 300, "height": 200,',
+      ' "width_original": 600, "height_original": 400, "visible": true, "is_vector": false, "opacity": 0.8, "order": 2,',
+      ' "composition": "source-over", "rotate": 0, "color": null, "status": null,',
+      ' "filters": [{"id": "3Qk", "name": "blur", "params": {"value": 5}}], "params": {}}',
+      '```',
+      '`opacity` is 0-1 like in `set-opacity`. `params` holds the type-specific settings, e.g. the font of a text layer. Image pixels are not included, see `get-layer-pixels`.'
+    ].join('\n'),
+    errors: ['LAYER_NOT_FOUND', 'QUERY_FAILED']
+  },
+  {
+    name: 'get-document',
+    group: 'queries',
+    scope: 'read',
+    summary: 'Get document size, units, resolution and guides.',
+    example: [
+      'ADDRESS MINIPAINT \'get-document\'',
+      'IF RESULT.WIDTH > 1920 THEN ADDRESS MINIPAINT \'resize width=1920\''
+    ].join('\n'),
+    params: [],
+    returns: [
+      '```json',
+      '{"width": 800, "height": 600, "units": "pixels", "units_short": "px", "resolution": 72, "transparency": false,',
+      ' "layers": 2, "active_layer": 2, "guides_enabled": true, "guides": [{"x": 100, "y": null}], "zoom": 1, "dirty": true}',
+      '```',
+      '`width` and `height` are pixels. `units` and `resolution` come from **Settings**, `resize` takes sizes in these units. A guide has `x` for a vertical line or `y` for a horizontal one.'
+    ].join('\n'),
+    errors: ['QUERY_FAILED']
+  },
+  {
+    name: 'get-pixel',
+    group: 'queries',
+    scope: 'read',
+    summary: 'Get the color of one pixel of the document as shown, or of one layer.',
+    example: [
+      'ADDRESS MINIPAINT \'get-pixel x=10 y=20\'',
+      'IF RESULT.ALPHA = 0 THEN SAY \'Transparent\'',
+      'ELSE SAY \'Color\' RESULT.HEX'
+    ].join('\n'),
+    params: [
+      { name: 'x', type: 'number', required: true, description: 'Document X coordinate' },
+      { name: 'y', type: 'number', required: true, description: 'Document Y coordinate' },
+      { name: 'layer', type: 'layer', description: 'Sample only this layer instead of all visible layers' }
+    ],
+    returns: '`{"x": 10, "y": 20, "red": 255, "green": 128, "blue": 0, "alpha": 255, "hex": "#ff8000"}`',
+    errors: ['QUERY_POSITION_MISSING', 'QUERY_OUTSIDE_DOCUMENT', 'QUERY_FAILED']
+  },
+  {
+    name: 'get-histogram',
+    group: 'queries',
+    scope: 'read',
+    summary: 'Count how many pixels have each value 0-255, per channel, of the document as shown or of one layer.',
+    example: [
+      'ADDRESS MINIPAINT \'get-histogram\'',
+      'IF RESULT.MEAN.LUMINANCE < 60 THEN ADDRESS MINIPAINT \'apply-effect name=brightness percentage=30\'',
+      'SAY \'Pure black pixels:\' RESULT.LUMINANCE.1'
+    ].join('\n'),
+    params: [
+      { name: 'x', type: 'number', default: 0, description: 'Left edge of the region in document coordinates' },
+      { name: 'y', type: 'number', default: 0, description: 'Top edge of the region in document coordinates' },
+      { name: 'width', type: 'number', description: 'Region width, rest of the document by default' },
+      { name: 'height', type: 'number', description: 'Region height, rest of the document by default' },
+      { name: 'layer', type: 'layer', description: 'Count only this layer instead of all visible layers' }
+    ],
+    returns: [
+      '```json',
+      '{"x": 0, "y": 0, "width": 800, "height": 600, "pixels": 480000, "transparent": 0,',
+      ' "mean": {"red": 120.5, "green": 98.2, "blue": 80, "alpha": 255, "luminance": 103.4},',
+      ' "red": [0, 12, ...], "green": [...], "blue": [...], "alpha": [...], "luminance": [...]}',
+      '```',
+      'Each channel list has 256 counts, the count of value `v` is at index `v`, and in the stem at `.(v+1)`, e.g. `RESULT.RED.256` for value 255. Fully transparent pixels are counted only in `alpha`, `mean` of the colors leaves them out. Luminance is `0.299 R + 0.587 G + 0.114 B`.'
+    ].join('\n'),
+    errors: ['QUERY_OUTSIDE_DOCUMENT', 'QUERY_FAILED']
+  },
+
+  // Editing Operations
+  {
+    name: 'undo',
+    group: 'editing',
+    summary: 'Undo the last action.',
+    example: 'ADDRESS MINIPAINT "undo"',
+    params: [],
+    returns: 'Success status',
+    errors: ['UNDO_NOT_AVAILABLE', 'UNDO_IN_TRANSACTION', 'UNDO_FAILED']
+  },
+  {
+    name: 'redo',
+    group: 'editing',
+    summary: 'Redo the last undone action.',
+    example: 'ADDRESS MINIPAINT "redo"',
+    params: [],
+    returns: 'Success status',
+    errors: ['REDO_NOT_AVAILABLE', 'REDO_IN_TRANSACTION', 'REDO_FAILED']
+  },
+
+  // Transactions
+  {
+    name: 'begin-transaction',
+    group: 'transactions',
+    summary: 'Start collecting changes.',
+    params: [
+      { name: 'name', type: 'string', default: 'Script', description: 'Name of the undo step' }
+    ],
+    errors: ['TRANSACTION_STARTED', 'TRANSACTION_FAILED']
+  },
+  {
+    name: 'commit',
+    group: 'transactions',
+    summary: 'Add the changes made since `begin-transaction` to history as one undo step.',
+    params: [],
+    returns: 'Number of collected changes',
+    errors: ['NO_TRANSACTION', 'TRANSACTION_FAILED']
+  },
+  {
+    name: 'rollback',
+    group: 'transactions',
+    summary: 'Revert the changes made since `begin-transaction`, newest first.',
+    params: [],
+    returns: 'Number of reverted changes',
+    errors: ['NO_TRANSACTION', 'TRANSACTION_FAILED']
+  },
+
+  // Scripts
+  {
+    name: 'execute-rexx',
+    group: 'scripts',
+    summary: 'Run a whole RexxJS script, e.g. sent over the control bus or the relay. Its `ADDRESS MINIPAINT` commands run in this miniPaint.',
+    example: 'ADDRESS MINIPAINT \'execute-rexx script="ADDRESS MINIPAINT \\"resize width=800\\"\\nADDRESS MINIPAINT \\"flip direction=horizontal\\""\'',
+    params: [
+      { name: 'script', type: 'string', required: true, description: 'Script to run' }
+    ],
+    notes: 'A transaction the script leaves open is rolled back when it ends.',
+    returns: 'RC of the script; `RESULT` and output of its last command',
+    errors: ['SCRIPT_MISSING', 'SCRIPT_FAILED']
+  }
+];
+
+/**
+ * MiniPaintCommandCatalogue - look up commands and errors of the catalogue
+ */
+class MiniPaintCommandCatalogue {
+  /**
+   * @returns {CommandSpec|null}
+   */
+  getCommand(name) {
+    return COMMANDS.find((command) => command.name === name) || null;
+  }
+
+  /**
+   * @returns {ErrorSpec|null}
+   */
+  getError(nameOrCode) {
+    return ERROR_CODES.find((error) => error.name === nameOrCode || error.code === nameOrCode) || null;
+  }
+
+  /**
+   * Commands, all or of one group, as {name, group, summary}
+   * @returns {object[]}
+   */
+  list(group) {
+    return COMMANDS
+      .filter((command) => group === undefined || command.group === group)
+      .map(({ name, group, summary }) => ({ name, group, summary }));
+  }
+
+  /**
+   * Everything about one command, with its error names resolved to {code, name, description}
+   * @returns {object|null}
+   */
+  describe(name) {
+    const command = this.getCommand(name);
+    if (!command) {
+      return null;
+    }
+    return {
+      name: command.name,
+      group: command.group,
+      scope: command.scope || 'write',
+      summary: command.summary,
+      params: command.params.map((param) => ({ ...param, required: param.required === true })),
+      returns: command.returns || '',
+      errors: command.errors.map((error) => this.getError(error)),
+      example: command.example || ''
+    };
+  }
+}
+
+export default MiniPaintCommandCatalogue;
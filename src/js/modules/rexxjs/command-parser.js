@@ -0,0 +1,294 @@
+/**
+ * miniPaint RexxJS Command Parser
+ * Tokenizes ADDRESS MINIPAINT command strings into a method name and typed parameters
+ *
+ * Grammar:
+ *   command  := method (key "=" value)*
+ *   value    := quoted | list | object | color | bare
+ *   quoted   := "..." or '...' with \" \' \\ \n \r \t \uXXXX escapes
+ *   list     := "[" value ("," value)* "]"
+ *   object   := "{" key ":" value ("," key ":" value)* "}"
+ *   color    := #rgb | #rgba | #rrggbb | #rrggbbaa | rgb(...) | rgba(...) | hsl(...) | hsla(...)
+ *   bare     := any characters up to whitespace, "=" is allowed; true/false/null and numbers are typed
+ *
+ * Example: add-text text="Hello, world" colors=[#ff0000, #00ff00] font={family: "Arial", size: 24}
+ */
+
+const KEY_PATTERN = /[A-Za-z_][\w.-]*/y;
+const METHOD_PATTERN = /[A-Za-z_][\w-]*/y;
+const NUMBER_PATTERN = /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const HEX_COLOR_PATTERN = /#[0-9a-fA-F]+/y;
+const COLOR_FUNCTION_PATTERN = /(rgba?|hsla?)\(/y;
+const ESCAPES = { n: '\n', r: '\r', t: '\t', '"': '"', "'": "'", '\\': '\\', '/': '/' };
+
+/**
+ * Build parse error with 1-based column of the offending character
+ */
+function parseError(message, index) {
+  const error = new Error(`Parse error at column ${index + 1}: ${message}`);
+  error.column = index + 1;
+  return error;
+}
+
+/**
+ * Convert bare word into number, boolean, null or keep it as string
+ */
+function typeBareValue(word) {
+  if (word === 'true') return true;
+  if (word === 'false') return false;
+  if (word === 'null') return null;
+  if (NUMBER_PATTERN.test(word)) return Number(word);
+  return word;
+}
+
+/**
+ * MiniPaintCommandParser - single-use tokenizer over one command string
+ */
+class MiniPaintCommandParser {
+  constructor(text = '') {
+    this.text = String(text);
+    this.index = 0;
+  }
+
+  /**
+   * Parse command string
+   * @param {string} text
+   * @returns {{method: string, params: object}}
+   * @throws {Error} with "column" property on malformed input
+   */
+  static parse(text) {
+    return new MiniPaintCommandParser(text).parseCommand();
+  }
+
+  parseCommand() {
+    this.skipWhitespace();
+    const method = this.match(METHOD_PATTERN);
+    if (!method) {
+      throw parseError(this.atEnd() ? 'command name expected' : `invalid command name near "${this.peekWord()}"`, this.index);
+    }
+    if (!this.atEnd() && !/\s/.test(this.text[this.index])) {
+      throw parseError(`unexpected "${this.text[this.index]}" after command name`, this.index);
+    }
+
+    const params = {};
+    this.skipWhitespace();
+    while (!this.atEnd()) {
+      const keyStart = this.index;
+      const key = this.match(KEY_PATTERN);
+      if (!key || this.text[this.index] !== '=') {
+        throw parseError(`expected key=value, got "${this.peekWord(keyStart)}"`, keyStart);
+      }
+      this.index++;
+      if (Object.prototype.hasOwnProperty.call(params, key)) {
+        throw parseError(`duplicate parameter "${key}"`, keyStart);
+      }
+      params[key] = this.parseValue(true);
+
+      if (!this.atEnd() && !/\s/.test(this.text[this.index])) {
+        throw parseError(`unexpected "${this.text[this.index]}" after value of "${key}"`, this.index);
+      }
+      this.skipWhitespace();
+    }
+
+    return { method, params };
+  }
+
+  /**
+   * Parse one value
+   * @param {boolean} topLevel - bare words run up to whitespace; inside lists/objects also up to , ] }
+   */
+  parseValue(topLevel) {
+    if (this.atEnd()) {
+      throw parseError('value expected', this.index);
+    }
+    const char = this.text[this.index];
+
+    if (char === '"' || char === "'") {
+      return this.parseQuoted(char);
+    }
+    if (char === '[') {
+      return this.parseList();
+    }
+    if (char === '{') {
+      return this.parseObject();
+    }
+    if (char === '#') {
+      return this.parseHexColor(topLevel);
+    }
+    COLOR_FUNCTION_PATTERN.lastIndex = this.index;
+    if (COLOR_FUNCTION_PATTERN.test(this.text)) {
+      return this.parseColorFunction();
+    }
+    if (/\s/.test(char)) {
+      throw parseError('value expected', this.index);
+    }
+
+    const start = this.index;
+    const stop = topLevel ? /\s/ : /[\s,\]}]/;
+    while (!this.atEnd() && !stop.test(this.text[this.index])) {
+      this.index++;
+    }
+    if (this.index === start) {
+      throw parseError(`value expected, got "${char}"`, start);
+    }
+    return typeBareValue(this.text.slice(start, this.index));
+  }
+
+  parseQuoted(quote) {
+    const start = this.index;
+    let value = '';
+    this.index++;
+    while (!this.atEnd()) {
+      const char = this.text[this.index];
+      if (char === quote) {
+        this.index++;
+        return value;
+      }
+      if (char === '\\') {
+        const escape = this.text[this.index + 1];
+        if (escape === undefined) {
+          break;
+        }
+        if (escape === 'u') {
+          const hex = this.text.substr(this.index + 2, 4);
+          if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+            throw parseError('invalid \\u escape, expected 4 hex digits', this.index);
+          }
+          value += String.fromCharCode(parseInt(hex, 16));
+          this.index += 6;
+          continue;
+        }
+        if (ESCAPES[escape] === undefined) {
+          throw parseError(`unknown escape "\\${escape}"`, this.index);
+        }
+        value += ESCAPES[escape];
+        this.index += 2;
+        continue;
+      }
+      value += char;
+      this.index++;
+    }
+    throw parseError('unterminated string', start);
+  }
+
+  parseList() {
+    const start = this.index;
+    const list = [];
+    this.index++;
+    this.skipWhitespace();
+    if (this.text[this.index] === ']') {
+      this.index++;
+      return list;
+    }
+    while (true) {
+      this.skipWhitespace();
+      list.push(this.parseValue(false));
+      this.skipWhitespace();
+      if (this.atEnd()) {
+        throw parseError('unterminated list, "]" expected', start);
+      }
+      const char = this.text[this.index];
+      this.index++;
+      if (char === ']') {
+        return list;
+      }
+      if (char !== ',') {
+        throw parseError(`expected "," or "]" in list, got "${char}"`, this.index - 1);
+      }
+    }
+  }
+
+  parseObject() {
+    const start = this.index;
+    const object = {};
+    this.index++;
+    this.skipWhitespace();
+    if (this.text[this.index] === '}') {
+      this.index++;
+      return object;
+    }
+    while (true) {
+      this.skipWhitespace();
+      const keyStart = this.index;
+      let key;
+      if (this.text[this.index] === '"' || this.text[this.index] === "'") {
+        key = this.parseQuoted(this.text[this.index]);
+      } else {
+        key = this.match(KEY_PATTERN);
+      }
+      if (!key) {
+        throw parseError(this.atEnd() ? 'unterminated object, "}" expected' : 'object key expected', this.atEnd() ? start : keyStart);
+      }
+      this.skipWhitespace();
+      if (this.text[this.index] !== ':') {
+        throw parseError(`expected ":" after object key "${key}"`, this.index);
+      }
+      this.index++;
+      this.skipWhitespace();
+      object[key] = this.parseValue(false);
+      this.skipWhitespace();
+      if (this.atEnd()) {
+        throw parseError('unterminated object, "}" expected', start);
+      }
+      const char = this.text[this.index];
+      this.index++;
+      if (char === '}') {
+        return object;
+      }
+      if (char !== ',') {
+        throw parseError(`expected "," or "}" in object, got "${char}"`, this.index - 1);
+      }
+    }
+  }
+
+  parseHexColor(topLevel) {
+    const start = this.index;
+    HEX_COLOR_PATTERN.lastIndex = this.index;
+    const found = HEX_COLOR_PATTERN.exec(this.text);
+    const digits = found ? found[0].length - 1 : 0;
+    this.index = start + 1 + digits;
+    const stop = topLevel ? /\s/ : /[\s,\]}]/;
+    if (![3, 4, 6, 8].includes(digits) || (!this.atEnd() && !stop.test(this.text[this.index]))) {
+      throw parseError(`invalid color literal "${this.peekWord(start)}", expected #rgb, #rgba, #rrggbb or #rrggbbaa`, start);
+    }
+    return this.text.slice(start, this.index);
+  }
+
+  parseColorFunction() {
+    const start = this.index;
+    const close = this.text.indexOf(')', start);
+    if (close === -1) {
+      throw parseError('unterminated color function, ")" expected', start);
+    }
+    this.index = close + 1;
+    return this.text.slice(start, this.index).replace(/\s+/g, '');
+  }
+
+  match(pattern) {
+    pattern.lastIndex = this.index;
+    const found = pattern.exec(this.text);
+    if (!found) {
+      return null;
+    }
+    this.index += found[0].length;
+    return found[0];
+  }
+
+  peekWord(from = this.index) {
+    const rest = this.text.slice(from);
+    const word = rest.split(/\s/)[0];
+    return word.length > 20 ? word.slice(0, 20) + '...' : word;
+  }
+
+  skipWhitespace() {
+    while (!this.atEnd() && /\s/.test(this.text[this.index])) {
+      this.index++;
+    }
+  }
+
+  atEnd() {
+    return this.index >= this.text.length;
+  }
+}
+
+export default MiniPaintCommandParser;
@@ -0,0 +1,358 @@
+/**
+ * miniPaint RexxJS Effect Registry
+ * Discovers the Effects menu modules and drives their dialogs from named command arguments
+ */
+
+import app from '../../app.js';
+import config from '../../config.js';
+import MiniPaintTaskProgress from './task-progress.js';
+import { ERRORS } from './command-catalogue.js';
+
+// Names kept working from the original hard-coded effect list
+const EFFECT_ALIASES = {
+  saturation: 'saturate',
+  negative: 'invert',
+};
+
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Normalize effect and argument names so "hue-rotate", "hue_rotate" and "Hue Rotate" match
+ */
+function normalizeName(name) {
+  return String(name).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Dialog stand-in that records the settings an effect passes to POP.show()
+ * instead of rendering a popup.
+ */
+class RecordingDialog {
+  constructor(original) {
+    this.settings = null;
+    this.width_mini = original ? original.width_mini : 225;
+    this.height_mini = original ? original.height_mini : 200;
+  }
+
+  show(settings) {
+    this.settings = settings;
+  }
+
+  hide() {
+  }
+}
+
+/**
+ * MiniPaintEffectRegistry - Catalogue of effect modules with their dialog parameter schemas
+ */
+class MiniPaintEffectRegistry {
+  constructor() {
+    this.schemas = {};
+    this.schemasSize = null;
+  }
+
+  /**
+   * List effect modules, using the same discovery as the Effects browser
+   * @returns {Array<{name, title, key, functionName, object}>}
+   */
+  getEffects() {
+    const browser = app.GUI && app.GUI.modules ? app.GUI.modules['effects/browser'] : null;
+    if (!browser) {
+      return [];
+    }
+
+    return browser.get_effects_list().map((item) => ({
+      name: item.key.split('/').pop(),
+      title: item.title,
+      key: item.key,
+      functionName: browser.get_function_from_path(item.key),
+      object: item.object,
+    }));
+  }
+
+  /**
+   * Find effect by name or alias
+   * @param {string} name
+   * @returns {object|null}
+   */
+  getEffect(name) {
+    let wanted = normalizeName(name);
+    if (EFFECT_ALIASES[wanted]) {
+      wanted = EFFECT_ALIASES[wanted];
+    }
+    return this.getEffects().find((effect) => normalizeName(effect.name) === wanted) || null;
+  }
+
+  /**
+   * Describe effect parameters as a schema
+   * Usage: registry.describe('oil') -> { name, title, params: [{ name, key, type, default, min, max, ... }] }
+   */
+  describe(name) {
+    const effect = typeof name === 'string' ? this.getEffect(name) : name;
+    if (!effect) {
+      return null;
+    }
+
+    const size = config.WIDTH + 'x' + config.HEIGHT;
+    if (this.schemasSize !== size) {
+      // Some dialogs derive ranges from the image size, e.g. zoom blur center
+      this.schemas = {};
+      this.schemasSize = size;
+    }
+    if (!this.schemas[effect.name]) {
+      const definitions = this.probe(effect);
+      this.schemas[effect.name] = {
+        name: effect.name,
+        title: effect.title,
+        params: definitions.map((definition) => this.describeParam(definition)),
+      };
+    }
+
+    return this.schemas[effect.name];
+  }
+
+  /**
+   * Describe all effects
+   */
+  describeAll() {
+    return this.getEffects().map((effect) => this.describe(effect));
+  }
+
+  /**
+   * Collect dialog params of an effect without touching the document.
+   * The effect opens its dialog for a blank, document sized probe layer, actions it does are dropped.
+   * Effects marked with has_dialog = false apply as soon as they are called and are not run.
+   * @returns {Array} dialog params, empty when the effect has no dialog
+   */
+  probe(effect) {
+    if (effect.object && effect.object.has_dialog === false) {
+      return [];
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 1;
+    const probeLayer = {
+      id: -1,
+      parent_id: 0,
+      name: 'probe',
+      type: 'image',
+      link: canvas,
+      x: 0,
+      y: 0,
+      width: config.WIDTH,
+      height: config.HEIGHT,
+      width_original: config.WIDTH,
+      height_original: config.HEIGHT,
+      visible: true,
+      opacity: 100,
+      order: 0,
+      composition: 'source-over',
+      rotate: 0,
+      params: {},
+      filters: [],
+    };
+
+    const dialog = new RecordingDialog(effect.object.POP);
+    const originalDialog = effect.object.POP;
+    const originalLayer = config.layer;
+
+    effect.object.POP = dialog;
+    // Dialogs read the active layer, e.g. black and white takes its default level from it
+    config.layers.push(probeLayer);
+    config.layer = probeLayer;
+    try {
+      app.State.capture_actions(() => effect.object[effect.functionName]());
+    } finally {
+      config.layer = originalLayer;
+      config.layers.splice(config.layers.indexOf(probeLayer), 1);
+      effect.object.POP = originalDialog;
+    }
+
+    if (!dialog.settings || !dialog.settings.params) {
+      return [];
+    }
+    return dialog.settings.params.filter((definition) => definition.name !== undefined);
+  }
+
+  /**
+   * Convert dialog param definition (see libs/popup.js) into a schema entry
+   */
+  describeParam(definition) {
+    const name = definition.title ? normalizeName(definition.title.replace(/[^\w\s-]/g, '')) : definition.name;
+    const schema = {
+      name: name || definition.name,
+      key: definition.name,
+      title: definition.title ? definition.title.replace(/:$/, '') : definition.name,
+      type: 'string',
+      default: definition.value,
+    };
+
+    if (definition.type === 'color') {
+      schema.type = 'color';
+    } else if (definition.values !== undefined) {
+      schema.type = 'enum';
+      schema.values = definition.values.slice();
+    } else if (typeof definition.value === 'boolean') {
+      schema.type = 'boolean';
+    } else if (definition.range !== undefined || (definition.value !== '' && !isNaN(definition.value))) {
+      schema.type = 'number';
+      schema.default = parseFloat(definition.value);
+      if (definition.range !== undefined) {
+        schema.min = definition.range[0];
+        schema.max = definition.range[1];
+      }
+      if (definition.step !== undefined) {
+        schema.step = definition.step;
+      }
+    }
+
+    return schema;
+  }
+
+  /**
+   * Build dialog params from named arguments
+   * @param {Array} definitions - dialog params
+   * @param {object} args - named arguments, keyed by schema name or dialog key
+   * @returns {{params: object}|{errorCode: number, output: string}}
+   */
+  buildParams(definitions, args) {
+    const schemas = definitions.map((definition) => this.describeParam(definition));
+    const params = {};
+    for (const schema of schemas) {
+      params[schema.key] = schema.default;
+    }
+
+    for (const argName in args) {
+      const wanted = normalizeName(argName);
+      const schema = schemas.find((item) => item.name === wanted || normalizeName(item.key) === wanted);
+      if (!schema) {
+        const known = schemas.map((item) => item.name).join(', ') || 'none';
+        return { errorCode: ERRORS.EFFECT_UNKNOWN_PARAM, output: `Unknown parameter: ${argName} (supported: ${known})` };
+      }
+
+      const value = this.coerceValue(schema, args[argName]);
+      if (value.error) {
+        return { errorCode: ERRORS.EFFECT_INVALID_PARAM, output: `Invalid ${schema.name}: ${value.error}` };
+      }
+      params[schema.key] = value.value;
+    }
+
+    return { params };
+  }
+
+  /**
+   * Check type and range of one argument
+   * @returns {{value}|{error: string}}
+   */
+  coerceValue(schema, raw) {
+    switch (schema.type) {
+      case 'number': {
+        const value = typeof raw === 'number' ? raw : parseFloat(raw);
+        if (raw === '' || raw === true || raw === false || isNaN(value)) {
+          return { error: `expected number, got "${raw}"` };
+        }
+        if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+          return { error: `${value} is out of range ${schema.min}..${schema.max}` };
+        }
+        return { value };
+      }
+      case 'boolean':
+        if (raw === true || raw === 'true' || raw === 1 || raw === '1') return { value: true };
+        if (raw === false || raw === 'false' || raw === 0 || raw === '0') return { value: false };
+        return { error: `expected true or false, got "${raw}"` };
+      case 'color':
+        if (!COLOR_PATTERN.test(String(raw))) {
+          return { error: `expected hex color like #ff0000, got "${raw}"` };
+        }
+        return { value: String(raw) };
+      case 'enum':
+        if (!schema.values.includes(String(raw))) {
+          return { error: `expected one of ${schema.values.join(', ')}, got "${raw}"` };
+        }
+        return { value: String(raw) };
+      default:
+        return { value: String(raw) };
+    }
+  }
+
+  /**
+   * Apply effect to the active layer through its own dialog callbacks.
+   * The effect renders off to the side, its change lands in history as one bundle once it is done.
+   * The effect reports progress to the task of the command (see task-progress.js), and nothing
+   * changes when the task is cancelled before the change lands.
+   * @param {string} name
+   * @param {object} args - named arguments
+   * @param {MiniPaintTaskProgress} [task] - task of the command, none from the GUI
+   * @returns {Promise<object>} handler response
+   */
+  async apply(name, args = {}, task = new MiniPaintTaskProgress()) {
+    const effect = this.getEffect(name);
+    if (!effect) {
+      return { success: false, errorCode: ERRORS.EFFECT_UNKNOWN, output: `Unknown effect: ${name}` };
+    }
+
+    const cancelled = { success: false, errorCode: ERRORS.CANCELLED, output: `Effect ${effect.name} cancelled` };
+    task.report(0, 'preparing');
+    await task.yield();
+    if (task.isCancelled()) {
+      return cancelled;
+    }
+
+    // Effects without dialog apply as soon as they are called, so check arguments first
+    const schema = this.describe(effect);
+    if (schema.params.length === 0 && Object.keys(args).length > 0) {
+      return { success: false, errorCode: ERRORS.EFFECT_UNKNOWN_PARAM, output: `Effect ${effect.name} takes no parameters` };
+    }
+
+    const dialog = new RecordingDialog(effect.object.POP);
+    const originalDialog = effect.object.POP;
+    let rendered;
+    effect.object.POP = dialog;
+    try {
+      rendered = app.State.capture_actions(() => effect.object[effect.functionName]());
+    } finally {
+      effect.object.POP = originalDialog;
+    }
+
+    if (dialog.settings) {
+      const built = this.buildParams(dialog.settings.params.filter((definition) => definition.name !== undefined), args);
+      if (built.errorCode) {
+        return { success: false, errorCode: built.errorCode, output: built.output };
+      }
+      task.report(10, 'rendering');
+      await task.yield();
+      if (task.isCancelled()) {
+        return cancelled;
+      }
+      rendered = app.State.capture_actions(() => dialog.settings.on_finish(built.params));
+    }
+
+    if (rendered.result === undefined) {
+      return {
+        success: false,
+        errorCode: ERRORS.EFFECT_NOT_APPLICABLE,
+        output: `Effect ${effect.name} can not be applied to layer "${config.layer.name}" (type: ${config.layer.type})`
+      };
+    }
+
+    task.report(90, 'applying');
+    await task.yield();
+    if (task.isCancelled()) {
+      return cancelled;
+    }
+
+    // An effect that does its action later, after an await, already changed the document itself
+    const status = rendered.actions.length > 0
+      ? await app.State.do_action(new app.Actions.Bundle_action('apply_effect', effect.title || effect.name, rendered.actions))
+      : await rendered.result;
+    if (status && status.status === 'aborted') {
+      return { success: false, errorCode: ERRORS.EFFECT_ABORTED, output: `Effect ${effect.name} aborted: ${status.reason ? status.reason.message : ''}` };
+    }
+
+    task.report(100, 'done');
+    return { success: true, output: `Applied effect: ${effect.name}` };
+  }
+}
+
+export default MiniPaintEffectRegistry;
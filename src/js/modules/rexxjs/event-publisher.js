@@ -0,0 +1,189 @@
+/**
+ * miniPaint Event Publisher
+ * Turns undo history changes into document events for subscribers, e.g. a director frame on the control bus
+ */
+
+import app from '../../app.js';
+import config from '../../config.js';
+import MiniPaintSelectionCommands from './selection-commands.js';
+
+export const EVENTS = [
+  'layer-added',
+  'layer-removed',
+  'layer-changed',
+  'selection-changed',
+  'history-changed',
+  'document-dirty',
+  'tool-changed'
+];
+
+// Layer properties compared between changes, image content is tracked through the actions
+const LAYER_PROPERTIES = ['name', 'type', 'visible', 'opacity', 'composition', 'x', 'y', 'width', 'height', 'rotate', 'order'];
+
+let instance = null;
+
+/**
+ * MiniPaintEventPublisher - one instance, listens to Base_state "change" while someone is subscribed.
+ *
+ * Payloads:
+ * - layer-added, layer-removed: { id, name, type }
+ * - layer-changed: { id, name, changes } with changed property names, "image" for new pixels, "active" for layer selection
+ * - selection-changed: { selection } as {x, y, width, height}, or null
+ * - history-changed: { event, description, canUndo, canRedo } where event is do, undo, redo, commit or rollback
+ * - document-dirty: { dirty }
+ * - tool-changed: { tool, previous }
+ */
+class MiniPaintEventPublisher {
+  constructor() {
+    if (instance) {
+      return instance;
+    }
+    instance = this;
+
+    this.selection = new MiniPaintSelectionCommands();
+    this.subscriptions = [];
+    this.snapshot = null;
+    this.onChange = this.onChange.bind(this);
+  }
+
+  /**
+   * Receive events
+   * @param {string[]} events - names from EVENTS
+   * @param {function} callback - called with (event, payload)
+   * @returns {function} unsubscribe
+   */
+  subscribe(events, callback) {
+    const unknown = events.filter((event) => !EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown event: ${unknown.join(', ')}`);
+    }
+
+    if (this.subscriptions.length === 0) {
+      this.snapshot = this.takeSnapshot();
+      app.State.on('change', this.onChange);
+    }
+    const subscription = { events: [...events], callback };
+    this.subscriptions.push(subscription);
+
+    return () => {
+      this.subscriptions = this.subscriptions.filter((item) => item !== subscription);
+      if (this.subscriptions.length === 0) {
+        app.State.off('change', this.onChange);
+        this.snapshot = null;
+      }
+    };
+  }
+
+  publish(event, payload) {
+    for (const subscription of this.subscriptions) {
+      if (subscription.events.includes(event)) {
+        subscription.callback(event, payload);
+      }
+    }
+  }
+
+  /**
+   * Base_state change, compares document with the previous snapshot
+   * @param {object} change - { type, actions }
+   */
+  onChange(change) {
+    const previous = this.snapshot;
+    const current = this.takeSnapshot();
+    this.snapshot = current;
+
+    const touched = this.collectTouchedLayers(change.actions);
+    for (const [id, layer] of current.layers) {
+      const before = previous.layers.get(id);
+      if (!before) {
+        this.publish('layer-added', { id, name: layer.name, type: layer.type });
+        continue;
+      }
+      const changes = LAYER_PROPERTIES.filter((name) => layer[name] !== before[name]);
+      if (layer.active !== before.active) {
+        changes.push('active');
+      }
+      for (const name of touched.get(id) || []) {
+        if (!changes.includes(name)) {
+          changes.push(name);
+        }
+      }
+      if (changes.length > 0) {
+        this.publish('layer-changed', { id, name: layer.name, changes });
+      }
+    }
+    for (const [id, layer] of previous.layers) {
+      if (!current.layers.has(id)) {
+        this.publish('layer-removed', { id, name: layer.name, type: layer.type });
+      }
+    }
+
+    if (JSON.stringify(current.selection) !== JSON.stringify(previous.selection)) {
+      this.publish('selection-changed', { selection: current.selection });
+    }
+    if (current.tool !== previous.tool) {
+      this.publish('tool-changed', { tool: current.tool, previous: previous.tool });
+    }
+
+    // Actions inside a transaction reach history on commit
+    if (change.type !== 'saved' && (change.type !== 'do' || !app.State.transaction)) {
+      const action = change.actions[change.actions.length - 1];
+      this.publish('history-changed', {
+        event: change.type,
+        description: action ? action.action_description : null,
+        canUndo: app.State.can_undo(),
+        canRedo: app.State.can_redo()
+      });
+    }
+    if (current.dirty !== previous.dirty) {
+      this.publish('document-dirty', { dirty: current.dirty });
+    }
+  }
+
+  takeSnapshot() {
+    const layers = new Map();
+    for (const layer of config.layers) {
+      const item = { active: config.layer !== null && config.layer.id === layer.id };
+      for (const name of LAYER_PROPERTIES) {
+        item[name] = layer[name];
+      }
+      layers.set(layer.id, item);
+    }
+    return {
+      layers,
+      selection: this.selection.getSelection(),
+      tool: config.TOOL ? config.TOOL.name : null,
+      dirty: app.State.is_dirty()
+    };
+  }
+
+  /**
+   * Layers whose content the actions changed without a compared property changing, e.g. a brush stroke
+   * @returns {Map<number, string[]>} layer id => changed parts
+   */
+  collectTouchedLayers(actions) {
+    const Actions = app.Actions;
+    const touched = new Map();
+    const add = (id, name) => {
+      const list = touched.get(id) || [];
+      if (!list.includes(name)) {
+        list.push(name);
+      }
+      touched.set(id, list);
+    };
+    const walk = (action) => {
+      if (action instanceof Actions.Bundle_action && action.actions_to_do) {
+        action.actions_to_do.forEach(walk);
+      } else if (action instanceof Actions.Update_layer_image_action || action instanceof Actions.Clear_layer_action) {
+        add(action.layer_id, 'image');
+      } else if (action instanceof Actions.Add_layer_filter_action || action instanceof Actions.Delete_layer_filter_action) {
+        add(action.layer_id, 'filters');
+      } else if (action instanceof Actions.Update_layer_action) {
+        Object.keys(action.settings || {}).forEach((name) => add(parseInt(action.layer_id), name));
+      }
+    };
+    actions.forEach(walk);
+    return touched;
+  }
+}
+
+export default MiniPaintEventPublisher;
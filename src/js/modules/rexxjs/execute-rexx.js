@@ -4,12 +4,29 @@
  */
 
 import MiniPaintRexxHandler from './minipaint-rexx-handler.js';
+import MiniPaintCommandParser from './command-parser.js';
+import { ERRORS } from './command-catalogue.js';
+
+/**
+ * Line of a parsed command in the script, 1 based
+ * @returns {number|null}
+ */
+function getCommandLine(command) {
+  const line = command.lineNumber !== undefined ? command.lineNumber : command.line;
+  return Number.isInteger(line) ? line : null;
+}
 
 /**
  * Execute a full RexxJS script with ADDRESS MINIPAINT support
  * @param {string} script - The RexxJS script to execute
  * @param {object} options - Optional configuration
- * @returns {Promise<object>} - { success, output, result, returnCode }
+ * @param {boolean} options.stopOnError - Stop at the first failed ADDRESS command
+ * @param {function} options.onSay - Receives each SAY line as it is printed
+ * @param {function} options.beforeCommand - Awaited before each command with { line, type }, e.g. to step through
+ * @param {function} options.onCommand - Receives { line, command, returnCode, result, output } after each ADDRESS command
+ * @param {function} options.shouldStop - Checked before each command, true stops the script
+ * @param {number} options.transaction - Token of the transaction the script runs in, see app.State.begin_transaction()
+ * @returns {Promise<object>} - { success, output, result, returnCode, line, stopped }
  */
 export async function executeRexxScript(script, options = {}) {
   return new Promise(async (resolve) => {
@@ -31,11 +48,14 @@ export async function executeRexxScript(script, options = {}) {
       let output = '';
       let result = '';
       let returnCode = 0;
+      let errorLine = null;
+      let stopped = false;
 
       // Override SAY to capture output
       const originalSay = interpreter.say || function() {};
       interpreter.say = function(value) {
         output += value + '\n';
+        if (options.onSay) options.onSay(String(value));
         if (originalSay) originalSay.call(this, value);
       };
 
@@ -46,12 +66,21 @@ export async function executeRexxScript(script, options = {}) {
       const addressHandler = {
         send: async (command, params) => {
           return new Promise((resolveCommand) => {
-            handler.run(command, params, { type: 'rexx-script' })
+            handler.run(command, params, { type: 'rexx-script', transaction: options.transaction })
               .then(response => {
                 // Update RC and RESULT variables
                 if (interpreter.variables) {
                   interpreter.variables.RC = response.errorCode || 0;
                   interpreter.variables.RESULT = response.result || response.output || '';
+                  // RESULT.WIDTH, RESULT.FILTERS.0 and so on, from the previous query are dropped
+                  for (const name of Object.keys(interpreter.variables)) {
+                    if (name.startsWith('RESULT.')) {
+                      delete interpreter.variables[name];
+                    }
+                  }
+                  for (const tail in response.stem || {}) {
+                    interpreter.variables[`RESULT.${tail}`] = response.stem[tail];
+                  }
                 }
                 resolveCommand(response);
               });
@@ -71,6 +100,16 @@ export async function executeRexxScript(script, options = {}) {
 
         // Execute the parsed commands
         for (const command of commands) {
+          const line = getCommandLine(command);
+          if (options.beforeCommand) {
+            await options.beforeCommand({ line, type: command.type });
+          }
+          if (options.shouldStop && options.shouldStop()) {
+            stopped = true;
+            output += '\nScript stopped';
+            break;
+          }
+
           // Handle different command types
           if (command.type === 'SAY') {
             interpreter.say(command.value || '');
@@ -80,10 +119,20 @@ export async function executeRexxScript(script, options = {}) {
             if (response.errorCode) {
               returnCode = response.errorCode;
               result = response.output;
-              if (options.stopOnError) break;
+              errorLine = line;
             } else {
               result = response.result || response.output || '';
             }
+            if (options.onCommand) {
+              options.onCommand({
+                line,
+                command: command.command,
+                returnCode: response.errorCode || 0,
+                result: response.result,
+                output: response.output
+              });
+            }
+            if (response.errorCode && options.stopOnError) break;
           } else if (command.type === 'ASSIGNMENT') {
             // Handle variable assignments
             interpreter.variables = interpreter.variables || {};
@@ -95,13 +144,22 @@ export async function executeRexxScript(script, options = {}) {
       } catch (parseError) {
         output += `\nParse error: ${parseError.message}`;
         returnCode = 2;
+        errorLine = Number.isInteger(parseError.lineNumber) ? parseError.lineNumber : null;
+      }
+
+      // Transaction the script started but did not commit, e.g. stopped on error
+      const count = await handler.endSession();
+      if (count !== null) {
+        output += `\nTransaction not committed, rolled back ${count} changes`;
       }
 
       resolve({
-        success: returnCode === 0,
+        success: returnCode === 0 && !stopped,
         output: output.trim(),
         result,
         returnCode,
+        line: errorLine,
+        stopped,
         variables: interpreter.variables || {}
       });
 
@@ -109,7 +167,7 @@ export async function executeRexxScript(script, options = {}) {
       resolve({
         success: false,
         output: `Error executing script: ${error.message}`,
-        returnCode: 99
+        returnCode: ERRORS.UNEXPECTED
       });
     }
   });
@@ -135,22 +193,35 @@ export function setupRexxScriptExecution() {
       let scriptContent = params.script || '';
 
       if (!scriptContent && commandString.includes('script=')) {
-        // Parse the script from command string
-        const match = commandString.match(/script="([^"]+)"/);
-        scriptContent = match ? match[1] : '';
+        // Parse the script from command string, quotes and escapes are handled by the parser
+        try {
+          const parsed = MiniPaintCommandParser.parse(commandString);
+          scriptContent = typeof parsed.params.script === 'string' ? parsed.params.script : '';
+        } catch (error) {
+          return {
+            success: false,
+            errorCode: ERRORS.PARSE_ERROR,
+            output: error.message,
+            result: JSON.stringify({ column: error.column })
+          };
+        }
       }
 
       if (!scriptContent) {
         return {
           success: false,
-          errorCode: 200,
+          errorCode: ERRORS.SCRIPT_MISSING,
           output: 'script parameter required for execute-rexx'
         };
       }
 
-      // Execute the script
+      // Execute the script, in the transaction of the caller if it has one
       try {
-        const result = await executeRexxScript(scriptContent, params);
+        const session = sourceContext && sourceContext.session !== undefined ? sourceContext.session : 'default';
+        const result = await executeRexxScript(scriptContent, {
+          ...params,
+          transaction: window.MiniPaintRexxHandler.getTransaction(session, sourceContext ? sourceContext.transaction : undefined)
+        });
         return {
           success: result.success,
           errorCode: result.returnCode,
@@ -160,7 +231,7 @@ export function setupRexxScriptExecution() {
       } catch (error) {
         return {
           success: false,
-          errorCode: 299,
+          errorCode: ERRORS.SCRIPT_FAILED,
           output: `Script execution error: ${error.message}`
         };
       }
@@ -0,0 +1,238 @@
+/**
+ * miniPaint RexxJS Layer Commands
+ * Layer lookup for the layer= argument and layer management commands built on the undoable actions
+ */
+
+import app from '../../app.js';
+import config from '../../config.js';
+import { ERRORS } from './command-catalogue.js';
+
+// Same list as the Composition dialog (modules/layer/composition.js)
+const COMPOSITIONS = [
+  'color', 'color-burn', 'color-dodge', 'copy', 'darken', 'darker', 'destination-atop',
+  'destination-in', 'destination-out', 'destination-over', 'difference', 'exclusion',
+  'hard-light', 'hue', 'lighten', 'lighter', 'luminosity', 'multiply', 'overlay',
+  'saturation', 'screen', 'soft-light', 'source-atop', 'source-in', 'source-out',
+  'source-over', 'xor',
+];
+
+/**
+ * MiniPaintLayerCommands - select-layer, rename-layer, move-layer, toggle-visibility,
+ * set-composition and duplicate-layer
+ */
+class MiniPaintLayerCommands {
+  /**
+   * Find layer by id or name
+   * @param {number|string} reference
+   * @returns {object|null}
+   */
+  findLayer(reference) {
+    if (reference === undefined || reference === null || reference === '') {
+      return null;
+    }
+    return config.layers.find((layer) => layer.id == reference)
+      || config.layers.find((layer) => layer.name === String(reference))
+      || null;
+  }
+
+  /**
+   * Run callback with layer as the active layer, without selecting it in history.
+   * The previous active layer comes back afterwards unless the callback selected
+   * another layer itself, e.g. a newly inserted one.
+   * @param {object} layer
+   * @param {function} callback
+   */
+  async withLayer(layer, callback) {
+    const active = config.layer;
+    if (layer === active) {
+      return callback();
+    }
+
+    config.layer = layer;
+    try {
+      return await callback();
+    } finally {
+      if (config.layers.includes(active) && (config.layer === layer || !config.layers.includes(layer))) {
+        config.layer = active;
+      }
+      config.need_render = true;
+      app.GUI.GUI_layers.render_layers();
+    }
+  }
+
+  /**
+   * Make layer active
+   * Usage: ADDRESS MINIPAINT 'select-layer layer="Background"'
+   */
+  async selectLayer(params) {
+    try {
+      const layer = this.findLayer(params.layer);
+      if (!layer) {
+        return { success: false, errorCode: ERRORS.LAYER_MISSING, output: params.layer === undefined ? 'layer parameter required' : `Layer not found: ${params.layer}` };
+      }
+      if (layer === config.layer) {
+        return { success: true, output: `Layer already selected: ${layer.name}`, result: layer.id };
+      }
+
+      return await this.perform(
+        new app.Actions.Select_layer_action(layer.id),
+        `Selected layer: ${layer.name}`,
+        layer.id
+      );
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.LAYER_COMMAND_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Rename layer
+   * Usage: ADDRESS MINIPAINT 'rename-layer layer=3 name="Sky"'
+   */
+  async renameLayer(params) {
+    try {
+      if (params.name === undefined || String(params.name) === '') {
+        return { success: false, errorCode: ERRORS.LAYER_NAME_MISSING, output: 'name parameter required' };
+      }
+      const layer = config.layer;
+      const name = app.GUI.modules['layer/rename'].validate_name(String(params.name));
+
+      return await this.perform(
+        new app.Actions.Bundle_action('rename_layer', 'Rename Layer', [
+          new app.Actions.Refresh_layers_gui_action('undo'),
+          new app.Actions.Update_layer_action(layer.id, { name }),
+          new app.Actions.Refresh_layers_gui_action('do')
+        ]),
+        `Renamed layer to: ${name}`,
+        layer.id
+      );
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.LAYER_COMMAND_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Move layer in the layer stack
+   * Usage: ADDRESS MINIPAINT 'move-layer layer=3 order=up'
+   * Usage: ADDRESS MINIPAINT 'move-layer layer=3 order=1' (1 is the bottom layer)
+   */
+  async moveLayer(params) {
+    try {
+      const { order } = params;
+      const layer = config.layer;
+      const stack = config.layers.concat().sort((a, b) => a.order - b.order);
+      const position = stack.indexOf(layer) + 1;
+
+      let target;
+      if (order === 'up') target = position + 1;
+      else if (order === 'down') target = position - 1;
+      else if (order === 'top') target = stack.length;
+      else if (order === 'bottom') target = 1;
+      else if (Number.isInteger(order)) target = order;
+      if (target === undefined || target < 1 || target > stack.length) {
+        return { success: false, errorCode: ERRORS.LAYER_INVALID_ORDER, output: `order must be up, down, top, bottom or a position from 1 to ${stack.length}` };
+      }
+      if (target === position) {
+        return { success: true, output: `Layer ${layer.name} is already at position ${position}`, result: position };
+      }
+
+      // Reorder swaps with the neighbour, one step per position
+      const direction = target > position ? 1 : -1;
+      const actions = [];
+      for (let i = 0; i < Math.abs(target - position); i++) {
+        actions.push(new app.Actions.Reorder_layer_action(layer.id, direction));
+      }
+
+      return await this.perform(
+        new app.Actions.Bundle_action('move_layer', 'Move Layer', actions),
+        `Moved layer ${layer.name} to position ${target}`,
+        target
+      );
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.LAYER_COMMAND_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Show or hide layer
+   * Usage: ADDRESS MINIPAINT 'toggle-visibility layer=3'
+   * Usage: ADDRESS MINIPAINT 'toggle-visibility layer=3 visible=false'
+   */
+  async toggleVisibility(params) {
+    try {
+      const { visible } = params;
+      if (visible !== undefined && visible !== true && visible !== false) {
+        return { success: false, errorCode: ERRORS.LAYER_INVALID_VISIBLE, output: 'visible must be true or false' };
+      }
+      const layer = config.layer;
+      if (visible !== undefined && layer.visible === visible) {
+        return { success: true, output: `Layer ${layer.name} is already ${visible ? 'visible' : 'hidden'}`, result: visible ? 1 : 0 };
+      }
+
+      const response = await this.perform(
+        new app.Actions.Toggle_layer_visibility_action(layer.id),
+        '',
+        null
+      );
+      if (response.success) {
+        response.output = `Layer ${layer.name} is ${layer.visible ? 'visible' : 'hidden'}`;
+        response.result = layer.visible ? 1 : 0;
+      }
+      return response;
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.LAYER_COMMAND_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Set layer blend mode
+   * Usage: ADDRESS MINIPAINT 'set-composition layer=3 composition=multiply'
+   */
+  async setComposition(params) {
+    try {
+      const { composition } = params;
+      if (!COMPOSITIONS.includes(composition)) {
+        return { success: false, errorCode: ERRORS.LAYER_INVALID_COMPOSITION, output: `composition must be one of ${COMPOSITIONS.join(', ')}` };
+      }
+      const layer = config.layer;
+
+      return await this.perform(
+        new app.Actions.Bundle_action('change_composition', 'Change Composition', [
+          new app.Actions.Update_layer_action(layer.id, { composition })
+        ]),
+        `Set composition of layer ${layer.name} to ${composition}`,
+        layer.id
+      );
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.LAYER_COMMAND_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Duplicate layer, the copy becomes active
+   * Usage: ADDRESS MINIPAINT 'duplicate-layer layer=3'
+   */
+  async duplicateLayer(params) {
+    try {
+      const response = await app.GUI.modules['layer/duplicate'].duplicate();
+      if (response.status !== 'completed') {
+        return { success: false, errorCode: ERRORS.LAYER_NOT_APPLIED, output: `Layer was not duplicated: ${response.reason ? response.reason.message : ''}` };
+      }
+      return { success: true, output: `Duplicated layer: ${config.layer.name}`, result: config.layer.id };
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.LAYER_COMMAND_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Run action through history
+   */
+  async perform(action, output, result) {
+    const response = await app.State.do_action(action);
+    if (response.status !== 'completed') {
+      return { success: false, errorCode: ERRORS.LAYER_NOT_APPLIED, output: `Layer was not changed: ${response.reason ? response.reason.message : ''}` };
+    }
+    return { success: true, output, result };
+  }
+}
+
+export default MiniPaintLayerCommands;
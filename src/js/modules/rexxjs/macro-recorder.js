@@ -0,0 +1,390 @@
+/**
+ * miniPaint RexxJS Macro Recorder
+ * Turns actions done in the GUI into an ADDRESS MINIPAINT script that can be replayed on other images
+ */
+
+import app from '../../app.js';
+import config from '../../config.js';
+import MiniPaintEffectRegistry from './effect-registry.js';
+
+const BARE_VALUE_PATTERN = /^[A-Za-z_][\w.-]*$/;
+const HEX_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// Bundles built around one Update_layer_action, see modules/image and modules/layer
+const UPDATE_BUNDLES = ['rotate_layer', 'rename_layer', 'change_opacity', 'change_composition'];
+
+/**
+ * MiniPaintMacroRecorder - listens to Base_state actions, dialogs and menu commands while recording.
+ *
+ * Most actions carry enough to rebuild a command (layer ops, selection, rotation). Effects, resize
+ * and flip only leave a new layer image behind, so the menu command and the dialog values that led
+ * to the action are kept as context and used for the next action.
+ */
+class MiniPaintMacroRecorder {
+  constructor() {
+    this.effects = new MiniPaintEffectRegistry();
+    this.recording = false;
+    this.entries = [];
+    this.context = null;
+    this.startedAt = null;
+    this.menuSubscribed = false;
+  }
+
+  /**
+   * Start recording, drops the previous recording
+   */
+  start() {
+    this.entries = [];
+    this.context = null;
+    this.startedAt = new Date();
+    this.recording = true;
+    app.State.recorder = this;
+
+    if (!this.menuSubscribed) {
+      app.GUI.GUI_menu.on('select_target', (target) => this.onMenu(target));
+      this.menuSubscribed = true;
+    }
+  }
+
+  /**
+   * Stop recording
+   * @returns {string} recorded script
+   */
+  stop() {
+    this.recording = false;
+    this.context = null;
+    if (app.State.recorder === this) {
+      app.State.recorder = null;
+    }
+    return this.getScript();
+  }
+
+  /**
+   * Recorded script, undone steps left out
+   * @returns {string}
+   */
+  getScript() {
+    const date = (this.startedAt || new Date()).toISOString().slice(0, 10);
+    const lines = [`/* Macro recorded in miniPaint on ${date} */`];
+    for (const entry of this.entries) {
+      if (!entry.undone) {
+        lines.push(...entry.lines);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Number of recorded commands, undone steps and unsupported actions left out
+   */
+  getCommandCount() {
+    return this.entries
+      .filter((entry) => !entry.undone)
+      .reduce((count, entry) => count + entry.lines.filter((line) => line.startsWith('ADDRESS')).length, 0);
+  }
+
+  /**
+   * Menu item picked, e.g. "effects/oil.oil"
+   */
+  onMenu(target) {
+    if (!this.recording) {
+      return;
+    }
+    const [module, functionName] = target.split('.');
+    this.context = { module, functionName, params: null, definitions: null, dialog: false };
+  }
+
+  /**
+   * Dialog shown, confirmed or cancelled (see libs/popup.js)
+   * @param {string} event - show, finish or cancel
+   * @param {object} dialog - Dialog_class instance
+   * @param {object} params - dialog values on finish
+   */
+  onDialog(event, dialog, params) {
+    if (!this.recording) {
+      return;
+    }
+    const module = this.findDialogModule(dialog);
+    if (module === null) {
+      return;
+    }
+
+    if (event === 'show') {
+      // Effects browser opens the effect dialog itself, the effect becomes the context
+      if (!this.context || this.context.module !== module) {
+        this.context = { module, functionName: null, params: null, definitions: null, dialog: true };
+      }
+      this.context.dialog = true;
+    } else if (this.context && this.context.module === module) {
+      if (event === 'finish') {
+        this.context.params = params;
+        this.context.definitions = dialog.parameters.filter((definition) => definition.name !== undefined);
+        this.context.dialog = false;
+      } else {
+        this.context = null;
+      }
+    }
+  }
+
+  /**
+   * Action completed through Base_state.do_action
+   */
+  onAction(action) {
+    if (!this.recording) {
+      return;
+    }
+    // An open dialog means the action comes from somewhere else, e.g. a mouse tool
+    const context = this.context && !this.context.dialog ? this.context : null;
+    this.context = null;
+
+    let lines = this.translate(action, context);
+    // One comment for a run of strokes with the same tool
+    const last = this.entries.filter((entry) => !entry.undone && entry.lines.length > 0).pop();
+    if (last && lines.length === 1 && lines[0].startsWith('/*') && last.lines.join() === lines[0]) {
+      lines = [];
+    }
+    this.entries.push({ action, lines, undone: false });
+  }
+
+  /**
+   * Undo or redo of an action, its commands leave or come back to the script
+   * @param {string} event - undo or redo
+   */
+  onHistory(event, action) {
+    // A committed transaction is undone as one bundle of recorded actions
+    const actions = [];
+    const collect = (item) => {
+      actions.push(item);
+      if (item instanceof app.Actions.Bundle_action && item.actions_to_do) {
+        item.actions_to_do.forEach(collect);
+      }
+    };
+    collect(action);
+
+    for (const entry of this.entries) {
+      if (actions.includes(entry.action)) {
+        entry.undone = event === 'undo';
+      }
+    }
+  }
+
+  /**
+   * Convert action into script lines
+   * @returns {string[]}
+   */
+  translate(action, context) {
+    const commands = this.translateAction(action, context);
+    if (commands === null) {
+      return [`/* Not recorded: ${String(action.action_description).replace(/\*\//g, '')} */`];
+    }
+    return commands.map(([method, params]) => `ADDRESS MINIPAINT '${this.formatCommand(method, params)}'`);
+  }
+
+  /**
+   * @returns {Array<[string, object]>|null} commands, empty when the action needs none, null when unsupported
+   */
+  translateAction(action, context) {
+    const Actions = app.Actions;
+
+    if (context) {
+      const effect = this.effects.getEffects().find((item) => item.key === context.module);
+      if (effect) {
+        return [['apply-effect', { name: effect.name, ...this.effectParams(context) }]];
+      }
+      if (context.module === 'image/resize' && action.action_id === 'resize_layers' && context.params) {
+        return [['resize', this.resizeParams(context.params)]];
+      }
+      if (context.module === 'image/flip' && ['vertical', 'horizontal'].includes(context.functionName)) {
+        return [['flip', { direction: context.functionName }]];
+      }
+      if (context.module === 'select/modify' && context.functionName === 'invert') {
+        return [['invert-selection', {}]];
+      }
+    }
+
+    // Layer property changes, from menu dialogs, the Layers panel or commands
+    const update = this.findAction(action, Actions.Update_layer_action);
+    const updated = update ? Object.keys(update.settings) : [];
+    if (updated.length === 1 && (action === update || UPDATE_BUNDLES.includes(action.action_id))) {
+      const layer = this.layerArgument(update.layer_id);
+      const value = update.settings[updated[0]];
+      switch (updated[0]) {
+        case 'rotate': {
+          const angle = ((value - (update.old_settings.rotate || 0)) % 360 + 360) % 360;
+          return angle === 0 ? [] : [['rotate', { angle, ...layer }]];
+        }
+        case 'name':
+          return [['rename-layer', { name: value, ...layer }]];
+        case 'opacity':
+          return [['set-opacity', { opacity: value / 100, ...layer }]];
+        case 'composition':
+          return [['set-composition', { composition: value, ...layer }]];
+      }
+    }
+    switch (action.action_id) {
+      case 'duplicate_layer':
+        return [['duplicate-layer', {}]];
+      case 'select_all':
+        return [['select-all', {}]];
+      case 'clear_selection':
+        return [['deselect', {}]];
+    }
+
+    if (action instanceof Actions.Bundle_action || action instanceof Actions.Set_selection_action) {
+      // Selection tool and select-rect wrap the selection in a tool switch
+      const selection = this.findAction(action, Actions.Set_selection_action);
+      if (selection && selection.shape && selection.shape !== 'rectangle') {
+        // Ellipse and lasso selections have no command
+        return null;
+      }
+      if (selection && (action === selection || action.action_id === 'set_selection')) {
+        const { x, y, width, height } = selection;
+        return [['select-rect', { x, y, width, height }]];
+      }
+      return null;
+    }
+    if (action instanceof Actions.Insert_layer_action) {
+      // Only plain new layers, inserted content (paste, shapes, text) can not be replayed by name
+      const keys = Object.keys(action.settings || {});
+      if (keys.some((key) => key !== 'name')) {
+        return null;
+      }
+      const layer = app.Layers.get_layer(action.inserted_layer_id);
+      return [['add-layer', layer ? { name: layer.name } : {}]];
+    }
+    if (action instanceof Actions.Delete_layer_action) {
+      return [['delete-layer', { layer: action.deleted_layer.name }]];
+    }
+    if (action instanceof Actions.Reorder_layer_action) {
+      return [['move-layer', { order: action.direction > 0 ? 'up' : 'down', ...this.layerArgument(action.layer_id) }]];
+    }
+    if (action instanceof Actions.Toggle_layer_visibility_action) {
+      const layer = app.Layers.get_layer(action.layer_id);
+      return [['toggle-visibility', { visible: layer.visible, ...this.layerArgument(action.layer_id) }]];
+    }
+    if (action instanceof Actions.Select_layer_action) {
+      const layer = app.Layers.get_layer(action.layer_id);
+      return layer ? [['select-layer', { layer: layer.name }]] : [];
+    }
+    if (action instanceof Actions.Activate_tool_action || action instanceof Actions.Refresh_layers_gui_action) {
+      // Not an edit
+      return [];
+    }
+
+    return null;
+  }
+
+  /**
+   * Dialog values of an effect as apply-effect arguments
+   */
+  effectParams(context) {
+    const params = {};
+    if (!context.params) {
+      return params;
+    }
+    for (const definition of context.definitions) {
+      const schema = this.effects.describeParam(definition);
+      let value = context.params[schema.key];
+      if (value === undefined || value === '') {
+        continue;
+      }
+      if (schema.type === 'number') {
+        value = parseFloat(value);
+      }
+      params[schema.name] = value;
+    }
+    return params;
+  }
+
+  /**
+   * Resize dialog values as resize arguments
+   */
+  resizeParams(values) {
+    const params = {};
+    for (const name of ['width', 'height', 'width_percent', 'height_percent']) {
+      const value = parseFloat(values[name]);
+      if (!isNaN(value)) {
+        params[name] = value;
+      }
+    }
+    params.mode = String(values.mode).toLowerCase();
+    if (values.sharpen === true) {
+      params.sharpen = true;
+    }
+    if (values.layers === 'Active') {
+      params.layers = 'active';
+    }
+    return params;
+  }
+
+  /**
+   * layer= argument for actions on a layer other than the active one
+   */
+  layerArgument(layerId) {
+    if (config.layer && config.layer.id == layerId) {
+      return {};
+    }
+    const layer = app.Layers.get_layer(layerId);
+    return layer ? { layer: layer.name } : {};
+  }
+
+  /**
+   * Find action of given class, the action itself or inside bundles
+   */
+  findAction(action, actionClass) {
+    if (action instanceof actionClass) {
+      return action;
+    }
+    if (action instanceof app.Actions.Bundle_action && action.actions_to_do) {
+      for (const child of action.actions_to_do) {
+        const found = this.findAction(child, actionClass);
+        if (found) {
+          return found;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Module key of the module that owns the dialog, e.g. "effects/oil"
+   */
+  findDialogModule(dialog) {
+    const modules = app.GUI.modules;
+    for (const key in modules) {
+      if (Object.values(modules[key]).includes(dialog)) {
+        return key;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build command string the command parser reads back, see command-parser.js
+   */
+  formatCommand(method, params) {
+    const parts = [method];
+    for (const key in params) {
+      parts.push(`${key}=${this.formatValue(params[key])}`);
+    }
+    return parts.join(' ');
+  }
+
+  formatValue(value) {
+    if (typeof value === 'number' || typeof value === 'boolean' || value === null) {
+      return String(value);
+    }
+    const text = String(value);
+    if (HEX_COLOR_PATTERN.test(text) || (BARE_VALUE_PATTERN.test(text) && !['true', 'false', 'null'].includes(text))) {
+      return text;
+    }
+    // The command sits in a single quoted Rexx string, where a single quote is written twice
+    return '"' + text
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/'/g, "''")
+      .replace(/\n/g, '\\n') + '"';
+  }
+}
+
+export default MiniPaintMacroRecorder;
@@ -8,17 +8,243 @@
  */
 
 import MiniPaintRexxHandler from './minipaint-rexx-handler.js';
+import MiniPaintCommandParser from './command-parser.js';
+import MiniPaintEventPublisher, { EVENTS } from './event-publisher.js';
+import MiniPaintCommandCatalogue, { ERRORS } from './command-catalogue.js';
+
+// Version of the message format, sent in the handshake
+export const PROTOCOL_VERSION = 1;
+
+/**
+ * Permission scopes a director can be granted
+ * - read: commands that only query the document
+ * - write: everything else, commands that change the document, open or save files
+ */
+export const SCOPES = ['read', 'write'];
+
+/**
+ * Reasons a request fails on the bridge, sent by the worker as reason and errorCode.
+ * timeout and cancelled are set by the director on the error it rejects with.
+ */
+export const BRIDGE_ERRORS = {
+  'origin-not-allowed': ERRORS.BRIDGE_ORIGIN_NOT_ALLOWED,
+  'handshake-required': ERRORS.BRIDGE_HANDSHAKE_REQUIRED,
+  'permission-denied': ERRORS.BRIDGE_PERMISSION_DENIED,
+  'unsupported-protocol': ERRORS.BRIDGE_UNSUPPORTED_PROTOCOL,
+  'invalid-request': ERRORS.BRIDGE_INVALID_REQUEST,
+  'timeout': ERRORS.BRIDGE_TIMEOUT,
+  'cancelled': ERRORS.BRIDGE_CANCELLED
+};
+
+const catalogue = new MiniPaintCommandCatalogue();
+
+/**
+ * Scope a command needs, from its scope in the command catalogue
+ * @returns {string} read or write
+ */
+export function getCommandScope(method) {
+  const command = catalogue.getCommand(method);
+  return command && command.scope === 'read' ? 'read' : 'write';
+}
+
+// Larger ArrayBuffers are sent as a series of rpc-chunk messages
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+
+// Chunked data waiting for its message is dropped after this many ms without a new chunk
+const DEFAULT_CHUNK_TIMEOUT = 60000;
+
+// Most bytes of received chunks a receiver keeps at once, an 8192x8192 RGBA layer
+const DEFAULT_MAX_CHUNKED_BYTES = 256 * 1024 * 1024;
+
+// How often the worker looks for directors whose window was closed, in ms
+const SESSION_CHECK_INTERVAL = 1000;
+
+/**
+ * Post a message whose holder.data may be binary, e.g. params of put-layer-pixels or result of get-layer-pixels.
+ * ArrayBuffers and ImageBitmaps are transferred instead of copied, the sender can not use them afterwards.
+ * ArrayBuffers over chunkSize go first as { type: 'rpc-chunk', id, index, count, offset, byteLength, data }
+ * and leave { chunked: true, byteLength, count } in the message.
+ * @param {object|null} holder - object in message with the data property
+ */
+function postWithData(target, targetOrigin, message, holder, chunkSize) {
+  let data = holder ? holder.data : undefined;
+  if (ArrayBuffer.isView(data)) {
+    data = data.byteOffset === 0 && data.byteLength === data.buffer.byteLength
+      ? data.buffer
+      : data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    holder.data = data;
+  }
+
+  if (data instanceof ArrayBuffer && data.byteLength > chunkSize) {
+    const count = Math.ceil(data.byteLength / chunkSize);
+    for (let index = 0; index < count; index++) {
+      const offset = index * chunkSize;
+      const slice = data.slice(offset, Math.min(offset + chunkSize, data.byteLength));
+      target.postMessage({
+        type: 'rpc-chunk',
+        id: message.id,
+        index,
+        count,
+        offset,
+        byteLength: data.byteLength,
+        data: slice
+      }, targetOrigin, [slice]);
+    }
+    holder.data = { chunked: true, byteLength: data.byteLength, count };
+    target.postMessage(message, targetOrigin);
+  } else if (data instanceof ArrayBuffer || (typeof ImageBitmap !== 'undefined' && data instanceof ImageBitmap)) {
+    target.postMessage(message, targetOrigin, [data]);
+  } else {
+    target.postMessage(message, targetOrigin);
+  }
+}
+
+/**
+ * Joins rpc-chunk messages back into one ArrayBuffer, per message id.
+ * Chunks are kept as they arrive and joined in restore(), so memory follows the bytes
+ * actually received, not the byteLength the sender claims.
+ */
+class ChunkAssembler {
+  /**
+   * @param {number} timeout - ms without a new chunk after which unfinished data is dropped
+   * @param {number} maxBytes - most bytes of received chunks kept at once, over all messages
+   */
+  constructor(timeout = DEFAULT_CHUNK_TIMEOUT, maxBytes = DEFAULT_MAX_CHUNKED_BYTES) {
+    this.timeout = timeout;
+    this.maxBytes = maxBytes;
+    this.buffers = new Map();
+    this.byteLength = 0;
+  }
+
+  /**
+   * @throws {Error} when the chunk does not fit its message or the limit, the message is dropped then
+   */
+  add(chunk) {
+    const { id, index, count, offset, byteLength, data } = chunk;
+    let entry = this.buffers.get(id);
+    if (!entry) {
+      if (!Number.isSafeInteger(byteLength) || byteLength < 1 || !Number.isSafeInteger(count) || count < 1) {
+        throw new Error(`Binary data of message ${id} has invalid byteLength or count`);
+      }
+      if (byteLength > this.maxBytes) {
+        throw new Error(`Binary data of message ${id} is too large: ${byteLength} bytes, at most ${this.maxBytes} bytes`);
+      }
+      // index => { offset, data }
+      entry = { byteLength, count, chunks: new Map(), received: 0, timer: null };
+      this.buffers.set(id, entry);
+    }
+
+    if (!(data instanceof ArrayBuffer) || byteLength !== entry.byteLength || count !== entry.count
+      || !Number.isSafeInteger(index) || index < 0 || index >= count || entry.chunks.has(index)
+      || !Number.isSafeInteger(offset) || offset < 0 || offset + data.byteLength > byteLength
+      || entry.received + data.byteLength > byteLength) {
+      this.discard(id);
+      throw new Error(`Chunk ${index} of message ${id} does not fit in ${byteLength} bytes`);
+    }
+    if (this.byteLength + data.byteLength > this.maxBytes) {
+      this.discard(id);
+      throw new Error(`Binary data of message ${id} is too large: ${this.maxBytes - this.byteLength} bytes free`);
+    }
+    entry.chunks.set(index, { offset, data });
+    entry.received += data.byteLength;
+    this.byteLength += data.byteLength;
+
+    // Sender may never send the message the chunks belong to
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => this.discard(id), this.timeout);
+  }
+
+  /**
+   * Put the joined buffer in place of the chunked placeholder in holder.data
+   * @throws {Error} when chunks are missing
+   */
+  restore(id, holder) {
+    if (!holder || !holder.data || holder.data.chunked !== true) {
+      return;
+    }
+    const entry = this.buffers.get(id);
+    this.discard(id);
+    if (!entry || entry.chunks.size !== holder.data.count || entry.received !== holder.data.byteLength
+      || entry.byteLength !== holder.data.byteLength) {
+      throw new Error(`Binary data of message ${id} is incomplete: ${entry ? entry.chunks.size : 0} of ${holder.data.count} chunks received`);
+    }
+    const bytes = new Uint8Array(entry.byteLength);
+    for (const { offset, data } of entry.chunks.values()) {
+      bytes.set(new Uint8Array(data), offset);
+    }
+    holder.data = bytes.buffer;
+  }
+
+  discard(id) {
+    const entry = this.buffers.get(id);
+    if (entry) {
+      clearTimeout(entry.timer);
+      this.byteLength -= entry.received;
+      this.buffers.delete(id);
+    }
+  }
+
+  clear() {
+    for (const id of [...this.buffers.keys()]) {
+      this.discard(id);
+    }
+  }
+}
 
 /**
  * MiniPaintWorkerBridge
  * Runs in the miniPaint application frame
  * Receives RPC requests from director and executes them
+ *
+ * Only trusted origins are served. A director first sends a handshake with the scopes it wants,
+ * requests before a successful handshake, from other origins or outside the granted scopes are
+ * answered with a structured error: { success: false, error, errorCode, reason }.
+ *
+ * A director with the read scope can subscribe to document events (see event-publisher.js),
+ * they are pushed as { type: 'rpc-event', event, payload }.
+ *
+ * Binary data in params.data of a request and result.data of a response is transferred, not copied,
+ * large ArrayBuffers in chunks (see postWithData). A chunk that does not fit its message is answered with
+ * { type: 'rpc-response', id, success: false, reason: 'invalid-request' }, chunks whose message does not
+ * follow are dropped after chunkTimeout.
+ *
+ * The session of a director ends when its window closes, its open transaction is rolled back.
+ *
+ * While a request runs, slow commands send { type: 'rpc-progress', id, percent, stage }, and
+ * { type: 'rpc-cancel', id } from the director stops it, the command then ends with error code 5.
  */
 export class MiniPaintWorkerBridge {
-  constructor(miniPaintApp) {
+  /**
+   * @param {object} miniPaintApp
+   * @param {object} options
+   * @param {Array<string|object>} options.allowedOrigins - Origins allowed to connect, as "https://host"
+   *   (all scopes) or { origin, scopes }. Same origin is always allowed, "*" allows any origin.
+   * @param {number} options.chunkSize - Bytes per rpc-chunk message for binary results, 8 MB by default
+   * @param {number} options.chunkTimeout - ms to keep chunks while waiting for their message, 60 s by default
+   * @param {number} options.maxChunkedBytes - Most bytes of chunks kept per director, 256 MB by default
+   */
+  constructor(miniPaintApp, options = {}) {
     this.app = miniPaintApp;
     this.handler = new MiniPaintRexxHandler();
+    this.events = new MiniPaintEventPublisher();
     this.requestId = 0;
+    this.allowedOrigins = new Map();
+    // Directors that completed the handshake, by their window
+    this.sessions = new Map();
+    this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    this.chunkTimeout = options.chunkTimeout || DEFAULT_CHUNK_TIMEOUT;
+    this.maxChunkedBytes = options.maxChunkedBytes || DEFAULT_MAX_CHUNKED_BYTES;
+    // Interval looking for closed director windows, runs while there are sessions
+    this.sessionCheck = null;
+
+    this.allowOrigin(window.location.origin, SCOPES);
+    for (const entry of options.allowedOrigins || []) {
+      if (typeof entry === 'string') {
+        this.allowOrigin(entry, SCOPES);
+      } else {
+        this.allowOrigin(entry.origin, entry.scopes || SCOPES);
+      }
+    }
 
     // Setup message listener
     this.setupMessageHandling();
@@ -30,45 +256,318 @@ export class MiniPaintWorkerBridge {
   }
 
   /**
-   * Listen for RPC requests from director frame
+   * Trust an origin with given scopes, replaces previous scopes of the origin
+   * @param {string} origin - e.g. "https://portal.example.com", or "*" for any origin
+   * @param {string[]} scopes - see SCOPES
+   */
+  allowOrigin(origin, scopes = SCOPES) {
+    const unknown = scopes.filter((scope) => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scope: ${unknown.join(', ')}`);
+    }
+    this.allowedOrigins.set(origin, [...scopes]);
+  }
+
+  /**
+   * Stop trusting an origin, its open sessions are closed
+   */
+  revokeOrigin(origin) {
+    this.allowedOrigins.delete(origin);
+    for (const [source, session] of this.sessions) {
+      if (session.origin === origin) {
+        this.closeSession(source);
+      }
+    }
+  }
+
+  /**
+   * Scopes an origin may be granted, null when the origin is not trusted
+   * @returns {string[]|null}
+   */
+  getOriginScopes(origin) {
+    if (this.allowedOrigins.has(origin)) {
+      return this.allowedOrigins.get(origin);
+    }
+    if (this.allowedOrigins.has('*')) {
+      return this.allowedOrigins.get('*');
+    }
+    return null;
+  }
+
+  /**
+   * Listen for handshake and RPC requests from director frame
    */
   setupMessageHandling() {
     window.addEventListener('message', async (event) => {
-      // Only accept messages from expected origin (or from parent if in iframe)
-      if (!event.data || event.data.type !== 'rpc-request') {
+      if (!event.data || !['rpc-handshake', 'rpc-request', 'rpc-chunk', 'rpc-cancel', 'rpc-subscribe', 'rpc-unsubscribe'].includes(event.data.type) || !event.source) {
         return;
       }
 
-      const { id, method, params } = event.data;
+      if (event.data.type === 'rpc-handshake') {
+        this.handleHandshake(event);
+        return;
+      }
+      if (event.data.type === 'rpc-subscribe' || event.data.type === 'rpc-unsubscribe') {
+        this.handleSubscription(event);
+        return;
+      }
+      if (event.data.type === 'rpc-cancel') {
+        if (this.checkSession(event, null) === null) {
+          const controller = this.sessions.get(event.source).running.get(event.data.id);
+          if (controller) {
+            controller.abort();
+          }
+        }
+        return;
+      }
+      if (event.data.type === 'rpc-chunk') {
+        // Chunks of an unknown sender are dropped, its request is rejected when it arrives
+        if (this.checkSession(event, 'write') === null) {
+          try {
+            this.sessions.get(event.source).chunks.add(event.data);
+          } catch (error) {
+            this.reply(event, { type: 'rpc-response', id: event.data.id, ...this.reject('invalid-request', error.message) });
+          }
+        }
+        return;
+      }
+
+      const { id, method } = event.data;
+      const params = { ...event.data.params };
+      const rejection = this.checkRequest(event);
+      if (rejection) {
+        if (this.sessions.has(event.source)) {
+          this.sessions.get(event.source).chunks.discard(id);
+        }
+        this.reply(event, { type: 'rpc-response', id, ...rejection });
+        return;
+      }
 
+      const session = this.sessions.get(event.source);
+      const controller = new AbortController();
+      session.running.set(id, controller);
       try {
+        session.chunks.restore(id, params);
+
         // Execute the requested method
-        const result = await this.executeCommand(method, params);
+        const result = await this.executeCommand(method, params, {
+          session: event.source,
+          signal: controller.signal,
+          onProgress: (percent, stage) => this.reply(event, { type: 'rpc-progress', id, percent, stage })
+        });
 
         // Send response back to director
-        event.source.postMessage({
+        const message = {
           type: 'rpc-response',
           id,
           success: result.success,
           result: result
-        }, event.origin);
+        };
+        const holder = result.result !== null && typeof result.result === 'object' ? result.result : null;
+        this.reply(event, message, holder);
       } catch (error) {
         // Send error response
-        event.source.postMessage({
+        this.reply(event, {
           type: 'rpc-response',
           id,
           success: false,
           error: error.message
-        }, event.origin);
+        });
+      } finally {
+        session.running.delete(id);
       }
     });
   }
 
+  /**
+   * Negotiate protocol and scopes with a director
+   * Request: { type: 'rpc-handshake', id, protocol, scopes }
+   * Reply: { type: 'rpc-handshake-response', id, success, protocol, scopes, commands }
+   */
+  handleHandshake(event) {
+    const { id, protocol, scopes } = event.data;
+    const allowed = this.getOriginScopes(event.origin);
+
+    let rejection = null;
+    if (allowed === null) {
+      rejection = this.reject('origin-not-allowed', `Origin not allowed: ${event.origin}`);
+    } else if (protocol !== PROTOCOL_VERSION) {
+      rejection = this.reject('unsupported-protocol', `Unsupported protocol version: ${protocol}, expected ${PROTOCOL_VERSION}`);
+    } else if (scopes !== undefined && !Array.isArray(scopes)) {
+      rejection = this.reject('invalid-request', 'scopes must be a list');
+    }
+
+    // Without a scopes list the director asks for everything the origin may have
+    const granted = rejection ? [] : (scopes || SCOPES).filter((scope) => allowed.includes(scope));
+    if (!rejection && granted.length === 0) {
+      rejection = this.reject('permission-denied', `None of the requested scopes are allowed: ${(scopes || SCOPES).join(', ')}`);
+    }
+    // A repeated handshake starts a new session
+    this.closeSession(event.source);
+    if (rejection) {
+      this.reply(event, { type: 'rpc-handshake-response', id, ...rejection });
+      return;
+    }
+
+    this.sessions.set(event.source, {
+      origin: event.origin,
+      scopes: granted,
+      events: [],
+      unsubscribe: null,
+      chunks: new ChunkAssembler(this.chunkTimeout, this.maxChunkedBytes),
+      // Requests in progress, id => AbortController
+      running: new Map()
+    });
+    this.watchSessions();
+    this.reply(event, {
+      type: 'rpc-handshake-response',
+      id,
+      success: true,
+      protocol: PROTOCOL_VERSION,
+      scopes: granted,
+      commands: Object.keys(this.handler.handlers).filter((method) => granted.includes(getCommandScope(method))),
+      events: granted.includes('read') ? EVENTS : []
+    });
+  }
+
+  /**
+   * Add or remove events pushed to a director
+   * Request: { type: 'rpc-subscribe' | 'rpc-unsubscribe', id, events }, all events when not set
+   * Reply: { type: 'rpc-response', id, success, events } with the events now subscribed
+   */
+  handleSubscription(event) {
+    const { id, type } = event.data;
+    const events = event.data.events === undefined ? EVENTS : event.data.events;
+    const reply = (fields) => this.reply(event, { type: 'rpc-response', id, ...fields });
+
+    const rejection = this.checkSession(event, 'read');
+    if (rejection) {
+      reply(rejection);
+      return;
+    }
+    if (!Array.isArray(events)) {
+      reply(this.reject('invalid-request', 'events must be a list'));
+      return;
+    }
+    const unknown = events.filter((name) => !EVENTS.includes(name));
+    if (unknown.length > 0) {
+      reply(this.reject('invalid-request', `Unknown event: ${unknown.join(', ')}`));
+      return;
+    }
+
+    const session = this.sessions.get(event.source);
+    const subscribed = type === 'rpc-subscribe'
+      ? [...new Set([...session.events, ...events])]
+      : session.events.filter((name) => !events.includes(name));
+
+    if (session.unsubscribe) {
+      session.unsubscribe();
+      session.unsubscribe = null;
+    }
+    session.events = subscribed;
+    if (subscribed.length > 0) {
+      const source = event.source;
+      const targetOrigin = event.origin === 'null' ? '*' : event.origin;
+      session.unsubscribe = this.events.subscribe(subscribed, (name, payload) => {
+        source.postMessage({ type: 'rpc-event', event: name, payload }, targetOrigin);
+      });
+    }
+    reply({ success: true, events: subscribed });
+  }
+
+  /**
+   * Directors can not tell when their window closes, look for closed windows while there are sessions
+   */
+  watchSessions() {
+    if (this.sessionCheck !== null) {
+      return;
+    }
+    this.sessionCheck = setInterval(() => {
+      for (const source of [...this.sessions.keys()]) {
+        if (source.closed) {
+          this.closeSession(source);
+        }
+      }
+      if (this.sessions.size === 0) {
+        clearInterval(this.sessionCheck);
+        this.sessionCheck = null;
+      }
+    }, SESSION_CHECK_INTERVAL);
+  }
+
+  closeSession(source) {
+    const session = this.sessions.get(source);
+    if (session && session.unsubscribe) {
+      session.unsubscribe();
+    }
+    if (session) {
+      session.chunks.clear();
+      session.running.forEach((controller) => controller.abort());
+      // Transaction the director left open
+      this.handler.endSession(source).catch((error) => {
+        console.error('[MiniPaintWorkerBridge] Rollback failed', error);
+      });
+    }
+    this.sessions.delete(source);
+  }
+
+  /**
+   * @returns {object|null} rejection reply fields, null when the request may run
+   */
+  checkRequest(event) {
+    const { method } = event.data;
+    if (typeof method !== 'string' || method === '') {
+      return this.checkSession(event, null) || this.reject('invalid-request', 'method is required');
+    }
+    // Command string with arguments, e.g. "rotate angle=90"
+    const name = method.trim().split(/\s+/)[0];
+    return this.checkSession(event, getCommandScope(name), name);
+  }
+
+  /**
+   * Sender must be trusted, have completed the handshake and have the scope
+   * @param {string|null} scope - scope needed, null for none
+   * @param {string} name - what the scope is needed for, for the message
+   * @returns {object|null} rejection reply fields
+   */
+  checkSession(event, scope, name = event.data.type) {
+    if (this.getOriginScopes(event.origin) === null) {
+      return this.reject('origin-not-allowed', `Origin not allowed: ${event.origin}`);
+    }
+    const session = this.sessions.get(event.source);
+    if (!session || session.origin !== event.origin) {
+      return this.reject('handshake-required', 'Send rpc-handshake before requests');
+    }
+    if (scope !== null && !session.scopes.includes(scope)) {
+      return this.reject('permission-denied', `${name} needs the ${scope} scope`);
+    }
+    return null;
+  }
+
+  reject(reason, message) {
+    return {
+      success: false,
+      error: message,
+      errorCode: BRIDGE_ERRORS[reason],
+      reason
+    };
+  }
+
+  /**
+   * @param {object} holder - object in message with binary data, see postWithData
+   */
+  reply(event, message, holder = null) {
+    // Sandboxed and file: frames have an opaque "null" origin that can not be targeted
+    const targetOrigin = event.origin === 'null' ? '*' : event.origin;
+    postWithData(event.source, targetOrigin, message, holder, this.chunkSize);
+  }
+
   /**
    * Execute a miniPaint command via the RPC handler
+   * @param {object} task - { session, signal, onProgress }, see task-progress.js
    */
-  async executeCommand(method, params) {
-    return await this.handler.run(method, params, { source: 'rpc' });
+  async executeCommand(method, params, task = {}) {
+    return await this.handler.run(method, params, { source: 'rpc', ...task });
   }
 
   /**
@@ -87,11 +586,28 @@ export class MiniPaintWorkerBridge {
  * Sends RPC requests to worker frame and receives responses
  */
 export class MiniPaintDirectorBridge {
-  constructor(workerFrame) {
+  /**
+   * @param {Window} workerFrame
+   * @param {object} options
+   * @param {string} options.workerOrigin - Origin of the worker frame, "*" when unknown
+   * @param {string[]} options.scopes - Scopes to ask for in the handshake, all by default
+   * @param {number} options.chunkSize - Bytes per rpc-chunk message for binary params, 8 MB by default
+   * @param {number} options.maxChunkedBytes - Most bytes of chunks of binary results kept at once, 256 MB by default
+   */
+  constructor(workerFrame, options = {}) {
     this.workerFrame = workerFrame;
+    this.workerOrigin = options.workerOrigin || '*';
+    this.scopes = options.scopes || SCOPES;
+    this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    this.chunks = new ChunkAssembler(DEFAULT_CHUNK_TIMEOUT, options.maxChunkedBytes || DEFAULT_MAX_CHUNKED_BYTES);
     this.requestId = 0;
     this.pendingRequests = new Map();
-    this.timeout = 30000; // 30 second timeout for operations
+    this.timeout = 30000; // 30 second timeout for operations, sendRPC can override it per call
+    // Handshake reply { protocol, scopes, commands }, null until connected
+    this.capabilities = null;
+    this.connecting = null;
+    // Event name => callbacks
+    this.eventListeners = new Map();
 
     // Setup message listener for responses
     this.setupMessageHandling();
@@ -100,60 +616,194 @@ export class MiniPaintDirectorBridge {
   }
 
   /**
-   * Listen for RPC responses from worker frame
+   * Listen for handshake and RPC responses and pushed events from worker frame
    */
   setupMessageHandling() {
     window.addEventListener('message', (event) => {
-      if (!event.data || event.data.type !== 'rpc-response') {
+      if (!event.data || !['rpc-response', 'rpc-handshake-response', 'rpc-event', 'rpc-chunk', 'rpc-progress'].includes(event.data.type)) {
+        return;
+      }
+      if (event.source !== this.workerFrame || (this.workerOrigin !== '*' && event.origin !== this.workerOrigin)) {
+        return;
+      }
+
+      if (event.data.type === 'rpc-chunk') {
+        try {
+          this.chunks.add(event.data);
+        } catch (error) {
+          const pending = this.pendingRequests.get(event.data.id);
+          if (pending) {
+            pending.reject(error);
+            this.pendingRequests.delete(event.data.id);
+          }
+        }
+        return;
+      }
+      if (event.data.type === 'rpc-progress') {
+        const pending = this.pendingRequests.get(event.data.id);
+        if (pending && pending.onProgress) {
+          pending.onProgress(event.data.percent, event.data.stage);
+        }
+        return;
+      }
+
+      if (event.data.type === 'rpc-event') {
+        for (const callback of this.eventListeners.get(event.data.event) || []) {
+          callback(event.data.payload, event.data.event);
+        }
         return;
       }
 
-      const { id, success, result, error } = event.data;
+      const { id, success, result, error, errorCode, reason } = event.data;
       const pending = this.pendingRequests.get(id);
 
       if (pending) {
+        if (success && result && result.result !== null && typeof result.result === 'object') {
+          try {
+            this.chunks.restore(id, result.result);
+          } catch (error) {
+            pending.reject(error);
+            this.pendingRequests.delete(id);
+            return;
+          }
+        }
         if (success) {
-          pending.resolve(result);
+          pending.resolve(event.data.type === 'rpc-handshake-response' || result === undefined ? event.data : result);
         } else {
-          pending.reject(new Error(error || 'Unknown error'));
+          const rejection = new Error(error || 'Unknown error');
+          rejection.errorCode = errorCode;
+          rejection.reason = reason;
+          pending.reject(rejection);
         }
         this.pendingRequests.delete(id);
       }
     });
   }
 
+  /**
+   * Handshake with the worker, done once before the first request
+   * @returns {Promise<object>} capabilities { protocol, scopes, commands }
+   */
+  connect() {
+    if (!this.connecting) {
+      this.connecting = this.send('rpc-handshake', { protocol: PROTOCOL_VERSION, scopes: this.scopes })
+        .then((response) => {
+          this.capabilities = {
+            protocol: response.protocol,
+            scopes: response.scopes,
+            commands: response.commands
+          };
+          return this.capabilities;
+        })
+        .catch((error) => {
+          // Next request tries again, e.g. after the worker allowed this origin
+          this.connecting = null;
+          throw error;
+        });
+    }
+    return this.connecting;
+  }
+
   /**
    * Send RPC request to worker and wait for response
+   * An ArrayBuffer or ImageBitmap in params.data is transferred to the worker, it is unusable here afterwards
+   * Usage: bridge.sendRPC('apply-effect', { name: 'oil' }, { timeout: 120000, signal, onProgress: (percent, stage) => {} })
+   * @param {object} options
+   * @param {number} options.timeout - ms to wait for this call instead of bridge.timeout, 0 waits without limit
+   * @param {AbortSignal} options.signal - aborting cancels the command in the worker
+   * @param {function} options.onProgress - called with (percent, stage) by commands that report progress
+   */
+  async sendRPC(method, params = {}, options = {}) {
+    await this.connect();
+    return this.send('rpc-request', { method, params: { ...params } }, options);
+  }
+
+  /**
+   * Receive document events pushed by the worker, needs the read scope
+   * Usage: await bridge.subscribe(['layer-added', 'history-changed'], (payload, event) => { ... })
+   * @param {string[]} events - see EVENTS in event-publisher.js
+   * @param {function} callback - called with (payload, event)
+   * @returns {Promise<function>} unsubscribe
    */
-  async sendRPC(method, params = {}) {
+  async subscribe(events, callback) {
+    await this.connect();
+    await this.send('rpc-subscribe', { events });
+    for (const event of events) {
+      const callbacks = this.eventListeners.get(event) || [];
+      callbacks.push(callback);
+      this.eventListeners.set(event, callbacks);
+    }
+
+    return async () => {
+      const unused = [];
+      for (const event of events) {
+        const callbacks = (this.eventListeners.get(event) || []).filter((item) => item !== callback);
+        this.eventListeners.set(event, callbacks);
+        if (callbacks.length === 0) {
+          unused.push(event);
+        }
+      }
+      if (unused.length > 0) {
+        await this.send('rpc-unsubscribe', { events: unused });
+      }
+    };
+  }
+
+  /**
+   * Post message to worker and wait for the reply with the same id
+   * @param {object} options - timeout, signal and onProgress, see sendRPC
+   */
+  send(type, fields, options = {}) {
     const id = ++this.requestId;
+    const name = fields.method || type;
+    const timeout = options.timeout === undefined ? this.timeout : options.timeout;
+    const signal = options.signal || null;
+    const failure = (reason, message) => Object.assign(new Error(message), { errorCode: BRIDGE_ERRORS[reason], reason });
 
     return new Promise((resolve, reject) => {
-      // Set timeout for the request
-      const timeoutId = setTimeout(() => {
+      if (signal && signal.aborted) {
+        reject(failure('cancelled', `RPC request ${id} (${name}) cancelled`));
+        return;
+      }
+
+      // Stop waiting, and tell the worker to stop the command
+      const fail = (reason, message) => {
+        this.pendingRequests.get(id).reject(failure(reason, message));
         this.pendingRequests.delete(id);
-        reject(new Error(`RPC request ${id} (${method}) timed out after ${this.timeout}ms`));
-      }, this.timeout);
+        this.chunks.discard(id);
+        this.workerFrame.postMessage({ type: 'rpc-cancel', id }, this.workerOrigin);
+      };
+      const onAbort = () => fail('cancelled', `RPC request ${id} (${name}) cancelled`);
+
+      // Set timeout for the request
+      const timeoutId = timeout > 0 ? setTimeout(() => {
+        fail('timeout', `RPC request ${id} (${name}) timed out after ${timeout}ms`);
+      }, timeout) : null;
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+      const done = () => {
+        clearTimeout(timeoutId);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
 
       // Store pending request
       this.pendingRequests.set(id, {
         resolve: (result) => {
-          clearTimeout(timeoutId);
+          done();
           resolve(result);
         },
         reject: (error) => {
-          clearTimeout(timeoutId);
+          done();
           reject(error);
-        }
+        },
+        onProgress: options.onProgress || null
       });
 
-      // Send RPC request
-      this.workerFrame.postMessage({
-        type: 'rpc-request',
-        id,
-        method,
-        params
-      }, '*');
+      const message = { type, id, ...fields };
+      postWithData(this.workerFrame, this.workerOrigin, message, message.params || null, this.chunkSize);
     });
   }
 
@@ -168,36 +818,39 @@ export class MiniPaintDirectorBridge {
         let method = commandString;
         let cmdParams = params;
 
-        if (typeof commandString === 'string' && commandString.includes(' ')) {
-          const parts = commandString.trim().split(/\s+/);
-          method = parts[0];
-          cmdParams = {};
-
-          for (let i = 1; i < parts.length; i++) {
-            const [key, value] = parts[i].split('=');
-            if (key && value !== undefined) {
-              // Parse value types
-              if (value === 'true') cmdParams[key] = true;
-              else if (value === 'false') cmdParams[key] = false;
-              else if (!isNaN(value) && value !== '') cmdParams[key] = Number(value);
-              else cmdParams[key] = value;
-            }
+        if (typeof commandString === 'string' && commandString.trim().includes(' ')) {
+          let parsed;
+          try {
+            parsed = MiniPaintCommandParser.parse(commandString);
+          } catch (error) {
+            return {
+              success: false,
+              errorCode: ERRORS.PARSE_ERROR,
+              output: error.message,
+              result: JSON.stringify({ column: error.column })
+            };
           }
+          method = parsed.method;
+          cmdParams = { ...parsed.params, ...params };
         }
 
         // Send RPC to worker
         const result = await this.sendRPC(method, cmdParams);
 
-        return {
+        const response = {
           success: result.success,
           errorCode: result.errorCode || 0,
           output: result.output || '',
           result: result.result || ''
         };
+        if (result.stem) {
+          response.stem = result.stem;
+        }
+        return response;
       } catch (error) {
         return {
           success: false,
-          errorCode: 99,
+          errorCode: error.errorCode || ERRORS.UNEXPECTED,
           output: `RPC Error: ${error.message}`
         };
       }
@@ -250,13 +903,35 @@ export class MiniPaintDirectorBridge {
     const result = await this.sendRPC('list-layers');
     return JSON.parse(result.result || '[]');
   }
+
+  /**
+   * Usage: const { width, height, data } = await bridge.getLayerPixels({ format: 'rgba' })
+   * @returns {Promise<object>} { x, y, width, height, format, data }
+   */
+  async getLayerPixels(params = {}) {
+    const result = await this.sendRPC('get-layer-pixels', params);
+    if (!result.success) {
+      const error = new Error(result.output);
+      error.errorCode = result.errorCode;
+      throw error;
+    }
+    return result.result;
+  }
+
+  /**
+   * @param {ArrayBuffer|ArrayBufferView|ImageBitmap|Blob} data - transferred, see sendRPC
+   * @param {object} params - width and height for rgba, x, y, format, layer
+   */
+  async putLayerPixels(data, params = {}) {
+    return this.sendRPC('put-layer-pixels', { ...params, data });
+  }
 }
 
 /**
  * Setup director bridge in a RexxJS script frame
  * Should be called after both frames are loaded
  */
-export function setupDirectorBridge(workerFrame, workerFrameId = 'minipaint-worker') {
+export function setupDirectorBridge(workerFrame, workerFrameId = 'minipaint-worker', options = {}) {
   // If not provided, try to find the worker frame
   if (!workerFrame) {
     const element = document.getElementById(workerFrameId);
@@ -269,7 +944,7 @@ export function setupDirectorBridge(workerFrame, workerFrameId = 'minipaint-work
   }
 
   // Create the director bridge
-  const bridge = new MiniPaintDirectorBridge(workerFrame);
+  const bridge = new MiniPaintDirectorBridge(workerFrame, options);
 
   // Return the bridge so it can be used directly
   return bridge;
@@ -278,9 +953,10 @@ export function setupDirectorBridge(workerFrame, workerFrameId = 'minipaint-work
 /**
  * Setup worker bridge in the miniPaint application frame
  * Should be called during initialization (in main.js)
+ * @param {object} options - see MiniPaintWorkerBridge, e.g. { allowedOrigins: ['https://portal.example.com'] }
  */
-export function setupWorkerBridge(app) {
-  const bridge = new MiniPaintWorkerBridge(app);
+export function setupWorkerBridge(app, options = {}) {
+  const bridge = new MiniPaintWorkerBridge(app, options);
   window.MiniPaintWorkerBridge = bridge;
   return bridge;
 }
@@ -4,12 +4,40 @@
  */
 
 import app from '../../app.js';
+import config from '../../config.js';
+import MiniPaintEffectRegistry from './effect-registry.js';
+import MiniPaintCommandParser from './command-parser.js';
+import MiniPaintTextCommands from './text-commands.js';
+import MiniPaintShapeCommands from './shape-commands.js';
+import MiniPaintSelectionCommands from './selection-commands.js';
+import MiniPaintLayerCommands from './layer-commands.js';
+import MiniPaintPixelCommands from './pixel-commands.js';
+import MiniPaintTaskProgress from './task-progress.js';
+import MiniPaintQueryCommands, { toStem } from './query-commands.js';
+import MiniPaintCommandCatalogue, { ERRORS } from './command-catalogue.js';
+
+// Commands whose layer= argument is what they change, not just where they act
+const LAYER_SUBJECT_COMMANDS = ['select-layer'];
+
+// Same modes as the Resize dialog (modules/image/resize.js)
+const RESIZE_MODES = ['Lanczos', 'Hermite', 'Basic'];
 
 /**
  * MiniPaintRexxHandler - Manages RexxJS commands for miniPaint operations
  */
 class MiniPaintRexxHandler {
   constructor() {
+    this.effects = new MiniPaintEffectRegistry();
+    this.text = new MiniPaintTextCommands();
+    this.shapes = new MiniPaintShapeCommands();
+    this.selection = new MiniPaintSelectionCommands();
+    this.layers = new MiniPaintLayerCommands();
+    this.pixels = new MiniPaintPixelCommands();
+    this.queries = new MiniPaintQueryCommands();
+    this.catalogue = new MiniPaintCommandCatalogue();
+    // Open transaction of each session, session => token, see app.State.begin_transaction()
+    this.transactions = new Map();
+    this.transports = [];
     this.handlers = {
       'open-image': this.openImage.bind(this),
       'resize': this.resize.bind(this),
@@ -27,44 +55,84 @@ class MiniPaintRexxHandler {
       'get-image-info': this.getImageInfo.bind(this),
       'list-effects': this.listEffects.bind(this),
       'list-layers': this.listLayers.bind(this),
+      'list-commands': this.listCommands.bind(this),
+      'help': this.help.bind(this),
+      'get-layer': this.queries.getLayer.bind(this.queries),
+      'get-document': this.queries.getDocument.bind(this.queries),
+      'get-pixel': this.queries.getPixel.bind(this.queries),
+      'get-histogram': this.queries.getHistogram.bind(this.queries),
       'new-image': this.newImage.bind(this),
       'undo': this.undo.bind(this),
       'redo': this.redo.bind(this),
+      'begin-transaction': this.beginTransaction.bind(this),
+      'commit': this.commit.bind(this),
+      'rollback': this.rollback.bind(this),
+      'batch': this.batch.bind(this),
+      'add-text': this.text.addText.bind(this.text),
+      'set-text': this.text.setText.bind(this.text),
+      'style-text': this.text.styleText.bind(this.text),
+      'draw-shape': this.shapes.drawShape.bind(this.shapes),
+      'list-shapes': this.shapes.listShapes.bind(this.shapes),
+      'select-rect': this.selection.selectRect.bind(this.selection),
+      'select-all': this.selection.selectAll.bind(this.selection),
+      'deselect': this.selection.deselect.bind(this.selection),
+      'invert-selection': this.selection.invertSelection.bind(this.selection),
+      'get-selection': this.selection.getSelectionCommand.bind(this.selection),
+      'copy-selection-to-layer': this.selection.copySelectionToLayer.bind(this.selection),
+      'clear-selection': this.selection.clearSelection.bind(this.selection),
+      'fill-selection': this.selection.fillSelection.bind(this.selection),
+      'crop-to-selection': this.selection.cropToSelection.bind(this.selection),
+      'select-layer': this.layers.selectLayer.bind(this.layers),
+      'rename-layer': this.layers.renameLayer.bind(this.layers),
+      'move-layer': this.layers.moveLayer.bind(this.layers),
+      'toggle-visibility': this.layers.toggleVisibility.bind(this.layers),
+      'set-composition': this.layers.setComposition.bind(this.layers),
+      'duplicate-layer': this.layers.duplicateLayer.bind(this.layers),
+      'get-layer-pixels': this.pixels.getLayerPixels.bind(this.pixels),
+      'put-layer-pixels': this.pixels.putLayerPixels.bind(this.pixels),
     };
   }
 
   /**
    * Parse command string into method and parameters
-   * Command format: "method-name key1=value1 key2=value2"
+   * Command format: "method-name key1=value1 key2=\"quoted value\" key3=[1, 2] key4=#ff0000"
+   * Throws Error with "column" property on malformed input, see command-parser.js
    */
   parseCommand(commandString) {
-    const parts = commandString.trim().split(/\s+/);
-    const method = parts[0];
-    const params = {};
-
-    for (let i = 1; i < parts.length; i++) {
-      const [key, value] = parts[i].split('=');
-      if (key && value !== undefined) {
-        // Try to parse as number, boolean, or keep as string
-        if (value === 'true') params[key] = true;
-        else if (value === 'false') params[key] = false;
-        else if (!isNaN(value) && value !== '') params[key] = Number(value);
-        else params[key] = value;
-      }
-    }
+    return MiniPaintCommandParser.parse(commandString);
+  }
+
+  /**
+   * Serve commands that arrive over a transport, e.g. MiniPaintWebSocketTransport.
+   * A transport is an object with start(handler), where it begins passing commands to handler.run(), and stop().
+   * @returns {object} transport
+   */
+  addTransport(transport) {
+    this.transports.push(transport);
+    transport.start(this);
+    return transport;
+  }
 
-    return { method, params };
+  removeTransport(transport) {
+    if (this.transports.includes(transport)) {
+      this.transports = this.transports.filter((item) => item !== transport);
+      transport.stop();
+    }
   }
 
   /**
    * Main handler called by RexxJS ADDRESS dispatcher
+   * @param {object} sourceContext - { source, signal, onProgress, session, transaction }, signal and onProgress
+   *   go to the task of the command, it reports progress and can be cancelled (see task-progress.js).
+   *   Callers with several clients pass session, each one gets its own transaction; transaction is the
+   *   token of an outer transaction the command runs in, e.g. of a batch around a script
    */
   async run(commandString, params = {}, sourceContext) {
     try {
       if (!app.Layers) {
         return {
           success: false,
-          errorCode: 1,
+          errorCode: ERRORS.NOT_INITIALIZED,
           output: 'miniPaint not initialized'
         };
       }
@@ -72,9 +140,20 @@ class MiniPaintRexxHandler {
       // Parse command if it's a string
       let method, args;
       if (typeof commandString === 'string') {
-        const parsed = this.parseCommand(commandString);
+        let parsed;
+        try {
+          parsed = this.parseCommand(commandString);
+        } catch (error) {
+          return {
+            success: false,
+            errorCode: ERRORS.PARSE_ERROR,
+            output: error.message,
+            result: JSON.stringify({ column: error.column })
+          };
+        }
         method = parsed.method;
-        args = parsed.params;
+        // Explicit params (e.g. from RPC callers) complement the ones in the string
+        args = { ...parsed.params, ...params };
       } else {
         method = commandString;
         args = params;
@@ -85,22 +164,74 @@ class MiniPaintRexxHandler {
       if (!handler) {
         return {
           success: false,
-          errorCode: 2,
+          errorCode: ERRORS.UNKNOWN_COMMAND,
           output: `Unknown command: ${method}`
         };
       }
 
-      const result = await handler(args);
-      return {
+      const session = sourceContext && sourceContext.session !== undefined ? sourceContext.session : 'default';
+      const context = {
+        session,
+        parent: sourceContext && sourceContext.transaction !== null ? sourceContext.transaction : undefined,
+        task: new MiniPaintTaskProgress(sourceContext || {})
+      };
+      if (context.task.isCancelled()) {
+        return {
+          success: false,
+          errorCode: ERRORS.CANCELLED,
+          output: `Cancelled: ${method}`
+        };
+      }
+
+      // layer=<id|name> makes any command act on that layer instead of the active one
+      let call = () => handler(args, context);
+      if (args.layer !== undefined && !LAYER_SUBJECT_COMMANDS.includes(method)) {
+        const layer = this.layers.findLayer(args.layer);
+        if (!layer) {
+          return {
+            success: false,
+            errorCode: ERRORS.LAYER_NOT_FOUND,
+            output: `Layer not found: ${args.layer}`
+          };
+        }
+        call = () => this.layers.withLayer(layer, () => handler(args, context));
+      }
+
+      // While a transaction is open only its session changes the document, others could land in it
+      // or get undone with it. commit and rollback answer foreign sessions themselves.
+      const token = this.getTransaction(session, context.parent);
+      if (token === null && app.State.has_transactions() && !['commit', 'rollback'].includes(method)) {
+        const command = this.catalogue.getCommand(method);
+        if (!command || command.scope !== 'read') {
+          return {
+            success: false,
+            errorCode: ERRORS.DOCUMENT_LOCKED,
+            output: `Document is locked by a transaction of another connection or script: ${method}`
+          };
+        }
+      }
+      if (token !== null) {
+        const inner = call;
+        call = () => app.State.run_in_transaction(token, inner);
+      }
+
+      const result = await call();
+
+      const response = {
         success: result.success !== false,
         errorCode: result.errorCode || 0,
         output: result.output || '',
-        result: result.result || ''
+        result: result.result === undefined ? '' : result.result
       };
+      // Query commands also give their result as stem tails, see query-commands.js
+      if (result.stem) {
+        response.stem = result.stem;
+      }
+      return response;
     } catch (error) {
       return {
         success: false,
-        errorCode: 99,
+        errorCode: ERRORS.UNEXPECTED,
         output: `Error: ${error.message}`
       };
     }
@@ -114,7 +245,7 @@ class MiniPaintRexxHandler {
     try {
       const { file } = params;
       if (!file) {
-        return { success: false, errorCode: 10, output: 'file parameter required' };
+        return { success: false, errorCode: ERRORS.OPEN_FILE_MISSING, output: 'file parameter required' };
       }
 
       // Use FileOpen to load the image
@@ -124,76 +255,120 @@ class MiniPaintRexxHandler {
         return { success: true, output: `Loaded image: ${file}` };
       }
 
-      return { success: false, errorCode: 11, output: 'FileOpen not available' };
+      return { success: false, errorCode: ERRORS.OPEN_NOT_AVAILABLE, output: 'FileOpen not available' };
     } catch (error) {
-      return { success: false, errorCode: 19, output: error.message };
+      return { success: false, errorCode: ERRORS.OPEN_FAILED, output: error.message };
     }
   }
 
   /**
-   * Resize canvas/image
+   * Resize image, like Image > Resize. A missing side keeps the aspect ratio.
+   * Sizes are in the units from Settings, pixels by default.
    * Usage: ADDRESS MINIPAINT "resize width=800 height=600"
+   * Usage: ADDRESS MINIPAINT "resize width_percent=50 mode=hermite layers=active"
    */
   async resize(params) {
     try {
-      const { width, height } = params;
-      if (!width || !height) {
-        return { success: false, errorCode: 20, output: 'width and height parameters required' };
+      const sizes = {};
+      for (const name of ['width', 'height', 'width_percent', 'height_percent']) {
+        if (params[name] === undefined) {
+          continue;
+        }
+        if (typeof params[name] !== 'number' || params[name] <= 0) {
+          return { success: false, errorCode: ERRORS.RESIZE_INVALID_PARAM, output: `${name} must be a positive number` };
+        }
+        sizes[name] = params[name];
+      }
+      if (Object.keys(sizes).length === 0) {
+        return { success: false, errorCode: ERRORS.RESIZE_SIZE_MISSING, output: 'width, height, width_percent or height_percent parameter required' };
+      }
+
+      const mode = RESIZE_MODES.find((item) => item.toLowerCase() === String(params.mode ?? 'lanczos').toLowerCase());
+      if (!mode) {
+        return { success: false, errorCode: ERRORS.RESIZE_INVALID_PARAM, output: `mode must be one of ${RESIZE_MODES.join(', ').toLowerCase()}` };
+      }
+      const layers = String(params.layers ?? 'all').toLowerCase();
+      if (layers !== 'all' && layers !== 'active') {
+        return { success: false, errorCode: ERRORS.RESIZE_INVALID_PARAM, output: 'layers must be all or active' };
+      }
+
+      // Dialog values, empty fields are NaN
+      const response = await app.GUI.modules['image/resize'].do_resize({
+        width: sizes.width ?? NaN,
+        height: sizes.height ?? NaN,
+        width_percent: sizes.width_percent ?? NaN,
+        height_percent: sizes.height_percent ?? NaN,
+        mode,
+        sharpen: params.sharpen === true,
+        layers: layers === 'all' ? 'All' : 'Active',
+      });
+      if (!response || response.status !== 'completed') {
+        return { success: false, errorCode: ERRORS.RESIZE_NOT_APPLIED, output: `Image was not resized: ${response && response.reason ? response.reason.message : ''}` };
       }
-
-      // Call resize action
-      if (app.Actions && app.Actions.Image && app.Actions.Image.resize) {
-        await app.Actions.Image.resize(width, height);
-        return { success: true, output: `Resized to ${width}x${height}` };
-      }
-
-      return { success: false, errorCode: 21, output: 'Resize action not available' };
+      return {
+        success: true,
+        output: `Resized to ${config.WIDTH}x${config.HEIGHT}`,
+        result: JSON.stringify({ width: config.WIDTH, height: config.HEIGHT })
+      };
     } catch (error) {
-      return { success: false, errorCode: 29, output: error.message };
+      return { success: false, errorCode: ERRORS.RESIZE_FAILED, output: error.message };
     }
   }
 
   /**
-   * Rotate image
+   * Rotate layer, like Image > Rotate
    * Usage: ADDRESS MINIPAINT "rotate angle=90"
+   * Usage: ADDRESS MINIPAINT "rotate angle=45 layer=2"
    */
   async rotate(params) {
     try {
       const { angle } = params;
-      if (angle === undefined) {
-        return { success: false, errorCode: 30, output: 'angle parameter required' };
+      if (typeof angle !== 'number') {
+        return { success: false, errorCode: ERRORS.ROTATE_ANGLE_MISSING, output: 'angle parameter required' };
       }
-
-      if (app.Actions && app.Actions.Image && app.Actions.Image.rotate) {
-        await app.Actions.Image.rotate(angle);
-        return { success: true, output: `Rotated by ${angle} degrees` };
+      if (config.layer.rotate === null) {
+        return { success: false, errorCode: ERRORS.ROTATE_NOT_SUPPORTED, output: `Rotate is not supported on layer "${config.layer.name}", convert it to raster first` };
       }
 
-      return { success: false, errorCode: 31, output: 'Rotate action not available' };
+      // Angle is added to the current rotation, kept within 0..359
+      const rotate = (((config.layer.rotate + angle) % 360) + 360) % 360;
+      const response = await app.State.do_action(
+        new app.Actions.Bundle_action('rotate_layer', 'Rotate Layer', [
+          new app.Actions.Update_layer_action(config.layer.id, { rotate }),
+          ...app.GUI.modules['image/rotate'].check_sizes(rotate)
+        ])
+      );
+      if (response.status !== 'completed') {
+        return { success: false, errorCode: ERRORS.ROTATE_NOT_APPLIED, output: `Layer was not rotated: ${response.reason ? response.reason.message : ''}` };
+      }
+      return { success: true, output: `Rotated by ${angle} degrees`, result: rotate };
     } catch (error) {
-      return { success: false, errorCode: 39, output: error.message };
+      return { success: false, errorCode: ERRORS.ROTATE_FAILED, output: error.message };
     }
   }
 
   /**
-   * Flip image
+   * Flip image layer, smart objects get a flip transform
    * Usage: ADDRESS MINIPAINT "flip direction=horizontal"
    */
   async flip(params) {
     try {
       const { direction } = params;
       if (!direction || !['horizontal', 'vertical'].includes(direction)) {
-        return { success: false, errorCode: 40, output: 'direction must be "horizontal" or "vertical"' };
+        return { success: false, errorCode: ERRORS.FLIP_INVALID_DIRECTION, output: 'direction must be "horizontal" or "vertical"' };
       }
 
-      if (app.Actions && app.Actions.Image && app.Actions.Image.flip) {
-        await app.Actions.Image.flip(direction);
-        return { success: true, output: `Flipped ${direction}` };
+      if (config.layer.type != 'image' && config.layer.type != 'smart_object') {
+        return { success: false, errorCode: ERRORS.FLIP_NOT_IMAGE, output: `Layer "${config.layer.name}" must contain an image, convert it to raster first` };
       }
 
-      return { success: false, errorCode: 41, output: 'Flip action not available' };
+      const response = await app.GUI.modules['image/flip'].flip(direction);
+      if (response.status !== 'completed') {
+        return { success: false, errorCode: ERRORS.FLIP_NOT_APPLIED, output: `Layer was not flipped: ${response.reason ? response.reason.message : ''}` };
+      }
+      return { success: true, output: `Flipped ${direction}`, result: config.layer.id };
     } catch (error) {
-      return { success: false, errorCode: 49, output: error.message };
+      return { success: false, errorCode: ERRORS.FLIP_FAILED, output: error.message };
     }
   }
 
@@ -205,7 +380,7 @@ class MiniPaintRexxHandler {
     try {
       const { x1, y1, x2, y2 } = params;
       if (x1 === undefined || y1 === undefined || x2 === undefined || y2 === undefined) {
-        return { success: false, errorCode: 50, output: 'x1, y1, x2, y2 parameters required' };
+        return { success: false, errorCode: ERRORS.CROP_RECT_MISSING, output: 'x1, y1, x2, y2 parameters required' };
       }
 
       if (app.Actions && app.Actions.Image && app.Actions.Image.crop) {
@@ -213,39 +388,31 @@ class MiniPaintRexxHandler {
         return { success: true, output: `Cropped to (${x1},${y1})-(${x2},${y2})` };
       }
 
-      return { success: false, errorCode: 51, output: 'Crop action not available' };
+      return { success: false, errorCode: ERRORS.CROP_NOT_AVAILABLE, output: 'Crop action not available' };
     } catch (error) {
-      return { success: false, errorCode: 59, output: error.message };
+      return { success: false, errorCode: ERRORS.CROP_FAILED, output: error.message };
     }
   }
 
   /**
-   * Apply effect/filter
-   * Usage: ADDRESS MINIPAINT "apply-effect blur radius=5"
+   * Apply effect/filter from the Effects menu
+   * Usage: ADDRESS MINIPAINT "apply-effect name=oil range=3 levels=64"
+   * Arguments are the effect dialog fields, see list-effects for names, types and ranges.
    */
-  async applyEffect(params) {
+  async applyEffect(params, context = {}) {
     try {
       const { name, ...effectParams } = params;
       if (!name) {
-        return { success: false, errorCode: 60, output: 'name parameter required' };
-      }
-
-      // Common effects: blur, sharpen, emboss, sepia, invert, posterize, etc.
-      const validEffects = ['blur', 'sharpen', 'emboss', 'sepia', 'invert', 'posterize',
-                           'grayscale', 'brightness', 'contrast', 'saturation'];
-
-      if (!validEffects.includes(name)) {
-        return { success: false, errorCode: 61, output: `Unknown effect: ${name}` };
+        return { success: false, errorCode: ERRORS.EFFECT_NAME_MISSING, output: 'name parameter required' };
       }
 
-      if (app.Actions && app.Actions.Filters && app.Actions.Filters[name]) {
-        await app.Actions.Filters[name](effectParams);
-        return { success: true, output: `Applied effect: ${name}` };
+      if (!this.effects.getEffects().length) {
+        return { success: false, errorCode: ERRORS.EFFECTS_NOT_AVAILABLE, output: 'Effect modules not available' };
       }
 
-      return { success: false, errorCode: 62, output: `Effect ${name} not available` };
+      return await this.effects.apply(name, effectParams, context.task);
     } catch (error) {
-      return { success: false, errorCode: 69, output: error.message };
+      return { success: false, errorCode: ERRORS.EFFECT_FAILED, output: error.message };
     }
   }
 
@@ -255,38 +422,43 @@ class MiniPaintRexxHandler {
    */
   async addLayer(params) {
     try {
-      const { name = 'Layer' } = params;
+      const { name } = params;
 
-      if (app.Layers && app.Layers.addLayer) {
-        const layer = app.Layers.addLayer(name);
-        return { success: true, output: `Added layer: ${name}`, result: layer ? layer.id : '' };
+      const response = await app.State.do_action(
+        new app.Actions.Insert_layer_action(name !== undefined ? { name: String(name) } : {}, false)
+      );
+      if (response.status !== 'completed') {
+        return { success: false, errorCode: ERRORS.ADD_LAYER_NOT_APPLIED, output: `Layer was not added: ${response.reason ? response.reason.message : ''}` };
       }
-
-      return { success: false, errorCode: 71, output: 'addLayer not available' };
+      return { success: true, output: `Added layer: ${config.layer.name}`, result: config.layer.id };
     } catch (error) {
-      return { success: false, errorCode: 79, output: error.message };
+      return { success: false, errorCode: ERRORS.ADD_LAYER_FAILED, output: error.message };
     }
   }
 
   /**
    * Delete layer
+   * Usage: ADDRESS MINIPAINT "delete-layer layer=2"
    * Usage: ADDRESS MINIPAINT "delete-layer id=2"
    */
   async deleteLayer(params) {
     try {
       const { id } = params;
-      if (id === undefined) {
-        return { success: false, errorCode: 80, output: 'id parameter required' };
+      if (id === undefined && params.layer === undefined) {
+        return { success: false, errorCode: ERRORS.DELETE_LAYER_MISSING, output: 'layer parameter required' };
       }
-
-      if (app.Layers && app.Layers.deleteLayer) {
-        app.Layers.deleteLayer(id);
-        return { success: true, output: `Deleted layer: ${id}` };
+      const layer = id !== undefined ? this.layers.findLayer(id) : config.layer;
+      if (!layer) {
+        return { success: false, errorCode: ERRORS.LAYER_NOT_FOUND, output: `Layer not found: ${id}` };
       }
 
-      return { success: false, errorCode: 81, output: 'deleteLayer not available' };
+      const response = await app.Layers.delete(layer.id);
+      if (response.status !== 'completed') {
+        return { success: false, errorCode: ERRORS.DELETE_LAYER_NOT_APPLIED, output: `Layer was not deleted: ${response.reason ? response.reason.message : ''}` };
+      }
+      return { success: true, output: `Deleted layer: ${layer.name}`, result: layer.id };
     } catch (error) {
-      return { success: false, errorCode: 89, output: error.message };
+      return { success: false, errorCode: ERRORS.DELETE_LAYER_FAILED, output: error.message };
     }
   }
 
@@ -301,9 +473,9 @@ class MiniPaintRexxHandler {
         return { success: true, output: 'Merged all layers' };
       }
 
-      return { success: false, errorCode: 91, output: 'mergeLayers not available' };
+      return { success: false, errorCode: ERRORS.MERGE_NOT_AVAILABLE, output: 'mergeLayers not available' };
     } catch (error) {
-      return { success: false, errorCode: 99, output: error.message };
+      return { success: false, errorCode: ERRORS.UNEXPECTED, output: error.message };
     }
   }
 
@@ -313,45 +485,51 @@ class MiniPaintRexxHandler {
    */
   async setOpacity(params) {
     try {
-      const { layer, opacity } = params;
-      if (layer === undefined || opacity === undefined) {
-        return { success: false, errorCode: 100, output: 'layer and opacity parameters required' };
+      const { opacity } = params;
+      if (opacity === undefined) {
+        return { success: false, errorCode: ERRORS.OPACITY_MISSING, output: 'opacity parameter required' };
       }
 
-      if (opacity < 0 || opacity > 1) {
-        return { success: false, errorCode: 101, output: 'opacity must be between 0 and 1' };
+      if (typeof opacity !== 'number' || opacity < 0 || opacity > 1) {
+        return { success: false, errorCode: ERRORS.OPACITY_OUT_OF_RANGE, output: 'opacity must be between 0 and 1' };
       }
 
-      if (app.Layers && app.Layers.setOpacity) {
-        app.Layers.setOpacity(layer, opacity);
-        return { success: true, output: `Set layer ${layer} opacity to ${opacity}` };
+      // Layers store opacity in percent
+      const layer = config.layer;
+      const response = await app.Layers.set_opacity(layer.id, Math.round(opacity * 100));
+      if (response.status !== 'completed') {
+        return { success: false, errorCode: ERRORS.OPACITY_NOT_APPLIED, output: `Opacity was not changed: ${response.reason ? response.reason.message : ''}` };
       }
-
-      return { success: false, errorCode: 102, output: 'setOpacity not available' };
+      return { success: true, output: `Set layer ${layer.name} opacity to ${opacity}`, result: layer.id };
     } catch (error) {
-      return { success: false, errorCode: 109, output: error.message };
+      return { success: false, errorCode: ERRORS.OPACITY_FAILED, output: error.message };
     }
   }
 
   /**
    * Save image to file
-   * Usage: ADDRESS MINIPAINT "save-image /path/output.png format=png"
+   * Usage: ADDRESS MINIPAINT "save-image output=/path/output.png format=png"
    */
-  async saveImage(params) {
+  async saveImage(params, context = {}) {
     try {
       const { output, format = 'png' } = params;
       if (!output) {
-        return { success: false, errorCode: 110, output: 'output parameter required' };
+        return { success: false, errorCode: ERRORS.SAVE_OUTPUT_MISSING, output: 'output parameter required' };
       }
 
       if (app.FileSave && app.FileSave.saveFile) {
-        await app.FileSave.saveFile(output, format);
+        const saved = await app.FileSave.saveFile(output, format, context.task);
+        if (!saved) {
+          return context.task && context.task.isCancelled()
+            ? { success: false, errorCode: ERRORS.CANCELLED, output: `Cancelled: save-image ${output}` }
+            : { success: false, errorCode: ERRORS.SAVE_FORMAT_UNSUPPORTED, output: `Format is not supported by this browser: ${format}` };
+        }
         return { success: true, output: `Saved image: ${output}` };
       }
 
-      return { success: false, errorCode: 111, output: 'saveFile not available' };
+      return { success: false, errorCode: ERRORS.SAVE_NOT_AVAILABLE, output: 'saveFile not available' };
     } catch (error) {
-      return { success: false, errorCode: 119, output: error.message };
+      return { success: false, errorCode: ERRORS.SAVE_FAILED, output: error.message };
     }
   }
 
@@ -370,9 +548,9 @@ class MiniPaintRexxHandler {
         };
       }
 
-      return { success: false, errorCode: 121, output: 'getCanvasSize not available' };
+      return { success: false, errorCode: ERRORS.CANVAS_SIZE_NOT_AVAILABLE, output: 'getCanvasSize not available' };
     } catch (error) {
-      return { success: false, errorCode: 129, output: error.message };
+      return { success: false, errorCode: ERRORS.CANVAS_SIZE_FAILED, output: error.message };
     }
   }
 
@@ -391,9 +569,9 @@ class MiniPaintRexxHandler {
         };
       }
 
-      return { success: false, errorCode: 131, output: 'getImageData not available' };
+      return { success: false, errorCode: ERRORS.IMAGE_DATA_NOT_AVAILABLE, output: 'getImageData not available' };
     } catch (error) {
-      return { success: false, errorCode: 139, output: error.message };
+      return { success: false, errorCode: ERRORS.IMAGE_DATA_FAILED, output: error.message };
     }
   }
 
@@ -417,27 +595,39 @@ class MiniPaintRexxHandler {
         };
       }
 
-      return { success: false, errorCode: 141, output: 'State not available' };
+      return { success: false, errorCode: ERRORS.IMAGE_INFO_NOT_AVAILABLE, output: 'State not available' };
     } catch (error) {
-      return { success: false, errorCode: 149, output: error.message };
+      return { success: false, errorCode: ERRORS.IMAGE_INFO_FAILED, output: error.message };
     }
   }
 
   /**
-   * List available effects
-   * Usage: ADDRESS MINIPAINT "list-effects"
+   * List available effects with their parameter schemas
+   * Usage: ADDRESS MINIPAINT "list-effects" or "list-effects name=oil"
    */
   async listEffects(params) {
     try {
-      const effects = ['blur', 'sharpen', 'emboss', 'sepia', 'invert', 'posterize',
-                      'grayscale', 'brightness', 'contrast', 'saturation'];
+      const { name } = params;
+      if (name !== undefined) {
+        const schema = this.effects.describe(String(name));
+        if (!schema) {
+          return { success: false, errorCode: ERRORS.LIST_EFFECTS_UNKNOWN, output: `Unknown effect: ${name}` };
+        }
+        return {
+          success: true,
+          output: `${schema.name}: ${schema.params.map(p => p.name).join(', ') || 'no parameters'}`,
+          result: JSON.stringify(schema)
+        };
+      }
+
+      const effects = this.effects.describeAll();
       return {
         success: true,
-        output: `Available effects: ${effects.join(', ')}`,
+        output: `Available effects: ${effects.map(e => e.name).join(', ')}`,
         result: JSON.stringify(effects)
       };
     } catch (error) {
-      return { success: false, errorCode: 159, output: error.message };
+      return { success: false, errorCode: ERRORS.LIST_EFFECTS_FAILED, output: error.message };
     }
   }
 
@@ -447,18 +637,67 @@ class MiniPaintRexxHandler {
    */
   async listLayers(params) {
     try {
-      if (app.Layers && app.Layers.getLayerList) {
-        const layers = app.Layers.getLayerList();
-        return {
-          success: true,
-          output: `Layers: ${layers.map(l => l.name).join(', ')}`,
-          result: JSON.stringify(layers)
-        };
-      }
+      // Top layer first, like the Layers panel
+      const layers = app.Layers.get_sorted_layers().map((layer) => ({
+        id: layer.id,
+        name: layer.name,
+        type: layer.type,
+        visible: layer.visible,
+        opacity: layer.opacity / 100,
+        composition: layer.composition,
+        active: layer === config.layer,
+      }));
+      return {
+        success: true,
+        output: `Layers: ${layers.map(l => l.name).join(', ')}`,
+        result: JSON.stringify(layers)
+      };
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.LIST_LAYERS_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * List commands of the catalogue, see command-catalogue.js
+   * Usage: ADDRESS MINIPAINT "list-commands" or "list-commands group=layers"
+   */
+  async listCommands(params) {
+    try {
+      const group = params.group !== undefined ? String(params.group) : undefined;
+      const commands = this.catalogue.list(group);
+      return {
+        success: true,
+        output: `Commands: ${commands.map(c => c.name).join(', ')}`,
+        result: JSON.stringify(commands),
+        stem: toStem(commands)
+      };
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.HELP_FAILED, output: error.message };
+    }
+  }
 
-      return { success: false, errorCode: 161, output: 'getLayerList not available' };
+  /**
+   * Parameters, result and error codes of one command
+   * Usage: ADDRESS MINIPAINT "help command=resize"
+   */
+  async help(params) {
+    try {
+      if (params.command === undefined) {
+        return this.listCommands({});
+      }
+      const command = this.catalogue.describe(String(params.command));
+      if (!command) {
+        return { success: false, errorCode: ERRORS.HELP_UNKNOWN_COMMAND, output: `Unknown command: ${params.command}` };
+      }
+      const usage = command.params.map(p => (p.required ? `${p.name}=<${p.type}>` : `[${p.name}=<${p.type}>]`));
+      return {
+        success: true,
+        output: `${command.name} ${usage.join(' ')}`.trim() + `\n${command.summary}`,
+        result: JSON.stringify(command),
+        stem: toStem(command)
+      };
     } catch (error) {
-      return { success: false, errorCode: 169, output: error.message };
+      return { success: false, errorCode: ERRORS.HELP_FAILED, output: error.message };
     }
   }
 
@@ -475,9 +714,9 @@ class MiniPaintRexxHandler {
         return { success: true, output: `Created new image: ${width}x${height}` };
       }
 
-      return { success: false, errorCode: 171, output: 'newImage not available' };
+      return { success: false, errorCode: ERRORS.NEW_IMAGE_NOT_AVAILABLE, output: 'newImage not available' };
     } catch (error) {
-      return { success: false, errorCode: 179, output: error.message };
+      return { success: false, errorCode: ERRORS.NEW_IMAGE_FAILED, output: error.message };
     }
   }
 
@@ -487,14 +726,17 @@ class MiniPaintRexxHandler {
    */
   async undo(params) {
     try {
-      if (app.State && app.State.undo) {
-        app.State.undo();
+      if (app.State && app.State.has_transactions()) {
+        return { success: false, errorCode: ERRORS.UNDO_IN_TRANSACTION, output: 'undo is not available inside a transaction, use rollback' };
+      }
+      if (app.State && app.State.undo_action) {
+        await app.State.undo_action();
         return { success: true, output: 'Undo performed' };
       }
 
-      return { success: false, errorCode: 181, output: 'undo not available' };
+      return { success: false, errorCode: ERRORS.UNDO_NOT_AVAILABLE, output: 'undo not available' };
     } catch (error) {
-      return { success: false, errorCode: 189, output: error.message };
+      return { success: false, errorCode: ERRORS.UNDO_FAILED, output: error.message };
     }
   }
 
@@ -504,15 +746,166 @@ class MiniPaintRexxHandler {
    */
   async redo(params) {
     try {
-      if (app.State && app.State.redo) {
-        app.State.redo();
+      if (app.State && app.State.has_transactions()) {
+        return { success: false, errorCode: ERRORS.REDO_IN_TRANSACTION, output: 'redo is not available inside a transaction' };
+      }
+      if (app.State && app.State.redo_action) {
+        await app.State.redo_action();
         return { success: true, output: 'Redo performed' };
       }
 
-      return { success: false, errorCode: 191, output: 'redo not available' };
+      return { success: false, errorCode: ERRORS.REDO_NOT_AVAILABLE, output: 'redo not available' };
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.REDO_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Start collecting changes into one undo step
+   * Usage: ADDRESS MINIPAINT 'begin-transaction name="Watermark"'
+   */
+  async beginTransaction(params, context = { session: 'default' }) {
+    try {
+      if (this.ownsTransaction(context.session)) {
+        return { success: false, errorCode: ERRORS.TRANSACTION_STARTED, output: 'Transaction already started, commit or rollback it first' };
+      }
+
+      const name = params.name !== undefined ? String(params.name) : 'Script';
+      this.transactions.set(context.session, app.State.begin_transaction('rexx_transaction', name, context.parent));
+      return { success: true, output: `Transaction started: ${name}` };
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.TRANSACTION_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Add changes made since begin-transaction to history as one undo step
+   * Usage: ADDRESS MINIPAINT 'commit'
+   */
+  async commit(params, context = { session: 'default' }) {
+    try {
+      if (!this.ownsTransaction(context.session)) {
+        return { success: false, errorCode: ERRORS.NO_TRANSACTION, output: 'No transaction started' };
+      }
+
+      const token = this.transactions.get(context.session);
+      this.transactions.delete(context.session);
+      const count = await app.State.commit_transaction(token);
+      return { success: true, output: `Committed ${count} changes`, result: count };
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.TRANSACTION_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Revert changes made since begin-transaction
+   * Usage: ADDRESS MINIPAINT 'rollback'
+   */
+  async rollback(params, context = { session: 'default' }) {
+    try {
+      if (!this.ownsTransaction(context.session)) {
+        return { success: false, errorCode: ERRORS.NO_TRANSACTION, output: 'No transaction started' };
+      }
+
+      const token = this.transactions.get(context.session);
+      this.transactions.delete(context.session);
+      const count = await app.State.rollback_transaction(token);
+      return { success: true, output: `Rolled back ${count} changes`, result: count };
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.TRANSACTION_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Run script on each image and save results as ZIP download, see File > Batch Process.
+   * The document is restored after each image.
+   * Usage: ADDRESS MINIPAINT 'batch files=["a.png", "b.png"] script="ADDRESS MINIPAINT \"flip direction=horizontal\"" pattern="{name}-flipped" format=jpg'
+   * @returns {object} result - JSON array of {name, file, success, error}
+   */
+  async batch(params) {
+    try {
+      const batch = app.GUI.modules['file/batch'];
+      const files = typeof params.files === 'string' ? [params.files] : params.files;
+      if (!Array.isArray(files) || files.length === 0 || files.some((file) => typeof file !== 'string')) {
+        return { success: false, errorCode: ERRORS.BATCH_FILES_MISSING, output: 'files parameter required, list of image URLs or data URLs' };
+      }
+      if (typeof params.script !== 'string' || params.script.trim() === '') {
+        return { success: false, errorCode: ERRORS.BATCH_SCRIPT_MISSING, output: 'script parameter required' };
+      }
+      const type = String(params.format ?? 'png').toUpperCase();
+      if (batch.BATCH_TYPES[type] === undefined) {
+        return { success: false, errorCode: ERRORS.BATCH_UNKNOWN_FORMAT, output: `format must be one of ${Object.keys(batch.BATCH_TYPES).join(', ').toLowerCase()}` };
+      }
+      const quality = params.quality ?? 90;
+      if (typeof quality !== 'number' || quality < 1 || quality > 100) {
+        return { success: false, errorCode: ERRORS.BATCH_INVALID_QUALITY, output: 'quality must be a number from 1 to 100' };
+      }
+      if (batch.running) {
+        return { success: false, errorCode: ERRORS.BATCH_RUNNING, output: 'Batch is already running' };
+      }
+
+      const results = await batch.process(files, {
+        script: params.script,
+        pattern: params.pattern !== undefined ? String(params.pattern) : '{name}-edited',
+        type,
+        quality,
+      });
+      if (params.download !== false) {
+        await batch.download_zip(results, params.zip !== undefined ? String(params.zip) : undefined);
+      }
+
+      const failed = results.filter((result) => !result.success);
+      const report = JSON.stringify(results.map(({ name, file, success, error }) => ({ name, file, success, error })));
+      const output = `Processed ${results.length - failed.length} of ${results.length} images`;
+      if (failed.length > 0) {
+        return {
+          success: false,
+          errorCode: ERRORS.BATCH_INCOMPLETE,
+          output: output + failed.map((result) => `\n${result.name}: ${result.error}`).join(''),
+          result: report
+        };
+      }
+      return { success: true, output, result: report };
     } catch (error) {
-      return { success: false, errorCode: 199, output: error.message };
+      return { success: false, errorCode: ERRORS.BATCH_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Whether the session has a transaction started with begin-transaction that is still open.
+   * It is gone when an outer one was rolled back, e.g. by the batch runner around a script.
+   */
+  ownsTransaction(session = 'default') {
+    if (this.transactions.has(session) && !app.State.transactions.has(this.transactions.get(session))) {
+      this.transactions.delete(session);
+    }
+    return this.transactions.has(session);
+  }
+
+  /**
+   * Token of the transaction commands of the session run in
+   * @param {*} session
+   * @param {number} parent - token of an outer transaction the caller runs in
+   * @returns {number|null}
+   */
+  getTransaction(session = 'default', parent = undefined) {
+    if (this.ownsTransaction(session)) {
+      return this.transactions.get(session);
+    }
+    return parent !== undefined && parent !== null && app.State.transactions.has(parent) ? parent : null;
+  }
+
+  /**
+   * Roll back what the session left open, called when its client is gone
+   * @returns {Promise<number|null>} number of rolled back changes, null without open transaction
+   */
+  async endSession(session = 'default') {
+    if (!this.ownsTransaction(session)) {
+      return null;
     }
+    const token = this.transactions.get(session);
+    this.transactions.delete(session);
+    return await app.State.rollback_transaction(token);
   }
 }
 
@@ -0,0 +1,232 @@
+/**
+ * miniPaint RexxJS Pixel Commands
+ * Raw layer pixels in and out as binary data, meant for the control bus where it travels as transferables
+ */
+
+import app from '../../app.js';
+import config from '../../config.js';
+import { ERRORS } from './command-catalogue.js';
+
+/**
+ * Pixel data formats
+ * - rgba: ArrayBuffer with 4 bytes per pixel, row by row, needs width and height
+ * - imagebitmap: ImageBitmap
+ * - png: ArrayBuffer with an encoded image file, any format the browser decodes when writing
+ */
+export const PIXEL_FORMATS = ['rgba', 'imagebitmap', 'png'];
+
+/**
+ * MiniPaintPixelCommands - get-layer-pixels and put-layer-pixels.
+ * Coordinates are in layer image pixels, which differ from document pixels when the layer is stretched.
+ */
+class MiniPaintPixelCommands {
+  /**
+   * Read pixels of the active layer, or the one given with layer=
+   * Usage: bridge.sendRPC('get-layer-pixels', { layer: 'Background', x: 0, y: 0, width: 256, height: 256, format: 'rgba' })
+   * @returns {object} result {x, y, width, height, format, data}
+   */
+  async getLayerPixels(params) {
+    try {
+      const format = params.format === undefined ? 'rgba' : String(params.format).toLowerCase();
+      if (!PIXEL_FORMATS.includes(format)) {
+        return { success: false, errorCode: ERRORS.PIXELS_UNKNOWN_FORMAT, output: `Unsupported format: ${params.format}, use one of ${PIXEL_FORMATS.join(', ')}` };
+      }
+      const canvas = this.getLayerCanvas(config.layer);
+      if (canvas.errorCode) {
+        return { success: false, ...canvas };
+      }
+
+      const region = this.getRegion(params, canvas);
+      if (region.errorCode) {
+        return { success: false, ...region };
+      }
+      const { x, y, width, height } = region;
+
+      let data;
+      if (format === 'rgba') {
+        data = canvas.getContext('2d').getImageData(x, y, width, height).data.buffer;
+      } else if (format === 'imagebitmap') {
+        data = await createImageBitmap(canvas, x, y, width, height);
+      } else {
+        const part = document.createElement('canvas');
+        part.width = width;
+        part.height = height;
+        part.getContext('2d').drawImage(canvas, -x, -y);
+        const blob = await new Promise((resolve) => part.toBlob(resolve, 'image/png'));
+        data = await blob.arrayBuffer();
+      }
+
+      return {
+        success: true,
+        output: `Read ${width}x${height} pixels of layer: ${config.layer.name}`,
+        result: { x, y, width, height, format, data }
+      };
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.PIXELS_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Write pixels into the active layer, or the one given with layer=, as one undo step.
+   * Pixels replace the layer pixels under them, transparency included.
+   * An empty layer gets a new image layer of document size, like the Fill tool does.
+   * Usage: bridge.sendRPC('put-layer-pixels', { data: buffer, width: 256, height: 256, x: 10, y: 10 })
+   * @returns {object} result - id of the written layer
+   */
+  async putLayerPixels(params) {
+    try {
+      const layer = config.layer;
+      if (layer.type !== 'image' && layer.type !== null) {
+        return { success: false, errorCode: ERRORS.PIXELS_NOT_IMAGE, output: `Layer "${layer.name}" must contain an image, convert it to raster first` };
+      }
+      const x = params.x === undefined ? 0 : Number(params.x);
+      const y = params.y === undefined ? 0 : Number(params.y);
+      if (!Number.isInteger(x) || !Number.isInteger(y)) {
+        return { success: false, errorCode: ERRORS.PIXELS_INVALID_REGION, output: 'x and y must be whole numbers' };
+      }
+
+      const image = await this.decode(params);
+      if (image.errorCode) {
+        return { success: false, ...image };
+      }
+
+      const canvas = this.getLayerCanvas(layer);
+      const ctx = canvas.getContext('2d');
+      if (image instanceof ImageData) {
+        ctx.putImageData(image, x, y);
+      } else {
+        ctx.clearRect(x, y, image.width, image.height);
+        ctx.drawImage(image, x, y);
+      }
+
+      let action;
+      if (layer.type === 'image') {
+        action = new app.Actions.Update_layer_image_action(canvas, layer.id);
+      } else {
+        action = new app.Actions.Insert_layer_action({
+          type: 'image',
+          name: params.name === undefined ? 'Pixels' : String(params.name),
+          data: canvas.toDataURL('image/png'),
+          x: 0,
+          y: 0,
+          width: canvas.width,
+          height: canvas.height,
+          width_original: canvas.width,
+          height_original: canvas.height,
+        }, false);
+      }
+      const response = await app.State.do_action(
+        new app.Actions.Bundle_action('put_layer_pixels', 'Put Layer Pixels', [action])
+      );
+      if (response.status !== 'completed') {
+        return { success: false, errorCode: ERRORS.PIXELS_FAILED, output: `Pixels were not written: ${response.reason ? response.reason.message : ''}` };
+      }
+
+      return {
+        success: true,
+        output: `Wrote ${image.width}x${image.height} pixels to layer: ${config.layer.name}`,
+        result: config.layer.id
+      };
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.PIXELS_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Copy of the layer image in original size, empty layers are transparent document size canvases
+   * @returns {HTMLCanvasElement|{errorCode: number, output: string}}
+   */
+  getLayerCanvas(layer) {
+    const canvas = document.createElement('canvas');
+    if (layer.type === null) {
+      canvas.width = config.WIDTH;
+      canvas.height = config.HEIGHT;
+      return canvas;
+    }
+    if (layer.type !== 'image') {
+      return { errorCode: ERRORS.PIXELS_NOT_IMAGE, output: `Layer "${layer.name}" must contain an image, convert it to raster first` };
+    }
+    canvas.width = layer.width_original;
+    canvas.height = layer.height_original;
+    canvas.getContext('2d').drawImage(layer.link, 0, 0);
+    return canvas;
+  }
+
+  /**
+   * Region from x, y, width and height arguments, whole canvas by default
+   * @returns {{x, y, width, height}|{errorCode: number, output: string}}
+   */
+  getRegion(params, canvas) {
+    const x = params.x === undefined ? 0 : Number(params.x);
+    const y = params.y === undefined ? 0 : Number(params.y);
+    const width = params.width === undefined ? canvas.width - x : Number(params.width);
+    const height = params.height === undefined ? canvas.height - y : Number(params.height);
+
+    if (![x, y, width, height].every(Number.isInteger)) {
+      return { errorCode: ERRORS.PIXELS_INVALID_REGION, output: 'x, y, width and height must be whole numbers' };
+    }
+    if (x < 0 || y < 0 || width <= 0 || height <= 0 || x + width > canvas.width || y + height > canvas.height) {
+      return { errorCode: ERRORS.PIXELS_INVALID_REGION, output: `Region ${x},${y} ${width}x${height} is outside of the ${canvas.width}x${canvas.height} layer image` };
+    }
+    return { x, y, width, height };
+  }
+
+  /**
+   * Image from data argument
+   * @returns {Promise<ImageData|ImageBitmap|{errorCode: number, output: string}>}
+   */
+  async decode(params) {
+    const { data } = params;
+    if (data === undefined || data === null || typeof data === 'string') {
+      return { errorCode: ERRORS.PIXELS_DATA_MISSING, output: 'data parameter required: ArrayBuffer, typed array, ImageData or ImageBitmap' };
+    }
+    if (data instanceof ImageData || (typeof ImageBitmap !== 'undefined' && data instanceof ImageBitmap)) {
+      return data;
+    }
+
+    const bytes = await this.toBytes(data);
+    if (bytes === null) {
+      return { errorCode: ERRORS.PIXELS_DATA_MISSING, output: 'data must be ArrayBuffer, typed array, Blob, ImageData or ImageBitmap' };
+    }
+    const format = params.format === undefined ? (data instanceof Blob ? 'png' : 'rgba') : String(params.format).toLowerCase();
+    if (!PIXEL_FORMATS.includes(format) || format === 'imagebitmap') {
+      return { errorCode: ERRORS.PIXELS_UNKNOWN_FORMAT, output: `Unsupported format for binary data: ${params.format}, use rgba or png` };
+    }
+
+    if (format === 'png') {
+      try {
+        return await createImageBitmap(new Blob([bytes]));
+      } catch (error) {
+        return { errorCode: ERRORS.PIXELS_DECODE_FAILED, output: `Image could not be decoded: ${error.message}` };
+      }
+    }
+
+    const width = Number(params.width);
+    const height = Number(params.height);
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+      return { errorCode: ERRORS.PIXELS_SIZE_MISMATCH, output: 'width and height are required for rgba data' };
+    }
+    if (bytes.byteLength !== width * height * 4) {
+      return { errorCode: ERRORS.PIXELS_SIZE_MISMATCH, output: `rgba data of ${width}x${height} must have ${width * height * 4} bytes, got ${bytes.byteLength}` };
+    }
+    return new ImageData(new Uint8ClampedArray(bytes.buffer, bytes.byteOffset, bytes.byteLength), width, height);
+  }
+
+  /**
+   * @returns {Promise<Uint8Array|null>}
+   */
+  async toBytes(data) {
+    if (data instanceof Blob) {
+      return new Uint8Array(await data.arrayBuffer());
+    }
+    if (data instanceof ArrayBuffer) {
+      return new Uint8Array(data);
+    }
+    if (ArrayBuffer.isView(data)) {
+      return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+    return null;
+  }
+}
+
+export default MiniPaintPixelCommands;
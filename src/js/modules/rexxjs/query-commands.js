@@ -0,0 +1,212 @@
+/**
+ * miniPaint RexxJS Query Commands
+ * Layer, document and pixel data as JSON, and as stem variables for Rexx scripts
+ */
+
+import app from '../../app.js';
+import config from '../../config.js';
+import Tools_settings_class from '../tools/settings.js';
+import { ERRORS } from './command-catalogue.js';
+
+/**
+ * Flatten a value into stem tails, lists get their length in ".0" and items from ".1"
+ * Usage: toStem({ width: 10, filters: [{ name: 'blur' }] }) -> { WIDTH: 10, 'FILTERS.0': 1, 'FILTERS.1.NAME': 'blur' }
+ * @returns {object} tail => string, number or boolean
+ */
+export function toStem(value, prefix = '') {
+  const stem = {};
+  const add = (tail, item) => {
+    const key = prefix === '' ? tail : `${prefix}.${tail}`;
+    Object.assign(stem, toStem(item, key));
+  };
+
+  if (Array.isArray(value)) {
+    add('0', value.length);
+    value.forEach((item, index) => add(String(index + 1), item));
+  } else if (value !== null && typeof value === 'object') {
+    for (const name of Object.keys(value)) {
+      add(name.toUpperCase(), value[name]);
+    }
+  } else if (prefix !== '') {
+    stem[prefix] = value === null || value === undefined ? '' : value;
+  }
+  return stem;
+}
+
+/**
+ * MiniPaintQueryCommands - get-layer, get-document, get-pixel and get-histogram.
+ * Each returns result as a JSON string and stem with the same data flattened, see toStem.
+ */
+class MiniPaintQueryCommands {
+  constructor() {
+    this.Tools_settings = new Tools_settings_class();
+  }
+
+  /**
+   * Everything about the active layer, or the one given with layer=
+   * Usage: ADDRESS MINIPAINT 'get-layer layer=Background'
+   */
+  async getLayer(params) {
+    try {
+      const layer = config.layer;
+      const data = {
+        id: layer.id,
+        name: layer.name,
+        type: layer.type,
+        parent_id: layer.parent_id,
+        x: layer.x,
+        y: layer.y,
+        width: layer.width,
+        height: layer.height,
+        width_original: layer.width_original,
+        height_original: layer.height_original,
+        visible: layer.visible,
+        is_vector: layer.is_vector,
+        opacity: layer.opacity / 100,
+        order: layer.order,
+        composition: layer.composition,
+        rotate: layer.rotate,
+        color: layer.color,
+        status: layer.status,
+        filters: (layer.filters || []).map((filter) => ({ id: filter.id, name: filter.name, params: filter.params })),
+        params: layer.params || {}
+      };
+      return this.respond(data, `Layer ${layer.name}: ${layer.type || 'empty'} ${layer.width}x${layer.height} at ${layer.x},${layer.y}`);
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.QUERY_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Document size, units, resolution and guides
+   * Usage: ADDRESS MINIPAINT 'get-document'
+   */
+  async getDocument(params) {
+    try {
+      const units = this.Tools_settings.get_setting('default_units');
+      const data = {
+        width: config.WIDTH,
+        height: config.HEIGHT,
+        units,
+        units_short: this.Tools_settings.default_units_config[units],
+        resolution: parseInt(this.Tools_settings.get_setting('resolution')),
+        transparency: config.TRANSPARENCY,
+        layers: config.layers.length,
+        active_layer: config.layer ? config.layer.id : null,
+        guides_enabled: config.guides_enabled,
+        guides: config.guides.map((guide) => ({ x: guide.x, y: guide.y })),
+        zoom: config.ZOOM,
+        dirty: app.State.is_dirty()
+      };
+      return this.respond(data, `Document ${data.width}x${data.height} px, ${data.resolution} dpi, ${data.layers} layers, ${data.guides.length} guides`);
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.QUERY_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Color of one pixel as shown, all visible layers merged, or of the layer given with layer=
+   * Usage: ADDRESS MINIPAINT 'get-pixel x=10 y=20'
+   */
+  async getPixel(params) {
+    try {
+      const x = Number(params.x);
+      const y = Number(params.y);
+      if (params.x === undefined || params.y === undefined) {
+        return { success: false, errorCode: ERRORS.QUERY_POSITION_MISSING, output: 'x and y parameters required' };
+      }
+      if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0 || x >= config.WIDTH || y >= config.HEIGHT) {
+        return { success: false, errorCode: ERRORS.QUERY_OUTSIDE_DOCUMENT, output: `Pixel ${params.x},${params.y} is outside of the ${config.WIDTH}x${config.HEIGHT} document` };
+      }
+
+      const [red, green, blue, alpha] = this.render(params).getImageData(x, y, 1, 1).data;
+      const hex = '#' + [red, green, blue].map((value) => value.toString(16).padStart(2, '0')).join('');
+      return this.respond({ x, y, red, green, blue, alpha, hex }, `Pixel ${x},${y}: ${hex} alpha ${alpha}`);
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.QUERY_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Counts of each 0-255 value per channel, of the document as shown or of the layer given with layer=.
+   * Fully transparent pixels only count in alpha.
+   * Usage: ADDRESS MINIPAINT 'get-histogram x=0 y=0 width=100 height=100'
+   */
+  async getHistogram(params) {
+    try {
+      const x = params.x === undefined ? 0 : Number(params.x);
+      const y = params.y === undefined ? 0 : Number(params.y);
+      const width = params.width === undefined ? config.WIDTH - x : Number(params.width);
+      const height = params.height === undefined ? config.HEIGHT - y : Number(params.height);
+      if (![x, y, width, height].every(Number.isInteger) || x < 0 || y < 0 || width <= 0 || height <= 0
+        || x + width > config.WIDTH || y + height > config.HEIGHT) {
+        return { success: false, errorCode: ERRORS.QUERY_OUTSIDE_DOCUMENT, output: `Region ${x},${y} ${width}x${height} is outside of the ${config.WIDTH}x${config.HEIGHT} document` };
+      }
+
+      const pixels = this.render(params).getImageData(x, y, width, height).data;
+      const channels = ['red', 'green', 'blue', 'alpha', 'luminance'];
+      const counts = {};
+      const sums = {};
+      for (const channel of channels) {
+        counts[channel] = new Array(256).fill(0);
+        sums[channel] = 0;
+      }
+      let colored = 0;
+      for (let i = 0; i < pixels.length; i += 4) {
+        const alpha = pixels[i + 3];
+        counts.alpha[alpha]++;
+        sums.alpha += alpha;
+        if (alpha === 0) {
+          continue;
+        }
+        const luminance = Math.round(0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2]);
+        counts.red[pixels[i]]++;
+        counts.green[pixels[i + 1]]++;
+        counts.blue[pixels[i + 2]]++;
+        counts.luminance[luminance]++;
+        sums.red += pixels[i];
+        sums.green += pixels[i + 1];
+        sums.blue += pixels[i + 2];
+        sums.luminance += luminance;
+        colored++;
+      }
+
+      const total = width * height;
+      const mean = {};
+      for (const channel of channels) {
+        const count = channel === 'alpha' ? total : colored;
+        mean[channel] = count === 0 ? 0 : Math.round(sums[channel] / count * 100) / 100;
+      }
+      return this.respond(
+        { x, y, width, height, pixels: total, transparent: total - colored, mean, ...counts },
+        `Histogram of ${width}x${height} pixels, mean luminance ${mean.luminance}`
+      );
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.QUERY_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Document sized canvas with all visible layers, or only the active one when layer= was given
+   * @returns {CanvasRenderingContext2D}
+   */
+  render(params) {
+    const canvas = document.createElement('canvas');
+    canvas.width = config.WIDTH;
+    canvas.height = config.HEIGHT;
+    const ctx = canvas.getContext('2d');
+    app.Layers.convert_layers_to_canvas(ctx, params.layer === undefined ? null : config.layer.id, false);
+    return ctx;
+  }
+
+  respond(data, output) {
+    return {
+      success: true,
+      output,
+      result: JSON.stringify(data),
+      stem: toStem(data)
+    };
+  }
+}
+
+export default MiniPaintQueryCommands;
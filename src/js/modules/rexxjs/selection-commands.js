@@ -0,0 +1,351 @@
+/**
+ * miniPaint RexxJS Selection Commands
+ * Drives the selection of the Selection tool (see tools/selection.js) from ADDRESS MINIPAINT commands,
+ * select-rect makes rectangles, ellipse, lasso and magic wand selections come from the tool and are respected by the pixel commands
+ */
+
+import app from '../../app.js';
+import config from '../../config.js';
+import { ERRORS } from './command-catalogue.js';
+
+const COLOR_PATTERN = /^(#([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})|(rgba?|hsla?)\(.*\))$/i;
+
+/**
+ * MiniPaintSelectionCommands - select-rect, select-all, deselect, invert-selection, get-selection,
+ * copy-selection-to-layer, clear-selection, fill-selection and crop-to-selection
+ */
+class MiniPaintSelectionCommands {
+  /**
+   * Select rectangle, in document coordinates
+   * Usage: ADDRESS MINIPAINT 'select-rect x=10 y=10 width=200 height=100'
+   */
+  async selectRect(params) {
+    try {
+      for (const name of ['x', 'y', 'width', 'height']) {
+        if (typeof params[name] !== 'number') {
+          return { success: false, errorCode: ERRORS.SELECTION_INVALID_RECT, output: 'x, y, width and height parameters required as numbers' };
+        }
+      }
+      let { x, y, width, height } = params;
+      if (width === 0 || height === 0) {
+        return { success: false, errorCode: ERRORS.SELECTION_INVALID_RECT, output: 'width and height must not be 0' };
+      }
+      // Dragging up or left gives negative sizes, store them like the Selection tool does
+      if (width < 0) {
+        x += width;
+        width = -width;
+      }
+      if (height < 0) {
+        y += height;
+        height = -height;
+      }
+
+      return await this.setSelection(x, y, width, height, 'Select Rectangle');
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.SELECTION_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Select whole document
+   * Usage: ADDRESS MINIPAINT 'select-all'
+   */
+  async selectAll(params) {
+    try {
+      return await this.setSelection(0, 0, config.WIDTH, config.HEIGHT, 'Select All');
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.SELECTION_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Remove selection, pixels stay untouched
+   * Usage: ADDRESS MINIPAINT 'deselect'
+   */
+  async deselect(params) {
+    try {
+      if (this.getSelection() === null) {
+        return { success: true, output: 'Nothing was selected' };
+      }
+
+      const tool = this.getSelectionTool();
+      const response = await app.State.do_action(
+        new app.Actions.Bundle_action('clear_selection', 'Clear Selection', tool.on_leave())
+      );
+      if (response.status !== 'completed') {
+        return { success: false, errorCode: ERRORS.SELECTION_NOT_APPLIED, output: `Selection was not changed: ${response.reason ? response.reason.message : ''}` };
+      }
+      return { success: true, output: 'Selection removed' };
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.SELECTION_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Select what is not selected, like Select > Invert, the result is a mask selection
+   * Usage: ADDRESS MINIPAINT 'invert-selection'
+   */
+  async invertSelection(params) {
+    try {
+      if (this.getSelection() === null) {
+        return { success: false, errorCode: ERRORS.SELECTION_EMPTY, output: 'Nothing is selected' };
+      }
+
+      const response = await app.GUI.modules['select/modify'].invert();
+      if (response.status !== 'completed') {
+        return { success: false, errorCode: ERRORS.SELECTION_NOT_APPLIED, output: `Selection was not changed: ${response.reason ? response.reason.message : ''}` };
+      }
+
+      // Inverting everything leaves nothing selected
+      const selection = this.getSelection();
+      return {
+        success: true,
+        output: selection ? `Selected ${JSON.stringify(selection)}` : 'Nothing is selected',
+        result: selection ? JSON.stringify(selection) : ''
+      };
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.SELECTION_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Get selection bounds, with shape for ellipse, lasso and mask selections and polygon points for lasso
+   * Usage: ADDRESS MINIPAINT 'get-selection'
+   * @returns {string} result JSON {x, y, width, height[, shape, points]}, empty when nothing is selected
+   */
+  async getSelectionCommand(params) {
+    try {
+      const selection = this.getSelection();
+      return {
+        success: true,
+        output: selection ? JSON.stringify(selection) : 'Nothing is selected',
+        result: selection ? JSON.stringify(selection) : ''
+      };
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.SELECTION_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Copy selected pixels of the active image layer to a new layer, selection stays
+   * Usage: ADDRESS MINIPAINT 'copy-selection-to-layer name="Detail"'
+   */
+  async copySelectionToLayer(params) {
+    try {
+      const region = this.getLayerRegion();
+      if (region.errorCode) {
+        return { success: false, ...region };
+      }
+      const { layer, x, y, width, height } = region;
+
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(width));
+      canvas.height = Math.max(1, Math.round(height));
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(layer.link, -x, -y);
+      if (this.getSelection().shape !== undefined) {
+        ctx.globalCompositeOperation = 'destination-in';
+        ctx.drawImage(app.Layers.Base_selection.get_selection_mask(this.getSelectionTool().selection, layer), -x, -y);
+      }
+
+      // Position in document, scaled back if the layer image was stretched
+      const ratioX = layer.width / layer.width_original;
+      const ratioY = layer.height / layer.height_original;
+      const settings = {
+        x: Math.round(layer.x + x * ratioX),
+        y: Math.round(layer.y + y * ratioY),
+        width: Math.round(canvas.width * ratioX),
+        height: Math.round(canvas.height * ratioY),
+        width_original: canvas.width,
+        height_original: canvas.height,
+        type: 'image',
+        data: canvas.toDataURL('image/png'),
+      };
+      if (params.name !== undefined) {
+        settings.name = String(params.name);
+      }
+
+      const response = await app.State.do_action(
+        new app.Actions.Insert_layer_action(settings, false)
+      );
+      if (response.status !== 'completed') {
+        return { success: false, errorCode: ERRORS.SELECTION_NOT_APPLIED, output: `Layer was not created: ${response.reason ? response.reason.message : ''}` };
+      }
+      return { success: true, output: `Copied selection to layer: ${config.layer.name}`, result: config.layer.id };
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.SELECTION_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Erase selected pixels of the active image layer, selection stays
+   * Usage: ADDRESS MINIPAINT 'clear-selection'
+   */
+  async clearSelection(params) {
+    try {
+      return await this.paintSelection('clear_selection_pixels', 'Clear Selection Pixels', (ctx, x, y, width, height) => {
+        ctx.clearRect(x, y, width, height);
+      });
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.SELECTION_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Fill selection of the active image layer with color, selection stays
+   * Usage: ADDRESS MINIPAINT 'fill-selection color=#ff0000'
+   */
+  async fillSelection(params) {
+    try {
+      const { color } = params;
+      if (color === undefined || !COLOR_PATTERN.test(String(color))) {
+        return { success: false, errorCode: ERRORS.SELECTION_COLOR_MISSING, output: 'color parameter required, e.g. color=#ff0000' };
+      }
+
+      return await this.paintSelection('fill_selection', 'Fill Selection', (ctx, x, y, width, height) => {
+        ctx.fillStyle = String(color);
+        ctx.fillRect(x, y, width, height);
+      });
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.SELECTION_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Crop document to selection, same as the Crop tool
+   * Usage: ADDRESS MINIPAINT 'crop-to-selection'
+   */
+  async cropToSelection(params) {
+    try {
+      const selection = this.getSelection();
+      if (selection === null) {
+        return { success: false, errorCode: ERRORS.SELECTION_EMPTY, output: 'Nothing is selected' };
+      }
+      const rotated = config.layers.find((layer) => layer.type != null && layer.rotate != 0);
+      if (rotated) {
+        return { success: false, errorCode: ERRORS.SELECTION_LAYER_ROTATED, output: `Crop on rotated layer is not supported, convert it to raster first: ${rotated.name}` };
+      }
+
+      await app.GUI.modules['edit/selection'].crop();
+
+      return {
+        success: true,
+        output: `Cropped to ${config.WIDTH}x${config.HEIGHT}`,
+        result: JSON.stringify({ width: config.WIDTH, height: config.HEIGHT })
+      };
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.SELECTION_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Set selection of the Selection tool, activating the tool when needed like Select All does
+   */
+  async setSelection(x, y, width, height, title) {
+    const tool = this.getSelectionTool();
+    const actions = [];
+    if (config.TOOL.name != tool.name) {
+      actions.push(new app.Actions.Activate_tool_action(tool.name));
+    }
+    actions.push(new app.Actions.Set_selection_action(x, y, width, height, tool.selection, 'rectangle'));
+
+    const response = await app.State.do_action(
+      new app.Actions.Bundle_action('set_selection', title, actions)
+    );
+    if (response.status !== 'completed') {
+      return { success: false, errorCode: ERRORS.SELECTION_NOT_APPLIED, output: `Selection was not changed: ${response.reason ? response.reason.message : ''}` };
+    }
+
+    const selection = this.getSelection();
+    return { success: true, output: `Selected ${JSON.stringify(selection)}`, result: JSON.stringify(selection) };
+  }
+
+  /**
+   * Current selection, null when nothing is selected.
+   * Selection lives in the Selection tool and stays when another tool is activated.
+   * @returns {{x, y, width, height, shape?, points?}|null}
+   */
+  getSelection() {
+    const tool = this.getSelectionTool();
+    const { x, y, width, height, shape, points } = tool.selection;
+    if (width === null || height === null || width == 0 || height == 0) {
+      return null;
+    }
+    if (shape === 'ellipse' || shape === 'mask') {
+      return { x, y, width, height, shape };
+    }
+    if (shape === 'polygon') {
+      return { x, y, width, height, shape, points: points.map((point) => ({ x: point.x, y: point.y })) };
+    }
+    return { x, y, width, height };
+  }
+
+  getSelectionTool() {
+    return app.GUI.GUI_tools.tools_modules['selection'].object;
+  }
+
+  /**
+   * Selection translated into image pixels of the active layer, clipped to the layer
+   * @returns {{layer, x, y, width, height}|{errorCode: number, output: string}}
+   */
+  getLayerRegion() {
+    const selection = this.getSelection();
+    if (selection === null) {
+      return { errorCode: ERRORS.SELECTION_EMPTY, output: 'Nothing is selected' };
+    }
+    const layer = config.layer;
+    if (layer.type != 'image') {
+      return { errorCode: ERRORS.SELECTION_NOT_IMAGE, output: `Layer "${layer.name}" must contain an image, convert it to raster first` };
+    }
+    // Selection is in document coordinates, rotated layer pixels are not
+    if (layer.rotate != 0) {
+      return { errorCode: ERRORS.SELECTION_LAYER_ROTATED, output: `Layer "${layer.name}" is rotated, convert it to raster first` };
+    }
+
+    // Layer image may be stretched, work in original image pixels
+    const ratioX = layer.width / layer.width_original;
+    const ratioY = layer.height / layer.height_original;
+    const left = Math.max(0, (selection.x - layer.x) / ratioX);
+    const top = Math.max(0, (selection.y - layer.y) / ratioY);
+    const right = Math.min(layer.width_original, (selection.x + selection.width - layer.x) / ratioX);
+    const bottom = Math.min(layer.height_original, (selection.y + selection.height - layer.y) / ratioY);
+    if (right <= left || bottom <= top) {
+      return { errorCode: ERRORS.SELECTION_OUTSIDE_LAYER, output: `Selection is outside of layer "${layer.name}"` };
+    }
+
+    return { layer, x: left, y: top, width: right - left, height: bottom - top };
+  }
+
+  /**
+   * Paint inside selection on a copy of the active layer image and store it as one undoable action
+   * @param {function} paint - (ctx, x, y, width, height) in layer image pixels
+   */
+  async paintSelection(key, title, paint) {
+    const region = this.getLayerRegion();
+    if (region.errorCode) {
+      return { success: false, ...region };
+    }
+    const { layer, x, y, width, height } = region;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = layer.width_original;
+    canvas.height = layer.height_original;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(layer.link, 0, 0);
+    paint(ctx, x, y, width, height);
+    // Ellipse, lasso and mask selections keep pixels outside of their shape
+    app.Layers.Base_selection.limit_to_selection(canvas, layer);
+
+    const response = await app.State.do_action(
+      new app.Actions.Bundle_action(key, title, [
+        new app.Actions.Update_layer_image_action(canvas, layer.id)
+      ])
+    );
+    if (response.status !== 'completed') {
+      return { success: false, errorCode: ERRORS.SELECTION_NOT_APPLIED, output: `${title} failed: ${response.reason ? response.reason.message : ''}` };
+    }
+    return { success: true, output: `${title}: ${layer.name}`, result: layer.id };
+  }
+}
+
+export default MiniPaintSelectionCommands;
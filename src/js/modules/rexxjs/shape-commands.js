@@ -0,0 +1,412 @@
+/**
+ * miniPaint RexxJS Shape Commands
+ * Creates vector shape layers (see tools/shapes/) from ADDRESS MINIPAINT commands
+ */
+
+import app from '../../app.js';
+import config from '../../config.js';
+import { ERRORS } from './command-catalogue.js';
+
+const COLOR_PATTERN = /^(#([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})|(rgba?|hsla?)\(.*\))$/i;
+
+/*
+ * How each shape stores its geometry, everything not listed here is a box shape:
+ * - box: x, y, width, height and rotate, drawn inside the box
+ * - line: start at x, y and signed width, height to the end point, drawn with layer color
+ * - points: list of points relative to x, y (polygon)
+ * - curve: start, cp1, cp2 and end points relative to x, y, drawn with layer color (bezier_curve)
+ */
+const SHAPE_MODELS = {
+  line: 'line',
+  arrow: 'line',
+  polygon: 'points',
+  bezier_curve: 'curve',
+};
+
+const GEOMETRY_ARGUMENTS = {
+  box: ['x', 'y', 'width', 'height', 'rotate'],
+  line: ['x', 'y', 'width', 'height', 'x2', 'y2'],
+  points: ['points', 'rotate'],
+  curve: ['points'],
+};
+
+// Square and circle flags lock the aspect ratio, like holding Ctrl while drawing
+const ASPECT_LOCKS = ['square', 'circle'];
+
+/**
+ * MiniPaintShapeCommands - draw-shape and list-shapes
+ */
+class MiniPaintShapeCommands {
+  /**
+   * Create vector shape layer
+   * Usage: ADDRESS MINIPAINT 'draw-shape type=star x=50 y=50 width=200 height=200 corners=6 fill=#ffcc00 stroke=#000000'
+   * Usage: ADDRESS MINIPAINT 'draw-shape type=arrow x=10 y=10 x2=200 y2=120 stroke=#ff0000 size=6'
+   * Usage: ADDRESS MINIPAINT 'draw-shape type=polygon points=[[0,0],[100,0],[50,80]] fill=#00ff00'
+   */
+  async drawShape(params) {
+    try {
+      const { type, name } = params;
+      if (type === undefined || type === '') {
+        return { success: false, errorCode: ERRORS.SHAPE_TYPE_MISSING, output: 'type parameter required' };
+      }
+
+      const shape = this.getShape(type);
+      if (!shape) {
+        const known = this.getShapes().map((item) => item.name).join(', ');
+        return { success: false, errorCode: ERRORS.SHAPE_UNKNOWN, output: `Unknown shape type: ${type} (supported: ${known})` };
+      }
+      const schema = this.describe(shape);
+
+      const styleArgs = {};
+      for (const argName in params) {
+        if (argName === 'type' || argName === 'name' || GEOMETRY_ARGUMENTS[schema.geometry].includes(argName)) {
+          continue;
+        }
+        styleArgs[argName] = params[argName];
+      }
+      const style = this.readStyle(schema, styleArgs);
+      if (style.errorCode) {
+        return { success: false, errorCode: style.errorCode, output: style.output };
+      }
+
+      const geometry = this.readGeometry(schema, params, style.params);
+      if (geometry.error) {
+        return { success: false, errorCode: ERRORS.SHAPE_INVALID_POSITION, output: geometry.error };
+      }
+
+      const layer = {
+        name: name !== undefined ? String(name) : shape.title + ' #' + app.Layers.auto_increment,
+        type: shape.name,
+        params: style.params,
+        render_function: [shape.name, 'render'],
+        rotate: 0,
+        is_vector: true,
+        color: style.color,
+        status: null,
+        ...geometry.settings,
+      };
+
+      const response = await app.State.do_action(
+        new app.Actions.Insert_layer_action(layer)
+      );
+      if (response.status !== 'completed') {
+        return { success: false, errorCode: ERRORS.SHAPE_NOT_CREATED, output: `Shape layer was not created: ${response.reason ? response.reason.message : ''}` };
+      }
+
+      return {
+        success: true,
+        output: `Added ${shape.name} layer: ${config.layer.name}`,
+        result: config.layer.id
+      };
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.DRAW_SHAPE_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * List shape types with their parameters
+   * Usage: ADDRESS MINIPAINT 'list-shapes'
+   * Usage: ADDRESS MINIPAINT 'list-shapes type=star'
+   */
+  async listShapes(params) {
+    try {
+      if (params.type !== undefined) {
+        const shape = this.getShape(params.type);
+        if (!shape) {
+          return { success: false, errorCode: ERRORS.SHAPE_UNKNOWN, output: `Unknown shape type: ${params.type}` };
+        }
+        const schema = this.describe(shape);
+        return {
+          success: true,
+          output: `${schema.name}: ${schema.params.map(p => p.name).join(', ') || 'no parameters'}`,
+          result: JSON.stringify(schema)
+        };
+      }
+
+      const schemas = this.getShapes().map((shape) => this.describe(shape));
+      return {
+        success: true,
+        output: `Available shapes: ${schemas.map(s => s.name).join(', ')}`,
+        result: JSON.stringify(schemas)
+      };
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.LIST_SHAPES_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * List shape tools, using the same discovery as the Shapes dialog
+   * @returns {Array<{name, title, object}>}
+   */
+  getShapes() {
+    const tools = app.GUI && app.GUI.GUI_tools ? app.GUI.GUI_tools.tools_modules : {};
+    const list = [];
+    for (const key in tools) {
+      if (tools[key].full_key.indexOf('shapes/') === -1) {
+        continue;
+      }
+      list.push({ name: tools[key].name, title: tools[key].title, object: tools[key].object });
+    }
+    return list.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Find shape by name, "Right Triangle", "right-triangle" and "right_triangle" match
+   */
+  getShape(name) {
+    const wanted = String(name).trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return this.getShapes().find((shape) => shape.name === wanted) || null;
+  }
+
+  /**
+   * Describe shape geometry and parameters, taken from the tool attributes in config.js
+   * @returns {{name, title, geometry, params: Array<{name, type, default, min, max, values}>}}
+   */
+  describe(shape) {
+    const tool = config.TOOLS.find((item) => item.name === shape.name);
+    const attributes = tool && tool.attributes ? tool.attributes : {};
+    const geometry = SHAPE_MODELS[shape.name] || 'box';
+
+    const params = [];
+    for (const key in attributes) {
+      params.push(this.describeAttribute(key, attributes[key]));
+    }
+    if (geometry === 'line' || geometry === 'curve') {
+      // These shapes are drawn with the layer color instead of a color param
+      params.push({ name: 'color', type: 'color', default: config.COLOR });
+    }
+
+    return {
+      name: shape.name,
+      title: shape.title,
+      geometry,
+      arguments: GEOMETRY_ARGUMENTS[geometry].slice(),
+      params,
+    };
+  }
+
+  /**
+   * Convert tool attribute into schema entry, limits match the attribute inputs in gui-tools.js
+   */
+  describeAttribute(key, attribute) {
+    const value = attribute !== null && typeof attribute === 'object' ? attribute.value : attribute;
+    const schema = { name: key, type: 'string', default: value };
+
+    if (attribute !== null && typeof attribute === 'object' && Array.isArray(attribute.values)) {
+      schema.type = 'enum';
+      schema.values = attribute.values.slice();
+    } else if (typeof value === 'boolean') {
+      schema.type = 'boolean';
+    } else if (typeof value === 'number') {
+      schema.type = 'number';
+      schema.min = attribute.min != null ? attribute.min : 1;
+      schema.max = attribute.max != null ? attribute.max : 999;
+    } else if (typeof value === 'string' && value[0] === '#') {
+      schema.type = 'color';
+    }
+
+    return schema;
+  }
+
+  /**
+   * Build shape params and layer color from arguments.
+   * Besides attribute names, fill=<color|false>, stroke=<color|false> and stroke_size= are accepted.
+   * @returns {{params: object, color: string|null}|{errorCode: number, output: string}}
+   */
+  readStyle(schema, args) {
+    const params = {};
+    let color = null;
+    for (const item of schema.params) {
+      if (item.name === 'color') {
+        color = item.default;
+      } else {
+        params[item.name] = item.default;
+      }
+    }
+
+    const has = (name) => schema.params.some((item) => item.name === name);
+    const values = {};
+    for (const argName in args) {
+      const raw = args[argName];
+      if (argName === 'fill' && !has('fill_color') && !has('fill')) {
+        return { errorCode: ERRORS.SHAPE_UNKNOWN_PARAM, output: `Shape ${schema.name} has no fill` };
+      }
+      if (argName === 'fill' && (COLOR_PATTERN.test(String(raw)) || !has('fill'))) {
+        // fill=<color> turns fill on and sets its color
+        values.fill_color = raw;
+        if (has('fill')) {
+          values.fill = true;
+        }
+      } else if (argName === 'stroke' && has('color')) {
+        values.color = raw;
+      } else if (argName === 'stroke' && has('border_color') && (COLOR_PATTERN.test(String(raw)) || !has('border'))) {
+        values.border_color = raw;
+        if (has('border')) {
+          values.border = true;
+        }
+      } else if (argName === 'stroke' && has('border')) {
+        values.border = raw;
+      } else if (argName === 'stroke_size' && (has('border_size') || has('size'))) {
+        values[has('border_size') ? 'border_size' : 'size'] = raw;
+      } else if (has(argName)) {
+        values[argName] = raw;
+      } else {
+        const known = schema.arguments.concat(schema.params.map((item) => item.name)).join(', ');
+        return { errorCode: ERRORS.SHAPE_UNKNOWN_PARAM, output: `Unknown parameter for ${schema.name}: ${argName} (supported: ${known})` };
+      }
+    }
+
+    for (const key in values) {
+      const item = schema.params.find((entry) => entry.name === key);
+      const value = this.coerceValue(item, values[key]);
+      if (value.error) {
+        return { errorCode: ERRORS.SHAPE_INVALID_PARAM, output: `Invalid ${key}: ${value.error}` };
+      }
+      if (key === 'color') {
+        color = value.value;
+      } else {
+        params[key] = value.value;
+      }
+    }
+
+    return { params, color };
+  }
+
+  /**
+   * Check type and range of one argument
+   * @returns {{value}|{error: string}}
+   */
+  coerceValue(schema, raw) {
+    switch (schema.type) {
+      case 'number':
+        if (typeof raw !== 'number') {
+          return { error: `expected number, got "${raw}"` };
+        }
+        if (raw < schema.min || raw > schema.max) {
+          return { error: `${raw} is out of range ${schema.min}..${schema.max}` };
+        }
+        return { value: raw };
+      case 'boolean':
+        if (raw !== true && raw !== false) {
+          return { error: `expected true or false, got "${raw}"` };
+        }
+        return { value: raw };
+      case 'color':
+        if (!COLOR_PATTERN.test(String(raw))) {
+          return { error: `expected color like #ff0000, got "${raw}"` };
+        }
+        return { value: String(raw) };
+      case 'enum':
+        if (!schema.values.includes(raw)) {
+          return { error: `expected one of ${schema.values.join(', ')}, got "${raw}"` };
+        }
+        return { value: raw };
+      default:
+        return { value: String(raw) };
+    }
+  }
+
+  /**
+   * Build layer position, size and data in the shape's own coordinate model
+   * @returns {{settings: object}|{error: string}}
+   */
+  readGeometry(schema, args, params) {
+    for (const name of ['x', 'y', 'width', 'height', 'x2', 'y2', 'rotate']) {
+      if (args[name] !== undefined && typeof args[name] !== 'number') {
+        return { error: `${name} must be a number` };
+      }
+    }
+    const settings = {};
+    if (args.rotate !== undefined) {
+      settings.rotate = args.rotate;
+    }
+
+    switch (schema.geometry) {
+      case 'line': {
+        const x = args.x !== undefined ? args.x : 0;
+        const y = args.y !== undefined ? args.y : 0;
+        const width = args.x2 !== undefined ? args.x2 - x : args.width;
+        const height = args.y2 !== undefined ? args.y2 - y : args.height;
+        if ((args.x2 !== undefined && args.width !== undefined) || (args.y2 !== undefined && args.height !== undefined)) {
+          return { error: 'pass either x2, y2 or width, height' };
+        }
+        if (!width && !height) {
+          return { error: `${schema.name} needs an end point, pass x2, y2 or width, height` };
+        }
+        return { settings: { ...settings, x, y, width: width || 0, height: height || 0 } };
+      }
+      case 'points':
+      case 'curve': {
+        const points = this.readPoints(args.points);
+        if (points.error) {
+          return points;
+        }
+        const list = points.points;
+        if (schema.geometry === 'curve' && list.length !== 4) {
+          return { error: 'points must be 4 points: start, control point 1, control point 2 and end' };
+        }
+        if (schema.geometry === 'points' && list.length < 2) {
+          return { error: 'points must have at least 2 points' };
+        }
+
+        // Store points relative to their bounding box, as the select tool moves shapes by x, y
+        const x = Math.min(...list.map((point) => point.x));
+        const y = Math.min(...list.map((point) => point.y));
+        const relative = list.map((point) => ({ x: point.x - x, y: point.y - y }));
+        settings.x = x;
+        settings.y = y;
+        settings.width = Math.max(...relative.map((point) => point.x));
+        settings.height = Math.max(...relative.map((point) => point.y));
+        settings.hide_selection_if_active = true;
+        if (schema.geometry === 'curve') {
+          const [start, cp1, cp2, end] = relative;
+          settings.data = { start, cp1, cp2, end };
+        } else {
+          settings.data = relative;
+        }
+        return { settings };
+      }
+      default: {
+        for (const name of ['width', 'height']) {
+          if (args[name] === undefined || args[name] <= 0) {
+            return { error: `${name} must be a positive number` };
+          }
+        }
+        let height = args.height;
+        if (ASPECT_LOCKS.some((flag) => params[flag] === true)) {
+          height = args.width;
+        }
+        return {
+          settings: {
+            ...settings,
+            x: args.x !== undefined ? args.x : 0,
+            y: args.y !== undefined ? args.y : 0,
+            width: args.width,
+            height,
+          }
+        };
+      }
+    }
+  }
+
+  /**
+   * Read list of [x, y] pairs or {x, y} objects
+   * @returns {{points: Array<{x, y}>}|{error: string}}
+   */
+  readPoints(raw) {
+    if (!Array.isArray(raw)) {
+      return { error: 'points must be a list like [[0,0],[100,0],[50,80]]' };
+    }
+    const points = [];
+    for (const item of raw) {
+      const point = Array.isArray(item) ? { x: item[0], y: item[1] } : item;
+      if (!point || typeof point.x !== 'number' || typeof point.y !== 'number' || (Array.isArray(item) && item.length !== 2)) {
+        return { error: `invalid point ${JSON.stringify(item)}, expected [x, y]` };
+      }
+      points.push({ x: point.x, y: point.y });
+    }
+    return { points };
+  }
+}
+
+export default MiniPaintShapeCommands;
@@ -0,0 +1,63 @@
+/**
+ * miniPaint Task Progress
+ * Channel between slow work (effects, GIF encoding) and whoever started it, e.g. a director on the control bus
+ */
+
+/**
+ * MiniPaintTaskProgress - progress reports and cancel signal of one command.
+ *
+ * handler.run() makes one for each command and passes it to the work the command starts, so commands
+ * that run at the same time, e.g. requests of two directors, each report to and are cancelled by their own caller.
+ * Work done from the GUI gets a task without caller, there report() does nothing and nothing is cancelled.
+ */
+class MiniPaintTaskProgress {
+  /**
+   * @param {object} task
+   * @param {function} task.onProgress - called with (percent, stage)
+   * @param {AbortSignal} task.signal - aborted when the caller cancels
+   */
+  constructor(task = {}) {
+    this.onProgress = task.onProgress || null;
+    this.signal = task.signal || null;
+  }
+
+  /**
+   * Report how far the task is
+   * @param {number} percent - 0-100
+   * @param {string} stage - e.g. "rendering", "encoding"
+   */
+  report(percent, stage) {
+    if (this.onProgress) {
+      this.onProgress(Math.max(0, Math.min(100, Math.round(percent))), stage);
+    }
+  }
+
+  /**
+   * report() as function, for work that goes on in callbacks, e.g. GIF encoder events
+   * @returns {function} called with (percent, stage)
+   */
+  reporter() {
+    return (percent, stage) => this.report(percent, stage);
+  }
+
+  /**
+   * Signal of the task, null when the caller can not cancel
+   * @returns {AbortSignal|null}
+   */
+  getSignal() {
+    return this.signal;
+  }
+
+  isCancelled() {
+    return this.signal !== null && this.signal.aborted;
+  }
+
+  /**
+   * Let pending messages, e.g. progress sent and cancel received, through before synchronous work
+   */
+  yield() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+  }
+}
+
+export default MiniPaintTaskProgress;
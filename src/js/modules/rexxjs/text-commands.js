@@ -0,0 +1,350 @@
+/**
+ * miniPaint RexxJS Text Commands
+ * Creates and edits text layers (see tools/text.js) from ADDRESS MINIPAINT commands
+ */
+
+import app from '../../app.js';
+import config from '../../config.js';
+import { metaDefaults } from '../../tools/text.js';
+import { ERRORS } from './command-catalogue.js';
+
+const COLOR_PATTERN = /^(#([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})|(rgba?|hsla?)\(.*\))$/i;
+const HALIGN_VALUES = ['left', 'center', 'right'];
+const VALIGN_VALUES = ['top', 'middle', 'bottom'];
+const WRAP_VALUES = ['word', 'letter', 'none'];
+
+// Command argument -> span meta key (see metaDefaults in tools/text.js)
+const META_ARGUMENTS = {
+  font: { key: 'family', type: 'string' },
+  size: { key: 'size', type: 'number', min: 1 },
+  bold: { key: 'bold', type: 'boolean' },
+  italic: { key: 'italic', type: 'boolean' },
+  underline: { key: 'underline', type: 'boolean' },
+  strikethrough: { key: 'strikethrough', type: 'boolean' },
+  color: { key: 'fill_color', type: 'color' },
+  fill: { key: 'fill_color', type: 'color' },
+  stroke: { key: 'stroke_color', type: 'color' },
+  stroke_size: { key: 'stroke_size', type: 'number', min: 0 },
+  kerning: { key: 'kerning', type: 'number', min: -999, max: 999 },
+  leading: { key: 'leading', type: 'number' },
+};
+
+/**
+ * MiniPaintTextCommands - add-text, set-text and style-text
+ */
+class MiniPaintTextCommands {
+  /**
+   * Create text layer
+   * Usage: ADDRESS MINIPAINT 'add-text text="Summer Sale" x=40 y=30 font=Impact size=72 color=#ffffff stroke=#000000 stroke_size=2'
+   * Usage: ADDRESS MINIPAINT 'add-text text="Long caption..." x=10 y=10 width=300 height=120 wrap=word align=center'
+   */
+  async addText(params) {
+    try {
+      const { text, name } = params;
+      if (typeof text !== 'string' && typeof text !== 'number') {
+        return { success: false, errorCode: ERRORS.TEXT_MISSING, output: 'text parameter required' };
+      }
+
+      const style = this.readStyle(params);
+      if (style.error) {
+        return { success: false, errorCode: ERRORS.TEXT_INVALID_STYLE, output: style.error };
+      }
+      const layout = this.readLayout(params, null);
+      if (layout.error) {
+        return { success: false, errorCode: ERRORS.TEXT_INVALID_LAYOUT, output: layout.error };
+      }
+
+      const meta = this.compactMeta(style.meta);
+      const layer = {
+        type: 'text',
+        params: {
+          boundary: 'dynamic',
+          kerning: 'metrics',
+          text_direction: 'ltr',
+          wrap_direction: 'ttb',
+          halign: 'left',
+          valign: 'top',
+          wrap: 'word',
+          ...layout.params,
+        },
+        render_function: ['text', 'render'],
+        x: 0,
+        y: 0,
+        width: 1,
+        height: 1,
+        rotate: 0,
+        is_vector: true,
+        data: this.buildLines(String(text), () => meta),
+        ...layout.geometry,
+      };
+      if (name !== undefined) {
+        layer.name = String(name);
+      }
+
+      const response = await app.State.do_action(
+        new app.Actions.Insert_layer_action(layer)
+      );
+      if (response.status !== 'completed') {
+        return { success: false, errorCode: ERRORS.TEXT_NOT_CREATED, output: `Text layer was not created: ${response.reason ? response.reason.message : ''}` };
+      }
+
+      return {
+        success: true,
+        output: `Added text layer: ${config.layer.name}`,
+        result: config.layer.id
+      };
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.ADD_TEXT_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Replace content of text layer, keeping the style of its first character
+   * Usage: ADDRESS MINIPAINT 'set-text layer=3 text="New caption"'
+   */
+  async setText(params) {
+    try {
+      const { text } = params;
+      if (typeof text !== 'string' && typeof text !== 'number') {
+        return { success: false, errorCode: ERRORS.SET_TEXT_MISSING, output: 'text parameter required' };
+      }
+
+      const found = this.findTextLayer(params.layer);
+      if (found.error) {
+        return { success: false, errorCode: ERRORS.SET_TEXT_NOT_TEXT_LAYER, output: found.error };
+      }
+      const layer = found.layer;
+
+      const firstSpan = layer.data && layer.data[0] && layer.data[0][0];
+      const meta = firstSpan ? firstSpan.meta : {};
+      const response = await app.State.do_action(
+        new app.Actions.Update_layer_action(layer.id, {
+          data: this.buildLines(String(text), () => meta),
+        })
+      );
+      if (response.status !== 'completed') {
+        return { success: false, errorCode: ERRORS.SET_TEXT_NOT_APPLIED, output: `Text was not changed: ${response.reason ? response.reason.message : ''}` };
+      }
+
+      return { success: true, output: `Updated text of layer: ${layer.name}`, result: layer.id };
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.SET_TEXT_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Change font, colors, alignment or box of text layer
+   * Usage: ADDRESS MINIPAINT 'style-text layer=3 font=Verdana size=32 bold=true align=right'
+   * Usage: ADDRESS MINIPAINT 'style-text layer=3 line=2 color=#ff0000' (only second line)
+   */
+  async styleText(params) {
+    try {
+      const found = this.findTextLayer(params.layer);
+      if (found.error) {
+        return { success: false, errorCode: ERRORS.STYLE_TEXT_NOT_TEXT_LAYER, output: found.error };
+      }
+      const layer = found.layer;
+
+      const style = this.readStyle(params);
+      if (style.error) {
+        return { success: false, errorCode: ERRORS.STYLE_TEXT_INVALID_STYLE, output: style.error };
+      }
+      const layout = this.readLayout(params, layer);
+      if (layout.error) {
+        return { success: false, errorCode: ERRORS.STYLE_TEXT_INVALID_LAYOUT, output: layout.error };
+      }
+
+      const lines = layer.data || [[{ text: '', meta: {} }]];
+      let lineIndex = null;
+      if (params.line !== undefined) {
+        lineIndex = parseInt(params.line) - 1;
+        if (isNaN(lineIndex) || lineIndex < 0 || lineIndex >= lines.length) {
+          return { success: false, errorCode: ERRORS.STYLE_TEXT_LINE_OUT_OF_RANGE, output: `line must be between 1 and ${lines.length}` };
+        }
+      }
+
+      const settings = { ...layout.geometry };
+      if (Object.keys(style.meta).length > 0) {
+        settings.data = lines.map((line, index) => line.map((span) => ({
+          text: span.text,
+          meta: lineIndex === null || lineIndex === index
+            ? this.compactMeta({ ...span.meta, ...style.meta })
+            : JSON.parse(JSON.stringify(span.meta)),
+        })));
+      }
+      if (Object.keys(layout.params).length > 0) {
+        settings.params = { ...JSON.parse(JSON.stringify(layer.params)), ...layout.params };
+      }
+      if (Object.keys(settings).length === 0) {
+        return { success: false, errorCode: ERRORS.STYLE_TEXT_NOTHING, output: 'nothing to change, pass style or layout parameters' };
+      }
+
+      const response = await app.State.do_action(
+        new app.Actions.Update_layer_action(layer.id, settings)
+      );
+      if (response.status !== 'completed') {
+        return { success: false, errorCode: ERRORS.STYLE_TEXT_NOT_APPLIED, output: `Style was not changed: ${response.reason ? response.reason.message : ''}` };
+      }
+
+      return { success: true, output: `Styled text layer: ${layer.name}`, result: layer.id };
+    } catch (error) {
+      return { success: false, errorCode: ERRORS.STYLE_TEXT_FAILED, output: error.message };
+    }
+  }
+
+  /**
+   * Find text layer by id or name, active layer by default
+   * @returns {{layer}|{error: string}}
+   */
+  findTextLayer(reference) {
+    let layer = null;
+    if (reference === undefined) {
+      layer = config.layer;
+    } else {
+      layer = config.layers.find((item) => item.id == reference)
+        || config.layers.find((item) => item.name === String(reference));
+    }
+    if (!layer) {
+      return { error: `Layer not found: ${reference}` };
+    }
+    if (layer.type !== 'text') {
+      return { error: `Layer "${layer.name}" is not a text layer` };
+    }
+    return { layer };
+  }
+
+  /**
+   * Split text into lines of single styled spans
+   * @param {string} text
+   * @param {function} metaForLine - returns span meta for line index
+   */
+  buildLines(text, metaForLine) {
+    return text.split(/\r?\n/).map((lineText, index) => [
+      { text: lineText, meta: JSON.parse(JSON.stringify(metaForLine(index))) }
+    ]);
+  }
+
+  /**
+   * Drop meta values equal to defaults, text layers do not store them
+   */
+  compactMeta(meta) {
+    const compact = {};
+    for (const key in meta) {
+      if (meta[key] !== undefined && meta[key] !== metaDefaults[key]) {
+        compact[key] = meta[key];
+      }
+    }
+    return compact;
+  }
+
+  /**
+   * Read character style arguments
+   * @returns {{meta: object}|{error: string}}
+   */
+  readStyle(params) {
+    const meta = {};
+    for (const name in META_ARGUMENTS) {
+      if (params[name] === undefined) {
+        continue;
+      }
+      const definition = META_ARGUMENTS[name];
+      const raw = params[name];
+      let value;
+      switch (definition.type) {
+        case 'number':
+          value = typeof raw === 'number' ? raw : parseFloat(raw);
+          if (isNaN(value) || typeof raw === 'boolean') {
+            return { error: `${name} must be a number` };
+          }
+          if ((definition.min !== undefined && value < definition.min) || (definition.max !== undefined && value > definition.max)) {
+            return { error: `${name} must be between ${definition.min ?? '-inf'} and ${definition.max ?? 'inf'}` };
+          }
+          break;
+        case 'boolean':
+          if (raw !== true && raw !== false) {
+            return { error: `${name} must be true or false` };
+          }
+          value = raw;
+          break;
+        case 'color':
+          if (!COLOR_PATTERN.test(String(raw))) {
+            return { error: `${name} must be a color like #ff0000` };
+          }
+          value = String(raw);
+          break;
+        default:
+          value = String(raw);
+      }
+      meta[definition.key] = value;
+    }
+    return { meta };
+  }
+
+  /**
+   * Read box, alignment and wrapping arguments
+   * @param {object} params
+   * @param {object|null} layer - existing layer, null for a new one
+   * @returns {{geometry: object, params: object}|{error: string}}
+   */
+  readLayout(params, layer) {
+    const geometry = {};
+    const layerParams = {};
+
+    for (const name of ['x', 'y', 'rotate']) {
+      if (params[name] !== undefined) {
+        if (typeof params[name] !== 'number') {
+          return { error: `${name} must be a number` };
+        }
+        geometry[name] = params[name];
+      }
+    }
+    for (const name of ['width', 'height']) {
+      if (params[name] !== undefined) {
+        if (typeof params[name] !== 'number' || params[name] <= 0) {
+          return { error: `${name} must be a positive number` };
+        }
+        geometry[name] = params[name];
+      }
+    }
+
+    if (params.align !== undefined) {
+      if (!HALIGN_VALUES.includes(params.align)) {
+        return { error: `align must be one of ${HALIGN_VALUES.join(', ')}` };
+      }
+      layerParams.halign = params.align;
+    }
+    if (params.valign !== undefined) {
+      if (!VALIGN_VALUES.includes(params.valign)) {
+        return { error: `valign must be one of ${VALIGN_VALUES.join(', ')}` };
+      }
+      layerParams.valign = params.valign;
+    }
+
+    // A box is needed for wrapping, without one the layer grows with its text
+    const hasBox = geometry.width !== undefined || (layer && layer.params.boundary === 'box');
+    if (params.wrap !== undefined) {
+      if (!WRAP_VALUES.includes(params.wrap)) {
+        return { error: `wrap must be one of ${WRAP_VALUES.join(', ')}` };
+      }
+      if (params.wrap === 'none') {
+        layerParams.boundary = 'dynamic';
+      } else {
+        if (!hasBox) {
+          return { error: 'wrap needs a bounding box, pass width (and height)' };
+        }
+        layerParams.wrap = params.wrap;
+        layerParams.boundary = 'box';
+      }
+    } else if (geometry.width !== undefined) {
+      layerParams.boundary = 'box';
+    }
+    if (layerParams.boundary === 'box' && geometry.height === undefined && (!layer || layer.params.boundary !== 'box')) {
+      // Box grows downwards as text wraps, start with one line of the default size
+      geometry.height = metaDefaults.size;
+    }
+
+    return { geometry, params: layerParams };
+  }
+}
+
+export default MiniPaintTextCommands;
@@ -0,0 +1,191 @@
+/**
+ * miniPaint WebSocket Transport
+ * Connects miniPaint to a local relay (tools/rexx-relay) so processes outside the browser can send commands
+ */
+
+import { ERRORS } from './command-catalogue.js';
+
+/**
+ * MiniPaintWebSocketTransport - transport for MiniPaintRexxHandler.addTransport().
+ *
+ * Messages are JSON:
+ * - relay to miniPaint: { type: 'request', id, client, command, params }, { type: 'cancel', id }
+ *   and { type: 'session-end', client } when a relay client disconnects
+ * - miniPaint to relay: { type: 'response', id, response } with the {success, errorCode, output, result} envelope,
+ *   and { type: 'progress', id, percent, stage } while slow commands run
+ *
+ * Each relay client is a session of the handler with its own transaction, rolled back when the client
+ * disconnects. Requests without client, e.g. HTTP ones, are a session of their own.
+ *
+ * Binary data travels as base64: params.data when params.dataEncoding is "base64", and result.data
+ * of responses, which then get result.dataEncoding = "base64". ImageBitmaps can not be sent, use rgba or png.
+ * A request that can not be decoded gets a response with errorCode RELAY_INVALID_REQUEST.
+ */
+class MiniPaintWebSocketTransport {
+  /**
+   * @param {object} options
+   * @param {string} options.url - e.g. "ws://127.0.0.1:8765/app"
+   * @param {string} options.token - shared secret the relay was started with
+   * @param {number} options.reconnectDelay - ms to wait before reconnecting, 0 to stay disconnected (default: 2000)
+   */
+  constructor(options = {}) {
+    this.url = options.url;
+    this.token = options.token || '';
+    this.reconnectDelay = options.reconnectDelay === undefined ? 2000 : options.reconnectDelay;
+    this.handler = null;
+    this.socket = null;
+    this.reconnectTimer = null;
+    // Requests in progress, id => AbortController
+    this.running = new Map();
+    // Handler sessions of relay clients
+    this.sessions = new Set();
+  }
+
+  /**
+   * Called by MiniPaintRexxHandler.addTransport()
+   */
+  start(handler) {
+    this.handler = handler;
+    this.connect();
+  }
+
+  /**
+   * Called by MiniPaintRexxHandler.removeTransport()
+   */
+  stop() {
+    this.endSessions();
+    this.handler = null;
+    clearTimeout(this.reconnectTimer);
+    this.running.forEach((controller) => controller.abort());
+    this.running.clear();
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+
+  isConnected() {
+    return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  connect() {
+    const url = new URL(this.url);
+    if (this.token) {
+      url.searchParams.set('token', this.token);
+    }
+    const socket = new WebSocket(url.toString());
+    this.socket = socket;
+
+    socket.addEventListener('open', () => {
+      console.log(`[MiniPaintWebSocketTransport] Connected to ${this.url}`);
+    });
+    socket.addEventListener('message', (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        console.error('[MiniPaintWebSocketTransport] Invalid message', error);
+        return;
+      }
+      if (message.type === 'request') {
+        this.onRequest(message);
+      } else if (message.type === 'cancel' && this.running.has(message.id)) {
+        this.running.get(message.id).abort();
+      } else if (message.type === 'session-end') {
+        this.endSession(`client-${message.client}`);
+      }
+    });
+    socket.addEventListener('close', () => {
+      if (this.socket !== socket) {
+        return;
+      }
+      this.socket = null;
+      this.running.forEach((controller) => controller.abort());
+      this.running.clear();
+      // Clients can not reach their sessions anymore
+      this.endSessions();
+      if (this.handler && this.reconnectDelay > 0) {
+        this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+      }
+    });
+  }
+
+  async onRequest(message) {
+    const { id, command } = message;
+    const controller = new AbortController();
+    this.running.set(id, controller);
+    const session = message.client !== undefined ? `client-${message.client}` : `request-${id}`;
+    this.sessions.add(session);
+
+    let response;
+    try {
+      response = await this.handler.run(command, this.decodeParams(message.params || {}), {
+        source: 'websocket',
+        session,
+        signal: controller.signal,
+        onProgress: (percent, stage) => this.send({ type: 'progress', id, percent, stage })
+      });
+    } catch (error) {
+      // handler.run() catches its own errors, this is params.data that is not base64
+      response = { success: false, errorCode: ERRORS.RELAY_INVALID_REQUEST, output: `Invalid request: ${error.message}`, result: '' };
+    } finally {
+      this.running.delete(id);
+      if (message.client === undefined) {
+        this.endSession(session);
+      }
+    }
+    this.send({ type: 'response', id, response: this.encodeResponse(response) });
+  }
+
+  /**
+   * Roll back the transaction the session left open
+   */
+  endSession(session) {
+    if (!this.sessions.delete(session) || !this.handler) {
+      return;
+    }
+    this.handler.endSession(session).catch((error) => {
+      console.error('[MiniPaintWebSocketTransport] Rollback failed', error);
+    });
+  }
+
+  endSessions() {
+    this.sessions.forEach((session) => this.endSession(session));
+  }
+
+  send(message) {
+    if (this.isConnected()) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  decodeParams(params) {
+    if (params.dataEncoding !== 'base64' || typeof params.data !== 'string') {
+      return params;
+    }
+    const { dataEncoding, ...decoded } = params;
+    const text = atob(params.data);
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+      bytes[i] = text.charCodeAt(i);
+    }
+    decoded.data = bytes.buffer;
+    return decoded;
+  }
+
+  encodeResponse(response) {
+    const result = response.result;
+    if (result === null || typeof result !== 'object' || !(result.data instanceof ArrayBuffer)) {
+      return response;
+    }
+    const bytes = new Uint8Array(result.data);
+    let text = '';
+    // Chunks keep String.fromCharCode under the argument count limit
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      text += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return { ...response, result: { ...result, data: btoa(text), dataEncoding: 'base64' } };
+  }
+}
+
+export default MiniPaintWebSocketTransport;
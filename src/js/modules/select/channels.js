@@ -0,0 +1,120 @@
+import app from './../../app.js';
+import config from './../../config.js';
+import Dialog_class from './../../libs/popup.js';
+import Base_layers_class from './../../core/base-layers.js';
+import Selection_class from './../../tools/selection.js';
+import alertify from './../../../../node_modules/alertifyjs/build/alertify.min.js';
+
+/**
+ * named selections saved in document, see config.selection_channels
+ */
+class Select_channels_class {
+
+	constructor() {
+		this.POP = new Dialog_class();
+		this.Base_layers = new Base_layers_class();
+		this.Selection = new Selection_class(this.Base_layers.ctx);
+		this.Base_selection = this.Selection.Base_selection;
+	}
+
+	save() {
+		var _this = this;
+		if (this.Base_selection.get_active_selection() === null) {
+			alertify.error('Nothing is selected.');
+			return;
+		}
+
+		var settings = {
+			title: 'Save Selection',
+			params: [
+				{name: "name", title: "Name:", value: 'Selection ' + (config.selection_channels.length + 1)},
+			],
+			on_finish: function (params) {
+				return _this.save_channel(params.name);
+			},
+		};
+		this.POP.show(settings);
+	}
+
+	/**
+	 * saves current selection, channel with same name is replaced
+	 *
+	 * @param {string} name
+	 */
+	save_channel(name) {
+		var selection = this.Base_selection.get_active_selection();
+		name = name.trim();
+		if (selection === null) {
+			alertify.error('Nothing is selected.');
+			return;
+		}
+		if (name == '') {
+			alertify.error('Name can not be empty.');
+			return;
+		}
+
+		var channels = config.selection_channels.filter((channel) => channel.name != name);
+		channels.push({
+			name: name,
+			data: this.Base_selection.get_selection_mask(selection).toDataURL("image/png"),
+		});
+		return app.State.do_action(
+			new app.Actions.Bundle_action('save_selection', 'Save Selection', [
+				new app.Actions.Update_config_action({
+					selection_channels: channels
+				})
+			])
+		);
+	}
+
+	load() {
+		var _this = this;
+		if (config.selection_channels.length == 0) {
+			alertify.error('There are no saved selections.');
+			return;
+		}
+
+		var names = config.selection_channels.map((channel) => channel.name);
+		var settings = {
+			title: 'Load Selection',
+			params: [
+				{name: "name", title: "Channel:", value: names[names.length - 1], values: names, type: 'select'},
+				{name: "operation", title: "Selection:", value: 'New', values: ['New', 'Add', 'Subtract', 'Intersect']},
+			],
+			on_finish: function (params) {
+				return _this.load_channel(params.name, params.operation.toLowerCase());
+			},
+		};
+		this.POP.show(settings);
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {string} operation new, add, subtract or intersect
+	 */
+	async load_channel(name, operation) {
+		var channel = config.selection_channels.find((item) => item.name == name);
+		if (channel == null) {
+			alertify.error('Selection ' + name + ' not found.');
+			return;
+		}
+
+		var image = new Image();
+		await new Promise((resolve, reject) => {
+			image.onload = resolve;
+			image.onerror = reject;
+			image.src = channel.data;
+		});
+
+		//document could be resized after saving
+		var mask = document.createElement('canvas');
+		mask.width = config.WIDTH;
+		mask.height = config.HEIGHT;
+		mask.getContext("2d").drawImage(image, 0, 0, mask.width, mask.height);
+
+		return this.Selection.select_mask(mask, operation, 0, false, 'Load Selection');
+	}
+
+}
+
+export default Select_channels_class;
@@ -0,0 +1,91 @@
+import config from './../../config.js';
+import Dialog_class from './../../libs/popup.js';
+import Base_layers_class from './../../core/base-layers.js';
+import Selection_class from './../../tools/selection.js';
+import Helper_class from './../../libs/helpers.js';
+import alertify from './../../../../node_modules/alertifyjs/build/alertify.min.js';
+
+/**
+ * selects pixels of active layer by color, same way magic wand and fill tool find them, but in whole image
+ */
+class Select_color_range_class {
+
+	constructor() {
+		this.POP = new Dialog_class();
+		this.Base_layers = new Base_layers_class();
+		this.Selection = new Selection_class(this.Base_layers.ctx);
+		this.Helper = new Helper_class();
+	}
+
+	color_range() {
+		var _this = this;
+
+		if (config.layer.type != 'image') {
+			alertify.error('This layer must contain an image. Please convert it to raster to apply this tool.');
+			return;
+		}
+
+		var settings = {
+			title: 'Color Range',
+			preview: true,
+			on_change: function (params, canvas_preview, w, h) {
+				var region = _this.get_region(canvas_preview, w, h, params);
+
+				//selected pixels white, others black
+				canvas_preview.clearRect(0, 0, w, h);
+				canvas_preview.fillStyle = '#000000';
+				canvas_preview.fillRect(0, 0, w, h);
+				canvas_preview.drawImage(region, 0, 0);
+			},
+			params: [
+				{name: "color", title: "Color:", value: config.COLOR, type: 'color'},
+				{name: "power", title: "Fuzziness:", value: 15, range: [0, 100]},
+				{name: "operation", title: "Selection:", value: 'New', values: ['New', 'Add', 'Subtract', 'Intersect']},
+				{name: "feather", title: "Feather:", value: 0, range: [0, 50]},
+				{name: "anti_aliasing", title: "Anti-aliasing:", value: true},
+			],
+			on_finish: function (params) {
+				return _this.save(params);
+			},
+		};
+		this.POP.show(settings);
+	}
+
+	save(params) {
+		var layer = config.layer;
+
+		//find pixels in layer image
+		var canvas = document.createElement('canvas');
+		var ctx = canvas.getContext("2d");
+		canvas.width = layer.width_original;
+		canvas.height = layer.height_original;
+		ctx.drawImage(layer.link, 0, 0);
+		var region = this.get_region(ctx, canvas.width, canvas.height, params);
+
+		//move to document coordinates
+		var mask = document.createElement('canvas');
+		mask.width = config.WIDTH;
+		mask.height = config.HEIGHT;
+		mask.getContext("2d").drawImage(region, layer.x, layer.y, layer.width, layer.height);
+
+		return this.Selection.select_mask(mask, params.operation.toLowerCase(),
+			params.feather, params.anti_aliasing, 'Color Range');
+	}
+
+	/**
+	 * @param {ctx} ctx
+	 * @param {int} width
+	 * @param {int} height
+	 * @param {object} params
+	 * @returns {canvas} pixels of requested color in white
+	 */
+	get_region(ctx, width, height, params) {
+		var color = this.Helper.hexToRgb(params.color);
+		color.a = 255;
+
+		return this.Selection.get_tolerance_region(ctx, width, height, 0, 0, params.power, true, null, color);
+	}
+
+}
+
+export default Select_color_range_class;
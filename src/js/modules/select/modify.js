@@ -0,0 +1,103 @@
+import Dialog_class from './../../libs/popup.js';
+import Base_layers_class from './../../core/base-layers.js';
+import Selection_class from './../../tools/selection.js';
+import alertify from './../../../../node_modules/alertifyjs/build/alertify.min.js';
+
+/**
+ * changes selection through its mask, result is always mask selection
+ */
+class Select_modify_class {
+
+	constructor() {
+		this.POP = new Dialog_class();
+		this.Base_layers = new Base_layers_class();
+		this.Selection = new Selection_class(this.Base_layers.ctx);
+		this.Base_selection = this.Selection.Base_selection;
+	}
+
+	invert() {
+		var mask = this.get_mask();
+		if (mask === null) {
+			return;
+		}
+		return this.Selection.select_mask(this.Base_selection.invert_mask(mask), 'new', 0, false, 'Invert Selection');
+	}
+
+	feather() {
+		var _this = this;
+		this.show_dialog('Feather Selection', 'Radius:', 5, function (mask, size) {
+			return _this.Base_selection.soften_mask(mask, size, false);
+		});
+	}
+
+	grow() {
+		var _this = this;
+		this.show_dialog('Grow Selection', 'Grow by (px):', 5, function (mask, size) {
+			return _this.Base_selection.grow_mask(mask, size);
+		});
+	}
+
+	shrink() {
+		var _this = this;
+		this.show_dialog('Shrink Selection', 'Shrink by (px):', 5, function (mask, size) {
+			return _this.Base_selection.grow_mask(mask, -size);
+		});
+	}
+
+	border() {
+		var _this = this;
+		this.show_dialog('Border Selection', 'Width (px):', 10, function (mask, size) {
+			return _this.Base_selection.border_mask(mask, size);
+		});
+	}
+
+	smooth() {
+		var _this = this;
+		this.show_dialog('Smooth Selection', 'Radius:', 5, function (mask, size) {
+			return _this.Base_selection.smooth_mask(mask, size);
+		});
+	}
+
+	/**
+	 * @param {string} title
+	 * @param {string} label
+	 * @param {int} value default size
+	 * @param {function} modify callback with document size mask and size, returns new mask
+	 */
+	show_dialog(title, label, value, modify) {
+		var _this = this;
+		if (this.get_mask() === null) {
+			return;
+		}
+
+		var settings = {
+			title: title,
+			params: [
+				{name: "size", title: label, value: value, range: [1, 100]},
+			],
+			on_finish: function (params) {
+				var mask = _this.get_mask();
+				if (mask === null) {
+					return;
+				}
+				return _this.Selection.select_mask(modify(mask, params.size), 'new', 0, false, title);
+			},
+		};
+		this.POP.show(settings);
+	}
+
+	/**
+	 * @returns {canvas|null} document size mask of current selection
+	 */
+	get_mask() {
+		var selection = this.Base_selection.get_active_selection();
+		if (selection === null) {
+			alertify.error('Nothing is selected.');
+			return null;
+		}
+		return this.Base_selection.get_selection_mask(selection);
+	}
+
+}
+
+export default Select_modify_class;
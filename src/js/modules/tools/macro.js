@@ -0,0 +1,111 @@
+import app from './../../app.js';
+import File_open_class from './../file/open.js';
+import Dialog_class from './../../libs/popup.js';
+import Helper_class from './../../libs/helpers.js';
+import MiniPaintMacroRecorder from './../rexxjs/macro-recorder.js';
+import alertify from './../../../../node_modules/alertifyjs/build/alertify.min.js';
+import filesaver from './../../../../node_modules/file-saver/dist/FileSaver.min.js';
+import { executeRexxScript } from './../rexxjs/execute-rexx.js';
+
+/**
+ * records GUI actions as ADDRESS MINIPAINT script and runs saved scripts
+ */
+class Tools_macro_class {
+
+	constructor() {
+		this.POP = new Dialog_class();
+		this.File_open = new File_open_class();
+		this.Helper = new Helper_class();
+		this.Recorder = new MiniPaintMacroRecorder();
+		this.script = '';
+	}
+
+	record() {
+		if (this.Recorder.recording == true) {
+			alertify.error('Macro is already being recorded.');
+			return;
+		}
+		this.Recorder.start();
+		alertify.success('Recording macro. Use Tools > Macro > Stop Recording when done.');
+	}
+
+	stop() {
+		var _this = this;
+
+		if (this.Recorder.recording == false) {
+			alertify.error('Macro is not being recorded.');
+			return;
+		}
+		var count = this.Recorder.getCommandCount();
+		this.script = this.Recorder.stop();
+
+		//ready for replay on other images
+		var batch = app.GUI.modules['file/batch'];
+		if (batch) {
+			batch.settings.script = this.script;
+		}
+
+		var settings = {
+			title: 'Macro',
+			comment: count + ' commands recorded. Save the script, or run it on other images with File > Batch Process.',
+			params: [
+				{name: "script", title: "Script:", type: "textarea", value: this.Helper.escapeHtml(this.script), prevent_submission: true},
+				{name: "name", title: "File name:", value: "macro"},
+			],
+			on_finish: function (params) {
+				_this.save(params.name, params.script);
+			},
+		};
+		this.POP.show(settings);
+	}
+
+	save(name, script) {
+		var fname = name.trim() || 'macro';
+		if (fname.toLowerCase().endsWith('.rexx') == false)
+			fname = fname + '.rexx';
+
+		var blob = new Blob([script], {type: "text/plain"});
+		filesaver.saveAs(blob, fname);
+	}
+
+	run() {
+		var _this = this;
+
+		this.File_open.select_files(function (e) {
+			var file = e.target.files[0];
+			if (file == undefined)
+				return;
+
+			var FR = new FileReader();
+			FR.onload = function (event) {
+				_this.run_script(event.target.result);
+			};
+			FR.readAsText(file);
+		}, '.rexx,.rex,.txt');
+	}
+
+	/**
+	 * runs script on current image as one undo step
+	 *
+	 * @param {string} script
+	 */
+	async run_script(script) {
+		this.script = script;
+
+		var transaction = app.State.begin_transaction('run_macro', 'Run Macro');
+		var response = await executeRexxScript(script, {stopOnError: true, transaction: transaction});
+		if (response.success) {
+			await app.State.commit_transaction(transaction);
+			alertify.success('Macro finished.');
+		}
+		else {
+			await app.State.rollback_transaction(transaction);
+			alertify.error('Macro stopped, changes reverted: ' + this.Helper.escapeHtml(response.result || response.output));
+		}
+
+		return response;
+	}
+
+}
+
+export default Tools_macro_class;
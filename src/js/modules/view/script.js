@@ -0,0 +1,23 @@
+import Base_gui_class from './../../core/base-gui.js';
+
+var instance = null;
+
+class View_script_class {
+
+	constructor() {
+		//singleton
+		if (instance) {
+			return instance;
+		}
+		instance = this;
+
+		this.GUI = new Base_gui_class();
+	}
+
+	script() {
+		this.GUI.GUI_script.show();
+	}
+
+}
+
+export default View_script_class;
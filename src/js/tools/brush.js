@@ -17,6 +17,10 @@ class Brush_class extends Base_tools_class {
 		this.power = 2; //how speed affects size
 		this.event_links = [];
 		this.data_index = 0;
+		this.mask_stroke = null;
+		this.mask_source = null;
+		this.mask_canvas = null;
+		this.clip_selection = null;
 	}
 
 	load() {
@@ -198,11 +202,18 @@ class Brush_class extends Base_tools_class {
 		var mouse = this.get_mouse_info(e);
 		if (mouse.click_valid == false)
 			return;
+		if (this.Base_layers.is_mask_editing()) {
+			this.mask_mousedown(e, mouse);
+			return;
+		}
 
 		var params_hash = this.get_params_hash();
+		var Base_selection = this.Base_layers.Base_selection;
+		var selection = Base_selection.get_active_selection();
 
-		if (config.layer.type != this.name || params_hash != this.params_hash) {
-			//register new object - current layer is not ours or params changed
+		if (config.layer.type != this.name || params_hash != this.params_hash
+			|| Base_selection.is_same_selection(selection, this.clip_selection) == false) {
+			//register new object - current layer is not ours, params or selection changed
 			this.layer = {
 				type: this.name,
 				data: [[]],
@@ -218,6 +229,15 @@ class Brush_class extends Base_tools_class {
 				is_vector: true,
 				color: config.COLOR
 			};
+			if (selection !== null) {
+				//strokes are limited by layer mask in shape of selection
+				this.layer.mask = {
+					enabled: true,
+					inverted: false,
+					link: this.Base_layers.create_mask_canvas(Base_selection.get_selection_mask(selection)),
+				};
+			}
+			this.clip_selection = selection !== null ? Base_selection.clone_selection(selection) : null;
 			app.State.do_action(
 				new app.Actions.Bundle_action('new_brush_layer', 'New Brush Layer', [
 					new app.Actions.Insert_layer_action(this.layer)
@@ -257,20 +277,7 @@ class Brush_class extends Base_tools_class {
 		var current_group = config.layer.data[index];
 		var params = this.getParams();
 
-		//detect line size
-		var size = params.size;
-		var new_size = size;
-
-		if (params.pressure == true) {
-			if (this.pressure_supported) {
-				new_size = size * this.pointer_pressure * 2;
-			}
-			else {
-				new_size = size + size / this.max_speed * mouse.speed_average * this.power;
-				new_size = Math.max(new_size, size / 4);
-				new_size = Math.round(new_size);
-			}
-		}
+		var new_size = this.get_line_size(mouse, params);
 
 		var mouse_coords = this.get_mouse_coordinates_from_event(e);
 		var mouse_x = mouse_coords.x;
@@ -287,6 +294,10 @@ class Brush_class extends Base_tools_class {
 		if (mouse.click_valid == false) {
 			return;
 		}
+		if (this.mask_stroke != null) {
+			this.mask_mousemove(e, mouse);
+			return;
+		}
 
 		//in case of undo, recalculate index
 		for(var i = index; i >= 0; i++){
@@ -299,20 +310,7 @@ class Brush_class extends Base_tools_class {
 		var params = this.getParams();
 		var current_group = config.layer.data[index];
 
-		//detect line size
-		var size = params.size;
-		var new_size = size;
-
-		if (params.pressure == true) {
-			if (this.pressure_supported) {
-				new_size = size * this.pointer_pressure * 2;
-			}
-			else {
-				new_size = size + size / this.max_speed * mouse.speed_average * this.power;
-				new_size = Math.max(new_size, size / 4);
-				new_size = Math.round(new_size);
-			}
-		}
+		var new_size = this.get_line_size(mouse, params);
 
 		var mouse_coords = this.get_mouse_coordinates_from_event(e);
 		var mouse_x = mouse_coords.x;
@@ -325,6 +323,10 @@ class Brush_class extends Base_tools_class {
 
 	mouseup_action(e, index) {
 		var mouse = this.get_mouse_info(e);
+		if (this.mask_stroke != null) {
+			this.mask_mouseup();
+			return;
+		}
 		if (mouse.click_valid == false) {
 			config.layer.status = null;
 			return;
@@ -336,6 +338,69 @@ class Brush_class extends Base_tools_class {
 		this.Base_layers.render();
 	}
 
+	/**
+	 * line size, changes with pen pressure or mouse speed if pressure is enabled
+	 */
+	get_line_size(mouse, params) {
+		var size = params.size;
+		var new_size = size;
+
+		if (params.pressure == true) {
+			if (this.pressure_supported) {
+				new_size = size * this.pointer_pressure * 2;
+			}
+			else {
+				new_size = size + size / this.max_speed * mouse.speed_average * this.power;
+				new_size = Math.max(new_size, size / 4);
+				new_size = Math.round(new_size);
+			}
+		}
+		return new_size;
+	}
+
+	/**
+	 * starts line on mask of active layer, it is drawn on copy of mask until mouse is released
+	 */
+	mask_mousedown(e, mouse) {
+		var params = this.getParams();
+		var mouse_coords = this.get_mouse_coordinates_from_event(e);
+
+		this.mask_source = config.layer.mask.link;
+		this.mask_canvas = this.Base_layers.begin_mask_paint();
+		this.mask_stroke = {
+			data: [[[mouse_coords.x, mouse_coords.y, this.get_line_size(mouse, params)]]],
+			params: this.clone(params),
+			x: 0,
+			y: 0,
+			color: this.Base_layers.get_mask_color(config.COLOR),
+		};
+		this.mask_render();
+	}
+
+	mask_mousemove(e, mouse) {
+		var params = this.getParams();
+		var mouse_coords = this.get_mouse_coordinates_from_event(e);
+
+		this.mask_stroke.data[0].push([mouse_coords.x, mouse_coords.y, this.get_line_size(mouse, params)]);
+		this.mask_render();
+	}
+
+	mask_mouseup() {
+		this.Base_layers.end_mask_paint(this.mask_canvas, 'brush_tool', 'Brush Tool');
+		this.mask_stroke = null;
+		this.mask_source = null;
+		this.mask_canvas = null;
+		this.clip_selection = null;
+	}
+
+	mask_render() {
+		var ctx = this.mask_canvas.getContext("2d");
+		ctx.clearRect(0, 0, this.mask_canvas.width, this.mask_canvas.height);
+		ctx.drawImage(this.mask_source, 0, 0);
+		this.render(ctx, this.mask_stroke);
+		config.need_render = true;
+	}
+
 	render(ctx, layer) {
 		if (layer.data.length == 0)
 			return;
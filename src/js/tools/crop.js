@@ -191,7 +191,7 @@ class Crop_class extends Base_tools_class {
 			if (link.type == null)
 				continue;
 			
-			if(link.rotate > 0){
+			if(link.rotate != 0){
 				rotated_name = link.name;
 				break;
 			}
@@ -201,6 +201,12 @@ class Crop_class extends Base_tools_class {
 			return;
 		}
 
+		//ellipse, lasso or mask selection, pixels outside of it are cleared
+		var shape = null;
+		if (selection.shape != null && selection.shape != 'rectangle') {
+			shape = this.Base_selection.clone_selection(selection);
+		}
+
 		//controll boundaries
 		selection.x = Math.max(selection.x, 0);
 		selection.y = Math.max(selection.y, 0);
@@ -211,7 +217,7 @@ class Crop_class extends Base_tools_class {
 
 		for (var i in config.layers) {
 			var link = config.layers[i];
-			if (link.type == null)
+			if (link.type == null || link.type == 'group' || link.type == 'adjustment')
 				continue;
 
 			let x = link.x;
@@ -255,6 +261,10 @@ class Crop_class extends Base_tools_class {
 				//cut required part
 				ctx.translate(-left / width_ratio, -top / height_ratio);
 				canvas.getContext("2d").drawImage(link.link, 0, 0);
+				if (shape !== null) {
+					ctx.globalCompositeOperation = 'destination-in';
+					ctx.drawImage(this.Base_selection.get_selection_mask(shape, link), 0, 0);
+				}
 				ctx.translate(0, 0);
 				actions.push(
 					new app.Actions.Update_layer_image_action(canvas, link.id)
@@ -281,6 +291,11 @@ class Crop_class extends Base_tools_class {
 			);
 		}
 
+		//masks are cut like layers
+		actions = actions.concat(this.Base_layers.get_mask_transform_actions(parseInt(selection.width), parseInt(selection.height), function (ctx) {
+			ctx.translate(-parseInt(selection.x), -parseInt(selection.y));
+		}));
+
 		actions.push(
 			new app.Actions.Prepare_canvas_action('undo'),
 			new app.Actions.Update_config_action({
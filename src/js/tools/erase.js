@@ -14,6 +14,7 @@ class Erase_class extends Base_tools_class {
 		this.tmpCanvas = null;
 		this.tmpCanvasCtx = null;
 		this.started = false;
+		this.mask_started = false;
 	}
 
 	load() {
@@ -55,6 +56,19 @@ class Erase_class extends Base_tools_class {
 		if (mouse.click_valid == false) {
 			return;
 		}
+		if (this.Base_layers.is_mask_editing()) {
+			//hide part of layer by its mask
+			this.started = true;
+			this.mask_started = true;
+			this.tmpCanvas = this.Base_layers.begin_mask_paint();
+			this.tmpCanvasCtx = this.tmpCanvas.getContext("2d");
+			//mask is in document coordinates, erase_general() in layer coordinates
+			this.tmpCanvasCtx.translate(config.layer.x, config.layer.y);
+			this.erase_general(this.tmpCanvasCtx, 'click', mouse, params.size, params.strict, params.circle);
+			config.need_render = true;
+			return;
+		}
+		this.mask_started = false;
 		if (config.layer.type != 'image') {
 			alertify.error('This layer must contain an image. Please convert it to raster to apply this tool.');
 			return;
@@ -116,11 +130,18 @@ class Erase_class extends Base_tools_class {
 		if (this.started == false) {
 			return;
 		}
+		if (this.mask_started == true) {
+			this.Base_layers.end_mask_paint(this.tmpCanvas, 'erase_tool', 'Erase Tool');
+			this.started = false;
+			this.tmpCanvas = null;
+			this.tmpCanvasCtx = null;
+			return;
+		}
 		delete config.layer.link_canvas;
 
 		app.State.do_action(
 			new app.Actions.Bundle_action('erase_tool', 'Erase Tool', [
-				new app.Actions.Update_layer_image_action(this.tmpCanvas)
+				new app.Actions.Update_layer_image_action(this.Base_layers.Base_selection.limit_to_selection(this.tmpCanvas))
 			])
 		);
 
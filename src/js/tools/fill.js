@@ -42,6 +42,10 @@ class Fill_class extends Base_tools_class {
 		if (mouse.click_valid == false) {
 			return;
 		}
+		if (this.Base_layers.is_mask_editing()) {
+			this.fill_mask(mouse);
+			return;
+		}
 		if (config.layer.rotate || 0 > 0) {
 			alertify.error('Erase on rotate object is disabled. Please rasterize first.');
 			return;
@@ -101,6 +105,7 @@ class Fill_class extends Base_tools_class {
 		this.working = true;
 		this.fill_general(ctx, config.WIDTH, config.HEIGHT,
 			mouse_x, mouse_y, color_to, params.power, params.anti_aliasing, params.contiguous);
+		this.Base_layers.Base_selection.limit_to_selection(canvas);
 
 		if (config.layer.type != null) {
 			//update
@@ -132,95 +137,42 @@ class Fill_class extends Base_tools_class {
 		this.working = false;
 	}
 
-	fill_general(context, W, H, x, y, color_to, sensitivity, anti_aliasing, contiguous = false) {
-		sensitivity = sensitivity * 255 / 100; //convert to 0-255 interval
-		x = parseInt(x);
-		y = parseInt(y);
-		var canvasTemp = document.createElement('canvas');
-		canvasTemp.width = W;
-		canvasTemp.height = H;
-		var ctxTemp = canvasTemp.getContext("2d");
-
-		ctxTemp.rect(0, 0, W, H);
-		ctxTemp.fillStyle = "rgba(255, 255, 255, 0)";
-		ctxTemp.fill();
-
-		var img_tmp = ctxTemp.getImageData(0, 0, W, H);
-		var imgData_tmp = img_tmp.data;
-
-		var img = context.getImageData(0, 0, W, H);
-		var imgData = img.data;
-		var k = ((y * (img.width * 4)) + (x * 4));
-		var dx = [0, -1, +1, 0];
-		var dy = [-1, 0, 0, +1];
-		var color_from = {
-			r: imgData[k + 0],
-			g: imgData[k + 1],
-			b: imgData[k + 2],
-			a: imgData[k + 3]
-		};
-		if (color_from.r == color_to.r && color_from.g == color_to.g
-			&& color_from.b == color_to.b && color_from.a == color_to.a) {
-			return false;
-		}
+	/**
+	 * fills area of active layer mask, with gray of same brightness as selected color
+	 */
+	async fill_mask(mouse) {
+		var params = this.getParams();
 
-		if (contiguous == false) {
-			//check only nearest pixels
-			var stack = [];
-			stack.push([x, y]);
-			while (stack.length > 0) {
-				var curPoint = stack.pop();
-				for (var i = 0; i < 4; i++) {
-					var nextPointX = curPoint[0] + dx[i];
-					var nextPointY = curPoint[1] + dy[i];
-					if (nextPointX < 0 || nextPointY < 0 || nextPointX >= W || nextPointY >= H)
-						continue;
-					var k = (nextPointY * W + nextPointX) * 4;
-					if (imgData_tmp[k + 3] != 0)
-						continue; //already parsed
-
-					//check
-					if (Math.abs(imgData[k + 0] - color_from.r) <= sensitivity &&
-						Math.abs(imgData[k + 1] - color_from.g) <= sensitivity &&
-						Math.abs(imgData[k + 2] - color_from.b) <= sensitivity &&
-						Math.abs(imgData[k + 3] - color_from.a) <= sensitivity) {
-
-						//fill pixel
-						imgData_tmp[k] = color_to.r; //r
-						imgData_tmp[k + 1] = color_to.g; //g
-						imgData_tmp[k + 2] = color_to.b; //b
-						imgData_tmp[k + 3] = color_to.a; //a
-
-						stack.push([nextPointX, nextPointY]);
-					}
-				}
-			}
+		if(this.working == true){
+			return;
 		}
-		else {
-			//global mode - contiguous
-			for (var i = 0; i < imgData.length; i += 4) {
-				if (imgData[i + 3] == 0)
-					continue;	//transparent
-
-				//imgData[i] + 0.7152 * imgData[i + 1] + 0.0722 * imgData[i + 2]);
-
-				for (var j = 0; j < 4; j++) {
-					var k = i + j;
-
-					if (Math.abs(imgData[k] - color_from.r) <= sensitivity
-						&& Math.abs(imgData[k + 1] - color_from.g) <= sensitivity
-						&& Math.abs(imgData[k + 2] - color_from.b) <= sensitivity
-						&& Math.abs(imgData[k + 3] - color_from.a) <= sensitivity) {
-						imgData_tmp[k] = color_to.r; //r
-						imgData_tmp[k + 1] = color_to.g; //g
-						imgData_tmp[k + 2] = color_to.b; //b
-						imgData_tmp[k + 3] = color_to.a; //a
-					}
-				}
-			}
+		if (config.ALPHA == 0) {
+			alertify.error('Color alpha value can not be zero.');
+			return;
+		}
+
+		var canvas = this.Base_layers.begin_mask_paint();
+		var color_to = this.Helper.hexToRgb(this.Base_layers.get_mask_color(config.COLOR));
+		color_to.a = config.ALPHA;
+
+		this.working = true;
+		this.fill_general(canvas.getContext("2d"), config.WIDTH, config.HEIGHT,
+			Math.round(mouse.x), Math.round(mouse.y), color_to, params.power, params.anti_aliasing, params.contiguous);
+		await this.Base_layers.end_mask_paint(canvas, 'fill_tool', 'Fill Tool');
+
+		//prevent crash bug on touch screen
+		await new Promise(r => setTimeout(r, 10));
+		this.working = false;
+	}
+
+	fill_general(context, W, H, x, y, color_to, sensitivity, anti_aliasing, contiguous = false) {
+		var color_from = context.getImageData(parseInt(x), parseInt(y), 1, 1).data;
+		if (color_from[0] == color_to.r && color_from[1] == color_to.g
+			&& color_from[2] == color_to.b && color_from[3] == color_to.a) {
+			return false;
 		}
 
-		ctxTemp.putImageData(img_tmp, 0, 0);
+		var canvasTemp = this.get_tolerance_region(context, W, H, x, y, sensitivity, contiguous, color_to);
 		if (anti_aliasing == true) {
 			context.filter = 'blur(1px)';
 		}
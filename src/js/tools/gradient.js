@@ -13,6 +13,8 @@ class Gradient_class extends Base_tools_class {
 		this.ctx = ctx;
 		this.name = 'gradient';
 		this.layer = {};
+		this.mask_source = null;
+		this.mask_canvas = null;
 	}
 
 	load() {
@@ -49,6 +51,17 @@ class Gradient_class extends Base_tools_class {
 				center_y: mouse.y,
 			},
 		};
+		if (this.Base_layers.is_mask_editing()) {
+			//gradient is drawn on mask of active layer
+			this.layer.params.color_1 = this.Base_layers.get_mask_color(this.layer.params.color_1);
+			this.layer.params.color_2 = this.Base_layers.get_mask_color(this.layer.params.color_2);
+			this.layer.width = 0;
+			this.layer.height = 0;
+			this.mask_source = config.layer.mask.link;
+			this.mask_canvas = this.Base_layers.begin_mask_paint();
+			return;
+		}
+		this.mask_canvas = null;
 		app.State.do_action(
 			new app.Actions.Bundle_action('new_gradient_layer', 'New Gradient Layer', [
 				new app.Actions.Insert_layer_action(this.layer)
@@ -68,6 +81,11 @@ class Gradient_class extends Base_tools_class {
 		var width = mouse.x - this.layer.x;
 		var height = mouse.y - this.layer.y;
 
+		if (this.mask_canvas != null) {
+			this.mask_render(width, height);
+			return;
+		}
+
 		if (params.radial == true) {
 			config.layer.x = this.layer.data.center_x - width;
 			config.layer.y = this.layer.data.center_y - height;
@@ -85,6 +103,10 @@ class Gradient_class extends Base_tools_class {
 	mouseup(e) {
 		var mouse = this.get_mouse_info(e);
 		var params = this.getParams();
+		if (this.mask_canvas != null) {
+			this.mask_mouseup(mouse);
+			return;
+		}
 		if (mouse.click_valid == false) {
 			config.layer.status = null;
 			return;
@@ -124,6 +146,44 @@ class Gradient_class extends Base_tools_class {
 		this.Base_layers.render();
 	}
 
+	mask_mouseup(mouse) {
+		var canvas = this.mask_canvas;
+		this.mask_canvas = null;
+		var width = mouse.x - this.layer.x;
+		var height = mouse.y - this.layer.y;
+		if (mouse.click_valid == false || (width == 0 && height == 0)) {
+			//cancel
+			delete config.layer._mask_draft;
+			config.need_render = true;
+			return;
+		}
+		this.mask_render(width, height, canvas);
+		this.Base_layers.end_mask_paint(canvas, 'gradient_tool', 'Gradient Tool');
+	}
+
+	/**
+	 * draws gradient on copy of mask, size is distance from mouse down
+	 */
+	mask_render(width, height, canvas = this.mask_canvas) {
+		var layer = Object.assign({}, this.layer);
+		if (layer.params.radial == true) {
+			layer.x = layer.data.center_x - width;
+			layer.y = layer.data.center_y - height;
+			layer.width = width * 2;
+			layer.height = height * 2;
+		}
+		else {
+			layer.width = width;
+			layer.height = height;
+		}
+
+		var ctx = canvas.getContext("2d");
+		ctx.clearRect(0, 0, canvas.width, canvas.height);
+		ctx.drawImage(this.mask_source, 0, 0);
+		this.render(ctx, layer);
+		config.need_render = true;
+	}
+
 	render(ctx, layer) {
 		if (layer.width == 0 && layer.height == 0)
 			return;
@@ -109,100 +109,14 @@ class Magic_erase_class extends Base_tools_class {
 	 * @param {Boolean} anti_aliasing
 	 */
 	magic_erase_general(context, W, H, x, y, sensitivity, anti_aliasing, contiguous = false) {
-		sensitivity = sensitivity * 255 / 100; //convert to 0-255 interval
-		x = parseInt(x);
-		y = parseInt(y);
-		var canvasTemp = document.createElement('canvas');
-		canvasTemp.width = W;
-		canvasTemp.height = H;
-		var ctxTemp = canvasTemp.getContext("2d");
-
-		ctxTemp.rect(0, 0, W, H);
-		ctxTemp.fillStyle = "rgba(255, 255, 255, 0)";
-		ctxTemp.fill();
-
-		var img_tmp = ctxTemp.getImageData(0, 0, W, H);
-		var imgData_tmp = img_tmp.data;
-
-		var img = context.getImageData(0, 0, W, H);
-		var imgData = img.data;
-		var k = ((y * (img.width * 4)) + (x * 4));
-		var dx = [0, -1, +1, 0];
-		var dy = [-1, 0, 0, +1];
-		var color_to = {
-			r: 255,
-			g: 255,
-			b: 255,
-			a: 255
-		};
-		var color_from = {
-			r: imgData[k + 0],
-			g: imgData[k + 1],
-			b: imgData[k + 2],
-			a: imgData[k + 3]
-		};
-		if (color_from.r == color_to.r &&
-			color_from.g == color_to.g &&
-			color_from.b == color_to.b &&
-			color_from.a == 0) {
+		var color_from = context.getImageData(parseInt(x), parseInt(y), 1, 1).data;
+		if (color_from[0] == 255 && color_from[1] == 255 && color_from[2] == 255 && color_from[3] == 0) {
 			return false;
 		}
-		if (contiguous == false) {
-			//check only nearest pixels
-			var stack = [];
-			stack.push([x, y]);
-			while (stack.length > 0) {
-				var curPoint = stack.pop();
-				for (var i = 0; i < 4; i++) {
-					var nextPointX = curPoint[0] + dx[i];
-					var nextPointY = curPoint[1] + dy[i];
-					if (nextPointX < 0 || nextPointY < 0 || nextPointX >= W || nextPointY >= H)
-						continue;
-					var k = (nextPointY * W + nextPointX) * 4;
-					if (imgData_tmp[k + 3] != 0)
-						continue; //already parsed
-
-					if (Math.abs(imgData[k] - color_from.r) <= sensitivity
-						&& Math.abs(imgData[k + 1] - color_from.g) <= sensitivity
-						&& Math.abs(imgData[k + 2] - color_from.b) <= sensitivity
-						&& Math.abs(imgData[k + 3] - color_from.a) <= sensitivity) {
-						//erase
-						imgData_tmp[k] = color_to.r; //r
-						imgData_tmp[k + 1] = color_to.g; //g
-						imgData_tmp[k + 2] = color_to.b; //b
-						imgData_tmp[k + 3] = color_to.a; //a
-
-						stack.push([nextPointX, nextPointY]);
-					}
-				}
-			}
-		}
-		else {
-			//global mode - contiguous
-			for (var i = 0; i < imgData.length; i += 4) {
-				if (imgData[i + 3] == 0)
-					continue;	//transparent
-
-				//imgData[i] + 0.7152 * imgData[i + 1] + 0.0722 * imgData[i + 2]);
-
-				for (var j = 0; j < 4; j++) {
-					var k = i + j;
-
-					if (Math.abs(imgData[k] - color_from.r) <= sensitivity
-						&& Math.abs(imgData[k + 1] - color_from.g) <= sensitivity
-						&& Math.abs(imgData[k + 2] - color_from.b) <= sensitivity
-						&& Math.abs(imgData[k + 3] - color_from.a) <= sensitivity) {
-						imgData_tmp[k] = color_to.r; //r
-						imgData_tmp[k + 1] = color_to.g; //g
-						imgData_tmp[k + 2] = color_to.b; //b
-						imgData_tmp[k + 3] = color_to.a; //a
-					}
-				}
-			}
-		}
+
+		var canvasTemp = this.get_tolerance_region(context, W, H, x, y, sensitivity, contiguous);
 
 		//destination-out + blur = anti-aliasing
-		ctxTemp.putImageData(img_tmp, 0, 0);
 		context.globalCompositeOperation = "destination-out";
 		if (anti_aliasing == true) {
 			context.filter = 'blur(1px)';
@@ -88,7 +88,7 @@ class Select_tool_class extends Base_tools_class {
 			if (k == "Delete") {
 				if (config.TOOL.name == this.name) {
 					app.State.do_action(
-						new app.Actions.Delete_layer_action(config.layer.id)
+						this.Base_layers.get_delete_action(config.layer.id)
 					);
 				}
 			}
@@ -160,7 +160,7 @@ class Select_tool_class extends Base_tools_class {
 
 		if (this.Base_selection.mouse_lock != null) {
 			this.resizing = true;
-			this.Base_selection.find_settings().keep_ratio = config.layer.type === 'image';
+			this.Base_selection.find_settings().keep_ratio = config.layer.type === 'image' || config.layer.type === 'smart_object';
 			if (config.layer.type === 'text' && config.layer.params && config.layer.params.boundary === 'dynamic') {
 				config.layer.params.boundary = 'box';
 			}
@@ -168,7 +168,7 @@ class Select_tool_class extends Base_tools_class {
 		else {
 			this.moving = true;
 			await this.auto_select_object(e);
-			this.Base_selection.find_settings().keep_ratio = config.layer.type === 'image';
+			this.Base_selection.find_settings().keep_ratio = config.layer.type === 'image' || config.layer.type === 'smart_object';
 			this.saved = false;
 		}
 
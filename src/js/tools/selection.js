@@ -35,11 +35,17 @@ class Selection_class extends Base_tools_class {
 			y: null,
 			width: null,
 			height: null,
+			shape: 'rectangle',
+			points: null,
+			mask: null,
 		};
+		this.polygon_points = null;
+		this.operation = 'new';
 
 		var sel_config = {
 			enable_background: true,
 			enable_borders: true,
+			marching_ants: true,
 			enable_controls: false,
 			enable_rotation: false,
 			enable_move: false,
@@ -65,6 +71,11 @@ class Selection_class extends Base_tools_class {
 		document.addEventListener('mouseup', function (event) {
 			_this.dragEnd(event);
 		});
+		document.addEventListener('dblclick', function (event) {
+			if (config.TOOL.name != _this.name || _this.polygon_points === null)
+				return;
+			_this.finish_polygon();
+		});
 
 		// collect touch events
 		document.addEventListener('touchstart', function (event) {
@@ -82,6 +93,10 @@ class Selection_class extends Base_tools_class {
 			if (this.Helper.is_input(e.target))
 				return;
 
+			if (code == 13 && this.polygon_points !== null && config.TOOL.name == this.name) {
+				//enter - close polygonal lasso
+				this.finish_polygon();
+			}
 			if (code == 27) {
 				//escape
 				app.State.do_action(new app.Actions.Bundle_action('clear_selection', 'Clear Selection', this.on_leave()));
@@ -132,9 +147,27 @@ class Selection_class extends Base_tools_class {
 			return;
 		}
 
-		this.mousedown_selection = JSON.parse(JSON.stringify(this.selection));
+		var mode = this.getParams().mode.value;
+		var operation = this.Base_selection.get_operation(e);
+		if (mode == 'Polygonal Lasso') {
+			this.type = 'polygon';
+			if (this.polygon_points === null) {
+				//first point decides how polygon is combined with current selection
+				this.operation = operation;
+			}
+			this.add_polygon_point(mouse);
+			return;
+		}
+		if (mode == 'Magic Wand') {
+			this.type = 'magic_wand';
+			this.magic_wand(mouse, e);
+			return;
+		}
+
+		this.operation = operation;
+		this.mousedown_selection = this.Base_selection.clone_selection(this.selection);
 
-		if (this.selection.width != null && this.selection.height != null
+		if (this.operation == 'new' && this.selection.width != null && this.selection.height != null
 			&& mouse.x > this.selection.x
 			&& mouse.x < this.selection.x + this.selection.width
 			&& mouse.y > this.selection.y
@@ -159,7 +192,17 @@ class Selection_class extends Base_tools_class {
 				y: mouse.y,
 				width: 0,
 				height: 0,
+				shape: 'rectangle',
+				points: null,
+				mask: null,
 			};
+			if (mode == 'Ellipse') {
+				this.selection.shape = 'ellipse';
+			}
+			else if (mode == 'Lasso') {
+				this.selection.shape = 'polygon';
+				this.selection.points = [{x: mouse.x, y: mouse.y}];
+			}
 			this.type = 'create';
 			this.selection_coords_from = {x: mouse.x, y: mouse.y};
 		}
@@ -167,6 +210,13 @@ class Selection_class extends Base_tools_class {
 
 	mousemove(e) {
 		var mouse = this.get_mouse_info(e);
+		if (this.polygon_points !== null) {
+			//line from last point to mouse
+			this.selection.points = this.polygon_points.concat([{x: mouse.x, y: mouse.y}]);
+			Object.assign(this.selection, this.get_points_bounds(this.selection.points));
+			config.need_render = true;
+			return;
+		}
 		if (this.Base_selection.is_drag == false || mouse.is_drag == false)
 			return;
 		if (e.type == 'mousedown' && (mouse.click_valid == false) || config.layer.type != 'image') {
@@ -175,7 +225,13 @@ class Selection_class extends Base_tools_class {
 		if (this.selection_coords_from === null) {
 			return;
 		}
-		if (this.type == 'create') {
+		if (this.type == 'create' && this.selection.shape == 'polygon') {
+			//lasso
+			this.selection.points.push({x: mouse.x, y: mouse.y});
+			Object.assign(this.selection, this.get_points_bounds(this.selection.points));
+			config.need_render = true;
+		}
+		else if (this.type == 'create') {
 			//create new selection
 			this.selection.width = mouse.x - mouse.click_x;
 			this.selection.height = mouse.y - mouse.click_y;
@@ -195,11 +251,23 @@ class Selection_class extends Base_tools_class {
 		if (this.type === 'move') {
 			return; // Translate appears to not work at the moment
 		}
+		if (this.type === 'magic_wand' || this.type === 'polygon') {
+			//polygonal lasso is closed by double click, enter or click on first point
+			return;
+		}
+		if (this.type == 'create' && this.selection.shape == 'polygon') {
+			this.set_polygon(this.selection.points);
+			return;
+		}
 
 		var width = mouse.x - this.selection.x;
 		var height = mouse.y - this.selection.y;
 
 		if (width == 0 || height == 0) {
+			if (this.operation != 'new') {
+				this.combine_shape(null);
+				return;
+			}
 			//cancel selection
 			app.State.do_action(
 				new app.Actions.Bundle_action('clear_selection', 'Clear Selection', this.on_leave())
@@ -225,9 +293,16 @@ class Selection_class extends Base_tools_class {
 				y: y,
 				width: Math.abs(details.width),
 				height: Math.abs(details.height),
+				shape: details.shape,
+				points: null,
+				mask: null,
 			};
+			if (this.operation != 'new') {
+				this.combine_shape(this.selection);
+				return;
+			}
 			app.State.do_action(
-				new app.Actions.Set_selection_action(this.selection.x, this.selection.y, this.selection.width, this.selection.height, this.mousedown_selection)
+				new app.Actions.Set_selection_action(this.selection.x, this.selection.y, this.selection.width, this.selection.height, this.mousedown_selection, this.selection.shape)
 			);
 		}
 	}
@@ -245,13 +320,226 @@ class Selection_class extends Base_tools_class {
 			);
 		}
 		actions.push(
-			new app.Actions.Set_selection_action(0, 0, config.WIDTH, config.HEIGHT, this.selection)
+			new app.Actions.Set_selection_action(0, 0, config.WIDTH, config.HEIGHT, this.selection, 'rectangle')
 		);
 		app.State.do_action(
 			new app.Actions.Bundle_action('select_all', 'Select All', actions)
 		);
 	}
 
+	/**
+	 * magic wand - selects pixels of active layer similar to clicked one, same way fill tool finds them
+	 *
+	 * @param {object} mouse
+	 * @param {event} event shift adds, alt subtracts, both intersect with current selection
+	 */
+	magic_wand(mouse, event) {
+		var params = this.getParams();
+		var layer = config.layer;
+
+		//find pixels in layer image
+		var canvas = document.createElement('canvas');
+		var ctx = canvas.getContext("2d");
+		canvas.width = layer.width_original;
+		canvas.height = layer.height_original;
+		ctx.drawImage(layer.link, 0, 0);
+
+		var mouse_x = Math.round(this.adaptSize(Math.round(mouse.x) - layer.x, 'width'));
+		var mouse_y = Math.round(this.adaptSize(Math.round(mouse.y) - layer.y, 'height'));
+		if (mouse_x < 0 || mouse_y < 0 || mouse_x >= canvas.width || mouse_y >= canvas.height) {
+			return;
+		}
+		var region = this.get_tolerance_region(ctx, canvas.width, canvas.height,
+			mouse_x, mouse_y, params.power, params.contiguous);
+
+		//move to document coordinates
+		var mask = document.createElement('canvas');
+		mask.width = config.WIDTH;
+		mask.height = config.HEIGHT;
+		mask.getContext("2d").drawImage(region, layer.x, layer.y, layer.width, layer.height);
+
+		this.select_mask(mask, this.Base_selection.get_operation(event), params.feather, params.anti_aliasing, 'Magic Wand');
+	}
+
+	/**
+	 * selection before shape that is being added, subtracted or intersected stays visible
+	 *
+	 * @param {ctx} ctx
+	 */
+	render_overlay(ctx) {
+		if (this.operation == 'new' || this.mousedown_selection === null) {
+			return;
+		}
+		this.Base_selection.draw_selection({
+			enable_background: false,
+			enable_borders: true,
+			marching_ants: true,
+			data: this.mousedown_selection,
+		});
+	}
+
+	/**
+	 * combines shape made with mouse and selection before it, by operation from keyboard modifiers
+	 *
+	 * @param {object|null} data selection of new shape, null if shape has no area
+	 */
+	combine_shape(data) {
+		var operation = this.operation;
+		this.selection = this.mousedown_selection;
+		this.operation = 'new';
+		if (data === null) {
+			config.need_render = true;
+			return;
+		}
+		var mask = this.Base_selection.get_selection_mask(data);
+		this.select_mask(mask, operation, 0, false, 'Set Selection', data);
+	}
+
+	/**
+	 * sets pixel selection, combined with current selection. Activates selection tool if needed.
+	 *
+	 * @param {canvas} mask document size, alpha is selection
+	 * @param {string} operation new, add, subtract or intersect
+	 * @param {int} feather
+	 * @param {boolean} anti_aliasing
+	 * @param {string} title of action
+	 * @param {object} [shape] selection the mask was drawn from, result keeps its geometry when it can
+	 */
+	select_mask(mask, operation, feather, anti_aliasing, title, shape = null) {
+		var current = this.Base_selection.get_active_selection();
+		var softened = this.Base_selection.soften_mask(mask, feather, anti_aliasing);
+		if (softened !== mask) {
+			shape = null;
+		}
+		var data = this.Base_selection.combine_selection(current, softened, operation, shape);
+
+		let actions = [];
+		if (config.TOOL.name != this.name) {
+			actions.push(
+				new app.Actions.Activate_tool_action(this.name)
+			);
+		}
+		if (data === null) {
+			actions.push(
+				new app.Actions.Reset_selection_action(this.selection)
+			);
+		}
+		else if (data.shape == 'mask') {
+			actions.push(
+				new app.Actions.Set_selection_action(data.x, data.y, data.width, data.height, this.selection, 'mask', null, data.mask)
+			);
+		}
+		else {
+			actions.push(
+				new app.Actions.Set_selection_action(data.x, data.y, data.width, data.height, this.selection, data.shape || 'rectangle', data.points)
+			);
+		}
+		return app.State.do_action(
+			new app.Actions.Bundle_action('set_selection', title, actions)
+		);
+	}
+
+	/**
+	 * polygonal lasso - adds point, first click starts new polygon, click on first point closes it
+	 *
+	 * @param {object} mouse
+	 */
+	add_polygon_point(mouse) {
+		var point = {x: mouse.x, y: mouse.y};
+
+		if (this.polygon_points === null) {
+			this.mousedown_selection = this.Base_selection.clone_selection(this.selection);
+			this.polygon_points = [point];
+			this.selection = {
+				x: point.x,
+				y: point.y,
+				width: 0,
+				height: 0,
+				shape: 'polygon',
+				points: [point, point],
+				mask: null,
+			};
+			config.need_render = true;
+			return;
+		}
+
+		var first = this.polygon_points[0];
+		var snap = 6 / config.ZOOM;
+		if (this.polygon_points.length > 2
+			&& Math.abs(point.x - first.x) <= snap && Math.abs(point.y - first.y) <= snap) {
+			this.finish_polygon();
+			return;
+		}
+		this.polygon_points.push(point);
+		config.need_render = true;
+	}
+
+	/**
+	 * closes polygonal lasso
+	 */
+	finish_polygon() {
+		var points = this.polygon_points;
+		this.polygon_points = null;
+		this.set_polygon(points);
+	}
+
+	/**
+	 * sets lasso selection, selection is removed if polygon has no area.
+	 * With keyboard modifiers on first point it is combined with selection before it.
+	 *
+	 * @param {array} points in document coordinates
+	 */
+	set_polygon(points) {
+		//double clicks and slow mouse give repeated points
+		points = points.filter(function (point, i) {
+			return i == 0 || point.x != points[i - 1].x || point.y != points[i - 1].y;
+		});
+		var bounds = this.get_points_bounds(points);
+		var data = null;
+		if (points.length >= 3 && bounds.width != 0 && bounds.height != 0) {
+			data = {
+				x: bounds.x,
+				y: bounds.y,
+				width: bounds.width,
+				height: bounds.height,
+				shape: 'polygon',
+				points: points,
+				mask: null,
+			};
+		}
+
+		if (this.operation != 'new') {
+			this.combine_shape(data);
+			return;
+		}
+		if (data === null) {
+			app.State.do_action(
+				new app.Actions.Bundle_action('clear_selection', 'Clear Selection', this.on_leave())
+			);
+			return;
+		}
+
+		this.selection = data;
+		app.State.do_action(
+			new app.Actions.Set_selection_action(bounds.x, bounds.y, bounds.width, bounds.height, this.mousedown_selection, 'polygon', points)
+		);
+	}
+
+	/**
+	 * @param {array} points
+	 * @returns {object} x, y, width, height
+	 */
+	get_points_bounds(points) {
+		var x = Math.min(...points.map((point) => point.x));
+		var y = Math.min(...points.map((point) => point.y));
+		return {
+			x: x,
+			y: y,
+			width: Math.max(...points.map((point) => point.x)) - x,
+			height: Math.max(...points.map((point) => point.y)) - y,
+		};
+	}
+
 	render(ctx, layer) {
 		//nothing
 	}
@@ -272,43 +560,105 @@ class Selection_class extends Base_tools_class {
 	}
 
 	delete_selection() {
-		var selection = this.selection;
-		var layer = config.layer;
-
 		if (config.layer.type != 'image') {
 			alertify.error('This layer must contain an image. Please convert it to raster to apply this tool.');
 			return;
 		}
 
-		if (selection == null) {
+		if (this.Base_selection.get_active_selection() === null) {
 			alertify.error('Nothing is selected.');
 			return;
 		}
 
-		this.init_tmp_canvas();
+		app.State.do_action(
+			new app.Actions.Bundle_action('delete_selection', 'Delete Selection', [
+				new app.Actions.Update_layer_image_action(this.get_erased_canvas()),
+				new app.Actions.Reset_selection_action(this.selection, this.name)
+			])
+		);
+
+		delete config.layer.link_canvas;
+		this.reset_tmp_canvas();
+	}
+
+	/**
+	 * fills selection shape on active layer with current color, selection stays
+	 */
+	fill_selection() {
+		if (config.layer.type != 'image') {
+			alertify.error('This layer must contain an image. Please convert it to raster to apply this tool.');
+			return;
+		}
 
-		var mouse_x = selection.x - layer.x;
-		var mouse_y = selection.y - layer.y;
+		if (this.Base_selection.get_active_selection() === null) {
+			alertify.error('Nothing is selected.');
+			return;
+		}
 
-		//adapt to origin size
-		mouse_x = this.adaptSize(mouse_x, 'width');
-		mouse_y = this.adaptSize(mouse_y, 'height');
-		selection.width = this.adaptSize(selection.width, 'width');
-		selection.height = this.adaptSize(selection.height, 'height');
+		var canvas = document.createElement('canvas');
+		canvas.width = config.layer.width_original;
+		canvas.height = config.layer.height_original;
+		var ctx = canvas.getContext("2d");
+		ctx.drawImage(config.layer.link, 0, 0);
 
-		//do erase
-		this.tmpCanvasCtx.clearRect(mouse_x, mouse_y, selection.width, selection.height);
+		//color in shape of selection
+		var color = this.Base_selection.get_selection_mask(this.selection, config.layer);
+		var color_ctx = color.getContext("2d");
+		color_ctx.globalCompositeOperation = 'source-in';
+		color_ctx.fillStyle = config.COLOR;
+		color_ctx.fillRect(0, 0, color.width, color.height);
+		ctx.drawImage(color, 0, 0);
 
 		app.State.do_action(
-			new app.Actions.Bundle_action('delete_selection', 'Delete Selection', [
-				new app.Actions.Update_layer_image_action(this.tmpCanvas),
-				new app.Actions.Reset_selection_action(this.selection)
+			new app.Actions.Bundle_action('fill_selection', 'Fill Selection', [
+				new app.Actions.Update_layer_image_action(canvas)
 			])
 		);
+	}
 
-		this.reset_tmp_canvas();
-		delete config.layer.link_canvas;
-		this.reset_tmp_canvas();
+	/**
+	 * selected pixels of active layer, in original size of layer image, cropped to selection bounds
+	 *
+	 * @returns {canvas}
+	 */
+	get_selected_canvas() {
+		var selection = this.selection;
+		var layer = config.layer;
+
+		//if image was stretched
+		var width_ratio = (layer.width / layer.width_original);
+		var height_ratio = (layer.height / layer.height_original);
+
+		var canvas = document.createElement('canvas');
+		var ctx = canvas.getContext("2d");
+		canvas.width = Math.max(1, Math.round(selection.width / width_ratio));
+		canvas.height = Math.max(1, Math.round(selection.height / height_ratio));
+
+		ctx.translate(-(selection.x - layer.x) / width_ratio, -(selection.y - layer.y) / height_ratio);
+		ctx.drawImage(layer.link, 0, 0);
+		if (selection.shape != null && selection.shape != 'rectangle') {
+			ctx.globalCompositeOperation = 'destination-in';
+			ctx.drawImage(this.Base_selection.get_selection_mask(selection, layer), 0, 0);
+		}
+
+		return canvas;
+	}
+
+	/**
+	 * active layer image without selected pixels, in original size
+	 *
+	 * @returns {canvas}
+	 */
+	get_erased_canvas() {
+		var canvas = document.createElement('canvas');
+		canvas.width = config.layer.width_original;
+		canvas.height = config.layer.height_original;
+		var ctx = canvas.getContext("2d");
+		ctx.drawImage(config.layer.link, 0, 0);
+		ctx.globalCompositeOperation = 'destination-out';
+		ctx.drawImage(this.Base_selection.get_selection_mask(this.selection, config.layer), 0, 0);
+
+		return canvas;
 	}
 
 	init_tmp_canvas() {
@@ -319,9 +669,29 @@ class Selection_class extends Base_tools_class {
 		this.tmpCanvasCtx.drawImage(config.layer.link, 0, 0);
 	}
 
+	/**
+	 * other tool was activated - selection stays and limits other tools, only unfinished work is dropped
+	 */
+	on_tool_leave() {
+		if (this.polygon_points !== null) {
+			//unfinished polygonal lasso
+			this.selection = this.mousedown_selection;
+			this.polygon_points = null;
+			this.operation = 'new';
+		}
+		delete config.layer.link_canvas;
+		this.reset_tmp_canvas();
+		config.need_render = true;
+		return [];
+	}
+
+	/**
+	 * clears selection, also when other tool is active
+	 */
 	on_leave() {
+		this.polygon_points = null;
 		let actions = [
-			new app.Actions.Reset_selection_action(this.selection)
+			new app.Actions.Reset_selection_action(this.selection, this.name)
 		];
 		delete config.layer.link_canvas;
 		this.reset_tmp_canvas();
@@ -4,6 +4,9 @@
  */
 
 import { test, expect } from '@playwright/test';
+import http from 'http';
+import crypto from 'crypto';
+import { Relay } from '../tools/rexx-relay/relay.js';
 
 // Base URL for testing (adjust as needed)
 const BASE_URL = 'http://localhost:8080';
@@ -127,6 +130,2063 @@ test.describe('miniPaint In-App RexxJS Execution', () => {
   });
 });
 
+test.describe('miniPaint Command Parsing', () => {
+  test('Quoted values with spaces and escapes are parsed', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const parsed = await page.evaluate(() => {
+      return window.MiniPaintRexxHandler.parseCommand('add-layer name="My \\"big\\" layer" path=\'/tmp/a b.png\'');
+    });
+
+    expect(parsed.method).toBe('add-layer');
+    expect(parsed.params.name).toBe('My "big" layer');
+    expect(parsed.params.path).toBe('/tmp/a b.png');
+  });
+
+  test('Lists, objects and colors are parsed', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const parsed = await page.evaluate(() => {
+      return window.MiniPaintRexxHandler.parseCommand('x colors=[#ff0000, #0f0] font={family: "Arial", size: 24} q=a=b');
+    });
+
+    expect(parsed.params.colors).toEqual(['#ff0000', '#0f0']);
+    expect(parsed.params.font).toEqual({ family: 'Arial', size: 24 });
+    expect(parsed.params.q).toBe('a=b');
+  });
+
+  test('Parse errors report column through errorCode 3', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      return await window.ADDRESS_MINIPAINT_HANDLER('add-layer name="Unclosed');
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.errorCode).toBe(3);
+    expect(result.output).toContain('column 16');
+    expect(JSON.parse(result.result).column).toBe(16);
+  });
+});
+
+test.describe('miniPaint Effect Registry', () => {
+  // Adds a small image layer so effects that need pixels can run
+  async function addImageLayer(page) {
+    await page.evaluate(async () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 40;
+      canvas.height = 30;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#ff0000';
+      ctx.fillRect(0, 0, 40, 30);
+      await window.Layers.insert({ type: 'image', name: 'test.png', data: canvas.toDataURL() });
+    });
+  }
+
+  test('list-effects reports the effect modules with parameter schemas', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      return await window.ADDRESS_MINIPAINT_HANDLER('list-effects');
+    });
+
+    expect(result.success).toBe(true);
+    const effects = JSON.parse(result.result);
+    const names = effects.map(effect => effect.name);
+    expect(names).toContain('oil');
+    expect(names).toContain('tilt_shift');
+    expect(names).toContain('1977');
+    expect(names).not.toContain('browser');
+
+    const oil = effects.find(effect => effect.name === 'oil');
+    expect(oil.params[0]).toMatchObject({ name: 'range', key: 'param1', type: 'number', min: 1, max: 10 });
+  });
+
+  test('describing effects does not run them', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await addImageLayer(page);
+
+    const result = await page.evaluate(async () => {
+      const state = window.State;
+      const capture = state.capture_actions;
+      const doAction = state.do_action;
+      const layers = window.AppConfig.layers.length;
+      let actions = 0;
+      state.capture_actions = function (callback) {
+        const captured = capture.call(this, callback);
+        actions += captured.actions.length;
+        return captured;
+      };
+      state.do_action = function (...args) {
+        actions++;
+        return doAction.apply(this, args);
+      };
+      let response;
+      try {
+        response = await window.ADDRESS_MINIPAINT_HANDLER('list-effects');
+      } finally {
+        state.capture_actions = capture;
+        state.do_action = doAction;
+      }
+      const edge = JSON.parse(response.result).find((effect) => effect.name === 'edge');
+      return { actions, edge: edge.params, layersAdded: window.AppConfig.layers.length - layers };
+    });
+
+    expect(result.actions).toBe(0);
+    expect(result.edge).toEqual([]);
+    expect(result.layersAdded).toBe(0);
+  });
+
+  test('apply-effect runs a dialog effect with named parameters', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await addImageLayer(page);
+
+    const result = await page.evaluate(async () => {
+      return await window.ADDRESS_MINIPAINT_HANDLER('apply-effect', { name: 'mosaic', size: 5 });
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.errorCode).toBe(0);
+  });
+
+  test('apply-effect rejects out of range parameter', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await addImageLayer(page);
+
+    const result = await page.evaluate(async () => {
+      return await window.ADDRESS_MINIPAINT_HANDLER('apply-effect', { name: 'oil', range: 50 });
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.errorCode).toBe(64);
+  });
+
+  test('apply-effect rejects unknown parameter', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await addImageLayer(page);
+
+    const result = await page.evaluate(async () => {
+      return await window.ADDRESS_MINIPAINT_HANDLER('apply-effect', { name: 'edge', strength: 2 });
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.errorCode).toBe(63);
+  });
+
+  test('apply-effect lands in history as one step named after the effect', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await addImageLayer(page);
+
+    const result = await page.evaluate(async () => {
+      const historyBefore = window.State.action_history.length;
+      const response = await window.ADDRESS_MINIPAINT_HANDLER('apply-effect', { name: 'oil', range: 3 });
+      const step = window.State.action_history[window.State.action_history.length - 1];
+      return {
+        success: response.success,
+        steps: window.State.action_history.length - historyBefore,
+        description: step.action_description
+      };
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.steps).toBe(1);
+    expect(result.description).toBe('Oil');
+  });
+});
+
+test.describe('miniPaint Text Commands', () => {
+  test('add-text creates a text layer and returns its id', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const layer = await page.evaluate(async () => {
+      const result = await window.ADDRESS_MINIPAINT_HANDLER('add-text text="Hello\\nWorld" x=10 y=20 size=32 color=#ff0000 bold=true');
+      const layer = window.Layers.get_layer(result.result);
+      return { success: result.success, type: layer.type, x: layer.x, data: layer.data };
+    });
+
+    expect(layer.success).toBe(true);
+    expect(layer.type).toBe('text');
+    expect(layer.x).toBe(10);
+    expect(layer.data.length).toBe(2);
+    expect(layer.data[1][0].text).toBe('World');
+    expect(layer.data[0][0].meta).toMatchObject({ size: 32, fill_color: '#ff0000', bold: true });
+  });
+
+  test('set-text and style-text modify an existing text layer', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const layer = await page.evaluate(async () => {
+      const created = await window.ADDRESS_MINIPAINT_HANDLER('add-text text="Draft" name=Caption');
+      await window.ADDRESS_MINIPAINT_HANDLER('set-text layer=Caption text="Final copy"');
+      await window.ADDRESS_MINIPAINT_HANDLER('style-text layer=Caption font=Verdana align=center width=200');
+      const layer = window.Layers.get_layer(created.result);
+      return { text: layer.data[0][0].text, family: layer.data[0][0].meta.family, params: layer.params };
+    });
+
+    expect(layer.text).toBe('Final copy');
+    expect(layer.family).toBe('Verdana');
+    expect(layer.params.halign).toBe('center');
+    expect(layer.params.boundary).toBe('box');
+  });
+
+  test('style-text rejects non-text layers', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      return await window.ADDRESS_MINIPAINT_HANDLER('style-text size=20');
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.errorCode).toBe(321);
+  });
+});
+
+test.describe('miniPaint Shape Commands', () => {
+  test('draw-shape creates a vector shape layer with its params', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const layer = await page.evaluate(async () => {
+      const result = await window.ADDRESS_MINIPAINT_HANDLER('draw-shape type=star x=50 y=40 width=200 height=150 corners=6 fill=#ffcc00 stroke=false');
+      const layer = window.Layers.get_layer(result.result);
+      return { success: result.success, type: layer.type, is_vector: layer.is_vector, x: layer.x, width: layer.width, params: layer.params };
+    });
+
+    expect(layer.success).toBe(true);
+    expect(layer.type).toBe('star');
+    expect(layer.is_vector).toBe(true);
+    expect(layer.x).toBe(50);
+    expect(layer.width).toBe(200);
+    expect(layer.params).toMatchObject({ corners: 6, fill: true, fill_color: '#ffcc00', border: false });
+  });
+
+  test('draw-shape uses point models for polygon and bezier curve', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const layers = await page.evaluate(async () => {
+      const polygon = await window.ADDRESS_MINIPAINT_HANDLER('draw-shape type=polygon points=[[10,20],[110,20],[60,120]]');
+      const curve = await window.ADDRESS_MINIPAINT_HANDLER('draw-shape type=bezier_curve points=[[0,100],[50,0],[150,200],[200,100]] stroke=#ff0000');
+      return [window.Layers.get_layer(polygon.result), window.Layers.get_layer(curve.result)]
+        .map((layer) => ({ x: layer.x, y: layer.y, data: layer.data, color: layer.color }));
+    });
+
+    expect(layers[0].x).toBe(10);
+    expect(layers[0].data).toEqual([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 50, y: 100 }]);
+    expect(layers[1].data.end).toEqual({ x: 200, y: 100 });
+    expect(layers[1].color).toBe('#ff0000');
+  });
+
+  test('list-shapes reports parameters and draw-shape rejects unknown ones', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      const list = await window.ADDRESS_MINIPAINT_HANDLER('list-shapes');
+      const invalid = await window.ADDRESS_MINIPAINT_HANDLER('draw-shape type=ellipse width=10 height=10 corners=5');
+      return { shapes: JSON.parse(list.result), output: list.output, invalid };
+    });
+
+    expect(result.output).toMatch(/^Available shapes: .*\bstar\b/);
+
+    const names = result.shapes.map((shape) => shape.name);
+    expect(names).toEqual(expect.arrayContaining(['rectangle', 'ellipse', 'star', 'arrow', 'callout', 'polygon', 'bezier_curve', 'cog']));
+    const star = result.shapes.find((shape) => shape.name === 'star');
+    expect(star.params.map((param) => param.name)).toContain('inner_radius');
+    expect(result.invalid.errorCode).toBe(332);
+  });
+});
+
+test.describe('miniPaint Selection Commands', () => {
+  test('select-rect, get-selection and deselect', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      await window.ADDRESS_MINIPAINT_HANDLER('select-rect x=110 y=60 width=-100 height=40');
+      const selected = await window.ADDRESS_MINIPAINT_HANDLER('get-selection');
+      await window.ADDRESS_MINIPAINT_HANDLER('deselect');
+      const cleared = await window.ADDRESS_MINIPAINT_HANDLER('get-selection');
+      return { selected: JSON.parse(selected.result), cleared: cleared.result };
+    });
+
+    expect(result.selected).toEqual({ x: 10, y: 60, width: 100, height: 40 });
+    expect(result.cleared).toBe('');
+  });
+
+  test('invert-selection selects the rest of the document', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 100;
+      canvas.height = 100;
+      await window.Layers.insert({ type: 'image', name: 'base.png', data: canvas.toDataURL() });
+      const empty = await window.ADDRESS_MINIPAINT_HANDLER('invert-selection');
+      await window.ADDRESS_MINIPAINT_HANDLER('select-rect x=10 y=10 width=20 height=20');
+      const inverted = await window.ADDRESS_MINIPAINT_HANDLER('invert-selection');
+      const filled = await window.ADDRESS_MINIPAINT_HANDLER('fill-selection color=#ff0000');
+      const ctx = window.Layers.convert_layer_to_canvas(filled.result, true).getContext('2d');
+      return {
+        empty: empty.errorCode,
+        shape: JSON.parse(inverted.result).shape,
+        inside: ctx.getImageData(15, 15, 1, 1).data[3],
+        outside: Array.from(ctx.getImageData(50, 50, 1, 1).data)
+      };
+    });
+
+    expect(result.empty).toBe(355);
+    expect(result.shape).toBe('mask');
+    expect(result.inside).toBe(0);
+    expect(result.outside).toEqual([255, 0, 0, 255]);
+  });
+
+  test('fill-selection paints only inside the selection', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const pixels = await page.evaluate(async () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 100;
+      canvas.height = 100;
+      await window.Layers.insert({ type: 'image', name: 'base.png', data: canvas.toDataURL() });
+      await window.ADDRESS_MINIPAINT_HANDLER('select-rect x=10 y=10 width=20 height=20');
+      const filled = await window.ADDRESS_MINIPAINT_HANDLER('fill-selection color=#ff0000');
+      const ctx = window.Layers.convert_layer_to_canvas(filled.result, true).getContext('2d');
+      return { inside: Array.from(ctx.getImageData(15, 15, 1, 1).data), outside: Array.from(ctx.getImageData(50, 50, 1, 1).data) };
+    });
+
+    expect(pixels.inside).toEqual([255, 0, 0, 255]);
+    expect(pixels.outside[3]).toBe(0);
+  });
+
+  test('pixel commands refuse a rotated layer', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 100;
+      canvas.height = 100;
+      await window.Layers.insert({ type: 'image', name: 'base.png', data: canvas.toDataURL(), rotate: 45 });
+      await window.ADDRESS_MINIPAINT_HANDLER('select-rect x=10 y=10 width=20 height=20');
+      const layers = window.AppConfig.layers.length;
+      const codes = [];
+      for (const command of ['copy-selection-to-layer', 'clear-selection', 'fill-selection color=#ff0000']) {
+        codes.push((await window.ADDRESS_MINIPAINT_HANDLER(command)).errorCode);
+      }
+      return { codes, added: window.AppConfig.layers.length - layers };
+    });
+
+    expect(result.codes).toEqual([354, 354, 354]);
+    expect(result.added).toBe(0);
+  });
+
+  test('pixel commands need a selection', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      return await window.ADDRESS_MINIPAINT_HANDLER('copy-selection-to-layer');
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.errorCode).toBe(355);
+  });
+});
+
+test.describe('miniPaint Layer Targeting', () => {
+  test('layer= targets a layer without changing the active one', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      const first = await window.ADDRESS_MINIPAINT_HANDLER('add-layer name=First');
+      await window.ADDRESS_MINIPAINT_HANDLER('add-layer name=Second');
+      const opacity = await window.ADDRESS_MINIPAINT_HANDLER('set-opacity layer=First opacity=0.25');
+      const missing = await window.ADDRESS_MINIPAINT_HANDLER('set-opacity layer=Missing opacity=0.5');
+      return {
+        opacity: window.Layers.get_layer(first.result).opacity,
+        active: window.AppConfig.layer.name,
+        success: opacity.success,
+        missing: missing.errorCode,
+      };
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.opacity).toBe(25);
+    expect(result.active).toBe('Second');
+    expect(result.missing).toBe(4);
+  });
+
+  test('layer commands change the layer and can be undone', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      const created = await window.ADDRESS_MINIPAINT_HANDLER('add-layer name=Draft');
+      const id = created.result;
+      await window.ADDRESS_MINIPAINT_HANDLER(`rename-layer layer=${id} name=Final`);
+      await window.ADDRESS_MINIPAINT_HANDLER(`set-composition layer=${id} composition=multiply`);
+      await window.ADDRESS_MINIPAINT_HANDLER(`toggle-visibility layer=${id} visible=false`);
+      const layer = window.Layers.get_layer(id);
+      const changed = { name: layer.name, composition: layer.composition, visible: layer.visible };
+      await window.State.undo_action();
+      return { changed, visibleAfterUndo: layer.visible };
+    });
+
+    expect(result.changed).toEqual({ name: 'Final', composition: 'multiply', visible: false });
+    expect(result.visibleAfterUndo).toBe(true);
+  });
+
+  test('move-layer, duplicate-layer and select-layer', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      const bottom = await window.ADDRESS_MINIPAINT_HANDLER('add-layer name=Bottom');
+      await window.ADDRESS_MINIPAINT_HANDLER('add-layer name=Top');
+      await window.ADDRESS_MINIPAINT_HANDLER('move-layer layer=Bottom order=top');
+      const order = window.Layers.get_sorted_layers().map((layer) => layer.name);
+      const copy = await window.ADDRESS_MINIPAINT_HANDLER('duplicate-layer layer=Top');
+      await window.ADDRESS_MINIPAINT_HANDLER(`select-layer layer=${bottom.result}`);
+      return { order, copy: window.Layers.get_layer(copy.result).name, active: window.AppConfig.layer.id, bottom: bottom.result };
+    });
+
+    expect(result.order.slice(0, 2)).toEqual(['Bottom', 'Top']);
+    expect(result.copy).toBe('Top #2');
+    expect(result.active).toBe(result.bottom);
+  });
+});
+
+test.describe('miniPaint Layer Groups', () => {
+  const insertRed = async () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = 10;
+    canvas.height = 10;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ff0000';
+    ctx.fillRect(0, 0, 10, 10);
+    await window.Layers.insert({ type: 'image', name: 'red.png', data: canvas.toDataURL(), x: 0, y: 0, width: 10, height: 10 });
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  };
+
+  test('group opacity and visibility apply to its layers, collapsed groups hide them in the panel', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    await page.evaluate(insertRed);
+    await page.click('#layer_group');
+
+    const result = await page.evaluate(async () => {
+      const group = window.AppConfig.layer;
+      const child = window.AppConfig.layers.find((layer) => layer.name === 'red.png');
+      await window.ADDRESS_MINIPAINT_HANDLER(`set-opacity layer=${group.id} opacity=0.5`);
+      const half = JSON.parse((await window.ADDRESS_MINIPAINT_HANDLER('get-pixel x=5 y=5')).result);
+      await window.ADDRESS_MINIPAINT_HANDLER(`toggle-visibility layer=${group.id} visible=false`);
+      const hidden = JSON.parse((await window.ADDRESS_MINIPAINT_HANDLER('get-pixel x=5 y=5')).result);
+      return { type: group.type, parent: child.parent_id, groupId: group.id, half: half.alpha, hidden: hidden.alpha };
+    });
+
+    expect(result.type).toBe('group');
+    expect(result.parent).toBe(result.groupId);
+    expect(Math.abs(result.half - 128)).toBeLessThanOrEqual(2);
+    expect(result.hidden).toBe(0);
+
+    await expect(page.locator('#layers .layer_name', { hasText: 'red.png' })).toHaveCount(1);
+    await page.click('#group_toggle');
+    await expect(page.locator('#layers .layer_name', { hasText: 'red.png' })).toHaveCount(0);
+  });
+
+  test('groups are duplicated and deleted with their layers and survive JSON save', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    await page.evaluate(insertRed);
+    await page.click('#layer_group');
+    await page.click('#layer_duplicate');
+
+    const result = await page.evaluate(async () => {
+      const summary = () => window.Layers.get_sorted_layers().map((layer) => {
+        const parent = window.Layers.get_parent(layer);
+        return layer.name + (parent ? ' in ' + parent.name : '');
+      });
+      const duplicated = summary();
+
+      const json = window.FileSave.export_as_json();
+      await window.Layers.delete(window.AppConfig.layer.id);
+      const deleted = summary();
+      await window.FileOpen.load_json(json);
+      return { duplicated, deleted, loaded: summary() };
+    });
+
+    expect(result.duplicated.filter((name) => name.startsWith('red.png in Group'))).toHaveLength(2);
+    expect(result.duplicated.length - result.deleted.length).toBe(2);
+    expect(result.loaded).toEqual(result.duplicated);
+  });
+
+  test('resizing all layers passes over groups and adjustment layers', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    await page.evaluate(insertRed);
+    await page.click('#layer_group');
+
+    const result = await page.evaluate(async () => {
+      await window.Layers.insert({ type: 'adjustment', name: 'Adjustment', color: null, filters: [] });
+      const response = await window.ADDRESS_MINIPAINT_HANDLER('resize width_percent=50 height_percent=50 mode=basic');
+      const red = window.AppConfig.layers.find((layer) => layer.name === 'red.png');
+      return { success: response.success, width: red.width };
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.width).toBe(5);
+    await expect(page.locator('.ajs-message', { hasText: 'skipped' })).toHaveCount(0);
+  });
+});
+
+test.describe('miniPaint Layer Masks', () => {
+  // red 10x10 layer with mask showing its left half, loaded from JSON
+  const openMasked = async () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = 10;
+    canvas.height = 10;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ff0000';
+    ctx.fillRect(0, 0, 10, 10);
+    await window.Layers.insert({ type: 'image', name: 'red.png', data: canvas.toDataURL(), x: 0, y: 0, width: 10, height: 10 });
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    const mask = document.createElement('canvas');
+    mask.width = window.AppConfig.WIDTH;
+    mask.height = window.AppConfig.HEIGHT;
+    const maskCtx = mask.getContext('2d');
+    maskCtx.fillStyle = '#000000';
+    maskCtx.fillRect(0, 0, mask.width, mask.height);
+    maskCtx.fillStyle = '#ffffff';
+    maskCtx.fillRect(0, 0, 5, 10);
+
+    const json = JSON.parse(window.FileSave.export_as_json());
+    json.layers.find((layer) => layer.name === 'red.png').mask = { enabled: true, inverted: false, data: mask.toDataURL() };
+    await window.FileOpen.load_json(json);
+  };
+
+  test('mask hides parts of the layer, can be inverted and disabled in the panel and is saved in JSON', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(openMasked);
+
+    const alphas = () => page.evaluate(async () => {
+      const alpha = async (x) => JSON.parse((await window.ADDRESS_MINIPAINT_HANDLER(`get-pixel x=${x} y=5`)).result).alpha;
+      return [await alpha(2), await alpha(7)];
+    });
+
+    expect(await alphas()).toEqual([255, 0]);
+    await page.click('#invert_mask');
+    expect(await alphas()).toEqual([0, 255]);
+    await page.click('#toggle_mask');
+    expect(await alphas()).toEqual([255, 255]);
+
+    const saved = await page.evaluate(() => JSON.parse(window.FileSave.export_as_json()).layers.find((layer) => layer.name === 'red.png').mask);
+    expect(saved.enabled).toBe(false);
+    expect(saved.inverted).toBe(true);
+    expect(saved.data).toMatch(/^data:image\/png/);
+  });
+
+  test('mask changes are undoable and duplicates get their own mask', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(openMasked);
+
+    await page.click('#invert_mask');
+    await page.click('#layer_duplicate');
+
+    const result = await page.evaluate(async () => {
+      const layers = window.AppConfig.layers.filter((layer) => layer.name.startsWith('red.png'));
+      const inverted = layers.map((layer) => layer.mask.inverted);
+      const shared = layers[0].mask.link === layers[1].mask.link;
+      await window.State.undo_action();
+      await window.State.undo_action();
+      const original = window.AppConfig.layers.find((layer) => layer.name === 'red.png');
+      return { count: layers.length, inverted, shared, undone: original.mask.inverted };
+    });
+
+    expect(result.count).toBe(2);
+    expect(result.inverted).toEqual([true, true]);
+    expect(result.shared).toBe(false);
+    expect(result.undone).toBe(false);
+  });
+
+  test('resize scales the mask with the document', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(openMasked);
+
+    const result = await page.evaluate(async () => {
+      const resize = await window.ADDRESS_MINIPAINT_HANDLER('resize width_percent=200 height_percent=200 mode=basic');
+      const alpha = async (x) => JSON.parse((await window.ADDRESS_MINIPAINT_HANDLER(`get-pixel x=${x} y=10`)).result).alpha;
+      const mask = window.AppConfig.layers.find((layer) => layer.name === 'red.png').mask.link;
+      return {
+        success: resize.success,
+        size: JSON.parse(resize.result),
+        documentSize: { width: window.AppConfig.WIDTH, height: window.AppConfig.HEIGHT },
+        sameSize: mask.width === window.AppConfig.WIDTH && mask.height === window.AppConfig.HEIGHT,
+        alphas: [await alpha(8), await alpha(14)]
+      };
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.size).toEqual(result.documentSize);
+    expect(result.sameSize).toBe(true);
+    expect(result.alphas).toEqual([255, 0]);
+  });
+
+  test('crop cuts the mask like the layer', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(openMasked);
+
+    const result = await page.evaluate(async () => {
+      await window.ADDRESS_MINIPAINT_HANDLER('select-rect x=2 y=0 width=20 height=20');
+      const crop = await window.ADDRESS_MINIPAINT_HANDLER('crop-to-selection');
+      const alpha = async (x) => JSON.parse((await window.ADDRESS_MINIPAINT_HANDLER(`get-pixel x=${x} y=5`)).result).alpha;
+      const mask = window.AppConfig.layers.find((layer) => layer.name === 'red.png').mask.link;
+      return {
+        success: crop.success,
+        size: [mask.width, mask.height],
+        alphas: [await alpha(1), await alpha(4)]
+      };
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.size).toEqual([20, 20]);
+    expect(result.alphas).toEqual([255, 0]);
+  });
+});
+
+test.describe('miniPaint Adjustment Layers', () => {
+  // red 10x10 layer with adjustment layer above it
+  const openAdjusted = async (filter) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = 10;
+    canvas.height = 10;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ff0000';
+    ctx.fillRect(0, 0, 10, 10);
+    await window.Layers.insert({ type: 'image', name: 'red.png', data: canvas.toDataURL(), x: 0, y: 0, width: 10, height: 10 });
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    await window.Layers.insert({ type: 'adjustment', name: 'Adjustment', color: null, filters: [filter] });
+  };
+
+  const pixel = (page, x) => page.evaluate(async (x) => {
+    return JSON.parse((await window.ADDRESS_MINIPAINT_HANDLER(`get-pixel x=${x} y=5`)).result);
+  }, x);
+
+  test('adjustment filters change layers below by opacity and keep transparent pixels', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(openAdjusted, { id: 1, name: 'invert', params: { value: 100 } });
+
+    expect((await pixel(page, 2)).hex).toBe('#00ffff');
+    expect((await pixel(page, 20)).alpha).toBe(0);
+
+    await page.evaluate(() => { window.AppConfig.layer.opacity = 50; });
+    const mixed = await pixel(page, 2);
+    expect(Math.abs(mixed.red - 128)).toBeLessThanOrEqual(1);
+    expect(Math.abs(mixed.green - 128)).toBeLessThanOrEqual(1);
+
+    await page.evaluate(() => { window.AppConfig.layer.visible = false; });
+    expect((await pixel(page, 2)).hex).toBe('#ff0000');
+  });
+
+  test('adjustment params are edited in layer details, undoable and saved in JSON', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(openAdjusted, { id: 7, name: 'brightness', params: { value: 0 } });
+    await page.waitForTimeout(200);
+
+    const input = page.locator('#adjustments_container input[data-key="value"]');
+    await input.fill('-100');
+    await input.blur();
+    expect((await pixel(page, 2)).hex).toBe('#000000');
+
+    const saved = await page.evaluate(() => JSON.parse(window.FileSave.export_as_json()).layers.find((layer) => layer.name === 'Adjustment'));
+    expect(saved.type).toBe('adjustment');
+    expect(saved.filters[0].params.value).toBe(-100);
+
+    await page.evaluate(() => window.State.undo_action());
+    expect((await pixel(page, 2)).hex).toBe('#ff0000');
+
+    await page.evaluate(async (saved) => {
+      const json = JSON.parse(window.FileSave.export_as_json());
+      json.layers = json.layers.map((layer) => layer.name === 'Adjustment' ? saved : layer);
+      await window.FileOpen.load_json(json);
+    }, saved);
+    expect((await pixel(page, 2)).hex).toBe('#000000');
+  });
+});
+
+test.describe('miniPaint Smart Objects', () => {
+  // 10x10 smart object, red left half and blue right half, flipped horizontally
+  const openSmart = async () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = 10;
+    canvas.height = 10;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ff0000';
+    ctx.fillRect(0, 0, 5, 10);
+    ctx.fillStyle = '#0000ff';
+    ctx.fillRect(5, 0, 5, 10);
+    await window.Layers.insert({
+      type: 'smart_object', name: 'Smart', data: canvas.toDataURL(), x: 0, y: 0, width: 10, height: 10,
+      params: { transforms: [{ type: 'flip', params: { direction: 'Horizontal' } }] },
+    });
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  };
+
+  const clickMenu = async (page, names) => {
+    for (const name of names) {
+      await page.getByRole('menuitem', { name, exact: true }).click();
+    }
+  };
+
+  const pixel = (page, x) => page.evaluate(async (x) => {
+    return JSON.parse((await window.ADDRESS_MINIPAINT_HANDLER(`get-pixel x=${x} y=5`)).result);
+  }, x);
+
+  test('transforms are rendered from the source, edited in layer details and saved in JSON', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(openSmart);
+
+    expect((await pixel(page, 2)).hex).toBe('#0000ff');
+
+    await page.selectOption('#add_transform', 'scale');
+    const input = page.locator('#transforms_container input[data-key="x"]');
+    await input.fill('50');
+    await input.blur();
+    expect((await pixel(page, 1)).alpha).toBe(0);
+    expect((await pixel(page, 4)).hex).toBe('#0000ff');
+
+    await page.evaluate(() => window.State.undo_action());
+    expect((await pixel(page, 1)).hex).toBe('#0000ff');
+
+    const reopened = await page.evaluate(async () => {
+      const json = JSON.parse(window.FileSave.export_as_json());
+      const saved = json.layers.find((layer) => layer.name === 'Smart');
+      await window.FileOpen.load_json(json);
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      return { type: saved.type, transforms: saved.params.transforms, data: json.data.some((item) => item.id === saved.id) };
+    });
+    expect(reopened.type).toBe('smart_object');
+    expect(reopened.transforms.map((item) => item.type)).toEqual(['flip', 'scale']);
+    expect(reopened.data).toBe(true);
+    expect((await pixel(page, 2)).hex).toBe('#0000ff');
+  });
+
+  test('edit contents replaces the source and keeps transforms', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(openSmart);
+
+    await clickMenu(page, ['Layer', 'Smart Object', 'Edit Contents']);
+    await page.waitForTimeout(200);
+    const editing = await page.evaluate(() => ({
+      name: window.AppConfig.layer.name,
+      hidden: window.AppConfig.layers.find((layer) => layer.name === 'Smart').visible === false,
+    }));
+    expect(editing).toEqual({ name: 'Smart contents', hidden: true });
+
+    await page.evaluate(() => {
+      window.AppConfig.layer.filters.push({ id: 1, name: 'invert', params: { value: 100 } });
+    });
+    await clickMenu(page, ['Layer', 'Smart Object', 'Save Contents']);
+    await page.waitForTimeout(300);
+
+    const layers = await page.evaluate(() => window.AppConfig.layers.map((layer) => layer.name));
+    expect(layers).not.toContain('Smart contents');
+    expect((await pixel(page, 2)).hex).toBe('#ffff00');
+    expect((await pixel(page, 7)).hex).toBe('#00ffff');
+  });
+
+  test('flip command adds a flip transform to a smart object', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(openSmart);
+
+    const result = await page.evaluate(async () => {
+      const response = await window.ADDRESS_MINIPAINT_HANDLER('flip direction=horizontal');
+      return { success: response.success, transforms: window.AppConfig.layer.params.transforms.map((item) => item.type) };
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.transforms).toEqual(['flip', 'flip']);
+    expect((await pixel(page, 2)).hex).toBe('#ff0000');
+  });
+});
+
+test.describe('miniPaint Selection Shapes', () => {
+  // 100x100 red image layer named Red with blue 30x30 top right corner, Selection tool active with given mode
+  const openImage = async (mode) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = 100;
+    canvas.height = 100;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ff0000';
+    ctx.fillRect(0, 0, 100, 100);
+    ctx.fillStyle = '#0000ff';
+    ctx.fillRect(70, 0, 30, 30);
+    await window.Layers.insert({ type: 'image', name: 'Red', data: canvas.toDataURL(), x: 0, y: 0 });
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    await window.ADDRESS_MINIPAINT_HANDLER('select-all');
+    await window.ADDRESS_MINIPAINT_HANDLER('deselect');
+    window.AppConfig.TOOL.attributes.mode.value = mode;
+  };
+
+  const clickMenu = async (page, names) => {
+    for (const name of names) {
+      await page.getByRole('menuitem', { name, exact: true }).click();
+    }
+  };
+
+  const pixel = (page, x, y) => page.evaluate(async ([x, y]) => {
+    return JSON.parse((await window.ADDRESS_MINIPAINT_HANDLER(`get-pixel x=${x} y=${y} layer=Red`)).result);
+  }, [x, y]);
+
+  test('ellipse selection deletes only pixels inside the ellipse', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(openImage, 'Ellipse');
+
+    const box = await page.locator('#canvas_minipaint').boundingBox();
+    await page.mouse.move(box.x + 10, box.y + 10);
+    await page.mouse.down();
+    await page.mouse.move(box.x + 90, box.y + 90, { steps: 5 });
+    await page.mouse.up();
+
+    const selection = await page.evaluate(async () => JSON.parse((await window.ADDRESS_MINIPAINT_HANDLER('get-selection')).result));
+    expect(selection.shape).toBe('ellipse');
+    expect([selection.x, selection.y, selection.width, selection.height].map(Math.round)).toEqual([10, 10, 80, 80]);
+
+    await page.keyboard.press('Delete');
+    expect((await pixel(page, 50, 50)).alpha).toBe(0);
+    expect((await pixel(page, 12, 12)).hex).toBe('#ff0000');
+  });
+
+  test('polygonal lasso selection is filled and cut by its shape', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(openImage, 'Polygonal Lasso');
+
+    const box = await page.locator('#canvas_minipaint').boundingBox();
+    for (const [x, y] of [[10, 10], [90, 10], [10, 90]]) {
+      await page.mouse.click(box.x + x, box.y + y);
+    }
+    await page.keyboard.press('Enter');
+
+    const selection = await page.evaluate(async () => JSON.parse((await window.ADDRESS_MINIPAINT_HANDLER('get-selection')).result));
+    expect(selection.shape).toBe('polygon');
+    expect(selection.points.map((point) => [Math.round(point.x), Math.round(point.y)])).toEqual([[10, 10], [90, 10], [10, 90]]);
+
+    await page.evaluate(() => { window.AppConfig.COLOR = '#0000ff'; });
+    await clickMenu(page, ['Edit', 'Fill Selection']);
+    expect((await pixel(page, 20, 20)).hex).toBe('#0000ff');
+    expect((await pixel(page, 80, 80)).hex).toBe('#ff0000');
+
+    const layers = await page.evaluate(() => window.AppConfig.layers.length);
+    await clickMenu(page, ['Edit', 'Cut Selection']);
+    const cut = await page.evaluate(() => ({
+      layers: window.AppConfig.layers.length,
+      width: window.AppConfig.layer.width,
+      height: window.AppConfig.layer.height,
+    }));
+    expect(cut).toEqual({ layers: layers + 1, width: 80, height: 80 });
+    expect((await pixel(page, 20, 20)).alpha).toBe(0);
+    expect((await pixel(page, 80, 80)).hex).toBe('#ff0000');
+  });
+
+  test('magic wand selects similar pixels and combines with shift and alt', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(openImage, 'Magic Wand');
+    await page.evaluate(() => { window.AppConfig.TOOL.attributes.anti_aliasing = false; });
+    const getSelection = () => page.evaluate(async () => JSON.parse((await window.ADDRESS_MINIPAINT_HANDLER('get-selection')).result));
+
+    const box = await page.locator('#canvas_minipaint').boundingBox();
+    await page.mouse.click(box.x + 85, box.y + 15);
+    expect(await getSelection()).toEqual({ x: 70, y: 0, width: 30, height: 30, shape: 'mask' });
+
+    await page.keyboard.down('Shift');
+    await page.mouse.click(box.x + 10, box.y + 90);
+    await page.keyboard.up('Shift');
+    expect(await getSelection()).toEqual({ x: 0, y: 0, width: 100, height: 100, shape: 'mask' });
+
+    await page.keyboard.down('Alt');
+    await page.mouse.click(box.x + 85, box.y + 15);
+    await page.keyboard.up('Alt');
+    await page.keyboard.press('Delete');
+    expect((await pixel(page, 85, 15)).hex).toBe('#0000ff');
+    expect((await pixel(page, 10, 90)).alpha).toBe(0);
+
+    await page.evaluate(() => window.State.undo_action());
+    expect((await pixel(page, 10, 90)).hex).toBe('#ff0000');
+  });
+
+  test('color range selects pixels of a color in the whole layer', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(openImage, 'Rectangle');
+    await page.evaluate(() => { window.AppConfig.COLOR = '#0000ff'; });
+
+    await clickMenu(page, ['Select', 'Color Range']);
+    await page.locator('[data-id="popup_ok"]').click();
+
+    const result = await page.evaluate(async () => {
+      const selection = JSON.parse((await window.ADDRESS_MINIPAINT_HANDLER('get-selection')).result);
+      await window.ADDRESS_MINIPAINT_HANDLER('fill-selection color=#00ff00');
+      return selection;
+    });
+    expect(result.shape).toBe('mask');
+    expect((await pixel(page, 85, 15)).hex).toBe('#00ff00');
+    expect((await pixel(page, 50, 50)).hex).toBe('#ff0000');
+  });
+
+  test('shift, alt and shift+alt add, subtract and intersect rectangles', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(openImage, 'Rectangle');
+    const getSelection = () => page.evaluate(async () => JSON.parse((await window.ADDRESS_MINIPAINT_HANDLER('get-selection')).result));
+
+    const box = await page.locator('#canvas_minipaint').boundingBox();
+    const drag = async (from, to, modifiers = []) => {
+      for (const key of modifiers) await page.keyboard.down(key);
+      await page.mouse.move(box.x + from, box.y + from);
+      await page.mouse.down();
+      await page.mouse.move(box.x + to, box.y + to, { steps: 5 });
+      await page.mouse.up();
+      for (const key of modifiers) await page.keyboard.up(key);
+    };
+
+    await drag(10, 30);
+    await drag(50, 70, ['Shift']);
+    expect(await getSelection()).toEqual({ x: 10, y: 10, width: 60, height: 60, shape: 'mask' });
+
+    const ants = await page.evaluate(async () => {
+      const before = window.Layers.Base_selection.ants_offset;
+      await new Promise((resolve) => setTimeout(resolve, 600));
+      return [before, window.Layers.Base_selection.ants_offset];
+    });
+    expect(ants[1]).not.toBe(ants[0]);
+
+    await drag(5, 35, ['Alt']);
+    expect(await getSelection()).toEqual({ x: 50, y: 50, width: 20, height: 20, shape: 'mask' });
+
+    await drag(60, 90, ['Shift', 'Alt']);
+    expect(await getSelection()).toEqual({ x: 60, y: 60, width: 10, height: 10, shape: 'mask' });
+
+    await page.evaluate(() => window.ADDRESS_MINIPAINT_HANDLER('fill-selection color=#00ff00'));
+    expect((await pixel(page, 65, 65)).hex).toBe('#00ff00');
+    expect((await pixel(page, 55, 55)).hex).toBe('#ff0000');
+  });
+
+  test('combined rectangles stay rectangles and ants move without rendering layers', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(openImage, 'Rectangle');
+    const getSelection = () => page.evaluate(async () => JSON.parse((await window.ADDRESS_MINIPAINT_HANDLER('get-selection')).result));
+
+    const box = await page.locator('#canvas_minipaint').boundingBox();
+    const drag = async (x1, y1, x2, y2, modifiers = []) => {
+      for (const key of modifiers) await page.keyboard.down(key);
+      await page.mouse.move(box.x + x1, box.y + y1);
+      await page.mouse.down();
+      await page.mouse.move(box.x + x2, box.y + y2, { steps: 5 });
+      await page.mouse.up();
+      for (const key of modifiers) await page.keyboard.up(key);
+    };
+
+    await drag(10, 10, 30, 30);
+    await drag(30, 10, 50, 30, ['Shift']);
+    expect(await getSelection()).toEqual({ x: 10, y: 10, width: 40, height: 20 });
+
+    await drag(40, 5, 60, 35, ['Alt']);
+    expect(await getSelection()).toEqual({ x: 10, y: 10, width: 30, height: 20 });
+
+    await drag(20, 0, 60, 60, ['Shift', 'Alt']);
+    expect(await getSelection()).toEqual({ x: 20, y: 10, width: 20, height: 20 });
+
+    const result = await page.evaluate(async () => {
+      const layers = window.Layers;
+      const render_objects = layers.render_objects;
+      let renders = 0;
+      layers.render_objects = function () {
+        renders++;
+        return render_objects.apply(this, arguments);
+      };
+      const before = layers.Base_selection.ants_offset;
+      await new Promise((resolve) => setTimeout(resolve, 600));
+      layers.render_objects = render_objects;
+      return { renders, moved: layers.Base_selection.ants_offset !== before };
+    });
+    expect(result.moved).toBe(true);
+    expect(result.renders).toBe(0);
+  });
+
+  test('grow and invert modify the selection mask', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(openImage, 'Rectangle');
+    await page.evaluate(() => window.ADDRESS_MINIPAINT_HANDLER('select-rect x=10 y=10 width=20 height=20'));
+
+    await clickMenu(page, ['Select', 'Modify', 'Grow']);
+    await page.locator('[data-id="popup_ok"]').click();
+    const selection = await page.evaluate(async () => JSON.parse((await window.ADDRESS_MINIPAINT_HANDLER('get-selection')).result));
+    expect(selection).toEqual({ x: 5, y: 5, width: 30, height: 30, shape: 'mask' });
+
+    await clickMenu(page, ['Select', 'Invert']);
+    await page.evaluate(() => window.ADDRESS_MINIPAINT_HANDLER('fill-selection color=#00ff00'));
+    expect((await pixel(page, 20, 20)).hex).toBe('#ff0000');
+    expect((await pixel(page, 60, 60)).hex).toBe('#00ff00');
+  });
+
+  test('selection limits other tools and is saved to the document', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(openImage, 'Rectangle');
+    await page.evaluate(() => window.ADDRESS_MINIPAINT_HANDLER('select-rect x=10 y=10 width=20 height=20'));
+    const getSelection = () => page.evaluate(async () => JSON.parse((await window.ADDRESS_MINIPAINT_HANDLER('get-selection')).result || 'null'));
+
+    await page.locator('#tools_container .fill').click();
+    await page.evaluate(() => { window.AppConfig.COLOR = '#0000ff'; });
+    const box = await page.locator('#canvas_minipaint').boundingBox();
+    await page.mouse.click(box.x + 20, box.y + 20);
+    expect((await pixel(page, 20, 20)).hex).toBe('#0000ff');
+    expect((await pixel(page, 50, 50)).hex).toBe('#ff0000');
+
+    await clickMenu(page, ['Select', 'Save Selection']);
+    await page.locator('[data-id="popup_ok"]').click();
+    await page.keyboard.press('Escape');
+    expect(await getSelection()).toBeNull();
+
+    const channels = await page.evaluate(async () => {
+      const json = JSON.parse(window.FileSave.export_as_json());
+      await window.FileOpen.load_json(json);
+      return json.selection_channels.map((channel) => channel.name);
+    });
+    expect(channels).toEqual(['Selection 1']);
+
+    await clickMenu(page, ['Select', 'Load Selection']);
+    await page.locator('[data-id="popup_ok"]').click();
+    await page.waitForTimeout(200);
+    expect(await getSelection()).toEqual({ x: 10, y: 10, width: 20, height: 20, shape: 'mask' });
+  });
+});
+
+test.describe('miniPaint Query Commands', () => {
+  test('get-layer and get-document return JSON and stem tails', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      await window.ADDRESS_MINIPAINT_HANDLER('add-layer name=Probe');
+      await window.ADDRESS_MINIPAINT_HANDLER('set-opacity opacity=0.5');
+      const layer = await window.ADDRESS_MINIPAINT_HANDLER('get-layer layer=Probe');
+      const info = await window.ADDRESS_MINIPAINT_HANDLER('get-document');
+      return { layer: JSON.parse(layer.result), stem: layer.stem, document: JSON.parse(info.result), size: [window.AppConfig.WIDTH, window.AppConfig.HEIGHT] };
+    });
+
+    expect(result.layer.name).toBe('Probe');
+    expect(result.layer.opacity).toBe(0.5);
+    expect(result.stem.NAME).toBe('Probe');
+    expect(result.stem['FILTERS.0']).toBe(0);
+    expect([result.document.width, result.document.height]).toEqual(result.size);
+    expect(result.document.units).toBe('pixels');
+  });
+
+  test('get-pixel and get-histogram read the document as shown', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 10;
+      canvas.height = 10;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#ff0000';
+      ctx.fillRect(0, 0, 10, 10);
+      await window.Layers.insert({ type: 'image', name: 'red.png', data: canvas.toDataURL(), x: 0, y: 0, width: 10, height: 10 });
+      await new Promise((resolve) => setTimeout(resolve, 200));
+
+      const pixel = await window.ADDRESS_MINIPAINT_HANDLER('get-pixel x=5 y=5');
+      const histogram = await window.ADDRESS_MINIPAINT_HANDLER('get-histogram x=0 y=0 width=10 height=10');
+      const outside = await window.ADDRESS_MINIPAINT_HANDLER('get-pixel x=-1 y=5');
+      return { pixel: JSON.parse(pixel.result), histogram: JSON.parse(histogram.result), outside: outside.errorCode };
+    });
+
+    expect(result.pixel.hex).toBe('#ff0000');
+    expect(result.pixel.alpha).toBe(255);
+    expect(result.histogram.red[255]).toBe(100);
+    expect(result.histogram.mean.green).toBe(0);
+    expect(result.outside).toBe(431);
+  });
+
+  test('get-document reports the document saved only once the file was written', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      const dirty = async () => JSON.parse((await window.ADDRESS_MINIPAINT_HANDLER('get-document')).result).dirty;
+      await window.ADDRESS_MINIPAINT_HANDLER('add-layer name=Probe');
+
+      // Canvas that can not be encoded
+      const toBlob = HTMLCanvasElement.prototype.toBlob;
+      HTMLCanvasElement.prototype.toBlob = function (callback) {
+        callback(null);
+      };
+      let failed;
+      try {
+        failed = await window.ADDRESS_MINIPAINT_HANDLER('save-image output=probe.png');
+      } finally {
+        HTMLCanvasElement.prototype.toBlob = toBlob;
+      }
+      const dirtyAfterFailure = await dirty();
+
+      const saved = await window.ADDRESS_MINIPAINT_HANDLER('save-image output=probe.png');
+      return { failed: failed.success, dirtyAfterFailure, saved: saved.success, dirty: await dirty() };
+    });
+
+    expect(result).toEqual({ failed: false, dirtyAfterFailure: true, saved: true, dirty: false });
+  });
+});
+
+test.describe('miniPaint Command Catalogue', () => {
+  test('help describes parameters and error codes of a command', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      const help = await window.ADDRESS_MINIPAINT_HANDLER('help command=resize');
+      const unknown = await window.ADDRESS_MINIPAINT_HANDLER('help command=teleport');
+      const failing = await window.ADDRESS_MINIPAINT_HANDLER('resize');
+      return { help: JSON.parse(help.result), stem: help.stem, unknown: unknown.errorCode, failing: failing.errorCode };
+    });
+
+    const mode = result.help.params.find((param) => param.name === 'mode');
+    expect(mode).toMatchObject({ type: 'string', required: false, default: 'lanczos' });
+    expect(result.help.errors.map((error) => error.code)).toContain(result.failing);
+    expect(result.stem['PARAMS.0']).toBe(result.help.params.length);
+    expect(result.unknown).toBe(440);
+  });
+
+  test('list-commands covers every registered command', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      const list = await window.ADDRESS_MINIPAINT_HANDLER('list-commands');
+      const layers = await window.ADDRESS_MINIPAINT_HANDLER('list-commands group=layers');
+      return {
+        names: JSON.parse(list.result).map((command) => command.name),
+        handlers: Object.keys(window.MiniPaintRexxHandler.handlers),
+        layers: JSON.parse(layers.result).map((command) => command.group)
+      };
+    });
+
+    expect(result.names).toEqual(expect.arrayContaining(result.handlers));
+    expect(new Set(result.layers)).toEqual(new Set(['layers']));
+  });
+});
+
+test.describe('miniPaint Transactions', () => {
+  test('commit adds one undo step for the whole transaction', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      const historyBefore = window.State.action_history.length;
+      const layersBefore = window.AppConfig.layers.length;
+      await window.ADDRESS_MINIPAINT_HANDLER('begin-transaction name=Batch');
+      await window.ADDRESS_MINIPAINT_HANDLER('add-layer name=One');
+      await window.ADDRESS_MINIPAINT_HANDLER('add-layer name=Two');
+      await window.ADDRESS_MINIPAINT_HANDLER('set-opacity opacity=0.5');
+      const commit = await window.ADDRESS_MINIPAINT_HANDLER('commit');
+      const steps = window.State.action_history.length - historyBefore;
+      await window.State.undo_action();
+      return { count: commit.result, steps, layersRestored: window.AppConfig.layers.length === layersBefore };
+    });
+
+    expect(result.count).toBe(3);
+    expect(result.steps).toBe(1);
+    expect(result.layersRestored).toBe(true);
+  });
+
+  test('rollback restores the state after a failed command', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      const before = JSON.stringify(window.AppConfig.layers.map((layer) => [layer.id, layer.name, layer.opacity]));
+      const historyBefore = window.State.action_history.length;
+      await window.ADDRESS_MINIPAINT_HANDLER('begin-transaction');
+      await window.ADDRESS_MINIPAINT_HANDLER('add-layer name=Temp');
+      await window.ADDRESS_MINIPAINT_HANDLER('rename-layer name=Renamed');
+      const failed = await window.ADDRESS_MINIPAINT_HANDLER('set-opacity opacity=5');
+      const rollback = await window.ADDRESS_MINIPAINT_HANDLER('rollback');
+      const after = JSON.stringify(window.AppConfig.layers.map((layer) => [layer.id, layer.name, layer.opacity]));
+      return { failed: failed.success, rolledBack: rollback.result, same: before === after, history: window.State.action_history.length - historyBefore };
+    });
+
+    expect(result.failed).toBe(false);
+    expect(result.rolledBack).toBe(2);
+    expect(result.same).toBe(true);
+    expect(result.history).toBe(0);
+  });
+
+  test('commit without transaction fails', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      return await window.ADDRESS_MINIPAINT_HANDLER('commit');
+    });
+
+    expect(result.errorCode).toBe(401);
+  });
+
+  test('other sessions and the GUI can not change the document while a transaction is open', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 100;
+      canvas.height = 100;
+      canvas.getContext('2d').fillRect(0, 0, 100, 100);
+      await window.Layers.insert({ type: 'image', name: 'Image', data: canvas.toDataURL(), x: 0, y: 0 });
+      await new Promise((resolve) => setTimeout(resolve, 200));
+
+      const run = (command, session) => window.ADDRESS_MINIPAINT_HANDLER(command, {}, { session });
+      const historyBefore = window.State.action_history.length;
+      await run('begin-transaction name=One', 'one');
+      // The effect awaits between its steps, the other session runs meanwhile
+      const effect = run('apply-effect name=oil', 'one');
+      const other = await run('add-layer name=Other', 'two');
+      const read = await run('list-layers', 'two');
+      const foreignCommit = await run('commit', 'two');
+      await effect;
+      await run('add-layer name=InOne', 'one');
+      let guiDone = false;
+      const gui = await window.State.do_action({
+        action_id: 'gui',
+        do: async () => { guiDone = true; },
+        undo: async () => {},
+        free: () => {}
+      });
+      const historyDuring = window.State.action_history.length - historyBefore;
+      const rollback = await run('rollback', 'one');
+      const names = window.AppConfig.layers.map((layer) => layer.name);
+      return {
+        other: other.errorCode,
+        read: read.success,
+        foreignCommit: foreignCommit.errorCode,
+        gui: gui.status,
+        guiDone,
+        historyDuring,
+        rolledBack: rollback.result,
+        hasOther: names.includes('Other'),
+        hasInOne: names.includes('InOne'),
+        history: window.State.action_history.length - historyBefore
+      };
+    });
+
+    expect(result.other).toBe(6);
+    expect(result.read).toBe(true);
+    expect(result.foreignCommit).toBe(401);
+    expect(result.gui).toBe('aborted');
+    expect(result.guiDone).toBe(false);
+    expect(result.historyDuring).toBe(0);
+    expect(result.rolledBack).toBe(2);
+    expect(result.hasOther).toBe(false);
+    expect(result.hasInOne).toBe(false);
+    expect(result.history).toBe(0);
+  });
+
+  test('ending a session rolls back its open transaction', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      const layersBefore = window.AppConfig.layers.length;
+      await window.ADDRESS_MINIPAINT_HANDLER('begin-transaction', {}, { session: 'gone' });
+      await window.ADDRESS_MINIPAINT_HANDLER('add-layer name=Left', {}, { session: 'gone' });
+      const blocked = await window.ADDRESS_MINIPAINT_HANDLER('undo');
+      const count = await window.MiniPaintRexxHandler.endSession('gone');
+      return {
+        blocked: blocked.errorCode,
+        count,
+        open: window.State.transactions.size,
+        layersRestored: window.AppConfig.layers.length === layersBefore
+      };
+    });
+
+    expect(result.blocked).toBe(6);
+    expect(result.count).toBe(1);
+    expect(result.open).toBe(0);
+    expect(result.layersRestored).toBe(true);
+  });
+
+  test('closing the window of a director rolls back its transaction', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(() => window.enableMiniPaintControlBus());
+
+    const result = await page.evaluate(async () => {
+      const frame = document.createElement('iframe');
+      document.body.appendChild(frame);
+      const director = frame.contentWindow;
+      // Posted by a script of the frame, so the frame is the source
+      const post = (message) => new Promise((resolve) => {
+        const listener = (event) => {
+          if (event.data && event.data.id === message.id) {
+            director.removeEventListener('message', listener);
+            resolve(event.data);
+          }
+        };
+        director.addEventListener('message', listener);
+        director.eval(`parent.postMessage(${JSON.stringify(message)}, '*')`);
+      });
+
+      await post({ type: 'rpc-handshake', id: 'hello', protocol: 1 });
+      await post({ type: 'rpc-request', id: 'begin', method: 'begin-transaction', params: {} });
+      await post({ type: 'rpc-request', id: 'add', method: 'add-layer', params: { name: 'Director' } });
+      const added = window.AppConfig.layers.some((layer) => layer.name === 'Director');
+
+      frame.remove();
+      await new Promise((resolve) => setTimeout(resolve, 1500));
+      return {
+        added,
+        kept: window.AppConfig.layers.some((layer) => layer.name === 'Director'),
+        sessions: window.MiniPaintWorkerBridge.sessions.size,
+        open: window.State.transactions.size
+      };
+    });
+
+    expect(result).toEqual({ added: true, kept: false, sessions: 0, open: 0 });
+  });
+});
+
+test.describe('miniPaint Batch', () => {
+  test('batch runs script on each image and restores the document', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      const image = (width, height) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').fillRect(0, 0, 10, 10);
+        return canvas.toDataURL('image/png');
+      };
+      const before = JSON.stringify(window.AppConfig.layers.map((layer) => [layer.id, layer.name]));
+      const size = [window.AppConfig.WIDTH, window.AppConfig.HEIGHT];
+      const historyBefore = window.State.action_history.length;
+      const response = await window.ADDRESS_MINIPAINT_HANDLER('batch pattern="{index}-{name}" format=jpg download=false', {
+        files: [image(40, 30), image(20, 20)],
+        script: 'ADDRESS MINIPAINT "flip direction=horizontal"'
+      });
+      return {
+        response,
+        report: JSON.parse(response.result),
+        same: before === JSON.stringify(window.AppConfig.layers.map((layer) => [layer.id, layer.name])),
+        size: size[0] === window.AppConfig.WIDTH && size[1] === window.AppConfig.HEIGHT,
+        history: window.State.action_history.length - historyBefore,
+        transaction: window.State.transaction,
+        open: window.State.transactions.size
+      };
+    });
+
+    expect(result.response.success).toBe(true);
+    expect(result.report.map((item) => item.file)).toEqual(['1-image-1.jpg', '2-image-2.jpg']);
+    expect(result.same).toBe(true);
+    expect(result.size).toBe(true);
+    expect(result.history).toBe(0);
+    expect(result.transaction).toBe(null);
+    expect(result.open).toBe(0);
+  });
+
+  test('batch reports failing images and keeps going', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 10;
+      canvas.height = 10;
+      const response = await window.ADDRESS_MINIPAINT_HANDLER('batch download=false', {
+        files: ['data:image/png;base64,broken', canvas.toDataURL('image/png')],
+        script: 'ADDRESS MINIPAINT "flip direction=vertical"'
+      });
+      return { response, report: JSON.parse(response.result) };
+    });
+
+    expect(result.response.errorCode).toBe(415);
+    expect(result.report[0].success).toBe(false);
+    expect(result.report[0].error).toContain('could not be loaded');
+    expect(result.report[1].success).toBe(true);
+  });
+});
+
+test.describe('miniPaint Macro Recorder', () => {
+  const clickMenu = async (page, names) => {
+    for (const name of names) {
+      await page.getByRole('menuitem', { name, exact: true }).click();
+    }
+  };
+
+  test('records layer operations as a script', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    await clickMenu(page, ['Tools', 'Macro', 'Record Macro']);
+    await page.evaluate(async () => {
+      await window.ADDRESS_MINIPAINT_HANDLER('add-layer name="Sky Layer"');
+      await window.ADDRESS_MINIPAINT_HANDLER('set-opacity opacity=0.5');
+      await window.ADDRESS_MINIPAINT_HANDLER('set-composition composition=multiply');
+    });
+    await clickMenu(page, ['Tools', 'Macro', 'Stop Recording ...']);
+
+    const script = await page.locator('#pop_data_script').inputValue();
+    expect(script).toContain(`ADDRESS MINIPAINT 'add-layer name="Sky Layer"'`);
+    expect(script).toContain(`ADDRESS MINIPAINT 'set-opacity opacity=0.5'`);
+    expect(script).toContain(`ADDRESS MINIPAINT 'set-composition composition=multiply'`);
+  });
+
+  test('leaves undone steps out of the script', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    await clickMenu(page, ['Tools', 'Macro', 'Record Macro']);
+    await page.evaluate(async () => {
+      await window.ADDRESS_MINIPAINT_HANDLER('add-layer name=Kept');
+      await window.ADDRESS_MINIPAINT_HANDLER('add-layer name=Undone');
+      await window.State.undo_action();
+    });
+    await clickMenu(page, ['Tools', 'Macro', 'Stop Recording ...']);
+
+    const script = await page.locator('#pop_data_script').inputValue();
+    expect(script).toContain('add-layer name=Kept');
+    expect(script).not.toContain('Undone');
+  });
+
+  test('recorded names with quotes run back as the same names', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    await clickMenu(page, ['Tools', 'Macro', 'Record Macro']);
+    await page.evaluate(async () => {
+      await window.ADDRESS_MINIPAINT_HANDLER(`add-layer name="Bob's layer"`);
+    });
+    await clickMenu(page, ['Tools', 'Macro', 'Stop Recording ...']);
+
+    const script = await page.locator('#pop_data_script').inputValue();
+    expect(script).toContain(`ADDRESS MINIPAINT 'add-layer name="Bob''s layer"'`);
+
+    await page.locator('[data-id="popup_close"]').click();
+    await page.evaluate(() => {
+      document.getElementById('script_base').classList.remove('hidden');
+    });
+    await page.fill('#script_source', script);
+    await page.click('#script_run');
+    await expect(page.locator('#script_stop')).toBeDisabled();
+
+    const names = await page.evaluate(() => window.AppConfig.layers.map((layer) => layer.name));
+    expect(names.filter((name) => name === "Bob's layer")).toHaveLength(2);
+  });
+});
+
+test.describe('miniPaint Script Panel', () => {
+  test('saves scripts in browser storage', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    await page.getByRole('menuitem', { name: 'View', exact: true }).click();
+    await page.getByRole('menuitem', { name: 'Script Panel', exact: true }).click();
+    await expect(page.locator('#script_base')).toBeVisible();
+
+    await page.fill('#script_source', "ADDRESS MINIPAINT 'add-layer name=Saved'");
+    await page.fill('#script_name', 'My Script');
+    await page.click('#script_save');
+
+    await page.reload();
+    await page.waitForTimeout(2000);
+
+    // Panel stays open and the script can be picked from the list
+    await expect(page.locator('#script_base')).toBeVisible();
+    await page.fill('#script_source', '');
+    await page.selectOption('#script_saved', 'My Script');
+    expect(await page.locator('#script_source').inputValue()).toBe("ADDRESS MINIPAINT 'add-layer name=Saved'");
+  });
+
+  test('shows RC and RESULT and marks the failed line', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    await page.evaluate(() => {
+      document.getElementById('script_base').classList.remove('hidden');
+    });
+    await page.fill('#script_source', [
+      'SAY "Starting"',
+      "ADDRESS MINIPAINT 'add-layer name=First'",
+      "ADDRESS MINIPAINT 'delete-layer layer=Missing'",
+      "ADDRESS MINIPAINT 'add-layer name=Never'",
+    ].join('\n'));
+    await page.click('#script_run');
+    await expect(page.locator('#script_stop')).toBeDisabled();
+
+    const output = page.locator('#script_console');
+    await expect(output).toContainText('Starting');
+    await expect(output).toContainText('add-layer name=First -> RC=0');
+    await expect(page.locator('#script_console .script_error')).toHaveCount(1);
+    await expect(page.locator('#script_lines .error')).toHaveText('3');
+
+    const names = await page.evaluate(() => window.AppConfig.layers.map((layer) => layer.name));
+    expect(names).not.toContain('Never');
+  });
+});
+
+test.describe('miniPaint Control Bus Security', () => {
+  // Posts to the worker bridge from the page itself, a same origin director
+  const post = (page, message) => page.evaluate((message) => new Promise((resolve) => {
+    const listener = (event) => {
+      if (event.data && event.data.id === message.id && event.data.type !== message.type) {
+        window.removeEventListener('message', listener);
+        resolve(event.data);
+      }
+    };
+    window.addEventListener('message', listener);
+    window.postMessage(message, window.location.origin);
+  }), message);
+
+  test('stays off until origins are configured and takes scopes from the catalogue', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const before = await page.evaluate(() => window.MiniPaintWorkerBridge === undefined);
+    expect(before).toBe(true);
+
+    await page.evaluate(() => window.enableMiniPaintControlBus());
+    const handshake = await post(page, { type: 'rpc-handshake', id: 'hello', protocol: 1, scopes: ['read'] });
+    expect(handshake.commands).toContain('get-document');
+    expect(handshake.commands).toContain('get-layer-pixels');
+    expect(handshake.commands).toContain('help');
+    expect(handshake.commands).not.toContain('put-layer-pixels');
+  });
+
+  test('rejects requests before the handshake', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(() => window.enableMiniPaintControlBus());
+
+    const response = await post(page, { type: 'rpc-request', id: 'early', method: 'get-canvas-size', params: {} });
+    expect(response.success).toBe(false);
+    expect(response.errorCode).toBe(502);
+    expect(response.reason).toBe('handshake-required');
+  });
+
+  test('limits a read-only director to query commands', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(() => window.enableMiniPaintControlBus());
+
+    const handshake = await post(page, { type: 'rpc-handshake', id: 'hello', protocol: 1, scopes: ['read'] });
+    expect(handshake.success).toBe(true);
+    expect(handshake.scopes).toEqual(['read']);
+    expect(handshake.commands).toContain('list-layers');
+    expect(handshake.commands).not.toContain('add-layer');
+
+    const query = await post(page, { type: 'rpc-request', id: 'query', method: 'get-canvas-size', params: {} });
+    expect(query.success).toBe(true);
+
+    const change = await post(page, { type: 'rpc-request', id: 'change', method: 'add-layer', params: {} });
+    expect(change.success).toBe(false);
+    expect(change.errorCode).toBe(503);
+    expect(change.reason).toBe('permission-denied');
+  });
+});
+
+test.describe('miniPaint Control Bus Events', () => {
+  test('pushes layer, history and dirty events to subscribers', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(() => window.enableMiniPaintControlBus());
+
+    const events = await page.evaluate(async () => {
+      const received = [];
+      const replies = {};
+      window.addEventListener('message', (event) => {
+        if (event.data.type === 'rpc-event') {
+          received.push(event.data);
+        } else if (String(event.data.type).endsWith('-response')) {
+          replies[event.data.id] = event.data;
+        }
+      });
+      const post = async (message) => {
+        window.postMessage(message, window.location.origin);
+        while (!replies[message.id]) {
+          await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        return replies[message.id];
+      };
+
+      await post({ type: 'rpc-handshake', id: 'hello', protocol: 1 });
+      await post({ type: 'rpc-subscribe', id: 'sub', events: ['layer-added', 'history-changed', 'document-dirty'] });
+      await post({ type: 'rpc-request', id: 'add', method: 'add-layer name=Pushed', params: {} });
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      return received;
+    });
+
+    const added = events.find((item) => item.event === 'layer-added');
+    expect(added.payload.name).toBe('Pushed');
+    const history = events.find((item) => item.event === 'history-changed');
+    expect(history.payload.event).toBe('do');
+    expect(history.payload.canUndo).toBe(true);
+    const dirty = events.find((item) => item.event === 'document-dirty');
+    expect(dirty.payload.dirty).toBe(true);
+  });
+
+  test('rejects unknown event names', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(() => window.enableMiniPaintControlBus());
+
+    const reply = await page.evaluate(async () => {
+      const replies = {};
+      window.addEventListener('message', (event) => {
+        if (String(event.data.type).endsWith('-response')) {
+          replies[event.data.id] = event.data;
+        }
+      });
+      window.postMessage({ type: 'rpc-handshake', id: 'hello', protocol: 1 }, window.location.origin);
+      window.postMessage({ type: 'rpc-subscribe', id: 'sub', events: ['layer-exploded'] }, window.location.origin);
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      return replies.sub;
+    });
+
+    expect(reply.success).toBe(false);
+    expect(reply.errorCode).toBe(505);
+    expect(reply.reason).toBe('invalid-request');
+  });
+});
+
+test.describe('miniPaint Control Bus Binary Data', () => {
+  test('joins chunked pixels and reads them back', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(() => window.enableMiniPaintControlBus());
+
+    const pixels = await page.evaluate(async () => {
+      const replies = {};
+      window.addEventListener('message', (event) => {
+        if (String(event.data.type).endsWith('-response')) {
+          replies[event.data.id] = event.data;
+        }
+      });
+      const wait = async (id) => {
+        while (!replies[id]) {
+          await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        return replies[id];
+      };
+
+      window.postMessage({ type: 'rpc-handshake', id: 'hello', protocol: 1 }, window.location.origin);
+      await wait('hello');
+
+      // 2x2 red pixels sent as two chunks of 8 bytes
+      const bytes = new Uint8Array(16);
+      for (let i = 0; i < 16; i += 4) {
+        bytes.set([255, 0, 0, 255], i);
+      }
+      for (const index of [0, 1]) {
+        const data = bytes.slice(index * 8, index * 8 + 8).buffer;
+        window.postMessage({ type: 'rpc-chunk', id: 'put', index, count: 2, offset: index * 8, byteLength: 16, data }, window.location.origin, [data]);
+      }
+      window.postMessage({
+        type: 'rpc-request',
+        id: 'put',
+        method: 'put-layer-pixels',
+        params: { data: { chunked: true, byteLength: 16, count: 2 }, width: 2, height: 2, x: 5, y: 5 }
+      }, window.location.origin);
+      const put = await wait('put');
+
+      const read = await window.ADDRESS_MINIPAINT_HANDLER('get-layer-pixels x=5 y=5 width=2 height=2');
+      return { put: put.success, read: read.success, data: Array.from(new Uint8Array(read.result.data)) };
+    });
+
+    expect(pixels.put).toBe(true);
+    expect(pixels.read).toBe(true);
+    expect(pixels.data.slice(0, 4)).toEqual([255, 0, 0, 255]);
+    expect(pixels.data.length).toBe(16);
+  });
+
+  test('answers chunks that do not fit with an error and drops chunks without a message', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(() => window.enableMiniPaintControlBus());
+
+    const result = await page.evaluate(async () => {
+      const replies = {};
+      window.addEventListener('message', (event) => {
+        if (String(event.data.type).endsWith('-response')) {
+          replies[event.data.id] = event.data;
+        }
+      });
+      const wait = async (id) => {
+        while (!replies[id]) {
+          await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        return replies[id];
+      };
+
+      window.MiniPaintWorkerBridge.chunkTimeout = 50;
+      window.postMessage({ type: 'rpc-handshake', id: 'hello', protocol: 1 }, window.location.origin);
+      await wait('hello');
+      const chunks = window.MiniPaintWorkerBridge.sessions.get(window).chunks;
+
+      // 8 bytes at offset 12 of 16
+      const outside = new ArrayBuffer(8);
+      window.postMessage({ type: 'rpc-chunk', id: 'outside', index: 1, count: 2, offset: 12, byteLength: 16, data: outside }, window.location.origin, [outside]);
+      const rejected = await wait('outside');
+
+      const first = new ArrayBuffer(8);
+      window.postMessage({ type: 'rpc-chunk', id: 'left', index: 0, count: 2, offset: 0, byteLength: 16, data: first }, window.location.origin, [first]);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      const waiting = chunks.buffers.size;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      return { rejected, waiting, left: chunks.buffers.size, bytes: chunks.byteLength };
+    });
+
+    expect(result.rejected.success).toBe(false);
+    expect(result.rejected.errorCode).toBe(505);
+    expect(result.waiting).toBe(1);
+    expect(result.left).toBe(0);
+    expect(result.bytes).toBe(0);
+  });
+
+  test('keeps only the chunk bytes that arrived and refuses more than maxChunkedBytes', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(() => window.enableMiniPaintControlBus());
+
+    const result = await page.evaluate(async () => {
+      const replies = {};
+      window.addEventListener('message', (event) => {
+        if (String(event.data.type).endsWith('-response')) {
+          replies[event.data.id] = event.data;
+        }
+      });
+      const wait = async (id) => {
+        while (!replies[id]) {
+          await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        return replies[id];
+      };
+      const send = (id, index, count, byteLength) => {
+        const data = new ArrayBuffer(8);
+        window.postMessage({ type: 'rpc-chunk', id, index, count, offset: index * 8, byteLength, data }, window.location.origin, [data]);
+      };
+
+      window.MiniPaintWorkerBridge.maxChunkedBytes = 24;
+      window.postMessage({ type: 'rpc-handshake', id: 'hello', protocol: 1 }, window.location.origin);
+      await wait('hello');
+      const chunks = window.MiniPaintWorkerBridge.sessions.get(window).chunks;
+
+      // Claims 1 GB
+      send('huge', 0, 2, 1024 * 1024 * 1024);
+      const huge = await wait('huge');
+
+      // Claims 24 bytes, sends 8
+      send('part', 0, 3, 24);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      const partBytes = chunks.byteLength;
+
+      // Third chunk goes over 24 bytes together with part
+      for (let index = 0; index < 3; index++) {
+        send('over', index, 3, 24);
+      }
+      const over = await wait('over');
+      return { huge: huge.errorCode, partBytes, over: over.errorCode, ids: [...chunks.buffers.keys()], bytes: chunks.byteLength };
+    });
+
+    expect(result.huge).toBe(505);
+    expect(result.partBytes).toBe(8);
+    expect(result.over).toBe(505);
+    expect(result.ids).toEqual(['part']);
+    expect(result.bytes).toBe(8);
+  });
+
+  test('rejects a region outside of the layer', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      return await window.ADDRESS_MINIPAINT_HANDLER('get-layer-pixels x=-1 y=0 width=10 height=10');
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.errorCode).toBe(421);
+  });
+});
+
+test.describe('miniPaint Control Bus Progress and Cancellation', () => {
+  test('cancels a running effect and reports its stage', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    await page.evaluate(() => window.enableMiniPaintControlBus());
+
+    const messages = await page.evaluate(async () => {
+      const progress = [];
+      const replies = {};
+      window.addEventListener('message', (event) => {
+        if (event.data.type === 'rpc-progress') {
+          progress.push(event.data);
+        } else if (String(event.data.type).endsWith('-response')) {
+          replies[event.data.id] = event.data;
+        }
+      });
+      const wait = async (id) => {
+        while (!replies[id]) {
+          await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        return replies[id];
+      };
+
+      window.postMessage({ type: 'rpc-handshake', id: 'hello', protocol: 1 }, window.location.origin);
+      await wait('hello');
+
+      window.postMessage({ type: 'rpc-request', id: 'oil', method: 'apply-effect name=oil', params: {} }, window.location.origin);
+      window.postMessage({ type: 'rpc-cancel', id: 'oil' }, window.location.origin);
+      const reply = await wait('oil');
+      return { progress, reply };
+    });
+
+    expect(messages.progress[0].stage).toBe('preparing');
+    expect(messages.reply.success).toBe(false);
+    expect(messages.reply.result.errorCode).toBe(5);
+  });
+
+  test('does not start a command whose signal is aborted', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      const controller = new AbortController();
+      controller.abort();
+      return await window.ADDRESS_MINIPAINT_HANDLER('add-layer name=Never', {}, { signal: controller.signal });
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.errorCode).toBe(5);
+  });
+
+  test('commands that run at the same time report to and are cancelled by their own caller', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 100;
+      canvas.height = 100;
+      canvas.getContext('2d').fillRect(0, 0, 100, 100);
+      await window.Layers.insert({ type: 'image', name: 'Image', data: canvas.toDataURL(), x: 0, y: 0 });
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      const run = (stages, signal) => window.ADDRESS_MINIPAINT_HANDLER('apply-effect name=oil', {}, {
+        signal,
+        onProgress: (percent, stage) => stages.push(stage)
+      });
+      const first = { stages: [], controller: new AbortController() };
+      const second = { stages: [], controller: new AbortController() };
+      const runFirst = run(first.stages, first.controller.signal);
+      const runSecond = run(second.stages, second.controller.signal);
+      second.controller.abort();
+      return {
+        first: (await runFirst).errorCode,
+        second: (await runSecond).errorCode,
+        firstStages: first.stages,
+        secondStages: second.stages
+      };
+    });
+
+    expect(result.first).toBe(0);
+    expect(result.second).toBe(5);
+    expect(result.firstStages).toContain('done');
+    expect(result.secondStages).not.toContain('done');
+  });
+});
+
+test.describe('miniPaint Transports', () => {
+  test('runs commands that arrive over a plugged-in transport', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const result = await page.evaluate(async () => {
+      const transport = {
+        started: false,
+        start(handler) {
+          this.started = true;
+          this.handler = handler;
+        },
+        stop() {
+          this.started = false;
+        }
+      };
+      window.MiniPaintRexxHandler.addTransport(transport);
+      const response = await transport.handler.run('add-layer name=Remote', {}, { source: 'test' });
+      window.MiniPaintRexxHandler.removeTransport(transport);
+      return { response, started: transport.started };
+    });
+
+    expect(result.response.success).toBe(true);
+    expect(result.response.output).toContain('Remote');
+    expect(result.started).toBe(false);
+  });
+
+  test('WebSocket transport answers a request with data that is not base64', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+
+    const sent = await page.evaluate(async () => {
+      const transport = new window.MiniPaintWebSocketTransport({ url: 'ws://127.0.0.1:1/app', reconnectDelay: 0 });
+      const sent = [];
+      transport.handler = window.MiniPaintRexxHandler;
+      transport.send = (message) => sent.push(message);
+      await transport.onRequest({ type: 'request', id: 7, command: 'put-pixels', params: { data: '%not base64%', dataEncoding: 'base64' } });
+      return sent;
+    });
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0]).toMatchObject({ type: 'response', id: 7, response: { success: false, errorCode: 513 } });
+  });
+});
+
+test.describe('miniPaint Relay', () => {
+  // Resolves with the status of a WebSocket handshake, and the socket when it succeeded
+  const upgrade = (port, path, headers = {}) => new Promise((resolve, reject) => {
+    const request = http.request({ host: '127.0.0.1', port, path, headers: {
+      Connection: 'Upgrade',
+      Upgrade: 'websocket',
+      'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+      ...headers
+    } });
+    request.on('response', (response) => resolve({ status: response.statusCode, socket: null }));
+    request.on('upgrade', (response, socket) => resolve({ status: response.statusCode, socket }));
+    request.on('error', reject);
+    request.end();
+  });
+
+  const listen = async (options) => {
+    const relay = new Relay({ port: 0, timeout: 10000, ...options });
+    const server = relay.listen();
+    await new Promise((resolve) => server.once('listening', resolve));
+    return { relay, server, port: server.address().port };
+  };
+
+  test('passes commands from HTTP clients to the page and back', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForTimeout(2000);
+    const { relay, server, port } = await listen({ token: 'secret', origin: new URL(BASE_URL).origin });
+
+    try {
+      await page.evaluate((port) => {
+        window.MiniPaintRexxHandler.addTransport(new window.MiniPaintWebSocketTransport({
+          url: `ws://127.0.0.1:${port}/app`,
+          token: 'secret'
+        }));
+      }, port);
+      await expect.poll(() => relay.app !== null).toBe(true);
+
+      const send = async (body) => {
+        const response = await fetch(`http://127.0.0.1:${port}/command`, {
+          method: 'POST',
+          headers: { Authorization: 'Bearer secret', 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+        return response.json();
+      };
+      const size = await send({ command: 'get-canvas-size' });
+      expect(size.success).toBe(true);
+
+      const invalid = await send({ command: 'put-pixels', params: { data: '%not base64%', dataEncoding: 'base64' } });
+      expect(invalid.success).toBe(false);
+      expect(invalid.errorCode).toBe(513);
+
+      // The connected page keeps its place
+      const second = await upgrade(port, '/app?token=secret', { Origin: new URL(BASE_URL).origin });
+      expect(second.status).toBe(409);
+      expect((await send({ command: 'get-canvas-size' })).success).toBe(true);
+    } finally {
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+
+  test('refuses pages from other origins, open access from the network and oversized messages', async () => {
+    expect(() => new Relay({ host: '0.0.0.0' })).toThrow('--token');
+
+    const { server, port } = await listen({ max_payload: 1000 });
+    try {
+      expect((await upgrade(port, '/app', { Origin: 'https://example.com' })).status).toBe(403);
+      expect((await upgrade(port, '/app')).status).toBe(403);
+
+      const response = await fetch(`http://127.0.0.1:${port}/command`, { method: 'POST', body: 'x'.repeat(2000) });
+      expect(response.status).toBe(413);
+      expect((await response.json()).errorCode).toBe(513);
+
+      const notObject = await fetch(`http://127.0.0.1:${port}/command`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: 'null'
+      });
+      expect(notObject.status).toBe(400);
+
+      // Masked text frame with JSON that is not an object, answered instead of stopping the relay
+      const client = await upgrade(port, '/client');
+      const answer = new Promise((resolve) => client.socket.once('data', resolve));
+      client.socket.write(Buffer.from([0x81, 0x80 | 4, 0, 0, 0, 0, ...Buffer.from('null')]));
+      const reply = JSON.parse((await answer).subarray(2).toString());
+      expect(reply.errorCode).toBe(513);
+
+      // Header of a masked text frame that announces 2000 bytes
+      const header = Buffer.alloc(14);
+      header[0] = 0x81;
+      header[1] = 0x80 | 127;
+      header.writeBigUInt64BE(2000n, 2);
+      const closing = new Promise((resolve) => client.socket.once('data', resolve));
+      client.socket.write(header);
+      const frame = await closing;
+      expect(frame[0]).toBe(0x88);
+      expect(frame.readUInt16BE(2)).toBe(1009);
+      client.socket.destroy();
+    } finally {
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+});
+
 test.describe('miniPaint Control Bus (Iframe)', () => {
   test('Control bus demo page loads', async ({ page }) => {
     await page.goto(CONTROL_BUS_URL);
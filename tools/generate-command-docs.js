@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * Writes the command reference and error code table of MINIPAINT_COMMANDS.md
+ * from src/js/modules/rexxjs/command-catalogue.js
+ *
+ * Usage:  node tools/generate-command-docs.js [--check]
+ *
+ * Only the parts between <!-- BEGIN GENERATED ... --> and <!-- END GENERATED ... --> are replaced.
+ * With --check nothing is written, exit code is 1 when the file is not up to date.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+var ROOT = path.join(__dirname, '..');
+var CATALOGUE = path.join(ROOT, 'src/js/modules/rexxjs/command-catalogue.js');
+var DOCS = path.join(ROOT, 'MINIPAINT_COMMANDS.md');
+
+/**
+ * The catalogue is an ES module without imports, loaded from a data URL to not need a package type
+ */
+function load_catalogue() {
+	var source = fs.readFileSync(CATALOGUE, 'utf8');
+	return import('data:text/javascript;base64,' + Buffer.from(source).toString('base64'));
+}
+
+function format_default(value) {
+	return typeof value == 'string' ? '"' + value + '"' : String(value);
+}
+
+function render_param(param) {
+	var details = [param.type];
+	details.push(param.required ? 'required' : 'optional');
+	if (param.default !== undefined)
+		details.push('default: ' + format_default(param.default));
+	return '- `' + param.name + '` (' + details.join(', ') + ') - ' + param.description;
+}
+
+function render_command(command, catalogue) {
+	var lines = ['#### ' + command.name, command.summary, ''];
+	if (command.example) {
+		lines.push('```' + (command.exampleLanguage || 'rexx'), command.example, '```', '');
+	}
+	if (command.params.length > 0) {
+		lines.push('**Parameters:**');
+		for (var param of command.params)
+			lines.push(render_param(param));
+		lines.push('');
+	}
+	if (command.notes) {
+		lines.push(command.notes, '');
+	}
+	if (command.returns) {
+		lines.push('**Returns:** ' + command.returns, '');
+	}
+	if (command.scope == 'read') {
+		lines.push('**Scope:** `read`, directors on the control bus with only the read scope can run it', '');
+	}
+	lines.push('**Error Codes:**');
+	for (var name of command.errors) {
+		var code = catalogue.ERRORS[name];
+		var error = catalogue.ERROR_CODES.find((item) => item.code == code);
+		lines.push('- ' + code + ' - ' + error.description);
+	}
+	lines.push('', '---', '');
+	return lines.join('\n');
+}
+
+function render_commands(catalogue) {
+	var common = catalogue.COMMON_ERRORS.map((name) => catalogue.ERRORS[name]).join(', ');
+	var parts = [
+		'## Command Reference',
+		'',
+		'Each command also fails with the codes any command can return (' + common + '), see [Error Codes](#error-codes).',
+		'Scripts can look up the same information with `list-commands` and `help command=<name>`.',
+		'',
+	];
+	for (var group of catalogue.GROUPS) {
+		parts.push('### ' + group.title, '');
+		if (group.intro)
+			parts.push(group.intro, '');
+		for (var command of catalogue.COMMANDS.filter((item) => item.group == group.name))
+			parts.push(render_command(command, catalogue));
+	}
+	return parts.join('\n').replace(/\n+$/, '\n');
+}
+
+function render_errors(catalogue) {
+	var used_by = {};
+	for (var command of catalogue.COMMANDS) {
+		for (var name of command.errors) {
+			used_by[name] = used_by[name] || [];
+			used_by[name].push('`' + command.name + '`');
+		}
+	}
+
+	var lines = [
+		'### Error Codes',
+		'',
+		'`ERRORS` in `src/js/modules/rexxjs/command-catalogue.js` has these codes by name, `help command=<name>` lists the ones of a command.',
+		'',
+		'| Code | Name | Description | Commands |',
+		'|------|------|-------------|----------|',
+		'| 0 | | Success | |',
+	];
+	for (var error of catalogue.ERROR_CODES) {
+		var commands = catalogue.COMMON_ERRORS.includes(error.name) ? 'any' : (used_by[error.name] || []).join(', ');
+		if (error.code > 500)
+			commands = error.code < 510 ? 'control bus' : 'relay';
+		lines.push('| ' + error.code + ' | `' + error.name + '` | ' + error.description + ' | ' + commands + ' |');
+	}
+	return lines.join('\n') + '\n';
+}
+
+/**
+ * Replace text between the markers of section, markers stay
+ */
+function replace_section(docs, section, content) {
+	var begin = '<!-- BEGIN GENERATED ' + section + ' -->';
+	var end = '<!-- END GENERATED ' + section + ' -->';
+	var start = docs.indexOf(begin);
+	var stop = docs.indexOf(end);
+	if (start < 0 || stop < start)
+		throw new Error('Markers for ' + section + ' not found in ' + DOCS);
+	return docs.slice(0, start + begin.length) + '\n' + content + docs.slice(stop);
+}
+
+async function main(argv) {
+	var catalogue = await load_catalogue();
+	var docs = fs.readFileSync(DOCS, 'utf8');
+	var generated = replace_section(docs, 'COMMANDS', render_commands(catalogue));
+	generated = replace_section(generated, 'ERRORS', render_errors(catalogue));
+
+	if (argv.includes('--check')) {
+		if (generated != docs) {
+			console.error(path.relative(ROOT, DOCS) + ' is out of date, run node tools/generate-command-docs.js');
+			return 1;
+		}
+		return 0;
+	}
+	fs.writeFileSync(DOCS, generated);
+	console.log('Wrote ' + path.relative(ROOT, DOCS));
+	return 0;
+}
+
+main(process.argv.slice(2)).then((code) => {
+	process.exitCode = code;
+}, (error) => {
+	console.error(error.message);
+	process.exitCode = 1;
+});
@@ -0,0 +1,489 @@
+#!/usr/bin/env node
+/**
+ * miniPaint command relay
+ * Passes ADDRESS MINIPAINT commands from processes outside the browser to a miniPaint page.
+ *
+ * Start:  node tools/rexx-relay/relay.js [--port 8765] [--host 127.0.0.1] [--token secret] [--timeout 60000]
+ *         [--origin http://localhost:8080,http://127.0.0.1:8080] [--max-payload 134217728]
+ * Then set config.rexx_relay_url = 'ws://127.0.0.1:8765/app' (and rexx_relay_token) in src/js/config.js.
+ *
+ * Clients:
+ * - WebSocket ws://host:port/client, send { id, command, params }, receive { id, success, errorCode, output, result }
+ *   and { id, type: 'progress', percent, stage }. Send { id, type: 'cancel' } to cancel a request.
+ * - HTTP POST /command with { command, params } as JSON or the command string as text, receives the envelope.
+ *
+ * A transaction a WebSocket client leaves open is rolled back when it disconnects, HTTP requests can not keep one open.
+ *
+ * With --token, clients pass ?token= or an "Authorization: Bearer" header, miniPaint passes ?token=.
+ * The token is required when the relay listens on other than a loopback address.
+ * Requests from web pages (with an Origin header) are refused, only a miniPaint page from one of the --origin
+ * origins may connect, and only one at a time. Messages and request bodies over --max-payload bytes are refused.
+ *
+ * No dependencies, needs Node 18 or newer.
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+// Envelope error codes of the relay, RELAY_* in src/js/modules/rexxjs/command-catalogue.js
+const RELAY_ERRORS = {
+	NOT_CONNECTED: 510,
+	DISCONNECTED: 511,
+	TIMEOUT: 512,
+	INVALID_REQUEST: 513,
+	UNAUTHORIZED: 514,
+};
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+const DEFAULT_OPTIONS = {
+	port: 8765,
+	host: '127.0.0.1',
+	token: '',
+	timeout: 60000,
+	//comma separated origins of miniPaint pages
+	origin: 'http://localhost:8080,http://127.0.0.1:8080',
+	max_payload: 128 * 1024 * 1024,
+};
+
+function parse_args(argv) {
+	var options = Object.assign({}, DEFAULT_OPTIONS);
+	for (var i = 0; i < argv.length; i++) {
+		var name = argv[i].replace(/^--/, '').replace(/-/g, '_');
+		if (options[name] === undefined) {
+			throw new Error('Unknown option: ' + argv[i]);
+		}
+		options[name] = typeof options[name] == 'number' ? parseInt(argv[++i]) : argv[++i];
+	}
+	return options;
+}
+
+function failure(code, message) {
+	return {success: false, errorCode: code, output: message, result: ''};
+}
+
+/**
+ * @param {string} text
+ * @returns {object|null} parsed JSON object, null if text is not JSON or not an object
+ */
+function parse_object(text) {
+	var value;
+	try {
+		value = JSON.parse(text);
+	}
+	catch (error) {
+		return null;
+	}
+	if (value === null || typeof value != 'object' || Array.isArray(value))
+		return null;
+	return value;
+}
+
+/**
+ * minimal WebSocket connection (RFC 6455), text frames only
+ */
+class Socket {
+
+	/**
+	 * @param {stream} stream
+	 * @param {int} max_payload longest message in bytes, longer ones close the connection
+	 */
+	constructor(stream, max_payload) {
+		this.stream = stream;
+		this.max_payload = max_payload;
+		this.buffer = Buffer.alloc(0);
+		this.fragments = [];
+		this.fragments_length = 0;
+		this.closed = false;
+		this.onmessage = null;
+		this.onclose = null;
+
+		stream.on('data', (data) => {
+			if (this.closed)
+				return;
+			this.buffer = Buffer.concat([this.buffer, data]);
+			this.read_frames();
+		});
+		stream.on('close', () => this.closed_by_peer());
+		stream.on('error', () => this.closed_by_peer());
+	}
+
+	read_frames() {
+		while (this.buffer.length >= 2 && this.closed == false) {
+			var first = this.buffer[0];
+			var second = this.buffer[1];
+			var length = second & 0x7f;
+			var offset = 2;
+			if (length == 126) {
+				if (this.buffer.length < 4)
+					return;
+				length = this.buffer.readUInt16BE(2);
+				offset = 4;
+			}
+			else if (length == 127) {
+				if (this.buffer.length < 10)
+					return;
+				length = Number(this.buffer.readBigUInt64BE(2));
+				offset = 10;
+			}
+			if (this.fragments_length + length > this.max_payload) {
+				//1009: message too big
+				this.close(1009);
+				return;
+			}
+			var masked = (second & 0x80) != 0;
+			var mask_offset = offset;
+			if (masked)
+				offset += 4;
+			if (this.buffer.length < offset + length)
+				return;
+
+			var payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+			if (masked) {
+				for (var i = 0; i < payload.length; i++) {
+					payload[i] ^= this.buffer[mask_offset + (i % 4)];
+				}
+			}
+			this.buffer = this.buffer.subarray(offset + length);
+			this.on_frame((first & 0x80) != 0, first & 0x0f, payload);
+		}
+	}
+
+	on_frame(fin, opcode, payload) {
+		if (opcode == 0x8) {
+			this.close();
+			return;
+		}
+		if (opcode == 0x9) {
+			this.write_frame(0xA, payload);
+			return;
+		}
+		if (opcode != 0x0 && opcode != 0x1)
+			return;
+
+		this.fragments.push(payload);
+		this.fragments_length += payload.length;
+		if (fin) {
+			var text = Buffer.concat(this.fragments).toString('utf8');
+			this.fragments = [];
+			this.fragments_length = 0;
+			if (this.onmessage)
+				this.onmessage(text);
+		}
+	}
+
+	send(message) {
+		this.write_frame(0x1, Buffer.from(JSON.stringify(message), 'utf8'));
+	}
+
+	write_frame(opcode, payload) {
+		if (this.closed)
+			return;
+		var header;
+		if (payload.length < 126) {
+			header = Buffer.from([0x80 | opcode, payload.length]);
+		}
+		else if (payload.length < 65536) {
+			header = Buffer.alloc(4);
+			header[0] = 0x80 | opcode;
+			header[1] = 126;
+			header.writeUInt16BE(payload.length, 2);
+		}
+		else {
+			header = Buffer.alloc(10);
+			header[0] = 0x80 | opcode;
+			header[1] = 127;
+			header.writeBigUInt64BE(BigInt(payload.length), 2);
+		}
+		this.stream.write(Buffer.concat([header, payload]));
+	}
+
+	/**
+	 * @param {int} code status code sent to the peer, none when empty
+	 */
+	close(code) {
+		if (this.closed)
+			return;
+		var payload = Buffer.alloc(code ? 2 : 0);
+		if (code)
+			payload.writeUInt16BE(code, 0);
+		this.write_frame(0x8, payload);
+		this.closed = true;
+		this.stream.end();
+		this.closed_by_peer();
+	}
+
+	closed_by_peer() {
+		this.closed = true;
+		if (this.onclose) {
+			var callback = this.onclose;
+			this.onclose = null;
+			callback();
+		}
+	}
+}
+
+/**
+ * keeps the miniPaint connection and the requests waiting for it
+ */
+class Relay {
+
+	constructor(options) {
+		this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+		if (this.options.token == '' && LOOPBACK_HOSTS.includes(this.options.host) == false) {
+			throw new Error('Pass --token when listening on ' + this.options.host + ', other machines can reach the relay');
+		}
+		this.origins = this.options.origin.split(',').map((origin) => origin.trim()).filter((origin) => origin != '');
+		this.app = null;
+		this.request_id = 0;
+		this.client_count = 0;
+		//relay id => {respond, progress, timer}
+		this.pending = new Map();
+	}
+
+	/**
+	 * passes request to miniPaint
+	 *
+	 * @param {object} request {command, params}
+	 * @param {function} respond called once with the envelope
+	 * @param {function} progress called with (percent, stage)
+	 * @param {int} client WebSocket client, its requests share one session in miniPaint
+	 * @returns {int|null} relay id, for cancel
+	 */
+	forward(request, respond, progress, client) {
+		if (!request || typeof request.command != 'string' || request.command.trim() == '') {
+			respond(failure(RELAY_ERRORS.INVALID_REQUEST, 'command is required'));
+			return null;
+		}
+		if (this.app == null) {
+			respond(failure(RELAY_ERRORS.NOT_CONNECTED, 'miniPaint is not connected to the relay'));
+			return null;
+		}
+
+		var id = ++this.request_id;
+		var timeout = request.timeout === undefined ? this.options.timeout : parseInt(request.timeout);
+		var timer = timeout > 0 ? setTimeout(() => {
+			this.cancel(id);
+			this.finish(id, failure(RELAY_ERRORS.TIMEOUT, 'No response from miniPaint after ' + timeout + 'ms'));
+		}, timeout) : null;
+		this.pending.set(id, {respond: respond, progress: progress || null, timer: timer});
+
+		this.app.send({type: 'request', id: id, client: client, command: request.command, params: request.params || {}});
+		return id;
+	}
+
+	cancel(id) {
+		if (this.app != null && this.pending.has(id)) {
+			this.app.send({type: 'cancel', id: id});
+		}
+	}
+
+	finish(id, envelope) {
+		var entry = this.pending.get(id);
+		if (entry == undefined)
+			return;
+		clearTimeout(entry.timer);
+		this.pending.delete(id);
+		entry.respond(envelope);
+	}
+
+	attach_app(socket) {
+		this.app = socket;
+		console.log('[relay] miniPaint connected');
+
+		socket.onmessage = (text) => {
+			var message = parse_object(text);
+			if (message === null)
+				return;
+			if (message.type == 'response') {
+				this.finish(message.id, message.response);
+			}
+			else if (message.type == 'progress' && this.pending.has(message.id)) {
+				var entry = this.pending.get(message.id);
+				if (entry.progress)
+					entry.progress(message.percent, message.stage);
+			}
+		};
+		socket.onclose = () => {
+			if (this.app !== socket)
+				return;
+			this.app = null;
+			console.log('[relay] miniPaint disconnected');
+			for (var id of Array.from(this.pending.keys())) {
+				this.finish(id, failure(RELAY_ERRORS.DISCONNECTED, 'miniPaint disconnected before responding'));
+			}
+		};
+	}
+
+	attach_client(socket) {
+		var client = ++this.client_count;
+		//client id => relay id
+		var requests = new Map();
+
+		socket.onmessage = (text) => {
+			var message = parse_object(text);
+			if (message === null) {
+				socket.send({id: null, ...failure(RELAY_ERRORS.INVALID_REQUEST, 'Message is not a JSON object')});
+				return;
+			}
+			var client_id = message.id === undefined ? null : message.id;
+			if (message.type == 'cancel') {
+				if (requests.has(client_id))
+					this.cancel(requests.get(client_id));
+				return;
+			}
+
+			var relay_id = this.forward(message, (envelope) => {
+				requests.delete(client_id);
+				socket.send({id: client_id, ...envelope});
+			}, (percent, stage) => {
+				socket.send({id: client_id, type: 'progress', percent: percent, stage: stage});
+			}, client);
+			if (relay_id != null)
+				requests.set(client_id, relay_id);
+		};
+		socket.onclose = () => {
+			requests.forEach((relay_id) => this.cancel(relay_id));
+			//miniPaint rolls back the transaction the client left open
+			if (this.app != null)
+				this.app.send({type: 'session-end', client: client});
+		};
+	}
+
+	handle_http(request, response) {
+		var reply = (status, envelope) => {
+			response.writeHead(status, {'Content-Type': 'application/json'});
+			response.end(JSON.stringify(envelope));
+		};
+		var url = new URL(request.url, 'http://localhost');
+
+		if (request.headers.origin) {
+			reply(403, failure(RELAY_ERRORS.UNAUTHORIZED, 'Requests from web pages are not accepted'));
+			return;
+		}
+		if (!this.is_authorized(request, url)) {
+			reply(401, failure(RELAY_ERRORS.UNAUTHORIZED, 'Invalid token'));
+			return;
+		}
+		if (request.method == 'GET' && url.pathname == '/status') {
+			reply(200, {connected: this.app != null, pending: this.pending.size});
+			return;
+		}
+		if (request.method != 'POST' || url.pathname != '/command') {
+			reply(404, failure(RELAY_ERRORS.INVALID_REQUEST, 'Use POST /command or GET /status'));
+			return;
+		}
+
+		var body = '';
+		var length = 0;
+		request.setEncoding('utf8');
+		request.on('data', (data) => {
+			length += Buffer.byteLength(data);
+			if (length <= this.options.max_payload)
+				body += data;
+		});
+		request.on('end', () => {
+			if (length > this.options.max_payload) {
+				reply(413, failure(RELAY_ERRORS.INVALID_REQUEST, 'Request is longer than ' + this.options.max_payload + ' bytes'));
+				return;
+			}
+			var command;
+			if ((request.headers['content-type'] || '').includes('application/json')) {
+				command = parse_object(body);
+				if (command === null) {
+					reply(400, failure(RELAY_ERRORS.INVALID_REQUEST, 'Body is not a JSON object'));
+					return;
+				}
+			}
+			else {
+				command = {command: body};
+			}
+			var relay_id = this.forward(command, (envelope) => reply(200, envelope));
+			//client went away, stop the command
+			response.on('close', () => {
+				if (relay_id != null && this.pending.has(relay_id)) {
+					this.cancel(relay_id);
+					this.finish(relay_id, failure(RELAY_ERRORS.DISCONNECTED, 'Client disconnected'));
+				}
+			});
+		});
+	}
+
+	handle_upgrade(request, stream) {
+		var url = new URL(request.url, 'http://localhost');
+		var key = request.headers['sec-websocket-key'];
+		var role = url.pathname.replace(/^\//, '');
+		var refuse = (status) => {
+			stream.end('HTTP/1.1 ' + status + '\r\n\r\n');
+		};
+
+		if (!key || (request.headers.upgrade || '').toLowerCase() != 'websocket' || ['app', 'client'].includes(role) == false) {
+			refuse('400 Bad Request');
+			return;
+		}
+		if (!this.is_authorized(request, url)) {
+			refuse('401 Unauthorized');
+			return;
+		}
+		//web pages may not act as clients, a page on another site could drive miniPaint otherwise
+		if (role == 'client' && request.headers.origin) {
+			refuse('403 Forbidden');
+			return;
+		}
+		//a page on another site could pose as miniPaint and read the commands of clients
+		if (role == 'app' && this.origins.includes(request.headers.origin) == false) {
+			refuse('403 Forbidden');
+			return;
+		}
+		if (role == 'app' && this.app != null) {
+			//keep the page that has the session state, the other one reconnects when it goes away
+			console.log('[relay] Refused miniPaint from ' + request.headers.origin + ', one is already connected');
+			refuse('409 Conflict');
+			return;
+		}
+
+		var accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+		stream.write('HTTP/1.1 101 Switching Protocols\r\n'
+			+ 'Upgrade: websocket\r\n'
+			+ 'Connection: Upgrade\r\n'
+			+ 'Sec-WebSocket-Accept: ' + accept + '\r\n\r\n');
+		stream.setNoDelay(true);
+
+		var socket = new Socket(stream, this.options.max_payload);
+		if (role == 'app')
+			this.attach_app(socket);
+		else
+			this.attach_client(socket);
+	}
+
+	is_authorized(request, url) {
+		if (this.options.token == '')
+			return true;
+		var header = request.headers.authorization || '';
+		var token = header.startsWith('Bearer ') ? header.substring(7) : url.searchParams.get('token');
+		var expected = Buffer.from(this.options.token);
+		var given = Buffer.from(token || '');
+		return given.length == expected.length && crypto.timingSafeEqual(given, expected);
+	}
+
+	listen() {
+		var server = http.createServer((request, response) => this.handle_http(request, response));
+		server.on('upgrade', (request, stream) => this.handle_upgrade(request, stream));
+		server.listen(this.options.port, this.options.host, () => {
+			var port = server.address().port;
+			console.log('[relay] Listening on ' + this.options.host + ':' + port
+				+ ', miniPaint connects to ws://' + this.options.host + ':' + port + '/app');
+		});
+		return server;
+	}
+}
+
+if (require.main === module) {
+	new Relay(parse_args(process.argv.slice(2))).listen();
+}
+
+module.exports = {Relay, RELAY_ERRORS};
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Sends ADDRESS MINIPAINT commands through the relay, for CI scripts and shells
+ *
+ * Usage:  node tools/rexx-relay/send.js [--url http://127.0.0.1:8765] [--token secret] [--json] "resize width=800" "flip direction=horizontal"
+ *
+ * Commands run in order and stop at the first failing one. Output of each command is printed,
+ * or the whole envelope with --json. Exit code is 0 when all succeed, otherwise the errorCode of the failing
+ * command, or 1 when the code does not fit in an exit code.
+ */
+
+'use strict';
+
+async function main(argv) {
+	var url = process.env.MINIPAINT_RELAY_URL || 'http://127.0.0.1:8765';
+	var token = process.env.MINIPAINT_RELAY_TOKEN || '';
+	var json = false;
+	var commands = [];
+	for (var i = 0; i < argv.length; i++) {
+		if (argv[i] == '--url')
+			url = argv[++i];
+		else if (argv[i] == '--token')
+			token = argv[++i];
+		else if (argv[i] == '--json')
+			json = true;
+		else
+			commands.push(argv[i]);
+	}
+	if (commands.length == 0) {
+		console.error('Usage: send.js [--url http://127.0.0.1:8765] [--token secret] [--json] "command" ...');
+		return 2;
+	}
+
+	for (var command of commands) {
+		var headers = {'Content-Type': 'application/json'};
+		if (token != '')
+			headers.Authorization = 'Bearer ' + token;
+
+		var envelope;
+		try {
+			var response = await fetch(url.replace(/\/$/, '') + '/command', {
+				method: 'POST',
+				headers: headers,
+				body: JSON.stringify({command: command}),
+			});
+			envelope = await response.json();
+		}
+		catch (error) {
+			console.error('Relay not reachable at ' + url + ': ' + error.message);
+			return 1;
+		}
+
+		if (json) {
+			console.log(JSON.stringify(envelope));
+		}
+		else if (envelope.success) {
+			console.log(envelope.output);
+			if (envelope.result !== '' && envelope.result !== undefined)
+				console.log(typeof envelope.result == 'string' ? envelope.result : JSON.stringify(envelope.result));
+		}
+		else {
+			console.error('Error ' + envelope.errorCode + ': ' + envelope.output);
+		}
+		if (!envelope.success)
+			return envelope.errorCode || 1;
+	}
+	return 0;
+}
+
+main(process.argv.slice(2)).then((code) => {
+	process.exitCode = code > 255 ? 1 : code;
+});